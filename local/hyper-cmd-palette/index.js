@@ -10,6 +10,8 @@ const { clipboard } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { trackSession, execInTerminal, registerPlugin, whenCapability } = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
 
 const WORKSPACE_ROOT = path.resolve(__dirname, '..', '..');
 const VENDOR_WORDLIST_DIR = path.join(WORKSPACE_ROOT, 'cache', 'wordlists', 'vendor');
@@ -54,9 +56,6 @@ const DEFAULT_DIRB_WORDLIST = process.env.HYPER_DIRB_WORDLIST || firstExisting([
   path.join(WORKSPACE_ROOT, 'cache', 'wordlists', 'web_directories_common.txt'),
 ]);
 
-// ─── Session Tracking ────────────────────────────────────────
-let activeUid = null;
-
 // ─── Shell Safety ────────────────────────────────────────────
 function esc(str) {
   if (!str) return "''";
@@ -64,8 +63,7 @@ function esc(str) {
 }
 
 function execCmd(cmd) {
-  if (!activeUid) return;
-  window.rpc.emit('data', { uid: activeUid, data: cmd + '\n', escaped: false });
+  execInTerminal(cmd);
 }
 
 
@@ -1385,9 +1383,14 @@ function _renderFormView(panel) {
 //  HUD INTEGRATION (optional)
 // ══════════════════════════════════════════════════════════════
 
+var _hudRequested = false;
+
 function _tryHudRegister() {
-  if (window.__hyperRecon && window.__hyperRecon.hud) {
-    window.__hyperRecon.hud.registerTab('cmd-palette', 'Commands', null, function(container) {
+  if (_hudRequested) return;
+  _hudRequested = true;
+  registerPlugin({ name: 'cmd-palette', version: version, requires: { hud: 1 } });
+  whenCapability('hud', 1, function(hud) {
+    hud.registerTab('cmd-palette', 'Commands', null, function(container) {
       container.innerHTML = '';
       container.style.cssText = 'padding:8px 12px;color:' + COLORS.text + ';font-size:12px;' +
         'font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Helvetica,Arial,sans-serif;';
@@ -1427,7 +1430,7 @@ function _tryHudRegister() {
       });
       container.appendChild(grid);
     });
-  }
+  });
 }
 
 
@@ -1438,18 +1441,7 @@ function _tryHudRegister() {
 exports.middleware = function(store) {
   return function(next) {
     return function(action) {
-      switch (action.type) {
-        case 'SESSION_SET_ACTIVE':
-          activeUid = action.uid;
-          break;
-        case 'SESSION_ADD':
-          if (!activeUid) activeUid = action.uid;
-          break;
-        case 'SESSION_PTY_EXIT':
-        case 'SESSION_USER_EXIT':
-          if (action.uid === activeUid) activeUid = null;
-          break;
-      }
+      trackSession(action);
       return next(action);
     };
   };
@@ -1479,8 +1471,8 @@ exports.decorateTerm = function(Term, _ref) {
       };
       window.addEventListener('keydown', this._keyHandler, true);
 
-      // Try HUD registration after a short delay
-      setTimeout(_tryHudRegister, 500);
+      // Adds the Commands tab once the HUD is up
+      _tryHudRegister();
     }
 
     componentWillUnmount() {
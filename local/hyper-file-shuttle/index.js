@@ -8,19 +8,10 @@
 // ══════════════════════════════════════════════════════════════
 
 const { clipboard } = require('electron');
-
-// ─── Shared Recon Namespace ─────────────────────────────────
-function getRecon() {
-  if (!window.__hyperRecon) {
-    const EventEmitter = require('events');
-    window.__hyperRecon = { events: new EventEmitter(), targets: new Map(), findings: [], hud: null };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
-
-// ─── Session Tracking ───────────────────────────────────────
-let activeUid = null;
+const {
+  getRecon, trackSession, execInTerminal, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
 
 // ─── Shell Helpers ──────────────────────────────────────────
 function esc(str) {
@@ -28,8 +19,7 @@ function esc(str) {
 }
 
 function exec(cmd) {
-  if (!activeUid) return;
-  window.rpc.emit('data', { uid: activeUid, data: cmd + '\n', escaped: false });
+  execInTerminal(cmd);
 }
 
 function copyText(text) {
@@ -521,17 +511,17 @@ function renderShuttleTab(React) {
 //  HUD TAB REGISTRATION
 // ══════════════════════════════════════════════════════════════
 
-let _hudRegistered = false;
+let _hudRequested = false;
 
 function tryRegisterHud() {
-  if (_hudRegistered) return;
-  const recon = getRecon();
-  if (recon.hud && typeof recon.hud.registerTab === 'function') {
-    recon.hud.registerTab('file-shuttle', 'Transfer', null, function(React) {
+  if (_hudRequested) return;
+  _hudRequested = true;
+  registerPlugin({ name: 'file-shuttle', version: version, requires: { hud: 1 } });
+  whenCapability('hud', 1, function(hud) {
+    hud.registerTab('file-shuttle', 'Transfer', null, function(React) {
       return renderShuttleTab(React);
     });
-    _hudRegistered = true;
-  }
+  });
 }
 
 
@@ -542,18 +532,7 @@ function tryRegisterHud() {
 exports.middleware = function(store) {
   return function(next) {
     return function(action) {
-      switch (action.type) {
-        case 'SESSION_SET_ACTIVE':
-          activeUid = action.uid;
-          break;
-        case 'SESSION_ADD':
-          if (!activeUid) activeUid = action.uid;
-          break;
-        case 'SESSION_PTY_EXIT':
-        case 'SESSION_USER_EXIT':
-          if (action.uid === activeUid) activeUid = null;
-          break;
-      }
+      trackSession(action);
       return next(action);
     };
   };
@@ -571,19 +550,9 @@ exports.decorateTerm = function(Term, _ref) {
     _onDecorated(term) {
       if (this.props.onDecorated) this.props.onDecorated(term);
 
-      // Attempt HUD registration once terminal is ready
+      // Adds the Transfer tab once the HUD is up
       tryRegisterHud();
 
-      // Also listen for late HUD ready event
-      const recon = getRecon();
-      if (!_hudRegistered) {
-        const onReady = function() {
-          tryRegisterHud();
-          recon.events.removeListener('hud:ready', onReady);
-        };
-        recon.events.on('hud:ready', onReady);
-      }
-
       // Wire up forced re-render for state changes
       if (!_renderCallback) {
         const self = this;
@@ -0,0 +1,365 @@
+'use strict';
+
+// ======================================================================
+//  DETECTION RULES
+//  What findings-log recognises in a line of terminal output.
+//  Each rule: { test: RegExp, severity, type, title (string|fn),
+//               sourceHint }
+//  The first rule that matches a line wins.
+// ======================================================================
+
+const DETECTION_RULES = [
+
+  // ═══ CRITICAL: SQLi confirmed ═══
+
+  {
+    test: /is vulnerable/i,
+    severity: 'critical',
+    type: 'sqli',
+    title: function (match, line) {
+      // sqlmap: "Parameter 'id' is vulnerable"
+      const paramMatch = line.match(/Parameter\s+'([^']+)'\s+is\s+vulnerable/i);
+      if (paramMatch) return 'SQL Injection in parameter: ' + paramMatch[1];
+      return 'SQL Injection confirmed (vulnerable parameter detected)';
+    },
+    sourceHint: 'sqlmap',
+  },
+  {
+    // Not sqlmap's "testing for SQL injection on GET parameter 'id'"
+    test: /(?<!testing for )SQL injection/i,
+    severity: 'critical',
+    type: 'sqli',
+    title: function (match, line) {
+      const paramMatch = line.match(/(?:parameter|param)\s*[:\s'"]*(\w+)/i);
+      if (paramMatch) return 'SQL Injection: ' + paramMatch[1];
+      return 'SQL Injection detected';
+    },
+    sourceHint: 'sqlmap',
+  },
+
+  // ═══ CRITICAL: RCE indicators ═══
+
+  {
+    test: /uid=\d+\([^)]+\)\s+gid=\d+/,
+    severity: 'critical',
+    type: 'rce',
+    title: function (match, line) {
+      const uidMatch = line.match(/uid=\d+\(([^)]+)\)/);
+      const user = uidMatch ? uidMatch[1] : 'unknown';
+      return 'RCE confirmed: command execution as ' + user;
+    },
+    sourceHint: 'manual',
+  },
+  {
+    test: /root:x:0:0:/,
+    severity: 'critical',
+    type: 'rce',
+    title: 'RCE confirmed: /etc/passwd contents leaked',
+    sourceHint: 'manual',
+  },
+
+  // ═══ CRITICAL: Shell obtained ═══
+
+  {
+    test: /www-data@\S+/,
+    severity: 'critical',
+    type: 'rce',
+    title: function (match, line) {
+      const hostMatch = line.match(/www-data@(\S+)/);
+      const host = hostMatch ? hostMatch[1].replace(/:.*/, '') : 'target';
+      return 'Shell obtained: www-data@' + host;
+    },
+    sourceHint: 'manual',
+  },
+  {
+    test: /root@\S+[:#]/,
+    severity: 'critical',
+    type: 'rce',
+    title: function (match, line) {
+      const hostMatch = line.match(/root@(\S+)/);
+      const host = hostMatch ? hostMatch[1].replace(/[:#].*/, '') : 'target';
+      return 'Root shell obtained: root@' + host;
+    },
+    sourceHint: 'manual',
+  },
+  {
+    test: /meterpreter\s*>/,
+    severity: 'critical',
+    type: 'rce',
+    title: 'Meterpreter session established',
+    sourceHint: 'metasploit',
+  },
+
+  // ═══ HIGH: Open admin panels with 200 status ═══
+
+  {
+    test: /(?:\/admin|\/manager|\/console).*(?:200|Status:\s*200|HTTP\/[\d.]+\s+200)/,
+    severity: 'high',
+    type: 'info-disclosure',
+    title: function (match, line) {
+      const pathMatch = line.match(/(\/(?:admin|manager|console)[^\s'"]*)/i);
+      const p = pathMatch ? pathMatch[1] : '/admin';
+      return 'Admin panel accessible: ' + p.substring(0, 80);
+    },
+    sourceHint: null,
+  },
+  {
+    // Reverse order: status code then path
+    test: /(?:200|Status:\s*200|HTTP\/[\d.]+\s+200).*(?:\/admin|\/manager|\/console)/,
+    severity: 'high',
+    type: 'info-disclosure',
+    title: function (match, line) {
+      const pathMatch = line.match(/(\/(?:admin|manager|console)[^\s'"]*)/i);
+      const p = pathMatch ? pathMatch[1] : '/admin';
+      return 'Admin panel accessible: ' + p.substring(0, 80);
+    },
+    sourceHint: null,
+  },
+
+  // ═══ HIGH: Default credentials / valid creds found ═══
+
+  {
+    test: /\[VALID\]/i,
+    severity: 'high',
+    type: 'credential',
+    title: function (match, line) {
+      // Try to extract credential info
+      const credMatch = line.match(/login:\s*(\S+).*password:\s*(\S+)/i);
+      if (credMatch) return 'Valid credentials found: ' + credMatch[1] + ':' + credMatch[2];
+      return 'Valid credentials found';
+    },
+    sourceHint: null,
+  },
+  {
+    test: /login:\s*\S+\s+password:\s*\S+/i,
+    severity: 'high',
+    type: 'credential',
+    title: function (match, line) {
+      const credMatch = line.match(/login:\s*(\S+)\s+password:\s*(\S+)/i);
+      if (credMatch) return 'Credentials found: ' + credMatch[1] + ':' + credMatch[2];
+      return 'Credentials discovered via brute force';
+    },
+    sourceHint: 'hydra',
+  },
+
+  // ═══ HIGH: File read (sensitive files) ═══
+
+  {
+    test: /\/etc\/shadow/,
+    severity: 'high',
+    type: 'info-disclosure',
+    title: '/etc/shadow file contents exposed',
+    sourceHint: 'manual',
+  },
+
+  // ═══ HIGH: OSVDB findings from nikto ═══
+
+  {
+    test: /OSVDB-\d+/,
+    severity: 'high',
+    type: 'misc',
+    title: function (match, line) {
+      const osvdbMatch = line.match(/OSVDB-(\d+)/);
+      const id = osvdbMatch ? osvdbMatch[1] : '?';
+      // Get the description after the OSVDB reference
+      const descMatch = line.match(/OSVDB-\d+:\s*(.+)/);
+      const desc = descMatch ? descMatch[1].substring(0, 100).trim() : '';
+      return 'OSVDB-' + id + (desc ? ': ' + desc : '');
+    },
+    sourceHint: 'nikto',
+  },
+
+  // ═══ MEDIUM: XSS reflected ═══
+
+  {
+    test: /alert\s*\(/,
+    severity: 'medium',
+    type: 'xss',
+    title: function (match, line) {
+      const payloadMatch = line.match(/(alert\([^)]*\))/);
+      const payload = payloadMatch ? payloadMatch[1] : 'alert()';
+      return 'Potential XSS: ' + payload.substring(0, 60);
+    },
+    sourceHint: null,
+  },
+  {
+    test: /<script>/i,
+    severity: 'medium',
+    type: 'xss',
+    title: 'Potential XSS: <script> tag found in response',
+    sourceHint: null,
+  },
+
+  // ═══ MEDIUM: Directory listing ═══
+
+  {
+    test: /Index of \//,
+    severity: 'medium',
+    type: 'info-disclosure',
+    title: function (match, line) {
+      const dirMatch = line.match(/Index of (\/\S*)/);
+      const dir = dirMatch ? dirMatch[1] : '/';
+      return 'Directory listing enabled: ' + dir.substring(0, 80);
+    },
+    sourceHint: null,
+  },
+
+  // ═══ MEDIUM: Information disclosure - version strings ═══
+
+  {
+    test: /(?:Server|X-Powered-By):\s*\S+\/[\d.]+/i,
+    severity: 'medium',
+    type: 'info-disclosure',
+    title: function (match, line) {
+      const headerMatch = line.match(/((?:Server|X-Powered-By):\s*\S+)/i);
+      if (headerMatch) return 'Version disclosure: ' + headerMatch[1].substring(0, 80);
+      return 'Server version disclosed in headers';
+    },
+    sourceHint: null,
+  },
+
+  // ═══ MEDIUM: Stack traces ═══
+
+  {
+    test: /(?:Traceback \(most recent call last\)|at \S+\.java:\d+|Exception in thread|Fatal error:.*on line \d+)/,
+    severity: 'medium',
+    type: 'info-disclosure',
+    title: function (match, line) {
+      if (/Traceback/.test(line)) return 'Stack trace exposed: Python traceback';
+      if (/\.java:/.test(line)) return 'Stack trace exposed: Java exception';
+      if (/Fatal error/.test(line)) return 'Stack trace exposed: PHP fatal error';
+      return 'Stack trace / error details exposed';
+    },
+    sourceHint: null,
+  },
+
+  // ═══ MEDIUM: Missing security headers ═══
+
+  {
+    test: /(?:Missing header|The (?:anti-clickjacking(?: X-Frame-Options)?|X-Frame-Options|X-Content-Type-Options|Content-Security-Policy) header)/i,
+    severity: 'medium',
+    type: 'misc',
+    title: function (match, line) {
+      const headerMatch = line.match(/(X-Frame-Options|X-Content-Type-Options|Content-Security-Policy|Strict-Transport-Security|X-XSS-Protection)/i);
+      if (headerMatch) return 'Missing security header: ' + headerMatch[1];
+      return 'Missing security header detected';
+    },
+    sourceHint: 'nikto',
+  },
+
+  // ═══ LOW: Open ports from nmap ═══
+
+  {
+    test: /^\s*(\d{1,5})\/(?:tcp|udp)\s+open\s+(\S+)/,
+    severity: 'low',
+    type: 'open-port',
+    title: function (match, line) {
+      const portMatch = line.match(/(\d{1,5})\/(tcp|udp)\s+open\s+(\S+)/);
+      if (portMatch) {
+        const version = line.match(/open\s+\S+\s+(.+)/);
+        const ver = version ? version[1].trim().substring(0, 60) : '';
+        return 'Port ' + portMatch[1] + '/' + portMatch[2] + ' open: ' + portMatch[3] + (ver ? ' (' + ver + ')' : '');
+      }
+      return 'Open port discovered';
+    },
+    sourceHint: 'nmap',
+  },
+
+  // ═══ LOW/INFO: Discovered paths (ffuf/gobuster with status codes) ═══
+
+  {
+    // ffuf output: URL (-v) or word [Status: 200, Size: 1234, ...]
+    test: /\[Status:\s*(200|301|302|403)\b/,
+    severity: 'info',
+    type: 'path',
+    title: function (match, line) {
+      const urlMatch = line.match(/(https?:\/\/\S+)/) || line.match(/^(\S+)\s+\[Status:/);
+      const statusMatch = line.match(/\[Status:\s*(\d+)/);
+      const status = statusMatch ? statusMatch[1] : '?';
+      const url = urlMatch ? urlMatch[1].substring(0, 80) : 'path';
+      return 'Path discovered [' + status + ']: ' + url;
+    },
+    sourceHint: 'ffuf',
+  },
+  {
+    // gobuster output: /path (Status: 200) [Size: 1234]
+    test: /\(Status:\s*(200|301|302|403)\)/,
+    severity: 'info',
+    type: 'path',
+    title: function (match, line) {
+      const pathMatch = line.match(/(\/\S+)\s+\(Status:\s*(\d+)\)/);
+      if (pathMatch) return 'Path discovered [' + pathMatch[2] + ']: ' + pathMatch[1].substring(0, 80);
+      return 'Path discovered';
+    },
+    sourceHint: 'gobuster',
+  },
+
+  // ═══ INFO: DNS records ═══
+
+  {
+    test: /\b(?:IN\s+(?:A|AAAA|MX|NS|CNAME|TXT|SOA|SRV|PTR)\s+)/,
+    severity: 'info',
+    type: 'misc',
+    title: function (match, line) {
+      const typeMatch = line.match(/IN\s+(A|AAAA|MX|NS|CNAME|TXT|SOA|SRV|PTR)\s+(\S+)/);
+      if (typeMatch) return 'DNS ' + typeMatch[1] + ' record: ' + typeMatch[2].substring(0, 80);
+      return 'DNS record discovered';
+    },
+    sourceHint: 'manual',
+  },
+
+  // ═══ INFO: SSL certificate info ═══
+
+  {
+    test: /(?:subject:\s*CN\s*=|issuer:\s*CN\s*=|SSL certificate)/i,
+    severity: 'info',
+    type: 'misc',
+    title: function (match, line) {
+      const cnMatch = line.match(/CN\s*=\s*(\S+)/);
+      if (cnMatch) return 'SSL certificate: CN=' + cnMatch[1].substring(0, 60);
+      return 'SSL certificate information';
+    },
+    sourceHint: null,
+  },
+
+  // ═══ INFO: Server headers ═══
+
+  {
+    test: /^Server:\s+(.+)/i,
+    severity: 'info',
+    type: 'info-disclosure',
+    title: function (match, line) {
+      const serverMatch = line.match(/^Server:\s+(.+)/i);
+      if (serverMatch) return 'Server header: ' + serverMatch[1].trim().substring(0, 80);
+      return 'Server header detected';
+    },
+    sourceHint: null,
+  },
+];
+
+// The finding a line of output shows, or null
+function detectLine(line) {
+  const trimmed = line.trim();
+  if (trimmed.length < 3) return null;
+
+  for (const rule of DETECTION_RULES) {
+    if (rule.test.test(trimmed)) {
+      const title = typeof rule.title === 'function'
+        ? rule.title(trimmed.match(rule.test), trimmed)
+        : rule.title;
+      return {
+        severity: rule.severity,
+        type: rule.type,
+        title,
+        detail: trimmed,
+        sourceHint: rule.sourceHint,
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DETECTION_RULES,
+  detectLine,
+};
@@ -7,89 +7,50 @@
 //  the HUD tab. Export to markdown/JSON for reports.
 // ======================================================================
 
-const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const crypto = require('crypto');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { workspaceDir } = require('../hyper-hud-framework/workspace');
+const { exposeStore } = require('../hyper-hud-framework/reconStore');
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { detectLine } = require('./detectionRules');
+const { version } = require('./package.json');
 
 // ------ Constants -----------------------------------------------------
 
-const RECON_DIR = path.join(os.homedir(), '.hyper_recon');
-const FINDINGS_FILE = path.join(RECON_DIR, 'findings.json');
 const LINE_BUFFER_LIMIT = 100;   // Context lines kept per session
 
-// ------ ANSI Stripping ------------------------------------------------
-
-function stripAnsi(str) {
-  return str
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-    .replace(/\x1b\][^\x07]*\x07/g, '')
-    .replace(/\x1b[()][AB012]/g, '')
-    .replace(/\x1b[\[>=]/g, '')
-    .replace(/[\x00-\x08\x0e-\x1f]/g, '');
-}
-
 // ------ Persistence ---------------------------------------------------
 
-function ensureDir() {
-  try {
-    if (!fs.existsSync(RECON_DIR)) {
-      fs.mkdirSync(RECON_DIR, { recursive: true });
-    }
-  } catch (e) {
-    // Silently ignore
-  }
+// Findings live in the shared recon store ('findings' collection) of the
+// active workspace; each new finding is written as it is found.
+
+function reconStore() {
+  return exposeStore(getRecon());
 }
 
 function loadFindings() {
   try {
-    if (fs.existsSync(FINDINGS_FILE)) {
-      const raw = fs.readFileSync(FINDINGS_FILE, 'utf8');
-      const data = JSON.parse(raw);
-      if (Array.isArray(data)) return data;
-    }
+    return reconStore().list('findings')
+      .sort((a, b) => (b.timestamp - a.timestamp) || ((b.id || 0) - (a.id || 0)));
   } catch (e) {
-    // Corrupt file, start fresh
+    console.error('[findings-log] Failed to load findings:', e.message);
+    return [];
   }
-  return [];
 }
 
-function saveFindings(findings) {
+function storeFinding(finding) {
   try {
-    ensureDir();
-    fs.writeFileSync(FINDINGS_FILE, JSON.stringify(findings, null, 2), 'utf8');
+    reconStore().put('findings', finding);
   } catch (e) {
-    // Silently ignore
+    console.error('[findings-log] Failed to save finding:', e.message);
   }
 }
 
-// Debounced save to avoid thrashing disk
-let _saveTimer = null;
-function debouncedSave(findings) {
-  if (_saveTimer) clearTimeout(_saveTimer);
-  _saveTimer = setTimeout(() => {
-    _saveTimer = null;
-    saveFindings(findings);
-  }, 2000);
-}
-
 // ------ Deduplication -------------------------------------------------
 
 const _seenHashes = new Set();
@@ -127,15 +88,11 @@ function getSessionBuffer(uid) {
   return sessionBuffers.get(uid);
 }
 
-function appendToBuffer(uid, rawData) {
+function appendToBuffer(uid, line) {
   const buf = getSessionBuffer(uid);
-  const cleaned = stripAnsi(rawData);
-  const lines = cleaned.split(/\r?\n/);
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.length > 0) {
-      buf.push(trimmed);
-    }
+  const trimmed = line.trim();
+  if (trimmed.length > 0) {
+    buf.push(trimmed);
   }
   // Enforce limit
   if (buf.length > LINE_BUFFER_LIMIT) {
@@ -143,7 +100,7 @@ function appendToBuffer(uid, rawData) {
   }
 }
 
-// ------ Initialize from Disk ------------------------------------------
+// ------ Initialize from Store -----------------------------------------
 
 function initFindings() {
   findings = loadFindings();
@@ -180,10 +137,10 @@ function addFinding(severity, type, title, detail, source, target, sessionUid) {
   recon.findings = findings;
 
   // Emit event for other plugins
-  recon.events.emit('finding:new', finding);
+  emitEvent(recon, 'finding:new', finding);
 
   // Persist
-  debouncedSave(findings);
+  storeFinding(finding);
 
   // Update HUD badge
   updateBadge();
@@ -204,7 +161,11 @@ function clearFindings() {
   _seenHashes.clear();
   const recon = getRecon();
   recon.findings = findings;
-  saveFindings(findings);
+  try {
+    reconStore().clear('findings');
+  } catch (e) {
+    console.error('[findings-log] Failed to clear findings:', e.message);
+  }
   updateBadge();
   triggerRender();
 }
@@ -220,19 +181,26 @@ function triggerRender() {
 }
 
 // ======================================================================
-//  DETECTION PATTERNS
-//  Each pattern: { test: RegExp, severity, type, title (string|fn),
-//                  source, extractTarget?: RegExp }
+//  DETECTION CONTEXT
+//  Which tool and target a matched line came from. The rules
+//  themselves are in detectionRules.js.
 // ======================================================================
 
-// Helper: try to extract target from recent buffer lines
-function guessTarget(uid) {
+// Lines to guess from: the command the output belongs to (when the PTY
+// stream saw it start), then the most recent buffer lines, newest first
+function contextLines(uid, command, depth) {
   const buf = getSessionBuffer(uid);
-  if (!buf || buf.length === 0) return 'unknown';
+  const lines = command ? [command] : [];
+  for (let i = buf.length - 1; i >= Math.max(0, buf.length - depth); i--) {
+    lines.push(buf[i]);
+  }
+  return lines;
+}
 
-  // Look backward through buffer for command invocations with targets
-  for (let i = buf.length - 1; i >= Math.max(0, buf.length - 20); i--) {
-    const line = buf[i];
+// Helper: try to extract target from the command or recent buffer lines
+function guessTarget(uid, command) {
+  // Look for command invocations with targets
+  for (const line of contextLines(uid, command, 20)) {
 
     // URL targets
     const urlMatch = line.match(/https?:\/\/[^\s"'<>]+/);
@@ -251,10 +219,7 @@ function guessTarget(uid) {
 }
 
 // Source detection from buffer context
-function guessSource(uid) {
-  const buf = getSessionBuffer(uid);
-  if (!buf || buf.length === 0) return 'unknown';
-
+function guessSource(uid, command) {
   const toolPatterns = [
     { re: /sqlmap/i, name: 'sqlmap' },
     { re: /nmap/i, name: 'nmap' },
@@ -272,382 +237,39 @@ function guessSource(uid) {
     { re: /wpscan/i, name: 'wpscan' },
   ];
 
-  // Scan recent lines for tool signatures
-  for (let i = buf.length - 1; i >= Math.max(0, buf.length - 30); i--) {
+  // Scan the command and recent lines for tool signatures
+  for (const line of contextLines(uid, command, 30)) {
     for (const tp of toolPatterns) {
-      if (tp.re.test(buf[i])) return tp.name;
+      if (tp.re.test(line)) return tp.name;
     }
   }
 
   return 'unknown';
 }
 
-// ------ Detection Rules -----------------------------------------------
-
-const DETECTION_RULES = [
-
-  // ═══ CRITICAL: SQLi confirmed ═══
-
-  {
-    test: /is vulnerable/i,
-    severity: 'critical',
-    type: 'sqli',
-    title: function (match, line) {
-      // sqlmap: "Parameter 'id' is vulnerable"
-      const paramMatch = line.match(/Parameter\s+'([^']+)'\s+is\s+vulnerable/i);
-      if (paramMatch) return 'SQL Injection in parameter: ' + paramMatch[1];
-      return 'SQL Injection confirmed (vulnerable parameter detected)';
-    },
-    sourceHint: 'sqlmap',
-  },
-  {
-    test: /SQL injection/i,
-    severity: 'critical',
-    type: 'sqli',
-    title: function (match, line) {
-      const paramMatch = line.match(/(?:parameter|param)\s*[:\s'"]*(\w+)/i);
-      if (paramMatch) return 'SQL Injection: ' + paramMatch[1];
-      return 'SQL Injection detected';
-    },
-    sourceHint: 'sqlmap',
-  },
-
-  // ═══ CRITICAL: RCE indicators ═══
-
-  {
-    test: /uid=\d+\([^)]+\)\s+gid=\d+/,
-    severity: 'critical',
-    type: 'rce',
-    title: function (match, line) {
-      const uidMatch = line.match(/uid=\d+\(([^)]+)\)/);
-      const user = uidMatch ? uidMatch[1] : 'unknown';
-      return 'RCE confirmed: command execution as ' + user;
-    },
-    sourceHint: 'manual',
-  },
-  {
-    test: /root:x:0:0:/,
-    severity: 'critical',
-    type: 'rce',
-    title: 'RCE confirmed: /etc/passwd contents leaked',
-    sourceHint: 'manual',
-  },
-
-  // ═══ CRITICAL: Shell obtained ═══
-
-  {
-    test: /www-data@\S+/,
-    severity: 'critical',
-    type: 'rce',
-    title: function (match, line) {
-      const hostMatch = line.match(/www-data@(\S+)/);
-      const host = hostMatch ? hostMatch[1].replace(/:.*/, '') : 'target';
-      return 'Shell obtained: www-data@' + host;
-    },
-    sourceHint: 'manual',
-  },
-  {
-    test: /root@\S+[:#]/,
-    severity: 'critical',
-    type: 'rce',
-    title: function (match, line) {
-      const hostMatch = line.match(/root@(\S+)/);
-      const host = hostMatch ? hostMatch[1].replace(/[:#].*/, '') : 'target';
-      return 'Root shell obtained: root@' + host;
-    },
-    sourceHint: 'manual',
-  },
-  {
-    test: /meterpreter\s*>/,
-    severity: 'critical',
-    type: 'rce',
-    title: 'Meterpreter session established',
-    sourceHint: 'metasploit',
-  },
-
-  // ═══ HIGH: Open admin panels with 200 status ═══
-
-  {
-    test: /(?:\/admin|\/manager|\/console).*(?:200|Status:\s*200|HTTP\/[\d.]+\s+200)/,
-    severity: 'high',
-    type: 'info-disclosure',
-    title: function (match, line) {
-      const pathMatch = line.match(/(\/(?:admin|manager|console)\S*)/i);
-      const p = pathMatch ? pathMatch[1] : '/admin';
-      return 'Admin panel accessible: ' + p.substring(0, 80);
-    },
-    sourceHint: null,
-  },
-  {
-    // Reverse order: status code then path
-    test: /(?:200|Status:\s*200|HTTP\/[\d.]+\s+200).*(?:\/admin|\/manager|\/console)/,
-    severity: 'high',
-    type: 'info-disclosure',
-    title: function (match, line) {
-      const pathMatch = line.match(/(\/(?:admin|manager|console)\S*)/i);
-      const p = pathMatch ? pathMatch[1] : '/admin';
-      return 'Admin panel accessible: ' + p.substring(0, 80);
-    },
-    sourceHint: null,
-  },
-
-  // ═══ HIGH: Default credentials / valid creds found ═══
-
-  {
-    test: /\[VALID\]/i,
-    severity: 'high',
-    type: 'credential',
-    title: function (match, line) {
-      // Try to extract credential info
-      const credMatch = line.match(/login:\s*(\S+).*password:\s*(\S+)/i);
-      if (credMatch) return 'Valid credentials found: ' + credMatch[1] + ':' + credMatch[2];
-      return 'Valid credentials found';
-    },
-    sourceHint: null,
-  },
-  {
-    test: /login:\s*\S+\s+password:\s*\S+/i,
-    severity: 'high',
-    type: 'credential',
-    title: function (match, line) {
-      const credMatch = line.match(/login:\s*(\S+)\s+password:\s*(\S+)/i);
-      if (credMatch) return 'Credentials found: ' + credMatch[1] + ':' + credMatch[2];
-      return 'Credentials discovered via brute force';
-    },
-    sourceHint: 'hydra',
-  },
-
-  // ═══ HIGH: File read (sensitive files) ═══
-
-  {
-    test: /\/etc\/shadow/,
-    severity: 'high',
-    type: 'info-disclosure',
-    title: '/etc/shadow file contents exposed',
-    sourceHint: 'manual',
-  },
-
-  // ═══ HIGH: OSVDB findings from nikto ═══
-
-  {
-    test: /OSVDB-\d+/,
-    severity: 'high',
-    type: 'misc',
-    title: function (match, line) {
-      const osvdbMatch = line.match(/OSVDB-(\d+)/);
-      const id = osvdbMatch ? osvdbMatch[1] : '?';
-      // Get the description after the OSVDB reference
-      const descMatch = line.match(/OSVDB-\d+:\s*(.+)/);
-      const desc = descMatch ? descMatch[1].substring(0, 100).trim() : '';
-      return 'OSVDB-' + id + (desc ? ': ' + desc : '');
-    },
-    sourceHint: 'nikto',
-  },
-
-  // ═══ MEDIUM: XSS reflected ═══
-
-  {
-    test: /alert\s*\(/,
-    severity: 'medium',
-    type: 'xss',
-    title: function (match, line) {
-      const payloadMatch = line.match(/(alert\([^)]*\))/);
-      const payload = payloadMatch ? payloadMatch[1] : 'alert()';
-      return 'Potential XSS: ' + payload.substring(0, 60);
-    },
-    sourceHint: null,
-  },
-  {
-    test: /<script>/i,
-    severity: 'medium',
-    type: 'xss',
-    title: 'Potential XSS: <script> tag found in response',
-    sourceHint: null,
-  },
-
-  // ═══ MEDIUM: Directory listing ═══
-
-  {
-    test: /Index of \//,
-    severity: 'medium',
-    type: 'info-disclosure',
-    title: function (match, line) {
-      const dirMatch = line.match(/Index of (\/\S*)/);
-      const dir = dirMatch ? dirMatch[1] : '/';
-      return 'Directory listing enabled: ' + dir.substring(0, 80);
-    },
-    sourceHint: null,
-  },
-
-  // ═══ MEDIUM: Information disclosure - version strings ═══
-
-  {
-    test: /(?:Server|X-Powered-By):\s*\S+\/[\d.]+/i,
-    severity: 'medium',
-    type: 'info-disclosure',
-    title: function (match, line) {
-      const headerMatch = line.match(/((?:Server|X-Powered-By):\s*\S+)/i);
-      if (headerMatch) return 'Version disclosure: ' + headerMatch[1].substring(0, 80);
-      return 'Server version disclosed in headers';
-    },
-    sourceHint: null,
-  },
-
-  // ═══ MEDIUM: Stack traces ═══
-
-  {
-    test: /(?:Traceback \(most recent call last\)|at \S+\.java:\d+|Exception in thread|Fatal error:.*on line \d+)/,
-    severity: 'medium',
-    type: 'info-disclosure',
-    title: function (match, line) {
-      if (/Traceback/.test(line)) return 'Stack trace exposed: Python traceback';
-      if (/\.java:/.test(line)) return 'Stack trace exposed: Java exception';
-      if (/Fatal error/.test(line)) return 'Stack trace exposed: PHP fatal error';
-      return 'Stack trace / error details exposed';
-    },
-    sourceHint: null,
-  },
-
-  // ═══ MEDIUM: Missing security headers ═══
-
-  {
-    test: /(?:Missing header|The (?:anti-clickjacking|X-Frame-Options|X-Content-Type-Options|Content-Security-Policy) header)/i,
-    severity: 'medium',
-    type: 'misc',
-    title: function (match, line) {
-      const headerMatch = line.match(/(X-Frame-Options|X-Content-Type-Options|Content-Security-Policy|Strict-Transport-Security|X-XSS-Protection)/i);
-      if (headerMatch) return 'Missing security header: ' + headerMatch[1];
-      return 'Missing security header detected';
-    },
-    sourceHint: 'nikto',
-  },
-
-  // ═══ LOW: Open ports from nmap ═══
-
-  {
-    test: /^\s*(\d{1,5})\/(?:tcp|udp)\s+open\s+(\S+)/,
-    severity: 'low',
-    type: 'open-port',
-    title: function (match, line) {
-      const portMatch = line.match(/(\d{1,5})\/(tcp|udp)\s+open\s+(\S+)/);
-      if (portMatch) {
-        const version = line.match(/open\s+\S+\s+(.+)/);
-        const ver = version ? version[1].trim().substring(0, 60) : '';
-        return 'Port ' + portMatch[1] + '/' + portMatch[2] + ' open: ' + portMatch[3] + (ver ? ' (' + ver + ')' : '');
-      }
-      return 'Open port discovered';
-    },
-    sourceHint: 'nmap',
-  },
-
-  // ═══ LOW/INFO: Discovered paths (ffuf/gobuster with status codes) ═══
-
-  {
-    // ffuf output: URL [Status: 200, Size: 1234, ...]
-    test: /\[Status:\s*(200|301|302|403)\b/,
-    severity: 'info',
-    type: 'path',
-    title: function (match, line) {
-      const urlMatch = line.match(/(https?:\/\/\S+)/);
-      const statusMatch = line.match(/\[Status:\s*(\d+)/);
-      const status = statusMatch ? statusMatch[1] : '?';
-      const url = urlMatch ? urlMatch[0].substring(0, 80) : 'path';
-      return 'Path discovered [' + status + ']: ' + url;
-    },
-    sourceHint: 'ffuf',
-  },
-  {
-    // gobuster output: /path (Status: 200) [Size: 1234]
-    test: /\(Status:\s*(200|301|302|403)\)/,
-    severity: 'info',
-    type: 'path',
-    title: function (match, line) {
-      const pathMatch = line.match(/(\/\S+)\s+\(Status:\s*(\d+)\)/);
-      if (pathMatch) return 'Path discovered [' + pathMatch[2] + ']: ' + pathMatch[1].substring(0, 80);
-      return 'Path discovered';
-    },
-    sourceHint: 'gobuster',
-  },
-
-  // ═══ INFO: DNS records ═══
-
-  {
-    test: /\b(?:IN\s+(?:A|AAAA|MX|NS|CNAME|TXT|SOA|SRV|PTR)\s+)/,
-    severity: 'info',
-    type: 'misc',
-    title: function (match, line) {
-      const typeMatch = line.match(/IN\s+(A|AAAA|MX|NS|CNAME|TXT|SOA|SRV|PTR)\s+(\S+)/);
-      if (typeMatch) return 'DNS ' + typeMatch[1] + ' record: ' + typeMatch[2].substring(0, 80);
-      return 'DNS record discovered';
-    },
-    sourceHint: 'manual',
-  },
-
-  // ═══ INFO: SSL certificate info ═══
-
-  {
-    test: /(?:subject:\s*CN\s*=|issuer:\s*CN\s*=|SSL certificate)/i,
-    severity: 'info',
-    type: 'misc',
-    title: function (match, line) {
-      const cnMatch = line.match(/CN\s*=\s*(\S+)/);
-      if (cnMatch) return 'SSL certificate: CN=' + cnMatch[1].substring(0, 60);
-      return 'SSL certificate information';
-    },
-    sourceHint: null,
-  },
-
-  // ═══ INFO: Server headers ═══
-
-  {
-    test: /^Server:\s+(.+)/i,
-    severity: 'info',
-    type: 'info-disclosure',
-    title: function (match, line) {
-      const serverMatch = line.match(/^Server:\s+(.+)/i);
-      if (serverMatch) return 'Server header: ' + serverMatch[1].trim().substring(0, 80);
-      return 'Server header detected';
-    },
-    sourceHint: null,
-  },
-];
 
 // ======================================================================
 //  DETECTION ENGINE
 // ======================================================================
 
-function processData(uid, rawData) {
-  const cleaned = stripAnsi(rawData);
-  const lines = cleaned.split(/\r?\n/);
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.length < 3) continue;
-
-    for (const rule of DETECTION_RULES) {
-      if (rule.test.test(trimmed)) {
-        const title = typeof rule.title === 'function'
-          ? rule.title(trimmed.match(rule.test), trimmed)
-          : rule.title;
-
-        const source = rule.sourceHint || guessSource(uid);
-        const target = guessTarget(uid);
-
-        addFinding(
-          rule.severity,
-          rule.type,
-          title,
-          trimmed,
-          source,
-          target,
-          uid
-        );
-
-        // Only match first rule per line to avoid duplicates
-        break;
-      }
-    }
-  }
+// One line from the PTY stream; `command` is the command it belongs to,
+// if known
+function processLine(uid, line, command) {
+  const found = detectLine(line);
+  if (!found) return;
+
+  const source = found.sourceHint || guessSource(uid, command);
+  const target = guessTarget(uid, command);
+
+  addFinding(
+    found.severity,
+    found.type,
+    found.title,
+    found.detail,
+    source,
+    target,
+    uid
+  );
 }
 
 // ======================================================================
@@ -794,10 +416,9 @@ function exportJSON() {
 }
 
 function saveExport(content, ext) {
-  ensureDir();
   const ts = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').replace(/Z$/, '');
   const filename = 'findings_' + ts + '.' + ext;
-  const filepath = path.join(RECON_DIR, filename);
+  const filepath = path.join(workspaceDir(), filename);
   try {
     fs.writeFileSync(filepath, content, 'utf8');
     if (hudApi) {
@@ -1144,23 +765,14 @@ function renderFindingRow(React, finding) {
 
 function registerHud() {
   if (hudRegistered) return;
-  const recon = getRecon();
+  hudRegistered = true;
+  registerPlugin({ name: 'findings-log', version, provides: { findings: 1 }, requires: { hud: 1, store: 1 } });
 
-  const renderFn = (React) => renderFindingsTab(React);
-
-  if (recon.hud) {
-    hudApi = recon.hud;
-    recon.hud.registerTab('findings', 'Findings', null, renderFn);
-    hudRegistered = true;
+  whenCapability('hud', 1, (hud) => {
+    hudApi = hud;
+    hud.registerTab('findings', 'Findings', null, (React) => renderFindingsTab(React));
     updateBadge();
-  } else {
-    recon.events.on('hud:ready', (hud) => {
-      hudApi = hud;
-      hud.registerTab('findings', 'Findings', null, renderFn);
-      hudRegistered = true;
-      updateBadge();
-    });
-  }
+  });
 }
 
 // ======================================================================
@@ -1169,53 +781,67 @@ function registerHud() {
 
 function listenForParsedEvents() {
   const recon = getRecon();
-  recon.events.on('parsed:any', (data) => {
-    // If the output-parser emits structured parsed events, we can ingest them
-    if (data && data.type && data.detail) {
-      const severity = data.severity || 'info';
-      const type = data.findingType || 'misc';
-      const title = data.title || data.type + ' detected';
-      addFinding(severity, type, title, data.detail, data.source || 'output-parser', data.target || 'unknown', data.uid || 'unknown');
+  // Findings the event contract derived from the parsed result, or
+  // added by an update to it (see hyper-hud-framework/events.js)
+  const onParsed = (evt) => {
+    if (!evt || !Array.isArray(evt.findings) || evt.findings.length === 0) return;
+    for (const f of evt.findings) {
+      addFinding(f.severity, f.type, f.title, f.detail, evt.tool, evt.target, evt.uid || 'unknown');
     }
-  });
+  };
+  recon.events.on('parsed:any', onParsed);
+  recon.events.on('parsed:update', onParsed);
 }
 
 // ======================================================================
-//  HYPER PLUGIN EXPORTS
+//  WORKSPACE SWITCHES
 // ======================================================================
 
-// Middleware: intercept PTY data for auto-detection
+function listenForWorkspace() {
+  const recon = getRecon();
+  recon.events.on('workspace:changed', () => {
+    _seenHashes.clear();
+    nextId = 1;
+    initFindings();
+    updateBadge();
+    triggerRender();
+  });
+}
 
-exports.middleware = (store) => (next) => (action) => {
-  switch (action.type) {
-    case 'SESSION_ADD': {
-      // Initialize findings on first session
-      if (findings.length === 0 && _seenHashes.size === 0) {
-        initFindings();
-      }
-      break;
-    }
+// ======================================================================
+//  HYPER PLUGIN EXPORTS
+// ======================================================================
 
-    case 'SESSION_PTY_DATA': {
-      const uid = action.uid;
-      const data = action.data;
+// Middleware: feed the PTY stream and run detection on its lines
 
-      // Feed line buffer
-      appendToBuffer(uid, data);
+exports.middleware = (store) => {
+  getRecon().events.on('pty:line', (evt) => {
+    // Buffer first so the line itself counts as context
+    appendToBuffer(evt.uid, evt.line);
+    processLine(evt.uid, evt.line, evt.command);
+  });
 
-      // Run detection engine
-      processData(uid, data);
-      break;
-    }
+  return (next) => (action) => {
+    trackSession(action);
+    feedPty(action);
+    switch (action.type) {
+      case 'SESSION_ADD': {
+        // Initialize findings on first session
+        if (findings.length === 0 && _seenHashes.size === 0) {
+          initFindings();
+        }
+        break;
+      }
 
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT': {
-      sessionBuffers.delete(action.uid);
-      break;
+      case 'SESSION_PTY_EXIT':
+      case 'SESSION_USER_EXIT': {
+        sessionBuffers.delete(action.uid);
+        break;
+      }
     }
-  }
 
-  return next(action);
+    return next(action);
+  };
 };
 
 // decorateHyper: register HUD tab
@@ -1242,6 +868,7 @@ exports.decorateHyper = (Hyper, { React }) => {
 
       registerHud();
       listenForParsedEvents();
+      listenForWorkspace();
     }
 
     componentWillUnmount() {
@@ -11,37 +11,22 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const EventEmitter = require('events');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { workspaceDir } = require('../hyper-hud-framework/workspace');
+const { exposeStore } = require('../hyper-hud-framework/reconStore');
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, execInTerminal, stripAnsi, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
 
 // ------ Shell Helpers -------------------------------------------------
 
-let activeUid = null;
-
 function esc(str) {
   return "'" + str.replace(/'/g, "'\\''") + "'";
 }
 
 function exec(cmd) {
-  const recon = getRecon();
-  const uid = recon.activeUid || activeUid;
-  if (!uid) return;
-  window.rpc.emit('data', { uid, data: cmd + '\n', escaped: false });
+  execInTerminal(cmd);
 }
 
 function copy(text) {
@@ -60,16 +45,6 @@ function autoPost(action, fields) {
   setTimeout(() => { try { fs.unlinkSync(tmp); } catch {} }, 15000);
 }
 
-// ------ ANSI Stripping -----------------------------------------------
-
-function stripAnsi(str) {
-  return str.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-            .replace(/\x1b\][^\x07]*\x07/g, '')
-            .replace(/\x1b[()][AB012]/g, '')
-            .replace(/\x1b[\[>=]/g, '')
-            .replace(/[\x00-\x08\x0e-\x1f]/g, '');
-}
-
 // ------ Hash Type Mappings -------------------------------------------
 
 const HASH_TYPES = {
@@ -134,29 +109,28 @@ const WORDLISTS = [
 
 // ------ Persistence ---------------------------------------------------
 
-const PERSIST_DIR = path.join(os.homedir(), '.hyper_recon');
-const PERSIST_FILE = path.join(PERSIST_DIR, 'hashes.json');
+// Hashes live in the shared recon store ('hashes' collection). The store
+// is kept from load time so a pending save after a workspace switch still
+// goes to the workspace the hashes belong to.
+let hashDb = null;
 
 function loadHashes() {
   try {
-    if (fs.existsSync(PERSIST_FILE)) {
-      const data = JSON.parse(fs.readFileSync(PERSIST_FILE, 'utf8'));
-      if (Array.isArray(data)) {
-        return new Map(data.map(h => [h.hash, h]));
-      }
-    }
-  } catch {}
+    hashDb = exposeStore(getRecon());
+    return new Map(hashDb.list('hashes').map(h => [h.hash, h]));
+  } catch (e) {
+    console.error('[hash-workshop] Failed to load hashes:', e.message);
+  }
   return new Map();
 }
 
 function saveHashes() {
+  if (!hashDb) return;
   try {
-    if (!fs.existsSync(PERSIST_DIR)) {
-      fs.mkdirSync(PERSIST_DIR, { recursive: true });
-    }
-    const arr = Array.from(hashStore.values());
-    fs.writeFileSync(PERSIST_FILE, JSON.stringify(arr, null, 2), 'utf8');
-  } catch {}
+    hashDb.replaceAll('hashes', Array.from(hashStore.values()));
+  } catch (e) {
+    console.error('[hash-workshop] Failed to save hashes:', e.message);
+  }
 }
 
 // Debounce persistence writes
@@ -166,6 +140,13 @@ function debouncedSave() {
   saveTimer = setTimeout(saveHashes, 2000);
 }
 
+function flushSave() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  saveHashes();
+}
+
 // ------ Hash Store ----------------------------------------------------
 
 // hash entry shape:
@@ -179,7 +160,8 @@ function debouncedSave() {
 //   crackedAt: number|null,
 // }
 
-let hashStore = loadHashes();
+// Filled from the store once the HUD mounts
+let hashStore = new Map();
 let hudApi = null;
 let renderCallback = null;
 let currentFilter = 'all'; // 'all' | 'uncracked' | 'cracked'
@@ -220,7 +202,7 @@ function addHash(hash, type, possible) {
 
   // Emit event
   const recon = getRecon();
-  recon.events.emit('hash:detected', { hash, type, possible });
+  emitEvent(recon, 'hash:detected', { hash, type, possible });
 }
 
 function markCracked(hash, plaintext) {
@@ -234,7 +216,7 @@ function markCracked(hash, plaintext) {
   debouncedSave();
 
   const recon = getRecon();
-  recon.events.emit('hash:cracked', { hash, plaintext });
+  emitEvent(recon, 'hash:cracked', { hash, plaintext });
 }
 
 function removeHash(hash) {
@@ -384,8 +366,7 @@ function saveAllToFile() {
   const entries = Array.from(hashStore.values());
   if (entries.length === 0) return;
 
-  const outDir = path.join(os.homedir(), '.hyper_recon');
-  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  const outDir = workspaceDir();
 
   const ts = new Date().toISOString().replace(/[:.]/g, '-');
   const outFile = path.join(outDir, `hashes-${ts}.txt`);
@@ -964,23 +945,14 @@ let hudRegistered = false;
 
 function registerHud() {
   if (hudRegistered) return;
-  const recon = getRecon();
-
-  const renderFn = (React) => renderHashesTab(React);
+  hudRegistered = true;
+  registerPlugin({ name: 'hash-workshop', version, provides: { hashes: 1 }, requires: { hud: 1, store: 1 } });
 
-  if (recon.hud) {
-    hudApi = recon.hud;
-    recon.hud.registerTab('hashes', 'Hashes', null, renderFn);
-    hudRegistered = true;
+  whenCapability('hud', 1, (hud) => {
+    hudApi = hud;
+    hud.registerTab('hashes', 'Hashes', null, (React) => renderHashesTab(React));
     updateBadge();
-  } else {
-    recon.events.on('hud:ready', (hud) => {
-      hudApi = hud;
-      hud.registerTab('hashes', 'Hashes', null, renderFn);
-      hudRegistered = true;
-      updateBadge();
-    });
-  }
+  });
 }
 
 // ======================================================================
@@ -989,24 +961,8 @@ function registerHud() {
 
 // Middleware: intercept PTY data to scan for hashes
 exports.middleware = (store) => (next) => (action) => {
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      break;
-
-    case 'SESSION_ADD':
-      if (!activeUid) activeUid = action.uid;
-      break;
-
-    case 'SESSION_PTY_DATA':
-      scanForHashes(action.data);
-      break;
-
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT':
-      if (action.uid === activeUid) activeUid = null;
-      break;
-  }
+  trackSession(action);
+  if (action.type === 'SESSION_PTY_DATA') scanForHashes(action.data);
 
   return next(action);
 };
@@ -1029,6 +985,10 @@ exports.decorateHyper = (Hyper, { React }) => {
         }
       };
 
+      // Keep anything detected before the mount
+      const early = hashStore;
+      hashStore = new Map([...loadHashes(), ...early]);
+      if (early.size > 0) debouncedSave();
       registerHud();
 
       // Listen for hash events from other plugins
@@ -1043,6 +1003,12 @@ exports.decorateHyper = (Hyper, { React }) => {
           markCracked(data.hash, data.plaintext);
         }
       });
+      recon.events.on('workspace:changed', () => {
+        flushSave();
+        hashStore = loadHashes();
+        updateBadge();
+        triggerRender();
+      });
     }
 
     componentWillUnmount() {
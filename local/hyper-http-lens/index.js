@@ -8,23 +8,12 @@
 //  Registers HUD tab and overlays inline status badges on terminal.
 // ======================================================================
 
-const EventEmitter = require('events');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, stripAnsi, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { version } = require('./package.json');
 
 // ------ Constants -----------------------------------------------------
 
@@ -33,17 +22,6 @@ const MAX_RESPONSES = 100;             // Keep last N responses in memory
 const BUFFER_TIMEOUT_MS = 3000;        // Flush buffer after no new data
 const MAX_BUFFER_LINES = 2000;         // Max lines buffered per session
 
-// ------ ANSI Stripping ------------------------------------------------
-
-function stripAnsi(str) {
-  return str
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-    .replace(/\x1b\][^\x07]*\x07/g, '')
-    .replace(/\x1b[()][AB012]/g, '')
-    .replace(/\x1b[\[>=]/g, '')
-    .replace(/[\x00-\x08\x0e-\x1f]/g, '');
-}
-
 // ------ Interesting Headers to Check (Backend Focus) ------------------
 
 const INTERESTING_HEADERS = [
@@ -138,6 +116,11 @@ const WAF_SIGNATURES = [
 const HTTP_STATUS_RE = /^(?:[<>*]\s*)?HTTP\/[\d.]+ (\d{3})\s*(.*)/;
 const HEADER_RE = /^(?:[<>*]\s*)?([A-Za-z][\w-]*)\s*:\s*(.*)/;
 const CURL_VERBOSE_PREFIX_RE = /^[<>*]\s*/;
+// curl -v's own lines: what it sent ("> ") and where it connected ("* ")
+const CURL_REQUEST_LINE_RE = /^>\s*([A-Z]+) (\S+) HTTP\/[\d.]+/;
+const CURL_REQUEST_HOST_RE = /^>\s*Host:\s*(\S+)/i;
+const CURL_CONNECTED_RE = /^\*\s+Connected to \S+ .*port (\d+)/;
+const CURL_CONNECTION_END_RE = /^\*\s+(?:Connection #\d+ to host .* left intact|Closing connection)/;
 
 // State machine states for parsing
 const PARSE_STATE = {
@@ -163,6 +146,7 @@ function getSessionBuffer(uid) {
       bodySize: 0,
       flushTimer: null,
       lineBuffer: [],
+      request: {},
     });
   }
   return sessionBuffers.get(uid);
@@ -178,6 +162,7 @@ function resetSessionBuffer(uid) {
   buf.rawHeaders = [];
   buf.bodyLines = [];
   buf.bodySize = 0;
+  buf.request = {};
 }
 
 // ------ Captured Responses Store --------------------------------------
@@ -186,7 +171,6 @@ const capturedResponses = [];
 let responseIdCounter = 0;
 let hudApi = null;
 let renderCallback = null;
-let activeUid = null;
 
 function addResponse(resp) {
   capturedResponses.unshift(resp);
@@ -198,7 +182,7 @@ function addResponse(resp) {
 
   // Emit to shared event bus
   const recon = getRecon();
-  recon.events.emit('http:response', {
+  emitEvent(recon, 'http:response', {
     url: resp.url,
     status: resp.statusCode,
     headers: resp.headers,
@@ -362,7 +346,12 @@ function extractServerInfo(headers) {
   return info;
 }
 
-function guessUrl(headers) {
+function guessUrl(headers, request = {}) {
+  // The request curl -v printed, when there was one
+  if (request.host && request.path) {
+    const scheme = request.port && request.port !== 443 ? 'http' : 'https';
+    return scheme + '://' + request.host + request.path;
+  }
   // Try to reconstruct URL from headers
   const host = headers['host'] || headers[':authority'] || '';
   const location = headers['location'] || '';
@@ -388,7 +377,8 @@ const ERROR_PATTERNS = [
   /Syntax error/i,
   /fatal error/i,
   /ORA-[0-9]{5}/,
-  /SQL syntax/i
+  /SQL syntax/i,
+  /Warning: \w+\(\): /
 ];
 
 function scanBodyForErrors(body) {
@@ -398,135 +388,157 @@ function scanBodyForErrors(body) {
 
 // ------ HTTP Response Parsing State Machine ---------------------------
 
-function feedPtyData(uid, rawData) {
-  const buf = getSessionBuffer(uid);
-  const cleaned = stripAnsi(rawData);
-  const lines = cleaned.split(/\r?\n/);
+// One line of output (ANSI already stripped) through the state machine
+function feedLine(uid, buf, rawLine) {
+  const line = rawLine.replace(CURL_VERBOSE_PREFIX_RE, '').trimEnd();
 
-  for (const rawLine of lines) {
-    const line = rawLine.replace(CURL_VERBOSE_PREFIX_RE, '').trimEnd();
+  // Track lines for context
+  buf.lineBuffer.push(rawLine);
+  if (buf.lineBuffer.length > MAX_BUFFER_LINES) {
+    buf.lineBuffer = buf.lineBuffer.slice(-MAX_BUFFER_LINES);
+  }
 
-    // Track lines for context
-    buf.lineBuffer.push(rawLine);
-    if (buf.lineBuffer.length > MAX_BUFFER_LINES) {
-      buf.lineBuffer = buf.lineBuffer.slice(-MAX_BUFFER_LINES);
+  // Lines curl -v sent are never part of a response; a new request
+  // means the previous response is over (curl -L following a redirect)
+  if (rawLine.startsWith('>')) {
+    const requestMatch = rawLine.match(CURL_REQUEST_LINE_RE);
+    if (requestMatch) {
+      if (buf.state !== PARSE_STATE.IDLE && buf.headerOrder.length > 0) finalizeResponse(uid, buf);
+      buf.request = { ...buf.request, method: requestMatch[1], path: requestMatch[2] };
     }
+    const hostMatch = rawLine.match(CURL_REQUEST_HOST_RE);
+    if (hostMatch) buf.request.host = hostMatch[1];
+    return;
+  }
+  const connectedMatch = rawLine.match(CURL_CONNECTED_RE);
+  if (connectedMatch) {
+    if (buf.state !== PARSE_STATE.IDLE && buf.headerOrder.length > 0) finalizeResponse(uid, buf);
+    buf.request = { port: parseInt(connectedMatch[1], 10) };
+  }
 
-    switch (buf.state) {
-      case PARSE_STATE.IDLE: {
-        const statusMatch = rawLine.match(HTTP_STATUS_RE);
-        if (statusMatch) {
-          // Start new HTTP response capture
-          buf.statusCode = parseInt(statusMatch[1], 10);
-          buf.statusText = statusMatch[2].trim();
-          buf.headers = {};
-          buf.headerOrder = [];
-          buf.rawHeaders = [];
-          buf.bodyLines = [];
-          buf.bodySize = 0;
-          buf.state = PARSE_STATE.HEADERS;
-        }
-        break;
+  switch (buf.state) {
+    case PARSE_STATE.IDLE: {
+      const statusMatch = rawLine.match(HTTP_STATUS_RE);
+      if (statusMatch) {
+        // Start new HTTP response capture
+        buf.statusCode = parseInt(statusMatch[1], 10);
+        buf.statusText = statusMatch[2].trim();
+        buf.headers = {};
+        buf.headerOrder = [];
+        buf.rawHeaders = [];
+        buf.bodyLines = [];
+        buf.bodySize = 0;
+        buf.state = PARSE_STATE.HEADERS;
       }
+      break;
+    }
 
-      case PARSE_STATE.HEADERS: {
-        // Check for status line again (HTTP/2 may have pseudo-headers, or
-        // curl -v may output multiple responses like 301 -> 200)
-        const statusMatch = rawLine.match(HTTP_STATUS_RE);
-        if (statusMatch) {
-          // Finalize previous response if it had headers
-          if (buf.headerOrder.length > 0) {
-            finalizeResponse(uid, buf);
-          }
-          buf.statusCode = parseInt(statusMatch[1], 10);
-          buf.statusText = statusMatch[2].trim();
-          buf.headers = {};
-          buf.headerOrder = [];
-          buf.rawHeaders = [];
-          buf.bodyLines = [];
-          buf.bodySize = 0;
-          break;
-        }
-
-        const headerMatch = rawLine.match(HEADER_RE);
-        if (headerMatch) {
-          const key = headerMatch[1].toLowerCase();
-          const val = headerMatch[2].trim();
-          // For Set-Cookie, append with newline so we keep all values
-          if (buf.headers[key] && key === 'set-cookie') {
-            buf.headers[key] += '\n' + val;
-          } else {
-            buf.headers[key] = val;
-          }
-          buf.headerOrder.push(headerMatch[1]);
-          buf.rawHeaders.push(rawLine.trim());
-          break;
+    case PARSE_STATE.HEADERS: {
+      // Check for status line again (HTTP/2 may have pseudo-headers, or
+      // curl -v may output multiple responses like 301 -> 200)
+      const statusMatch = rawLine.match(HTTP_STATUS_RE);
+      if (statusMatch) {
+        // Finalize previous response if it had headers
+        if (buf.headerOrder.length > 0) {
+          finalizeResponse(uid, buf);
         }
+        buf.statusCode = parseInt(statusMatch[1], 10);
+        buf.statusText = statusMatch[2].trim();
+        buf.headers = {};
+        buf.headerOrder = [];
+        buf.rawHeaders = [];
+        buf.bodyLines = [];
+        buf.bodySize = 0;
+        break;
+      }
 
-        // Empty line (or blank after stripping verbose prefix) signals end of headers
-        if (line.trim() === '' && buf.headerOrder.length > 0) {
-          // Check content type to decide if we should capture body
-          const ct = buf.headers['content-type'] || '';
-          if (ct.includes('html') || ct.includes('json') || ct.includes('xml') ||
-              ct.includes('text') || ct.includes('javascript')) {
-            buf.state = PARSE_STATE.BODY;
-          } else {
-            // No body capture for binary content types
-            finalizeResponse(uid, buf);
-          }
-          break;
+      const headerMatch = rawLine.match(HEADER_RE);
+      if (headerMatch) {
+        const key = headerMatch[1].toLowerCase();
+        const val = headerMatch[2].trim();
+        // For Set-Cookie, append with newline so we keep all values
+        if (buf.headers[key] && key === 'set-cookie') {
+          buf.headers[key] += '\n' + val;
+        } else {
+          buf.headers[key] = val;
         }
+        buf.headerOrder.push(headerMatch[1]);
+        buf.rawHeaders.push(rawLine.trim());
+        break;
+      }
 
-        // If we get a non-header, non-empty line while expecting headers,
-        // it might be the body starting without an empty line separator
-        if (line.trim() !== '' && buf.headerOrder.length > 0) {
-          // Treat as start of body
+      // Empty line (or blank after stripping verbose prefix) signals end of headers
+      if (line.trim() === '' && buf.headerOrder.length > 0) {
+        // Check content type to decide if we should capture body
+        const ct = buf.headers['content-type'] || '';
+        if (ct.includes('html') || ct.includes('json') || ct.includes('xml') ||
+            ct.includes('text') || ct.includes('javascript')) {
           buf.state = PARSE_STATE.BODY;
-          buf.bodyLines.push(rawLine);
-          buf.bodySize += rawLine.length;
-          break;
+        } else {
+          // No body capture for binary content types
+          finalizeResponse(uid, buf);
         }
+        break;
+      }
 
-        // If no headers collected yet and no match, bail
-        if (buf.headerOrder.length === 0 && line.trim() !== '') {
-          buf.state = PARSE_STATE.IDLE;
-        }
+      // If we get a non-header, non-empty line while expecting headers,
+      // it might be the body starting without an empty line separator
+      if (line.trim() !== '' && buf.headerOrder.length > 0) {
+        // Treat as start of body
+        buf.state = PARSE_STATE.BODY;
+        buf.bodyLines.push(rawLine);
+        buf.bodySize += rawLine.length;
         break;
       }
 
-      case PARSE_STATE.BODY: {
-        // Detect start of new HTTP response in body stream
-        const statusMatch = rawLine.match(HTTP_STATUS_RE);
-        if (statusMatch) {
-          finalizeResponse(uid, buf);
-          buf.statusCode = parseInt(statusMatch[1], 10);
-          buf.statusText = statusMatch[2].trim();
-          buf.headers = {};
-          buf.headerOrder = [];
-          buf.rawHeaders = [];
-          buf.bodyLines = [];
-          buf.bodySize = 0;
-          buf.state = PARSE_STATE.HEADERS;
-          break;
-        }
+      // If no headers collected yet and no match, bail
+      if (buf.headerOrder.length === 0 && line.trim() !== '') {
+        buf.state = PARSE_STATE.IDLE;
+      }
+      break;
+    }
 
-        // Detect shell prompt (end of response)
-        if (/^[a-zA-Z0-9._~\-]*[$#%>]\s*$/.test(line.trim()) && buf.bodyLines.length > 0) {
-          finalizeResponse(uid, buf);
-          break;
-        }
+    case PARSE_STATE.BODY: {
+      // Detect start of new HTTP response in body stream
+      const statusMatch = rawLine.match(HTTP_STATUS_RE);
+      if (statusMatch) {
+        finalizeResponse(uid, buf);
+        buf.statusCode = parseInt(statusMatch[1], 10);
+        buf.statusText = statusMatch[2].trim();
+        buf.headers = {};
+        buf.headerOrder = [];
+        buf.rawHeaders = [];
+        buf.bodyLines = [];
+        buf.bodySize = 0;
+        buf.state = PARSE_STATE.HEADERS;
+        break;
+      }
 
-        // Accumulate body up to limit
-        if (buf.bodySize < BODY_CAPTURE_LIMIT) {
-          buf.bodyLines.push(rawLine);
-          buf.bodySize += rawLine.length;
-        }
+      // curl -v done with the connection (end of response)
+      if (CURL_CONNECTION_END_RE.test(rawLine)) {
+        finalizeResponse(uid, buf);
         break;
       }
+
+      // Detect shell prompt (end of response); the raw line, as taking
+      // "<" off "<html>" would leave a prompt-like "html>"
+      if (/^[a-zA-Z0-9._~\-]*[$#%>]\s*$/.test(rawLine.trim()) && buf.bodyLines.length > 0) {
+        finalizeResponse(uid, buf);
+        break;
+      }
+
+      // Accumulate body up to limit
+      if (buf.bodySize < BODY_CAPTURE_LIMIT) {
+        buf.bodyLines.push(rawLine);
+        buf.bodySize += rawLine.length;
+      }
+      break;
     }
   }
+}
 
-  // Set a flush timer to finalize partial responses after timeout
+// Finalize a response left open once output stops for a while
+function scheduleFlush(uid, buf) {
   if (buf.flushTimer) clearTimeout(buf.flushTimer);
   if (buf.state !== PARSE_STATE.IDLE) {
     buf.flushTimer = setTimeout(() => {
@@ -537,6 +549,27 @@ function feedPtyData(uid, rawData) {
   }
 }
 
+// A raw PTY chunk, for callers that do not go through the PTY stream;
+// a trailing prompt left without a newline counts as a line here
+function feedPtyData(uid, rawData) {
+  const buf = getSessionBuffer(uid);
+  const cleaned = stripAnsi(rawData);
+  for (const rawLine of cleaned.split(/\r?\n/)) {
+    feedLine(uid, buf, rawLine);
+  }
+  scheduleFlush(uid, buf);
+}
+
+// The command a response was printed by has finished: nothing more of
+// it is coming
+function finishCommand(uid) {
+  const buf = sessionBuffers.get(uid);
+  if (buf && buf.state !== PARSE_STATE.IDLE && buf.headerOrder.length > 0) {
+    if (buf.flushTimer) clearTimeout(buf.flushTimer);
+    finalizeResponse(uid, buf);
+  }
+}
+
 function finalizeResponse(uid, buf) {
   if (buf.statusCode === 0 && buf.headerOrder.length === 0) {
     resetSessionBuffer(uid);
@@ -550,7 +583,7 @@ function finalizeResponse(uid, buf) {
   const waf = detectWAF(buf.headers, cookies, body);
   const bodyErrors = scanBodyForErrors(body);
   const serverInfo = extractServerInfo(buf.headers);
-  const url = guessUrl(buf.headers);
+  const url = guessUrl(buf.headers, buf.request);
 
   const resp = {
     id: ++responseIdCounter,
@@ -1049,64 +1082,48 @@ let hudRegistered = false;
 
 function registerHud() {
   if (hudRegistered) return;
-  const recon = getRecon();
+  hudRegistered = true;
+  registerPlugin({ name: 'http-lens', version, provides: { http: 1 }, requires: { hud: 1 } });
 
-  const renderFn = (React) => renderHttpTab(React);
-
-  if (recon.hud) {
-    hudApi = recon.hud;
-    recon.hud.registerTab('http-lens', 'HTTP', null, renderFn);
-    hudRegistered = true;
+  whenCapability('hud', 1, (hud) => {
+    hudApi = hud;
+    hud.registerTab('http-lens', 'HTTP', null, (React) => renderHttpTab(React));
     updateBadge();
-  } else {
-    recon.events.on('hud:ready', (hud) => {
-      hudApi = hud;
-      hud.registerTab('http-lens', 'HTTP', null, renderFn);
-      hudRegistered = true;
-      updateBadge();
-    });
-  }
+  });
 }
 
 // ======================================================================
 //  HYPER PLUGIN EXPORTS
 // ======================================================================
 
-// Middleware: intercept SESSION_PTY_DATA for HTTP response parsing
+// Middleware: feed the PTY stream; responses are parsed from its lines
+// and end with the command that printed them
 
-exports.middleware = (store) => (next) => (action) => {
+exports.middleware = (store) => {
   const recon = getRecon();
-
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      break;
-
-    case 'SESSION_ADD':
-      if (!activeUid) activeUid = action.uid;
-      break;
-
-    case 'SESSION_PTY_DATA': {
-      const uid = action.uid;
-      const data = action.data;
-      feedPtyData(uid, data);
-      break;
-    }
-
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT': {
-      // Finalize any in-progress response for this session
-      const buf = sessionBuffers.get(action.uid);
-      if (buf && buf.state !== PARSE_STATE.IDLE && buf.headerOrder.length > 0) {
-        finalizeResponse(action.uid, buf);
+  recon.events.on('pty:line', (evt) => {
+    const buf = getSessionBuffer(evt.uid);
+    feedLine(evt.uid, buf, evt.line);
+    scheduleFlush(evt.uid, buf);
+  });
+  recon.events.on('pty:output-block', evt => finishCommand(evt.uid));
+
+  return (next) => (action) => {
+    trackSession(action);
+    feedPty(action);
+
+    switch (action.type) {
+      case 'SESSION_PTY_EXIT':
+      case 'SESSION_USER_EXIT': {
+        // Finalize any in-progress response for this session
+        finishCommand(action.uid);
+        sessionBuffers.delete(action.uid);
+        break;
       }
-      sessionBuffers.delete(action.uid);
-      if (action.uid === activeUid) activeUid = null;
-      break;
     }
-  }
 
-  return next(action);
+    return next(action);
+  };
 };
 
 // decorateHyper: register HUD tab
@@ -1374,6 +1391,7 @@ if (process.env.NODE_ENV === 'test') {
   exports.statusColor = statusColor;
   exports.findHttpStatusInLine = findHttpStatusInLine;
   exports.feedPtyData = feedPtyData;
+  exports.finishCommand = finishCommand;
   exports.finalizeResponse = finalizeResponse;
   exports.resetSessionBuffer = resetSessionBuffer;
   exports.getSessionBuffer = getSessionBuffer;
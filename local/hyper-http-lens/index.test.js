@@ -65,6 +65,12 @@ describe('Hyper HTTP Lens - Utility Functions', () => {
     expect(httpLens.guessUrl({})).toBe('(unknown)');
   });
 
+  test('guessUrl should prefer the request curl -v printed', () => {
+    expect(httpLens.guessUrl({}, { port: 80, host: '10.10.10.5', path: '/login.php' })).toBe('http://10.10.10.5/login.php');
+    expect(httpLens.guessUrl({}, { port: 443, host: 'example.com', path: '/' })).toBe('https://example.com/');
+    expect(httpLens.guessUrl({ host: 'example.com' }, { port: 80 })).toBe('https://example.com');
+  });
+
   test('extractServerInfo should extract relevant headers', () => {
     const headers = {
       'server': 'nginx',
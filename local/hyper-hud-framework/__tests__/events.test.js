@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { normalizeEvent, validateEvent, emitEvent } = require('../events');
+
+function fakeRecon(devMode) {
+  return { events: new EventEmitter(), devMode };
+}
+
+test('output-parser results reach parsed:any listeners with findings', () => {
+  const recon = fakeRecon(true);
+  const seen = [];
+  recon.events.on('parsed:any', evt => seen.push(evt));
+
+  const parsed = emitEvent(recon, 'parsed:nmap', {
+    tool: 'nmap',
+    target: '10.0.0.5',
+    ports: [{ port: '80', proto: 'TCP', state: 'open', service: 'http', version: 'Apache httpd 2.4.49' }],
+    os: null,
+    scripts: [],
+  });
+  assert.deepEqual(parsed.ports[0], { port: 80, proto: 'tcp', state: 'open', service: 'http', version: 'Apache httpd 2.4.49' });
+  emitEvent(recon, 'parsed:any', { tool: parsed.tool, target: parsed.target, uid: 'u1', data: parsed });
+
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0].v, 1);
+  assert.deepEqual(seen[0].findings, [{
+    severity: 'low',
+    type: 'open-port',
+    title: 'Port 80/tcp open: http (Apache httpd 2.4.49)',
+    detail: 'http Apache httpd 2.4.49',
+  }]);
+});
+
+test('older payload shapes are adapted to the documented fields', () => {
+  const shell = normalizeEvent('shell:connected', { uid: 'u1', targetIp: '10.0.0.9', port: '4444', remotePort: '?', type: 'reverse' });
+  assert.equal(shell.host, '10.0.0.9');
+  assert.equal(shell.port, 4444);
+  assert.equal(shell.remotePort, null);
+  assert.deepEqual(validateEvent('shell:connected', shell), []);
+
+  const step = { name: 'Nmap', status: 'running' };
+  const pipeline = { id: 'p1', name: 'IP Recon', target: '10.0.0.5', steps: [{ name: 'Ping' }, step] };
+  const evt = normalizeEvent('pipeline:step', { pipeline, step, status: 'running' });
+  assert.equal(evt.pipelineId, 'p1');
+  assert.equal(evt.stepIndex, 1);
+  assert.equal(evt.pipeline, pipeline);
+  assert.deepEqual(validateEvent('pipeline:step', evt), []);
+
+  const secret = normalizeEvent('secret:found', { id: 3, type: 'aws-key', provider: 'AWS', value: 'AKIA...' });
+  assert.equal(secret.name, 'aws-key');
+  assert.deepEqual(validateEvent('secret:found', secret), []);
+});
+
+test('dev mode logs malformed emits and still delivers them', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const recon = fakeRecon(true);
+  let delivered = null;
+  recon.events.on('hash:cracked', (evt) => { delivered = evt; });
+
+  emitEvent(recon, 'hash:cracked', { hash: 'abc' });
+  emitEvent(recon, 'session:add', 'uid-1');
+  emitEvent(recon, 'made:up', {});
+  assert.equal(delivered.hash, 'abc');
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[1], /plaintext should be string/);
+
+  emitEvent(fakeRecon(false), 'hash:cracked', { hash: 'abc' });
+  assert.equal(warn.mock.callCount(), 2);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const L = require('../hudLayout');
+
+test('tabs split across panes, pop out and dock back', () => {
+  let layout = L.setPaneCount(L.defaultLayout(), 2);
+  layout = L.toggleTab(layout, 'scans');
+  layout = L.showTab(layout, 'findings', 1);
+  assert.deepEqual([layout.panes, layout.focus, layout.collapsed], [['scans', 'findings'], 1, false]);
+
+  // A tab moves rather than showing twice
+  layout = L.showTab(layout, 'scans', 1);
+  assert.deepEqual(layout.panes, [null, 'scans']);
+  // Clicking what the focused pane shows collapses the panel
+  assert.equal(L.toggleTab(layout, 'scans').collapsed, true);
+
+  layout = L.detachTab(layout, 'scans', { x: 10, y: 20, w: 50, h: 900 });
+  assert.deepEqual(layout.panes, [null, null]);
+  assert.deepEqual(layout.floating.scans, { x: 10, y: 20, w: 160, h: 900 });
+  assert.equal(L.isVisible(L.toggleTab(layout, 'notes'), 'scans'), true);
+
+  layout = L.attachTab(L.setPaneCount(layout, 1), 'scans');
+  assert.deepEqual([layout.panes, layout.floating], [['scans'], {}]);
+});
+
+test('the bar keeps dragged order and puts new tabs after it', () => {
+  const tabs = ['scans', 'findings', 'notes', 'hashes'].map(id => ({ id }));
+  let layout = L.defaultLayout();
+  layout = L.moveTab(layout, L.orderTabs(tabs, layout).map(t => t.id), 'notes', 'scans');
+  layout = L.moveTab(layout, L.orderTabs(tabs, layout).map(t => t.id), 'scans', null);
+  assert.deepEqual(layout.order, ['notes', 'findings', 'hashes', 'scans']);
+  const later = tabs.concat({ id: 'http' });
+  assert.deepEqual(L.orderTabs(later, layout).map(t => t.id), ['notes', 'findings', 'hashes', 'scans', 'http']);
+});
+
+test('layouts are saved per workspace and repaired on load', (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hud-layout-'));
+  try {
+    const acme = { dir: path.join(root, 'acme') };
+    const other = { dir: path.join(root, 'other') };
+    const layout = L.detachTab(L.showTab(L.setPaneCount(L.defaultLayout(), 3), 'scans', 2), 'http', {});
+    L.saveLayout(acme, layout);
+    assert.deepEqual(L.loadLayout(acme), layout);
+    assert.deepEqual(L.loadLayout(other), L.defaultLayout());
+
+    fs.writeFileSync(path.join(acme.dir, 'hud-layout.json'), JSON.stringify({
+      panes: ['a', 7, 'b', 'c', 'd'], focus: 9, height: 5, floating: { b: { x: 'x' } }, order: ['a', 'a', null],
+    }));
+    assert.deepEqual(L.loadLayout(acme), {
+      order: ['a'],
+      panes: ['a', null, null],
+      focus: 2,
+      floating: { b: { x: 80, y: 80, w: 420, h: 300 } },
+      height: 80,
+      collapsed: true,
+    });
+
+    fs.writeFileSync(path.join(acme.dir, 'hud-layout.json'), '{ broken');
+    assert.deepEqual(L.loadLayout(acme), L.defaultLayout());
+    assert.equal(error.mock.callCount(), 1);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
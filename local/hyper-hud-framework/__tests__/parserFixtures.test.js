@@ -0,0 +1,152 @@
+// Every parser of terminal output in the repo, run over the captured
+// tool outputs in fixtures/tool-output and compared with the results
+// recorded in fixtures/golden/<parser>.json. Each parser sees every
+// fixture, so a rule firing on another tool's output shows up too.
+//
+// After changing a parser on purpose, record its new results with
+//   UPDATE_GOLDEN=1 node --test __tests__/parserFixtures.test.js
+// and review the golden diff.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// http-lens and sqli-assistant export their parsers for tests only,
+// and reach for the recon namespace while parsing
+process.env.NODE_ENV = 'test';
+global.window = {};
+test.after(() => { delete global.window; });
+
+const LOCAL = path.join(__dirname, '..', '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'tool-output');
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const { PARSERS } = require(path.join(LOCAL, 'hyper-output-parser', 'parsers'));
+const { ParseEngine } = require(path.join(LOCAL, 'hyper-output-parser', 'parseEngine'));
+const { detectLine } = require(path.join(LOCAL, 'hyper-findings-log', 'detectionRules'));
+const { createOutputParser } = require(path.join(LOCAL, 'hyper-target-book', 'outputParser'));
+const httpLens = require(path.join(LOCAL, 'hyper-http-lens', 'index.js'));
+const sqli = require(path.join(LOCAL, 'hyper-sqli-assistant', 'index.js'));
+const AdapterRunner = require(path.join(LOCAL, 'hyper-target-panel', 'lib', 'jc', 'AdapterRunner'));
+const { resolveAdapterParser } = require(path.join(LOCAL, 'hyper-target-panel', 'lib', 'jc', 'JcRegistry'));
+
+const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'manifest.json'), 'utf8'));
+const fixtures = Object.keys(manifest).map((file) => {
+  const text = fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+  return Object.assign({ file, text, lines: text.split('\n') }, manifest[file]);
+});
+
+// Terminal parsers see the command echoed first, as in the PTY stream
+function terminalLines(fixture) {
+  return [fixture.command].concat(fixture.lines);
+}
+
+// ─── Parsers ─────────────────────────────────────────────────
+// name -> fixture -> plain, deterministic result
+const RUNNERS = {
+  'output-parser': (fixture) => {
+    const out = [];
+    const engine = new ParseEngine(PARSERS, (name, payload) => {
+      if (name !== 'parsed:any') out.push({ event: name, id: payload.id, data: payload.data || payload });
+      return payload;
+    });
+    engine.startCommand('u1', fixture.command);
+    terminalLines(fixture).forEach(line => engine.feed('u1', line));
+    engine.endSession('u1');
+    return out;
+  },
+
+  'findings-log': fixture => terminalLines(fixture).map(detectLine).filter(Boolean),
+
+  'target-book': (fixture) => {
+    const store = { targets: [], services: [] };
+    const parser = createOutputParser({
+      addTarget: address => store.targets.push(address),
+      addService: (address, service) => store.services.push(Object.assign({ address }, service)),
+    });
+    terminalLines(fixture).forEach(line => parser.parseLine('u1', line));
+    return store;
+  },
+
+  'http-lens': (fixture) => {
+    httpLens.capturedResponses.length = 0;
+    httpLens.feedPtyData('u1', terminalLines(fixture).join('\r\n') + '\r\n');
+    httpLens.finishCommand('u1');
+    httpLens.resetSessionBuffer('u1');
+    return httpLens.capturedResponses.map(r => ({
+      statusCode: r.statusCode,
+      url: r.url,
+      headerOrder: r.headerOrder,
+      hasBody: r.hasBody,
+      cookies: r.cookies,
+      missingHeaders: r.missingHeaders,
+      dangerousMethods: r.dangerousMethods,
+      bodyErrors: r.bodyErrors,
+      waf: r.waf,
+      serverInfo: r.serverInfo,
+    }));
+  },
+
+  'sqli-assistant': (fixture) => {
+    sqli.resetState();
+    terminalLines(fixture).forEach(line => sqli.parseSqlmapLine(line));
+    const s = sqli.STATE;
+    return {
+      targetUrl: s.targetUrl,
+      phase: s.phase,
+      dbms: s.dbms,
+      params: Object.fromEntries(s.params),
+      databases: s.databases,
+      tables: Object.fromEntries(s.tables),
+      columns: Object.fromEntries(s.columns),
+      sensitiveColumns: Array.from(s.sensitiveColumns),
+    };
+  },
+
+  // target-panel parses tool logs whole, picking the parser by tool
+  'target-panel-parsers': (fixture) => {
+    const dir = path.join(LOCAL, 'hyper-target-panel', 'lib', 'parsers');
+    const name = fs.existsSync(path.join(dir, fixture.tool + '.js')) ? fixture.tool : 'generic';
+    return { parser: name, result: require(path.join(dir, name)).parse(fixture.text) };
+  },
+
+  'target-panel-jc-adapters': (fixture) => {
+    const runner = new AdapterRunner();
+    const adapter = resolveAdapterParser({ command: fixture.command });
+    if (!adapter) return null;
+    const result = runner.parse(adapter, fixture.text, {});
+    return { adapter, result: result.ok ? result.data : { error: result.error } };
+  },
+};
+
+// ─── Runner ──────────────────────────────────────────────────
+function readGolden(name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, name + '.json'), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+}
+
+for (const [name, run] of Object.entries(RUNNERS)) {
+  test(name + ' matches its golden results', async (t) => {
+    const golden = readGolden(name);
+    const recorded = {};
+    for (const fixture of fixtures) {
+      // Through JSON, as the golden file holds it
+      const actual = JSON.parse(JSON.stringify(run(fixture)) || 'null');
+      recorded[fixture.file] = actual;
+      if (UPDATE) continue;
+      await t.test(fixture.file, () => {
+        assert.ok(fixture.file in golden, 'no golden result for ' + fixture.file + ', run with UPDATE_GOLDEN=1');
+        assert.deepEqual(actual, golden[fixture.file]);
+      });
+    }
+    if (UPDATE) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(path.join(GOLDEN_DIR, name + '.json'), JSON.stringify(recorded, null, 2) + '\n');
+    }
+  });
+}
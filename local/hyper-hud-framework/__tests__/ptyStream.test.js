@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PtyDemux } = require('../ptyStream');
+const { wrapCommand } = require('../sentinel');
+
+function record() {
+  const events = [];
+  const demux = new PtyDemux((name, payload) => events.push([name, payload]));
+  const of = name => events.filter(e => e[0] === name).map(e => e[1]);
+  return { demux, events, of };
+}
+
+test('lines are assembled across chunks and grouped under the command typed at the prompt', () => {
+  const { demux, of } = record();
+  demux.feed('u1', '\x1b[1;32mkali@kali\x1b[0m:~$ ', 1);
+  demux.feed('u1', 'nmap 10.0.0.5\r\n', 2);
+  demux.feed('u1', 'Starting Nmap 7.94\r\n80/tcp open ', 3);
+  demux.feed('u1', ' http\r\nNmap done\r\nkali@kali:~$ ', 4);
+
+  assert.deepEqual(of('pty:command'), [{ uid: 'u1', command: 'nmap 10.0.0.5', id: null, source: 'prompt', cwd: null, ts: 2 }]);
+  assert.deepEqual(of('pty:line').map(l => [l.line, l.command]), [
+    ['kali@kali:~$ nmap 10.0.0.5', 'nmap 10.0.0.5'],
+    ['Starting Nmap 7.94', 'nmap 10.0.0.5'],
+    ['80/tcp open  http', 'nmap 10.0.0.5'],
+    ['Nmap done', 'nmap 10.0.0.5'],
+  ]);
+  const [block] = of('pty:output-block');
+  assert.deepEqual(block.lines, ['Starting Nmap 7.94', '80/tcp open  http', 'Nmap done']);
+  assert.equal(block.startedAt, 2);
+  assert.equal(block.endedAt, 4);
+  assert.equal(block.exitCode, null);
+  assert.equal(demux.current('u1'), null);
+});
+
+test('wrapped commands end at their sentinel with the exit code', () => {
+  const { demux, of } = record();
+  demux.feed('u1', wrapCommand('gobuster dir -u http://x', 'p1-0') + '\r\n/admin (Status: 301)\r\n', 1);
+  assert.equal(demux.current('u1'), 'gobuster dir -u http://x');
+  // Prompt-like output does not end a wrapped command early
+  demux.feed('u1', 'Continue? [y/N] >', 2);
+  demux.feed('u1', ' y\r\n\x1b]1731;__HYPER_DONE_p1-0_1\x07kali@kali:~$ ', 3);
+
+  const [cmd] = of('pty:command');
+  assert.deepEqual([cmd.command, cmd.id, cmd.source], ['gobuster dir -u http://x', 'p1-0', 'sentinel']);
+  assert.equal(of('pty:line')[0].line, 'gobuster dir -u http://x');
+  const [block] = of('pty:output-block');
+  assert.deepEqual(block.lines, ['/admin (Status: 301)', 'Continue? [y/N] > y']);
+  assert.equal(block.exitCode, 1);
+});
+
+test('progress bars redrawn with \\r never become lines and do not grow the buffer', () => {
+  const { demux, of } = record();
+  for (let i = 0; i < 5000; i++) {
+    demux.feed('u1', '\r\x1b[2K:: Progress: [' + i + '/5000] :: Job [1/1] :: 120 req/sec ::', i);
+  }
+  assert.equal(of('pty:line').length, 0);
+  assert.ok(demux._sessions.get('u1').partial.length < 100);
+
+  demux.feed('u1', '\r\x1b[2Kadmin                   [Status: 301, Size: 0]\r\n', 5000);
+  assert.deepEqual(of('pty:line').map(l => l.line), ['admin                   [Status: 301, Size: 0]']);
+});
+
+test('backspaces are applied and a closed session flushes its last line', () => {
+  const { demux, of } = record();
+  demux.feed('u1', 'root@box:/# ');
+  demux.feed('u1', 'lss\b \b');
+  demux.feed('u1', ' -lx\b\x1b[K');
+  demux.feed('u1', 'a\r\ntotal 0\r\nno newline');
+  demux.end('u1');
+
+  assert.deepEqual(of('pty:command').map(c => c.command), ['ls -la']);
+  assert.deepEqual(of('pty:output-block')[0].lines, ['total 0', 'no newline']);
+  assert.equal(demux._sessions.has('u1'), false);
+});
+
+test('shell integration marks give exact commands, cwd and exit codes', () => {
+  const { demux, of } = record();
+  const prompt = '\x1b]7;file://box/home/kali/loot%20dir\x07\x1b]133;A\x07kali@kali:~$ \x1b]133;B\x07';
+  const raw = prompt + 'echo "$ not a prompt"\r\n\x1b]133;C\x07$ not a prompt\r\n\x1b]133;D;0\x07'
+    + prompt + '\r\n' // empty line: no command
+    + prompt + 'grep -r pass .\r\n\x1b]133;C\x07\x1b]133;D;1\x07' + prompt;
+  // One byte at a time, so every mark is split across chunks
+  for (let i = 0; i < raw.length; i++) demux.feed('u1', raw[i], i);
+
+  assert.equal(demux.integrated('u1'), true);
+  assert.deepEqual(of('pty:command').map(c => [c.command, c.source, c.cwd]), [
+    ['echo "$ not a prompt"', 'shell', '/home/kali/loot dir'],
+    ['grep -r pass .', 'shell', '/home/kali/loot dir'],
+  ]);
+  assert.deepEqual(of('pty:output-block').map(b => [b.lines, b.exitCode]), [
+    [['$ not a prompt'], 0],
+    [[], 1],
+  ]);
+  // Prompts and typed input are not output lines
+  assert.deepEqual(of('pty:line').map(l => l.line), ['echo "$ not a prompt"', '$ not a prompt', 'grep -r pass .']);
+});
+
+test('without a C mark the typed command line still starts the command', () => {
+  const { demux, of } = record();
+  const prompt = '\x1b]133;A\x07$ \x1b]133;B\x07';
+  demux.feed('u1', prompt + 'ls\r\nloot.txt\r\nnotes.md\r\n\x1b]133;D;0\x07' + prompt + 'true\r\n\x1b]133;D;0\x07' + prompt, 1);
+
+  assert.deepEqual(of('pty:command').map(c => [c.command, c.source]), [['ls', 'shell'], ['true', 'shell']]);
+  assert.deepEqual(of('pty:output-block').map(b => [b.command, b.lines, b.exitCode]), [
+    ['ls', ['loot.txt', 'notes.md'], 0],
+    ['true', [], 0],
+  ]);
+});
+
+test('the command line sent with the C mark wins over a wrapped echo', () => {
+  const { demux, of } = record();
+  const wrapped = wrapCommand("nmap -p- 'x y'; exit 3", 'p1-0');
+  demux.feed('u1', '\x1b]133;A\x07$ \x1b]133;B\x07' + wrapped.slice(0, 40) + '\r' + wrapped.slice(39) + '\r\n', 1);
+  demux.feed('u1', '\x1b]133;C;cmdline=' + wrapped + '\x07Starting Nmap\r\n', 2);
+  // The command exited before its sentinel was printed; D ends it
+  demux.feed('u1', '\x1b]133;D;3\x07\x1b]133;A\x07$ ', 3);
+
+  const [cmd] = of('pty:command');
+  assert.deepEqual([cmd.command, cmd.id, cmd.source], ["nmap -p- 'x y'; exit 3", 'p1-0', 'sentinel']);
+  const [block] = of('pty:output-block');
+  assert.deepEqual([block.lines, block.exitCode, block.endedAt], [['Starting Nmap'], 3, 3]);
+});
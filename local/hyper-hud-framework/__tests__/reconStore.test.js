@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'hyper-recon-store-'));
+process.env.HYPER_RECON_HOME = home;
+const { ReconStore } = require('../reconStore');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+function openStore(name, opts) {
+  return new ReconStore(Object.assign({ baseDir: path.join(home, name), forceJson: true }, opts));
+}
+
+test('put merges into the record with the same key and lists by target', () => {
+  const changes = [];
+  const store = openStore('merge', { onChange: c => changes.push(c) });
+  store.put('services', { target: '10.0.0.5', port: '80', service: 'http' });
+  store.put('services', { target: '10.0.0.5', port: 80, proto: 'TCP', version: 'Apache 2.4.49' });
+  store.put('services', { target: '10.0.0.6', port: 22, service: 'ssh' });
+
+  const services = store.list('services', { target: '10.0.0.5' });
+  assert.equal(services.length, 1);
+  assert.equal(services[0].service, 'http');
+  assert.equal(services[0].version, 'Apache 2.4.49');
+  assert.equal(store.count('services'), 2);
+  assert.deepEqual(changes[0], { collection: 'services', op: 'put', keys: ['10.0.0.5|80/tcp'] });
+
+  // Records survive reopening the store
+  assert.equal(openStore('merge').get('services', '10.0.0.6|22/tcp').service, 'ssh');
+});
+
+test('replaceAll drops records that are not in the new set', () => {
+  const store = openStore('replace');
+  store.putMany('hashes', [{ hash: 'aa' }, { hash: 'bb' }]);
+  store.replaceAll('hashes', [{ hash: 'bb', status: 'cracked' }]);
+  assert.deepEqual(store.list('hashes').map(h => [h.hash, h.status]), [['bb', 'cracked']]);
+  assert.throws(() => store.put('nope', {}), /unknown collection/);
+});
+
+test('legacy plugin files are imported once, services split from targets', () => {
+  const dir = path.join(home, 'legacy');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'findings.json'), JSON.stringify([
+    { id: 1, type: 'cve', title: 'CVE-2021-41773', target: '10.0.0.5', severity: 'critical' },
+  ]));
+  fs.writeFileSync(path.join(dir, 'targets.json'), JSON.stringify({
+    version: 1,
+    targets: [{ address: '10.0.0.5', services: [{ port: 80, proto: 'tcp', service: 'http' }] }],
+  }));
+
+  const store = openStore('legacy-store');
+  assert.deepEqual(store.importLegacy(dir).sort(), ['findings-log', 'target-book']);
+  assert.equal(store.list('findings')[0].title, 'CVE-2021-41773');
+  assert.equal(store.get('targets', '10.0.0.5').services, undefined);
+  assert.equal(store.list('services', { target: '10.0.0.5' })[0].service, 'http');
+
+  store.clear('findings');
+  assert.deepEqual(openStore('legacy-store').importLegacy(dir), []);
+  assert.equal(store.count('findings'), 0);
+});
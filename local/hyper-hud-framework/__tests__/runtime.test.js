@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const {
+  RUNTIME_API, getRecon, trackSession, getActiveUid, execInTerminal, stripAnsi,
+  registerPlugin, whenCapability, missingCapabilities,
+} = require('../runtime');
+
+test.beforeEach(() => {
+  const sent = [];
+  global.window = { rpc: { emit: (name, msg) => sent.push(msg) }, sent };
+});
+test.after(() => { delete global.window; });
+
+test('a namespace made by an older plugin copy is filled in, not replaced', () => {
+  const events = new EventEmitter();
+  window.__hyperRecon = { events, targets: new Map([['10.0.0.5', {}]]), findings: [], hud: null };
+
+  const recon = getRecon();
+  assert.equal(recon.events, events);
+  assert.equal(recon.targets.size, 1);
+  assert.ok(recon.sessions instanceof Map);
+  assert.ok(recon.plugins instanceof Map);
+  assert.equal(recon.activeUid, null);
+  assert.equal(recon.runtime, RUNTIME_API);
+});
+
+test('session actions are tracked once however many middlewares pass them on', () => {
+  const seen = [];
+  const recon = getRecon();
+  for (const name of ['session:add', 'session:active', 'session:exit']) {
+    recon.events.on(name, uid => seen.push(name + ' ' + uid));
+  }
+
+  for (let i = 0; i < 3; i++) {
+    trackSession({ type: 'SESSION_ADD', uid: 'a' });
+    trackSession({ type: 'SESSION_ADD', uid: 'b' });
+    trackSession({ type: 'SESSION_SET_ACTIVE', uid: 'b' });
+  }
+  assert.equal(getActiveUid(), 'b');
+  assert.equal(execInTerminal('id'), true);
+  assert.deepEqual(window.sent, [{ uid: 'b', data: 'id\n', escaped: false }]);
+
+  trackSession({ type: 'SESSION_PTY_EXIT', uid: 'b' });
+  trackSession({ type: 'SESSION_USER_EXIT', uid: 'b' });
+  assert.equal(getActiveUid(), null);
+  assert.equal(execInTerminal('id'), false);
+  assert.deepEqual(seen, ['session:add a', 'session:add b', 'session:active b', 'session:exit b']);
+});
+
+test('stripAnsi leaves plain text from colours, titles and shell integration marks', () => {
+  const raw = '\x1b]0;kali@box: ~\x07\x1b]133;A\x1b\\\x1b[?2004h\x1b[1;32m80/tcp\x1b[0m open  http\r\n\x1b(Bdone\x07\ttab\n';
+  assert.equal(stripAnsi(raw), '80/tcp open  http\ndone\ttab\n');
+  assert.equal(stripAnsi(undefined), '');
+});
+
+test('plugins wait for a capability and report what is still missing', (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  const calls = [];
+  registerPlugin({ name: 'findings-log', version: '1.0.0', provides: { findings: 1 }, requires: { hud: 1 } });
+  whenCapability('hud', 1, (api, provider) => calls.push([api.id, provider.name]));
+  assert.deepEqual(missingCapabilities(), [{ plugin: 'findings-log', capability: 'hud', version: 1 }]);
+
+  registerPlugin({ name: 'hud-framework', version: '1.0.0', provides: { hud: 1 }, api: { hud: { id: 'hud-api' } } });
+  assert.deepEqual(calls, [['hud-api', 'hud-framework']]);
+  assert.deepEqual(missingCapabilities(), []);
+
+  // Already there: called straight away
+  whenCapability('hud', 1, api => calls.push([api.id]));
+  assert.equal(calls.length, 2);
+  // Newer than anyone offers: never called
+  const cancel = whenCapability('hud', 2, () => calls.push(['v2']));
+  cancel();
+  registerPlugin({ name: 'hud-next', provides: { hud: 2 } });
+  assert.equal(calls.length, 2);
+
+  assert.equal(registerPlugin({ name: 'from-the-future', runtime: RUNTIME_API + 1 }), null);
+  assert.equal(getRecon().plugins.has('from-the-future'), false);
+  assert.equal(error.mock.callCount(), 1);
+});
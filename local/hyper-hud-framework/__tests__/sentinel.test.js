@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+
+const { wrapCommand, unwrapCommand, splitChunk, parseChunk } = require('../sentinel');
+
+const hasFish = spawnSync('fish', ['-c', 'true']).status === 0;
+
+// What a wrapped command prints, typed into `shell` (bash runs the
+// wrapper meant for an unknown shell too)
+function run(shell, cmd, id) {
+  return spawnSync(shell || 'bash', ['-c', wrapCommand(cmd, id, shell)], { encoding: 'utf8' }).stdout;
+}
+
+for (const shell of [undefined, 'bash']) {
+  const name = shell || 'an unknown shell';
+
+  test(`wrapped commands print a hidden marker with their exit status (${name})`, () => {
+    const out = run(shell, "echo 'a b'; false", 'pl-1-abc-s0');
+    assert.deepEqual(parseChunk(out), [{ id: 'pl-1-abc-s0', code: 1 }]);
+    // Nothing is left once the OSC sequence is dropped by the terminal
+    assert.equal(out.replace(/\x1b\][^\x07]*\x07/g, ''), 'a b\n');
+  });
+
+  test(`an exit in the command still prints the marker with its status (${name})`, () => {
+    const out = run(shell, 'echo before; exit 4; echo after', 'x-2');
+    assert.deepEqual(parseChunk(out), [{ id: 'x-2', code: 4 }]);
+    assert.equal(out.replace(/\x1b\][^\x07]*\x07/g, ''), 'before\n');
+  });
+
+  test(`a trailing comment in the command does not swallow the marker (${name})`, () => {
+    const out = run(shell, "printf 'x\\n' # note", 'c-1');
+    assert.deepEqual(parseChunk(out), [{ id: 'c-1', code: 0 }]);
+    assert.equal(out.replace(/\x1b\][^\x07]*\x07/g, ''), 'x\n');
+  });
+}
+
+test('bash runs the command in the interactive shell, with its functions', () => {
+  const out = spawnSync('bash', ['-c', 'greet() { echo "hi $1"; }\n' + wrapCommand('greet kali', 'f-1', 'bash')], { encoding: 'utf8' }).stdout;
+  assert.deepEqual(parseChunk(out), [{ id: 'f-1', code: 0 }]);
+  assert.equal(out.replace(/\x1b\][^\x07]*\x07/g, ''), 'hi kali\n');
+});
+
+test('fish gets its own quoting, so backslashes reach the command unchanged', () => {
+  const cmd = "grep -E '\\d+\\.\\d+' notes.txt; echo \"it's\"";
+  const wrapped = wrapCommand(cmd, 'fi-1', 'fish');
+  assert.ok(wrapped.startsWith("fish -c 'grep -E \\'\\\\d+\\\\.\\\\d+\\' notes.txt; echo \"it\\'s\"'; "), wrapped);
+  assert.match(wrapped, / fi-1 \$status$/);
+  assert.deepEqual(unwrapCommand('> ' + wrapped), { command: cmd, id: 'fi-1', text: '> ' + cmd });
+});
+
+test('fish wrapped commands print the marker with their status', { skip: !hasFish && 'fish is not installed' }, () => {
+  const cmd = "string match -rq '^\\d+$' 42; and echo 'a\\b'; exit 3";
+  const out = spawnSync('fish', ['-c', wrapCommand(cmd, 'fi-2', 'fish')], { encoding: 'utf8' }).stdout;
+  assert.deepEqual(parseChunk(out), [{ id: 'fi-2', code: 3 }]);
+  assert.equal(out.replace(/\x1b\][^\x07]*\x07/g, ''), 'a\\b\n');
+});
+
+test('wrapCommand rejects ids that could break the marker', () => {
+  assert.throws(() => wrapCommand('true', 'bad_id'), /invalid sentinel id/);
+});
+
+test('splitChunk keeps output order around completions', () => {
+  const data = 'last line\r\n\x1b]1731;__HYPER_DONE_x-1_0\x07user@host$ ';
+  assert.deepEqual(splitChunk(data), [
+    { text: 'last line\r\n' },
+    { done: { id: 'x-1', code: 0 } },
+    { text: 'user@host$ ' },
+  ]);
+  assert.deepEqual(splitChunk('plain'), [{ text: 'plain' }]);
+});
+
+test('the echoed command line is not mistaken for a completion', () => {
+  for (const shell of [undefined, 'bash', 'zsh', 'fish']) {
+    const echoed = '$ ' + wrapCommand("nmap -sV 'a b'", 'scan-2', shell) + '\r\n';
+    assert.deepEqual(parseChunk(echoed), []);
+    assert.deepEqual(unwrapCommand(echoed), {
+      command: "nmap -sV 'a b'",
+      id: 'scan-2',
+      text: "$ nmap -sV 'a b'\r\n",
+    }, shell);
+  }
+  assert.equal(unwrapCommand('$ nmap 10.0.0.1'), null);
+});
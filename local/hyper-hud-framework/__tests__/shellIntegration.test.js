@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { splitMarks, installSnippet, installShellIntegration } = require('../shellIntegration');
+const { PtyDemux } = require('../ptyStream');
+
+test('splitMarks reads prompt, command and exit marks and drops other OSC kinds', () => {
+  const data = 'out\r\n\x1b]133;D;130\x07\x1b]7;file://kali/tmp/a%20b\x1b\\\x1b]133;A;aid=12;shell=zsh\x07$ '
+    + '\x1b]133;C;cmdline=echo a;b\x07\x1b]133;C;cmdline_url=ls%20-la\x07\x1b]1337;SetMark\x07x';
+  assert.deepEqual(splitMarks(data), [
+    { text: 'out\r\n' },
+    { mark: { type: 'D', code: 130 } },
+    { mark: { type: 'cwd', cwd: '/tmp/a b' } },
+    { mark: { type: 'A', shell: 'zsh' } },
+    { text: '$ ' },
+    { mark: { type: 'C', cmdline: 'echo a;b' } },
+    { mark: { type: 'C', cmdline: 'ls -la' } },
+    { text: '\x1b]1337;SetMark\x07x' },
+  ]);
+  assert.deepEqual(splitMarks('\x1b]133;D\x07'), [{ mark: { type: 'D', code: null } }]);
+});
+
+// Output blocks of `input` typed into an interactive bash whose rc file
+// runs `rc` and then sources the snippet
+function bashBlocks(rc, input) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyper-si-'));
+  try {
+    fs.writeFileSync(path.join(dir, '.bashrc'), "PS1='$ '\n" + rc + installSnippet('bash') + '\n');
+    // Prompts go to stderr; one stream keeps them in order with output
+    const out = spawnSync('bash', ['-c', 'exec bash --rcfile "$1" -i 2>&1', 'sh', path.join(dir, '.bashrc')], {
+      cwd: dir,
+      env: { HOME: dir, PATH: process.env.PATH },
+      input,
+      encoding: 'utf8',
+    }).stdout;
+    const blocks = [];
+    const demux = new PtyDemux((name, p) => { if (name === 'pty:output-block') blocks.push(p); });
+    demux.feed('u1', out);
+    assert.equal(demux.shell('u1'), 'bash');
+    return blocks.map(b => [b.command, b.source, b.cwd === fs.realpathSync(dir), b.lines, b.exitCode]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('the bash snippet marks every command an interactive shell runs', () => {
+  assert.deepEqual(bashBlocks('', 'echo "a;b"\n\nfalse\n'), [
+    ['echo "a;b"', 'shell', true, ['a;b'], 0],
+    ['false', 'shell', true, [], 1],
+  ]);
+});
+
+test('the bash snippet keeps a PROMPT_COMMAND set before it, string or array', () => {
+  for (const rc of ["PROMPT_COMMAND='history -a; true;'\n", "PROMPT_COMMAND=(true 'echo pc >/dev/null')\n"]) {
+    assert.deepEqual(bashBlocks(rc, 'echo a\n\nfalse\n'), [
+      ['echo a', 'shell', true, ['a'], 0],
+      ['false', 'shell', true, [], 1],
+    ], rc);
+  }
+});
+
+test('installing adds the snippet to the rc file once', () => {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'hyper-si-'));
+  try {
+    fs.writeFileSync(path.join(home, '.bashrc'), 'alias ll="ls -l"');
+    assert.equal(installShellIntegration('bash', { home }).added, true);
+    assert.equal(installShellIntegration('bash', { home }).added, false);
+    const rc = fs.readFileSync(path.join(home, '.bashrc'), 'utf8').split('\n');
+    assert.equal(rc[0], 'alias ll="ls -l"');
+    assert.equal(rc[1], installSnippet('bash'));
+
+    const fish = installShellIntegration('fish', { home });
+    assert.equal(fish.rc, path.join(home, '.config', 'fish', 'config.fish'));
+    assert.match(fs.readFileSync(fish.rc, 'utf8'), /source '.*hyper-recon\.fish'/);
+    assert.throws(() => installShellIntegration('tcsh', { home }), /unsupported shell: tcsh/);
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'hyper-recon-home-'));
+process.env.HYPER_RECON_HOME = home;
+const ws = require('../workspace');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('the default workspace adopts files from the old flat layout', () => {
+  fs.writeFileSync(path.join(home, 'findings.json'), '[{"title":"old"}]');
+  assert.equal(ws.getActiveWorkspace().slug, 'default');
+
+  const file = ws.workspaceFile('findings.json', { legacy: path.join(home, 'findings.json') });
+  assert.equal(file, path.join(home, 'workspaces', 'default', 'findings.json'));
+  assert.equal(fs.readFileSync(file, 'utf8'), '[{"title":"old"}]');
+
+  fs.mkdirSync(path.join(home, 'sessions'));
+  fs.writeFileSync(path.join(home, 'sessions', 'a.json'), '{}');
+  const dir = ws.workspaceDir('sessions', { legacy: path.join(home, 'sessions') });
+  assert.deepEqual(fs.readdirSync(dir), ['a.json']);
+});
+
+test('switching workspaces keeps engagement data apart', () => {
+  const acme = ws.createWorkspace('ACME Corp Q3');
+  assert.equal(acme.slug, 'acme-corp-q3');
+  assert.throws(() => ws.createWorkspace('acme corp q3'), /already exists/);
+
+  ws.switchWorkspace('acme-corp-q3');
+  assert.equal(ws.getActiveWorkspace().name, 'ACME Corp Q3');
+  // Legacy data only ever lands in the default workspace
+  const file = ws.workspaceFile('findings.json', { legacy: path.join(home, 'findings.json') });
+  assert.equal(file, path.join(acme.dir, 'findings.json'));
+  assert.equal(fs.existsSync(file), false);
+
+  ws.switchWorkspace('default');
+  assert.equal(ws.getActiveWorkspace().slug, 'default');
+});
+
+test('archived workspaces leave the list and cannot be activated', () => {
+  ws.createWorkspace('globex');
+  ws.switchWorkspace('globex');
+  assert.throws(() => ws.archiveWorkspace('globex'), /switch away/);
+  assert.throws(() => ws.archiveWorkspace('default'), /cannot be archived/);
+
+  ws.switchWorkspace('default');
+  ws.archiveWorkspace('globex');
+  assert.deepEqual(ws.listWorkspaces().map(w => w.slug), ['default', 'acme-corp-q3']);
+  assert.equal(ws.listWorkspaces({ includeArchived: true }).length, 3);
+  assert.throws(() => ws.switchWorkspace('globex'), /is archived/);
+
+  ws.restoreWorkspace('globex');
+  assert.equal(ws.switchWorkspace('globex').active, true);
+  ws.switchWorkspace('default');
+});
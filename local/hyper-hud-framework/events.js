@@ -0,0 +1,381 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  EVENT CONTRACT
+//  Every event the recon plugins send over
+//  window.__hyperRecon.events, with the payload it carries.
+//  Emit through emitEvent() rather than events.emit(): it runs
+//  the event's adapter, so payloads always arrive in the shape
+//  documented here with their schema version in `v`, and in dev
+//  mode (HYPER_RECON_DEV=1, or __hyperRecon.devMode = true) it
+//  logs payloads that still do not match.
+//
+//  Field types are 'string', 'number', 'boolean', 'object',
+//  'array' or 'any'; a trailing '?' allows null/undefined. A
+//  version is bumped when a field changes meaning or goes away,
+//  never for added fields.
+// ══════════════════════════════════════════════════════════════
+
+// ─── Helpers ─────────────────────────────────────────────────
+function text(value, fallback) {
+  const str = value === undefined || value === null ? '' : String(value).trim();
+  return str || (fallback === undefined ? null : fallback);
+}
+
+function int(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+// ─── Parsed tool output → findings ───────────────────────────
+// What findings-log should record for one hyper-output-parser result.
+// Titles follow findings-log's own detection rules, so a finding seen
+// both in the raw output and in the parsed result is only logged once.
+const FINDING_STATUSES = [200, 301, 302, 403];
+
+function findingsOf(result) {
+  const out = [];
+  if (!result || typeof result !== 'object') return out;
+
+  list(result.ports).forEach((p) => {
+    if (p.state && p.state !== 'open') return;
+    const ver = text(p.version, '').substring(0, 60);
+    out.push({
+      severity: 'low',
+      type: 'open-port',
+      title: 'Port ' + p.port + '/' + (p.proto || 'tcp') + ' open: ' + (p.service || 'unknown') + (ver ? ' (' + ver + ')' : ''),
+      detail: [p.service, p.version].filter(Boolean).join(' '),
+    });
+  });
+  list(result.findings).forEach((f) => {
+    out.push({
+      severity: text(f.severity, 'info'),
+      type: 'info-disclosure',
+      title: text(f.description, 'Nikto finding').substring(0, 200),
+      detail: [f.id ? 'OSVDB-' + f.id : null, f.path].filter(Boolean).join(' '),
+    });
+  });
+  list(result.injectable).forEach((inj) => {
+    out.push({
+      severity: 'critical',
+      type: 'sqli',
+      title: 'SQL Injection in parameter: ' + inj.param,
+      detail: [inj.type, inj.technique].filter(Boolean).join(': '),
+    });
+  });
+  list(result.creds).forEach((c) => {
+    out.push({
+      severity: 'high',
+      type: 'credential',
+      title: 'Credentials found: ' + c.login + ':' + c.password,
+      detail: [c.service, c.host].filter(Boolean).join(' on '),
+    });
+  });
+  list(result.paths).forEach((p) => {
+    if (!FINDING_STATUSES.includes(p.status)) return;
+    out.push({
+      severity: 'info',
+      type: 'path',
+      title: 'Path discovered [' + p.status + ']: ' + String(p.path).substring(0, 80),
+      detail: p.size ? 'size ' + p.size : '',
+    });
+  });
+  return out;
+}
+
+// Findings `result` implies that `previous` did not
+function newFindingsOf(result, previous) {
+  const seen = new Set(findingsOf(previous).map(f => f.type + ' ' + f.title));
+  return findingsOf(result).filter(f => !seen.has(f.type + ' ' + f.title));
+}
+
+// ─── Schema ──────────────────────────────────────────────────
+// `payload` describes events whose argument is not an object (a uid, a
+// list) or is a live object other plugins keep a reference to; those are
+// passed through as they are. All others carry `fields`, and `adapt`
+// turns what older emitters send into that shape.
+const SCHEMA = {
+  // hud-framework
+  'hud:ready': { version: 1, payload: 'object', doc: 'the HUD API (registerTab, updateBadge, notify, ...)' },
+  'hud:notify': {
+    version: 1,
+    fields: { message: 'string', type: 'string', ts: 'number' },
+    adapt: raw => ({ type: text(raw.type, 'info'), ts: int(raw.ts) || Date.now() }),
+  },
+  'session:add': { version: 1, payload: 'string', doc: 'terminal uid' },
+  'session:active': { version: 1, payload: 'string', doc: 'terminal uid' },
+  'session:exit': { version: 1, payload: 'string', doc: 'terminal uid' },
+  'pty:data': { version: 1, fields: { uid: 'string', data: 'string' } },
+  // ptyStream: `command` on a line is the command it belongs to, if known;
+  // `source` is how the command was seen ('shell' integration marks,
+  // 'sentinel' or 'prompt'); `cwd` is known from shell integration
+  'pty:line': { version: 1, fields: { uid: 'string', line: 'string', command: 'string?', ts: 'number' } },
+  'pty:command': {
+    version: 1,
+    fields: { uid: 'string', command: 'string', id: 'string?', source: 'string', cwd: 'string?', ts: 'number' },
+  },
+  'pty:output-block': {
+    version: 1,
+    fields: {
+      uid: 'string', command: 'string', id: 'string?', source: 'string', cwd: 'string?', lines: 'array',
+      truncated: 'number', startedAt: 'number', endedAt: 'number', exitCode: 'number?',
+    },
+  },
+  'command:done': {
+    version: 1,
+    fields: { uid: 'string', id: 'string', code: 'number?', ts: 'number' },
+    adapt: raw => ({ ts: int(raw.ts) || Date.now() }),
+  },
+  'plugin:registered': { version: 1, fields: { name: 'string', version: 'string', provides: 'object' } },
+  'workspace:changed': { version: 1, fields: { workspace: 'object', previous: 'object?' } },
+  'store:changed': { version: 1, fields: { collection: 'string', op: 'string', keys: 'array' } },
+
+  // hyper-output-parser: one event per parsed record, named after the tool
+  // ('parsed:nmap', 'parsed:gobuster', ...), then the same as 'parsed:any'.
+  // `id` stays the same for the record; 'parsed:update' carries it again,
+  // merged with what was found since, and only the findings that are new.
+  'parsed:<tool>': {
+    version: 1,
+    fields: { id: 'string?', tool: 'string', target: 'string', sessionUid: 'string?' },
+    adapt: (raw) => {
+      const out = { tool: text(raw.tool, 'unknown'), target: text(raw.target, 'unknown') };
+      if (raw.ports !== undefined) {
+        out.ports = list(raw.ports).map(p => ({
+          port: int(p.port),
+          proto: text(p.proto, 'tcp').toLowerCase(),
+          state: text(p.state, 'open'),
+          service: text(p.service, 'unknown'),
+          version: text(p.version, ''),
+        })).filter(p => p.port);
+        out.os = text(raw.os);
+        out.scripts = list(raw.scripts);
+      }
+      return out;
+    },
+  },
+  'parsed:any': {
+    version: 1,
+    fields: { id: 'string?', tool: 'string', target: 'string', uid: 'string?', data: 'object', findings: 'array' },
+    adapt: (raw) => {
+      const data = raw.data && typeof raw.data === 'object' ? raw.data : {};
+      return {
+        tool: text(raw.tool || data.tool, 'unknown'),
+        target: text(raw.target || data.target, 'unknown'),
+        uid: text(raw.uid || data.sessionUid),
+        data,
+        findings: Array.isArray(raw.findings) ? raw.findings : findingsOf(data),
+      };
+    },
+  },
+  'parsed:update': {
+    version: 1,
+    fields: {
+      id: 'string', tool: 'string', target: 'string', uid: 'string?',
+      data: 'object', previous: 'object', findings: 'array',
+    },
+    adapt: raw => ({
+      findings: Array.isArray(raw.findings) ? raw.findings : newFindingsOf(raw.data, raw.previous),
+    }),
+  },
+
+  // findings-log
+  'finding:new': {
+    version: 1,
+    fields: {
+      id: 'number', severity: 'string', type: 'string', title: 'string', detail: 'string',
+      source: 'string', target: 'string', sessionUid: 'string', timestamp: 'number',
+    },
+    adapt: raw => ({
+      severity: text(raw.severity, 'info').toLowerCase(),
+      type: text(raw.type, 'misc'),
+      detail: text(raw.detail, ''),
+      source: text(raw.source, 'unknown'),
+      target: text(raw.target, 'unknown'),
+      sessionUid: text(raw.sessionUid, 'unknown'),
+      timestamp: int(raw.timestamp) || Date.now(),
+    }),
+  },
+
+  // secret-sniffer
+  'secret:found': {
+    version: 1,
+    fields: {
+      id: 'number', type: 'string', provider: 'string', name: 'string', value: 'string',
+      decoded: 'any', context: 'string?', sessionUid: 'string?', timestamp: 'number',
+    },
+    adapt: raw => ({
+      type: text(raw.type, 'secret'),
+      provider: text(raw.provider, 'unknown'),
+      name: text(raw.name || raw.type, 'Secret'),
+      timestamp: int(raw.timestamp) || Date.now(),
+    }),
+  },
+
+  // hash-workshop
+  'hash:detected': { version: 1, fields: { hash: 'string', type: 'string?', possible: 'array' } },
+  'hash:cracked': { version: 1, fields: { hash: 'string', plaintext: 'string' } },
+
+  // http-lens
+  'http:response': {
+    version: 1,
+    fields: { url: 'string?', status: 'number?', headers: 'object', body: 'string?', securityIssues: 'array', waf: 'any' },
+  },
+
+  // shell-manager: `host` is the connecting peer (older emitters called
+  // it targetIp), `port` the local listener port
+  'shell:connected': {
+    version: 1,
+    fields: {
+      uid: 'string', host: 'string', port: 'number?', remotePort: 'number?',
+      type: 'string', status: 'string', upgraded: 'boolean', connectedAt: 'number',
+    },
+    adapt: raw => ({
+      host: text(raw.host || raw.targetIp, 'unknown'),
+      port: int(raw.port),
+      remotePort: int(raw.remotePort),
+      type: text(raw.type, 'reverse'),
+      status: text(raw.status, 'connected'),
+      upgraded: !!raw.upgraded,
+      connectedAt: int(raw.connectedAt) || Date.now(),
+    }),
+  },
+  'shell:disconnected': { version: 1, fields: { uid: 'string' } },
+
+  // recon-pipeline: `pipeline` (and `step`) are the live objects
+  'pipeline:start': {
+    version: 1,
+    fields: { pipelineId: 'string', name: 'string', target: 'string?', pipeline: 'object' },
+    adapt: raw => pipelineFields(raw.pipeline),
+  },
+  'pipeline:step': {
+    version: 1,
+    fields: {
+      pipelineId: 'string', name: 'string', target: 'string?', pipeline: 'object',
+      step: 'object', stepIndex: 'number', stepName: 'string', status: 'string',
+      reason: 'string?', exitCode: 'number?',
+    },
+    adapt: (raw) => {
+      const pipeline = raw.pipeline || {};
+      const step = raw.step || {};
+      const stepIndex = list(pipeline.steps).indexOf(step);
+      return Object.assign(pipelineFields(pipeline), {
+        stepIndex: stepIndex >= 0 ? stepIndex : int(pipeline.currentStep),
+        stepName: text(step.name || step.id, 'step'),
+        status: text(raw.status || step.status, 'unknown'),
+      });
+    },
+  },
+  'pipeline:complete': {
+    version: 1,
+    fields: { pipelineId: 'string', name: 'string', target: 'string?', pipeline: 'object', status: 'string' },
+    adapt: raw => Object.assign(pipelineFields(raw.pipeline), { status: text(raw.pipeline && raw.pipeline.status, 'completed') }),
+  },
+
+  // target-panel
+  'run:new-findings': {
+    version: 1,
+    fields: { target: 'string', ts: 'number', added: 'array', removed: 'array', changed: 'array' },
+  },
+
+  // target-book / vuln-checklist / sqli-assistant
+  'targets:updated': { version: 1, payload: 'array', doc: 'target-book entries' },
+  'target:add': { version: 1, payload: 'string', doc: '(address, opts?)' },
+  'target:set': { version: 1, payload: 'string', doc: 'target address' },
+  'service:add': { version: 1, payload: 'string', doc: '(address, { port, proto, service, version, source })' },
+  'sqli:updated': { version: 1, payload: 'object', doc: 'the sqli-assistant state' },
+
+  // scan-tracker: `status` is running, completed or failed
+  'scan:started': {
+    version: 1,
+    fields: { id: 'number', uid: 'string', tool: 'string', target: 'string', command: 'string', status: 'string' },
+  },
+  'scan:completed': {
+    version: 1,
+    fields: {
+      id: 'number', uid: 'string', tool: 'string', target: 'string', command: 'string',
+      status: 'string', exitCode: 'number?',
+    },
+  },
+};
+
+function pipelineFields(pipeline) {
+  const p = pipeline || {};
+  return { pipelineId: text(p.id, ''), name: text(p.name, 'pipeline'), target: text(p.target) };
+}
+
+function schemaFor(name) {
+  if (SCHEMA[name]) return SCHEMA[name];
+  if (/^parsed:[\w./-]+$/.test(name)) return SCHEMA['parsed:<tool>'];
+  return null;
+}
+
+// ─── Normalize / validate ────────────────────────────────────
+// The payload as listeners should see it: the adapter's fields over the
+// original ones, plus `v`. Unknown events and pass-through payloads are
+// returned unchanged.
+function normalizeEvent(name, payload) {
+  const schema = schemaFor(name);
+  if (!schema || schema.payload || !payload || typeof payload !== 'object') return payload;
+  const adapted = schema.adapt ? schema.adapt(payload) : {};
+  return Object.assign({}, payload, adapted, { v: schema.version });
+}
+
+function typeOf(value) {
+  if (value === null || value === undefined) return null;
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function checkType(value, spec) {
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+  const actual = typeOf(value);
+  if (actual === null) return optional || type === 'any';
+  return type === 'any' || actual === type;
+}
+
+// Problems with a payload as a list of strings; empty when it matches.
+function validateEvent(name, payload) {
+  const schema = schemaFor(name);
+  if (!schema) return ['unknown event'];
+  if (schema.payload) {
+    return checkType(payload, schema.payload) ? [] : ['expected ' + schema.payload + ', got ' + (typeOf(payload) || 'nothing')];
+  }
+  if (typeOf(payload) !== 'object') return ['expected an object payload'];
+  const problems = [];
+  if (payload.v !== schema.version) problems.push('v is ' + payload.v + ', expected ' + schema.version);
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    if (!checkType(payload[field], spec)) {
+      problems.push(field + ' should be ' + spec + ', got ' + (typeOf(payload[field]) || 'nothing'));
+    }
+  }
+  return problems;
+}
+
+function isDevMode(recon) {
+  return !!(recon && recon.devMode) || process.env.HYPER_RECON_DEV === '1';
+}
+
+// Normalize, check (in dev mode) and emit. Extra arguments are passed on
+// for the positional events. Returns the payload that was emitted.
+function emitEvent(recon, name, payload, ...rest) {
+  const event = normalizeEvent(name, payload);
+  if (isDevMode(recon)) {
+    const problems = validateEvent(name, event);
+    if (problems.length > 0) console.warn('[Events] Malformed ' + name + ':', problems.join('; '));
+  }
+  recon.events.emit(name, event, ...rest);
+  return event;
+}
+
+module.exports = {
+  SCHEMA,
+  schemaFor,
+  normalizeEvent,
+  validateEvent,
+  emitEvent,
+  findingsOf,
+};
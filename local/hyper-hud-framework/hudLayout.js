@@ -0,0 +1,206 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  HUD LAYOUT
+//  How the HUD arranges plugin tabs, kept per workspace in
+//  <workspace>/hud-layout.json:
+//    order      tab ids in bar order (tabs not listed go last)
+//    panes      1-3 side-by-side views, each showing a tab id
+//    focus      the pane a tab click shows its tab in
+//    floating   { id: { x, y, w, h } } tabs popped out of the bar
+//    height     panel height in px
+//    collapsed  panel hidden, bar only
+//  Every update returns a new layout; the HUD keeps it in state.
+// ══════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+const LAYOUT_FILE = 'hud-layout.json';
+const MAX_PANES = 3;
+const MIN_HEIGHT = 80;
+const MAX_HEIGHT = 2000;
+const MIN_FLOAT = 160;
+
+function defaultLayout() {
+  return { order: [], panes: [null], focus: 0, floating: {}, height: 180, collapsed: true };
+}
+
+function clamp(n, min, max, fallback) {
+  const v = Number(n);
+  return Number.isFinite(v) ? Math.max(min, Math.min(max, Math.round(v))) : fallback;
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function normalizeRect(rect) {
+  const r = rect || {};
+  return {
+    x: clamp(r.x, 0, 10000, 80),
+    y: clamp(r.y, 0, 10000, 80),
+    w: clamp(r.w, MIN_FLOAT, 10000, 420),
+    h: clamp(r.h, MIN_FLOAT, 10000, 300),
+  };
+}
+
+// A layout from anything (an older or hand-edited file), with every
+// field present and in range
+function normalizeLayout(raw) {
+  const base = defaultLayout();
+  if (!raw || typeof raw !== 'object') return base;
+  const order = Array.isArray(raw.order) ? raw.order.filter(isId) : [];
+  let panes = Array.isArray(raw.panes) ? raw.panes.slice(0, MAX_PANES).map(id => (isId(id) ? id : null)) : [];
+  if (panes.length === 0) panes = [null];
+  const floating = {};
+  if (raw.floating && typeof raw.floating === 'object') {
+    for (const [id, rect] of Object.entries(raw.floating)) floating[id] = normalizeRect(rect);
+  }
+  // A floating tab is not also shown in a pane
+  panes = panes.map(id => (id && floating[id] ? null : id));
+  return {
+    order: Array.from(new Set(order)),
+    panes,
+    focus: clamp(raw.focus, 0, panes.length - 1, 0),
+    floating,
+    height: clamp(raw.height, MIN_HEIGHT, MAX_HEIGHT, base.height),
+    collapsed: raw.collapsed === undefined ? base.collapsed : !!raw.collapsed,
+  };
+}
+
+// ─── Tabs ────────────────────────────────────────────────────
+// `tabs` ([{ id }], in registration order) sorted by the layout
+function orderTabs(tabs, layout) {
+  const rank = new Map(layout.order.map((id, i) => [id, i]));
+  return tabs
+    .map((tab, i) => ({ tab, i }))
+    .sort((a, b) => {
+      const ra = rank.has(a.tab.id) ? rank.get(a.tab.id) : layout.order.length + a.i;
+      const rb = rank.has(b.tab.id) ? rank.get(b.tab.id) : layout.order.length + b.i;
+      return ra - rb;
+    })
+    .map(e => e.tab);
+}
+
+// Put tab `id` before `beforeId` (or last when null). `ids` is the
+// bar as shown, so tabs never placed by hand keep their positions.
+function moveTab(layout, ids, id, beforeId) {
+  if (id === beforeId) return layout;
+  const order = ids.filter(t => t !== id);
+  const at = beforeId ? order.indexOf(beforeId) : -1;
+  order.splice(at === -1 ? order.length : at, 0, id);
+  return Object.assign({}, layout, { order });
+}
+
+function isVisible(layout, id) {
+  return !!layout.floating[id] || (!layout.collapsed && layout.panes.includes(id));
+}
+
+// Show tab `id` in pane `pane` (the focused one by default). A tab
+// already in a pane is focused there; a floating one stays floating.
+function showTab(layout, id, pane) {
+  if (layout.floating[id]) return layout;
+  const existing = layout.panes.indexOf(id);
+  if (existing !== -1 && pane === undefined) {
+    return Object.assign({}, layout, { focus: existing, collapsed: false });
+  }
+  const target = pane === undefined ? layout.focus : clamp(pane, 0, layout.panes.length - 1, layout.focus);
+  const panes = layout.panes.map((p, i) => (i === target ? id : p === id ? null : p));
+  return Object.assign({}, layout, { panes, focus: target, collapsed: false });
+}
+
+// A click on a tab in the bar: collapse if it is what the focused pane
+// already shows, otherwise show it
+function toggleTab(layout, id) {
+  if (!layout.collapsed && layout.panes[layout.focus] === id) {
+    return Object.assign({}, layout, { collapsed: true });
+  }
+  return showTab(layout, id);
+}
+
+function setPaneCount(layout, count) {
+  const n = clamp(count, 1, MAX_PANES, 1);
+  const panes = layout.panes.slice(0, n);
+  while (panes.length < n) panes.push(null);
+  return Object.assign({}, layout, { panes, focus: Math.min(layout.focus, n - 1) });
+}
+
+function focusPane(layout, pane) {
+  return Object.assign({}, layout, { focus: clamp(pane, 0, layout.panes.length - 1, 0) });
+}
+
+// ─── Floating ────────────────────────────────────────────────
+function detachTab(layout, id, rect) {
+  const panes = layout.panes.map(p => (p === id ? null : p));
+  const floating = Object.assign({}, layout.floating, { [id]: normalizeRect(rect) });
+  return Object.assign({}, layout, { panes, floating });
+}
+
+function moveFloating(layout, id, rect) {
+  if (!layout.floating[id]) return layout;
+  const floating = Object.assign({}, layout.floating, { [id]: normalizeRect(Object.assign({}, layout.floating[id], rect)) });
+  return Object.assign({}, layout, { floating });
+}
+
+// Back into the focused pane
+function attachTab(layout, id) {
+  const floating = Object.assign({}, layout.floating);
+  delete floating[id];
+  return showTab(Object.assign({}, layout, { floating }), id);
+}
+
+// Out of every pane and window (the tab keeps its place in the bar)
+function closeTab(layout, id) {
+  const floating = Object.assign({}, layout.floating);
+  delete floating[id];
+  const panes = layout.panes.map(p => (p === id ? null : p));
+  return Object.assign({}, layout, { panes, floating });
+}
+
+function setHeight(layout, height) {
+  return Object.assign({}, layout, { height: clamp(height, MIN_HEIGHT, MAX_HEIGHT, layout.height) });
+}
+
+// ─── Persistence ─────────────────────────────────────────────
+function loadLayout(workspace) {
+  try {
+    return normalizeLayout(JSON.parse(fs.readFileSync(path.join(workspace.dir, LAYOUT_FILE), 'utf8')));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('[HUD] Failed to load layout:', e.message);
+    return defaultLayout();
+  }
+}
+
+function saveLayout(workspace, layout) {
+  const file = path.join(workspace.dir, LAYOUT_FILE);
+  try {
+    fs.mkdirSync(workspace.dir, { recursive: true, mode: 0o700 });
+    const tmp = file + '.' + process.pid + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(normalizeLayout(layout), null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.error('[HUD] Failed to save layout:', e.message);
+  }
+}
+
+module.exports = {
+  MAX_PANES,
+  MIN_HEIGHT,
+  defaultLayout,
+  normalizeLayout,
+  orderTabs,
+  moveTab,
+  isVisible,
+  showTab,
+  toggleTab,
+  setPaneCount,
+  focusPane,
+  detachTab,
+  moveFloating,
+  attachTab,
+  closeTab,
+  setHeight,
+  loadLayout,
+  saveLayout,
+};
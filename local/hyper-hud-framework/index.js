@@ -6,59 +6,30 @@
 //  Other plugins register tabs via window.__hyperRecon.hud
 // ══════════════════════════════════════════════════════════════
 
-const EventEmitter = require('events');
-
-// ─── Shared Namespace ────────────────────────────────────────
-function initRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { parseChunk } = require('./sentinel');
+const workspaces = require('./workspace');
+const hudLayout = require('./hudLayout');
+const { exposeStore } = require('./reconStore');
+const { emitEvent } = require('./events');
+const { getRecon, trackSession, execInTerminal, registerPlugin, unregisterPlugin } = require('./runtime');
+const { feedPty, shellIntegrated } = require('./ptyStream');
+const { detectShell, installShellIntegration } = require('./shellIntegration');
+const { version } = require('./package.json');
 
 // ─── Session Tracking ────────────────────────────────────────
-let activeUid = null;
-
 exports.middleware = (store) => (next) => (action) => {
-  const recon = initRecon();
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      recon.activeUid = action.uid;
-      recon.events.emit('session:active', action.uid);
-      break;
-    case 'SESSION_ADD':
-      if (!activeUid) { activeUid = action.uid; recon.activeUid = action.uid; }
-      recon.sessions.set(action.uid, { started: Date.now() });
-      recon.events.emit('session:add', action.uid);
-      break;
-    case 'SESSION_PTY_DATA':
-      recon.events.emit('pty:data', { uid: action.uid, data: action.data });
-      break;
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT':
-      if (action.uid === activeUid) { activeUid = null; recon.activeUid = null; }
-      recon.sessions.delete(action.uid);
-      recon.events.emit('session:exit', action.uid);
-      break;
+  trackSession(action);
+  feedPty(action);
+  if (action.type === 'SESSION_PTY_DATA') {
+    const recon = getRecon();
+    emitEvent(recon, 'pty:data', { uid: action.uid, data: action.data });
+    for (const done of parseChunk(action.data)) {
+      emitEvent(recon, 'command:done', { uid: action.uid, id: done.id, code: done.code, ts: Date.now() });
+    }
   }
   return next(action);
 };
 
-// ─── Exec helper exposed globally ────────────────────────────
-function execInTerminal(cmd, uid) {
-  const target = uid || activeUid;
-  if (!target) return;
-  window.rpc.emit('data', { uid: target, data: cmd + '\n', escaped: false });
-}
-
 // ══════════════════════════════════════════════════════════════
 //  HUD BAR — React component added to Hyper footer
 // ══════════════════════════════════════════════════════════════
@@ -67,20 +38,25 @@ exports.decorateHyper = (Hyper, { React }) => {
   return class HudHyper extends React.Component {
     constructor(props) {
       super(props);
+      const workspace = workspaces.getActiveWorkspace();
       this.state = {
         tabs: [],
-        activeTab: null,
-        collapsed: true,
-        panelHeight: 180,
+        layout: hudLayout.loadLayout(workspace),
+        workspace,
+        workspaceList: [],
+        workspaceMenu: false,
+        workspaceDraft: '',
+        shellIntegrated: false,
       };
       this._hudApi = null;
-      this._resizing = false;
-      this._startY = 0;
-      this._startH = 0;
+      this._unwatchWorkspace = null;
+      this._onShellState = () => this._checkShellIntegration();
+      this._saveTimer = null;
+      this._dragTab = null;
     }
 
     componentDidMount() {
-      const recon = initRecon();
+      const recon = getRecon();
       const self = this;
 
       // Expose HUD API
@@ -93,10 +69,8 @@ exports.decorateHyper = (Hyper, { React }) => {
         },
 
         removeTab(id) {
-          self.setState(prev => ({
-            tabs: prev.tabs.filter(t => t.id !== id),
-            activeTab: prev.activeTab === id ? null : prev.activeTab,
-          }));
+          self.setState(prev => ({ tabs: prev.tabs.filter(t => t.id !== id) }));
+          self._updateLayout(l => hudLayout.closeTab(l, id));
         },
 
         updateBadge(tabId, badge) {
@@ -106,56 +80,362 @@ exports.decorateHyper = (Hyper, { React }) => {
         },
 
         notify(message, type = 'info') {
-          recon.events.emit('hud:notify', { message, type, ts: Date.now() });
+          emitEvent(recon, 'hud:notify', { message, type, ts: Date.now() });
         },
 
         setActiveTab(id) {
-          self.setState({ activeTab: id, collapsed: false });
+          self._updateLayout(l => hudLayout.showTab(l, id));
+        },
+
+        getWorkspace() {
+          return self.state.workspace;
+        },
+
+        installShellIntegration(shell) {
+          return self._installShellIntegration(shell);
         },
 
         exec: execInTerminal,
       };
 
       recon.hud = this._hudApi;
-      recon.exec = execInTerminal;
-      recon.events.emit('hud:ready', this._hudApi);
+      recon.workspace = this.state.workspace;
+      exposeStore(recon);
+      registerPlugin({
+        name: 'hud-framework',
+        version,
+        provides: { hud: 1, workspaces: 1, store: 1 },
+        api: { hud: this._hudApi },
+      });
+      // Another window may switch the engagement under us
+      this._unwatchWorkspace = workspaces.watchWorkspace((ws) => this._setWorkspace(ws));
+      recon.events.on('session:active', this._onShellState);
+      recon.events.on('pty:command', this._onShellState);
+      emitEvent(recon, 'hud:ready', this._hudApi);
     }
 
     componentWillUnmount() {
-      const recon = initRecon();
+      const recon = getRecon();
       recon.hud = null;
+      unregisterPlugin('hud-framework');
+      if (this._unwatchWorkspace) this._unwatchWorkspace();
+      this._flushLayout();
+      recon.events.removeListener('session:active', this._onShellState);
+      recon.events.removeListener('pty:command', this._onShellState);
     }
 
-    _onTabClick(id) {
-      this.setState(prev => {
-        if (prev.activeTab === id && !prev.collapsed) {
-          return { collapsed: true };
-        }
-        return { activeTab: id, collapsed: false };
+    // ─── Shell integration ─────────────────────────────────────
+    _checkShellIntegration() {
+      const integrated = shellIntegrated(getRecon().activeUid);
+      if (integrated !== this.state.shellIntegrated) this.setState({ shellIntegrated: integrated });
+    }
+
+    _installShellIntegration(shell) {
+      const name = shell || detectShell();
+      if (!name) {
+        this._hudApi.notify('Shell integration: unknown shell, source a snippet from hyper-hud-framework/shell-integration', 'error');
+        return null;
+      }
+      try {
+        const res = installShellIntegration(name);
+        this._hudApi.notify(res.added
+          ? 'Shell integration added to ' + res.rc + ', active in new terminals'
+          : 'Shell integration is already in ' + res.rc, 'info');
+        return res;
+      } catch (e) {
+        console.error('[HUD] Shell integration install failed:', e.message);
+        this._hudApi.notify('Shell integration: ' + e.message, 'error');
+        return null;
+      }
+    }
+
+    // ─── Layout ────────────────────────────────────────────────
+    // Saved to the workspace shortly after it stops changing (a resize
+    // drag changes it on every mouse move).
+    _updateLayout(fn) {
+      this.setState(prev => ({ layout: fn(prev.layout) }), () => {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = setTimeout(() => this._flushLayout(), 500);
       });
     }
 
-    _onResizeStart(e) {
-      this._resizing = true;
-      this._startY = e.clientY;
-      this._startH = this.state.panelHeight;
-      const onMove = (ev) => {
-        if (!this._resizing) return;
-        const delta = this._startY - ev.clientY;
-        this.setState({ panelHeight: Math.max(80, Math.min(500, this._startH + delta)) });
+    _flushLayout() {
+      if (!this._saveTimer) return;
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+      hudLayout.saveLayout(this.state.workspace, this.state.layout);
+    }
+
+    // ─── Workspaces ────────────────────────────────────────────
+    // Plugins reload their data on 'workspace:changed'; the HUD
+    // switches to the layout kept for the workspace.
+    _setWorkspace(ws) {
+      const previous = this.state.workspace;
+      if (previous && previous.slug === ws.slug) return;
+      const recon = getRecon();
+      recon.workspace = ws;
+      exposeStore(recon, { reopen: true });
+      this._flushLayout();
+      this.setState({ workspace: ws, workspaceMenu: false, layout: hudLayout.loadLayout(ws) });
+      emitEvent(recon, 'workspace:changed', { workspace: ws, previous });
+    }
+
+    _workspaceAction(fn) {
+      try {
+        return fn();
+      } catch (e) {
+        this._hudApi.notify(e.message, 'error');
+        return null;
+      }
+    }
+
+    _toggleWorkspaceMenu() {
+      this.setState(prev => ({
+        workspaceMenu: !prev.workspaceMenu,
+        workspaceList: prev.workspaceMenu ? [] : workspaces.listWorkspaces(),
+        workspaceDraft: '',
+      }));
+    }
+
+    _switchWorkspace(slug) {
+      const ws = this._workspaceAction(() => workspaces.switchWorkspace(slug));
+      if (ws) this._setWorkspace(ws);
+    }
+
+    _createWorkspace() {
+      const name = this.state.workspaceDraft.trim();
+      if (!name) return;
+      const ws = this._workspaceAction(() => workspaces.createWorkspace(name));
+      if (ws) this._switchWorkspace(ws.slug);
+    }
+
+    _archiveWorkspace(slug) {
+      if (this._workspaceAction(() => workspaces.archiveWorkspace(slug))) {
+        this.setState({ workspaceList: workspaces.listWorkspaces() });
+      }
+    }
+
+    _onTabClick(id) {
+      this._updateLayout(l => hudLayout.toggleTab(l, id));
+    }
+
+    // Tallest the panel may be and still leave some terminal
+    _maxHeight() {
+      return Math.max(hudLayout.MIN_HEIGHT, (window.innerHeight || 600) - 120);
+    }
+
+    // Mouse drag helper: onMove(dx, dy) until the button is released
+    _drag(e, onMove) {
+      e.preventDefault();
+      const startX = e.clientX;
+      const startY = e.clientY;
+      const move = (ev) => onMove(ev.clientX - startX, ev.clientY - startY);
+      const up = () => {
+        document.removeEventListener('mousemove', move);
+        document.removeEventListener('mouseup', up);
       };
-      const onUp = () => {
-        this._resizing = false;
-        document.removeEventListener('mousemove', onMove);
-        document.removeEventListener('mouseup', onUp);
+      document.addEventListener('mousemove', move);
+      document.addEventListener('mouseup', up);
+    }
+
+    _onResizeStart(e) {
+      const startH = this.state.layout.height;
+      this._drag(e, (dx, dy) => {
+        this._updateLayout(l => hudLayout.setHeight(l, Math.min(this._maxHeight(), startH - dy)));
+      });
+    }
+
+    _onFloatDrag(e, id, resize) {
+      const start = this.state.layout.floating[id];
+      if (!start) return;
+      this._drag(e, (dx, dy) => {
+        const rect = resize ? { w: start.w + dx, h: start.h + dy } : { x: start.x + dx, y: start.y + dy };
+        this._updateLayout(l => hudLayout.moveFloating(l, id, rect));
+      });
+    }
+
+    _detachTab(id) {
+      const n = Object.keys(this.state.layout.floating).length;
+      this._updateLayout(l => hudLayout.detachTab(l, id, { x: 80 + 24 * n, y: 60 + 24 * n, w: 460, h: 320 }));
+    }
+
+    // Drag and drop of tabs: onto a tab to reorder the bar, onto a
+    // pane to show it there
+    _dragProps(onDrop) {
+      return {
+        onDragOver: (e) => { if (this._dragTab) e.preventDefault(); },
+        onDrop: (e) => {
+          e.preventDefault();
+          const id = this._dragTab;
+          this._dragTab = null;
+          if (id) onDrop(id);
+        },
       };
-      document.addEventListener('mousemove', onMove);
-      document.addEventListener('mouseup', onUp);
+    }
+
+    _dropOnBar(id, beforeId) {
+      const ids = hudLayout.orderTabs(this.state.tabs, this.state.layout).map(t => t.id);
+      this._updateLayout(l => hudLayout.moveTab(l, ids, id, beforeId));
+    }
+
+    _renderWorkspaceMenu(React) {
+      const { workspace, workspaceList, workspaceDraft } = this.state;
+      const rowStyle = { display: 'flex', alignItems: 'center', gap: '6px', padding: '3px 8px', cursor: 'pointer' };
+
+      return React.createElement('div', {
+        style: {
+          position: 'absolute',
+          bottom: '28px',
+          left: '52px',
+          minWidth: '200px',
+          background: '#161b22',
+          border: '1px solid #30363d',
+          borderRadius: '4px',
+          padding: '4px 0',
+          zIndex: 200,
+        },
+      },
+        ...workspaceList.map(ws => React.createElement('div', {
+          key: ws.slug,
+          style: Object.assign({}, rowStyle, { color: ws.slug === workspace.slug ? '#f0f6fc' : '#8b949e' }),
+          onClick: () => this._switchWorkspace(ws.slug),
+        },
+          React.createElement('span', { style: { flex: 1 } }, (ws.slug === workspace.slug ? '\u25C6 ' : '  ') + ws.name),
+          ws.slug !== workspace.slug && ws.slug !== workspaces.DEFAULT_WORKSPACE && React.createElement('span', {
+            style: { fontSize: '10px', color: '#6e7681' },
+            title: 'Archive',
+            onClick: (e) => { e.stopPropagation(); this._archiveWorkspace(ws.slug); },
+          }, 'archive')
+        )),
+        React.createElement('input', {
+          value: workspaceDraft,
+          placeholder: 'New workspace\u2026',
+          onChange: (e) => this.setState({ workspaceDraft: e.target.value }),
+          onKeyDown: (e) => {
+            if (e.key === 'Enter') this._createWorkspace();
+            if (e.key === 'Escape') this._toggleWorkspaceMenu();
+          },
+          style: {
+            margin: '4px 8px 2px',
+            width: 'calc(100% - 16px)',
+            boxSizing: 'border-box',
+            background: '#0d1117',
+            border: '1px solid #30363d',
+            borderRadius: '3px',
+            color: '#c9d1d9',
+            fontSize: '11px',
+            padding: '2px 6px',
+          },
+        })
+      );
+    }
+
+    _tabContent(React, tab) {
+      if (!tab) return React.createElement('div', { style: { color: '#6e7681' } }, 'Not loaded');
+      return typeof tab.renderFn === 'function'
+        ? tab.renderFn(React)
+        : React.createElement('div', null, 'No content');
+    }
+
+    _renderHeaderButton(React, label, title, onClick) {
+      return React.createElement('span', {
+        style: { cursor: 'pointer', padding: '0 4px', color: '#8b949e' },
+        title,
+        onMouseDown: (e) => e.stopPropagation(),
+        onClick: (e) => { e.stopPropagation(); onClick(); },
+      }, label);
+    }
+
+    _renderPane(React, tabId, index, contentStyle) {
+      const { tabs, layout } = this.state;
+      const tab = tabs.find(t => t.id === tabId);
+      const focused = layout.focus === index && layout.panes.length > 1;
+
+      return React.createElement('div', Object.assign({
+        key: 'pane-' + index,
+        style: {
+          flex: 1,
+          minWidth: 0,
+          display: 'flex',
+          flexDirection: 'column',
+          borderLeft: index > 0 ? '1px solid #21262d' : 'none',
+          borderTop: '1px solid ' + (focused ? '#58a6ff' : 'transparent'),
+        },
+        onMouseDown: () => { if (layout.focus !== index) this._updateLayout(l => hudLayout.focusPane(l, index)); },
+      }, this._dragProps(id => this._updateLayout(l => hudLayout.showTab(l, id, index)))),
+        tabId && React.createElement('div', {
+          style: { display: 'flex', alignItems: 'center', height: '18px', padding: '0 8px', fontSize: '10px', color: '#6e7681', flexShrink: 0 },
+        },
+          React.createElement('span', { style: { flex: 1 } }, tab ? tab.label : tabId),
+          this._renderHeaderButton(React, '\u21F1', 'Pop out into a floating window', () => this._detachTab(tabId)),
+          this._renderHeaderButton(React, '\u00D7', 'Close', () => this._updateLayout(l => hudLayout.closeTab(l, tabId)))
+        ),
+        React.createElement('div', { style: Object.assign({}, contentStyle, { flex: 1, height: 'auto', minHeight: 0 }) },
+          tabId
+            ? this._tabContent(React, tab)
+            : React.createElement('div', { style: { color: '#6e7681' } }, 'Click a tab, or drag one here')
+        )
+      );
+    }
+
+    _renderFloating(React, id, rect, contentStyle) {
+      const tab = this.state.tabs.find(t => t.id === id);
+      if (!tab) return null;
+
+      return React.createElement('div', {
+        key: 'float-' + id,
+        style: {
+          position: 'absolute',
+          left: rect.x + 'px',
+          top: rect.y + 'px',
+          width: rect.w + 'px',
+          height: rect.h + 'px',
+          display: 'flex',
+          flexDirection: 'column',
+          background: '#0d1117',
+          border: '1px solid #30363d',
+          borderRadius: '4px',
+          boxShadow: '0 8px 24px rgba(0,0,0,0.5)',
+          zIndex: 150,
+        },
+      },
+        React.createElement('div', {
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            height: '22px',
+            padding: '0 8px',
+            fontSize: '11px',
+            color: '#c9d1d9',
+            background: '#161b22',
+            borderBottom: '1px solid #21262d',
+            cursor: 'move',
+            userSelect: 'none',
+            flexShrink: 0,
+          },
+          onMouseDown: (e) => this._onFloatDrag(e, id, false),
+        },
+          tab.icon && React.createElement('span', { style: { fontSize: '10px', marginRight: '4px' } }, tab.icon),
+          React.createElement('span', { style: { flex: 1 } }, tab.label),
+          this._renderHeaderButton(React, '\u21F2', 'Dock back into the panel', () => this._updateLayout(l => hudLayout.attachTab(l, id))),
+          this._renderHeaderButton(React, '\u00D7', 'Close', () => this._updateLayout(l => hudLayout.closeTab(l, id)))
+        ),
+        React.createElement('div', { style: Object.assign({}, contentStyle, { flex: 1, height: 'auto', minHeight: 0 }) },
+          this._tabContent(React, tab)
+        ),
+        // Resize grip
+        React.createElement('div', {
+          style: { position: 'absolute', right: 0, bottom: 0, width: '12px', height: '12px', cursor: 'nwse-resize' },
+          onMouseDown: (e) => this._onFloatDrag(e, id, true),
+        })
+      );
     }
 
     render() {
-      const { tabs, activeTab, collapsed, panelHeight } = this.state;
-      const activeTabObj = tabs.find(t => t.id === activeTab);
+      const { tabs, layout, workspace } = this.state;
+      const { collapsed } = layout;
+      const panelHeight = Math.min(layout.height, this._maxHeight());
+      const orderedTabs = hudLayout.orderTabs(tabs, layout);
 
       const tabBarStyle = {
         display: 'flex',
@@ -170,6 +450,7 @@ exports.decorateHyper = (Hyper, { React }) => {
         color: '#8b949e',
         flexShrink: 0,
         zIndex: 100,
+        position: 'relative',
       };
 
       const panelStyle = {
@@ -179,6 +460,7 @@ exports.decorateHyper = (Hyper, { React }) => {
         borderTop: collapsed ? 'none' : '1px solid #21262d',
         transition: 'height 0.15s ease',
         position: 'relative',
+        display: 'flex',
       };
 
       const resizeHandleStyle = {
@@ -201,22 +483,19 @@ exports.decorateHyper = (Hyper, { React }) => {
       };
 
       return React.createElement('div', { style: { display: 'flex', flexDirection: 'column', height: '100%' } },
-        // Main Hyper content
+        // Main Hyper content, with popped-out tabs floating over it
         React.createElement('div', { style: { flex: 1, overflow: 'hidden', position: 'relative' } },
-          React.createElement(Hyper, this.props)
+          React.createElement(Hyper, this.props),
+          ...Object.entries(layout.floating).map(([id, rect]) => this._renderFloating(React, id, rect, panelContentStyle))
         ),
 
-        // Panel content area
+        // Panel content area: one to three panes side by side
         React.createElement('div', { style: panelStyle },
           !collapsed && React.createElement('div', {
             style: resizeHandleStyle,
             onMouseDown: (e) => this._onResizeStart(e),
           }),
-          !collapsed && activeTabObj && React.createElement('div', { style: panelContentStyle },
-            typeof activeTabObj.renderFn === 'function'
-              ? activeTabObj.renderFn(React)
-              : React.createElement('div', null, 'No content')
-          )
+          ...(collapsed ? [] : layout.panes.map((id, i) => this._renderPane(React, id, i, panelContentStyle)))
         ),
 
         // Tab bar
@@ -226,9 +505,27 @@ exports.decorateHyper = (Hyper, { React }) => {
             style: { fontWeight: 700, color: '#58a6ff', marginRight: '8px', fontSize: '10px', letterSpacing: '0.5px' }
           }, 'RECON'),
 
-          // Tabs
-          ...tabs.map(tab => {
-            const isActive = tab.id === activeTab && !collapsed;
+          // Active workspace
+          React.createElement('span', {
+            style: {
+              cursor: 'pointer',
+              padding: '1px 6px',
+              marginRight: '8px',
+              border: '1px solid #30363d',
+              borderRadius: '3px',
+              color: '#d29922',
+              fontSize: '10px',
+              userSelect: 'none',
+            },
+            onClick: () => this._toggleWorkspaceMenu(),
+            title: 'Workspace (engagement): click to switch',
+          }, '\u25C6 ' + workspace.name),
+          this.state.workspaceMenu && this._renderWorkspaceMenu(React),
+
+          // Tabs, in the order they were dragged into
+          ...orderedTabs.map(tab => {
+            const isActive = hudLayout.isVisible(layout, tab.id);
+            const isFocused = isActive && (!!layout.floating[tab.id] || layout.panes[layout.focus] === tab.id);
             const tabStyle = {
               padding: '3px 10px',
               borderRadius: '4px 4px 0 0',
@@ -241,17 +538,23 @@ exports.decorateHyper = (Hyper, { React }) => {
               alignItems: 'center',
               gap: '4px',
               transition: 'background 0.1s',
-              borderBottom: isActive ? '2px solid #58a6ff' : '2px solid transparent',
+              borderBottom: isFocused ? '2px solid #58a6ff' : isActive ? '2px solid #30363d' : '2px solid transparent',
               userSelect: 'none',
             };
 
-            return React.createElement('div', {
+            return React.createElement('div', Object.assign({
               key: tab.id,
               style: tabStyle,
+              draggable: true,
+              onDragStart: (e) => {
+                this._dragTab = tab.id;
+                if (e.dataTransfer) e.dataTransfer.setData('text/plain', tab.id);
+              },
+              onDragEnd: () => { this._dragTab = null; },
               onClick: () => this._onTabClick(tab.id),
               onMouseEnter: (e) => { if (!isActive) e.target.style.color = '#c9d1d9'; },
               onMouseLeave: (e) => { if (!isActive) e.target.style.color = '#8b949e'; },
-            },
+            }, this._dragProps(id => this._dropOnBar(id, tab.id))),
               tab.icon && React.createElement('span', { style: { fontSize: '10px' } }, tab.icon),
               tab.label,
               tab.badge != null && React.createElement('span', {
@@ -269,13 +572,43 @@ exports.decorateHyper = (Hyper, { React }) => {
             );
           }),
 
-          // Spacer
-          React.createElement('div', { style: { flex: 1 } }),
+          // Spacer (dropping a tab here moves it to the end)
+          React.createElement('div', Object.assign({ style: { flex: 1, alignSelf: 'stretch' } },
+            this._dragProps(id => this._dropOnBar(id, null)))),
+
+          // Split into 1-3 panes
+          ...[1, 2, 3].map(n => React.createElement('span', {
+            key: 'split-' + n,
+            style: {
+              cursor: 'pointer',
+              padding: '0 4px',
+              fontSize: '10px',
+              color: layout.panes.length === n ? '#58a6ff' : '#6e7681',
+              userSelect: 'none',
+            },
+            title: n === 1 ? 'One view' : 'Split into ' + n + ' views',
+            onClick: () => this._updateLayout(l => hudLayout.setPaneCount(Object.assign({}, l, { collapsed: false }), n)),
+          }, ['\u25AF', '\u25EB', '\u2AF4'][n - 1])),
+
+          // Shell integration of the active terminal
+          React.createElement('span', {
+            style: {
+              cursor: this.state.shellIntegrated ? 'default' : 'pointer',
+              padding: '1px 6px',
+              fontSize: '10px',
+              color: this.state.shellIntegrated ? '#3fb950' : '#6e7681',
+              userSelect: 'none',
+            },
+            onClick: () => { if (!this.state.shellIntegrated) this._installShellIntegration(); },
+            title: this.state.shellIntegrated
+              ? 'Shell integration: exact commands, cwd and exit codes'
+              : 'No shell integration: commands are guessed from prompts. Click to install',
+          }, '\u2301 shell'),
 
           // Collapse toggle
           !collapsed && React.createElement('span', {
             style: { cursor: 'pointer', padding: '2px 6px', borderRadius: '3px', fontSize: '10px' },
-            onClick: () => this.setState({ collapsed: true }),
+            onClick: () => this._updateLayout(l => Object.assign({}, l, { collapsed: true })),
             title: 'Collapse',
           }, '\u25BC')
         )
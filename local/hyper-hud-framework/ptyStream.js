@@ -0,0 +1,342 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  PTY STREAM
+//  One demultiplexer for all terminal output. Every
+//  SESSION_PTY_DATA chunk is decoded once here: sentinel markers
+//  are taken out, carriage-return overwrites (progress bars) are
+//  collapsed, ANSI is stripped, and lines are assembled per
+//  session. Plugins subscribe to the result instead of keeping
+//  their own buffers:
+//    pty:line          one complete line of output
+//    pty:command       a command started (echoed after a prompt,
+//                      or dispatched wrapped by a plugin)
+//    pty:output-block  a command finished, with all its lines
+//  Shells with shell integration (see shellIntegration.js) give
+//  exact commands, cwd and exit codes; elsewhere commands are
+//  guessed from prompts.
+// ══════════════════════════════════════════════════════════════
+
+const { splitChunk, unwrapCommand } = require('./sentinel');
+const { splitMarks, detectShell } = require('./shellIntegration');
+const { getRecon, stripAnsi } = require('./runtime');
+const { emitEvent } = require('./events');
+
+// Same fallback the trackers used: a line left unfinished that ends in
+// a prompt character is taken to be a shell prompt
+const PROMPT_RE = /[$#%>]\s*$/;
+const MAX_PARTIAL = 8192;
+const MAX_BLOCK_LINES = 5000;
+// An escape sequence cut off at the end of a chunk waits for the next
+// one, up to this long
+const MAX_CARRY = 512;
+
+// ─── Decoding ────────────────────────────────────────────────
+// Only what is left after the last carriage return is ever visible;
+// a trailing \r is kept since it may be the first half of \r\n.
+function collapseReturns(raw) {
+  const cut = raw.lastIndexOf('\r', raw.length - 2);
+  return cut === -1 ? raw : raw.slice(cut + 1);
+}
+
+// Line editing echoes backspaces over what was typed
+function applyBackspaces(raw) {
+  if (raw.indexOf('\x08') === -1) return raw;
+  let out = raw;
+  let prev;
+  do {
+    prev = out;
+    // eslint-disable-next-line no-control-regex
+    out = out.replace(/[^\x08]\x08/g, '');
+  } while (out !== prev);
+  return out;
+}
+
+function cleanLine(raw) {
+  return stripAnsi(applyBackspaces(collapseReturns(raw)));
+}
+
+// Split off an unterminated escape sequence at the end of `text`, so
+// a sentinel or shell mark spanning two chunks is still found whole.
+function splitCarry(text) {
+  const osc = text.lastIndexOf('\x1b]');
+  if (osc !== -1 && text.length - osc <= MAX_CARRY) {
+    const tail = text.slice(osc);
+    if (tail.indexOf('\x07') === -1 && tail.indexOf('\x1b\\') === -1) return [text.slice(0, osc), tail];
+  }
+  if (text.endsWith('\x1b')) return [text.slice(0, -1), '\x1b'];
+  return [text, ''];
+}
+
+// Without a B mark, the typed command is what follows the prompt
+function stripPrompt(line) {
+  return line.replace(/^.*?[$#%>]\s/, '');
+}
+
+// ─── Demultiplexer ───────────────────────────────────────────
+// emit(name, payload) receives the events; the shared instance sends
+// them over the recon event bus.
+class PtyDemux {
+  constructor(emit) {
+    this._emit = emit;
+    this._sessions = new Map();
+    // Actions already fed, see feedPty()
+    this.fed = new WeakSet();
+  }
+
+  _session(uid) {
+    let s = this._sessions.get(uid);
+    if (!s) {
+      // phase: where an integrated shell is, 'prompt', 'input',
+      // 'typed' (the command line is complete) or 'output'
+      s = {
+        partial: '', carry: '', prompt: null, command: null,
+        integrated: false, phase: null, input: [], cwd: null, shell: null,
+      };
+      this._sessions.set(uid, s);
+    }
+    return s;
+  }
+
+  // The command currently running in `uid`, if one was seen starting
+  current(uid) {
+    const s = this._sessions.get(uid);
+    return s && s.command ? s.command.command : null;
+  }
+
+  // Whether `uid` runs a shell that marks its commands
+  integrated(uid) {
+    const s = this._sessions.get(uid);
+    return !!(s && s.integrated);
+  }
+
+  // The shell `uid` runs, when its shell integration said
+  shell(uid) {
+    const s = this._sessions.get(uid);
+    return s ? s.shell : null;
+  }
+
+  feed(uid, data, ts) {
+    if (!uid || !data) return;
+    const now = ts || Date.now();
+    const s = this._session(uid);
+    const [text, carry] = splitCarry(s.carry + (typeof data === 'string' ? data : data.toString('utf8')));
+    s.carry = carry;
+
+    for (const part of splitChunk(text)) {
+      if (part.done) {
+        this._flushPartial(uid, s, now);
+        this._endCommand(uid, s, now, part.done);
+        continue;
+      }
+      for (const piece of splitMarks(part.text)) {
+        if (piece.mark) this._mark(uid, s, piece.mark, now);
+        else this._text(uid, s, piece.text, now);
+      }
+    }
+
+    // A prompt is only recognised at the end of a chunk, before anything
+    // is typed after it
+    if (!s.integrated && s.prompt === null && s.partial) {
+      const visible = cleanLine(s.partial);
+      if (PROMPT_RE.test(visible)) {
+        s.prompt = visible.trimEnd();
+        if (s.command && !s.command.id) this._endCommand(uid, s, now, null);
+      }
+    }
+  }
+
+  // Session closed: whatever is left ends here
+  end(uid, ts) {
+    const s = this._sessions.get(uid);
+    if (!s) return;
+    const now = ts || Date.now();
+    this._flushPartial(uid, s, now);
+    this._endCommand(uid, s, now, null);
+    this._sessions.delete(uid);
+  }
+
+  _text(uid, s, text, ts) {
+    if (!text) return;
+    const parts = (s.partial + text).split('\n');
+    s.partial = collapseReturns(parts.pop());
+    if (s.partial.length > MAX_PARTIAL) s.partial = s.partial.slice(-MAX_PARTIAL);
+    for (const raw of parts) this._line(uid, s, cleanLine(raw), ts);
+  }
+
+  _flushPartial(uid, s, ts) {
+    if (!s.partial) return;
+    const line = cleanLine(s.partial);
+    s.partial = '';
+    if (line.trim() && !(s.prompt !== null && line.trimEnd() === s.prompt)) this._line(uid, s, line, ts);
+  }
+
+  // ─── Shell integration marks ──────────────────────────────
+  _mark(uid, s, mark, ts) {
+    if (mark.type === 'cwd') {
+      s.cwd = mark.cwd;
+      return;
+    }
+    s.integrated = true;
+    switch (mark.type) {
+      case 'A':
+        if (mark.shell) s.shell = mark.shell;
+        // Output that did not end in a newline, then the prompt
+        this._flushPartial(uid, s, ts);
+        if (s.command && !s.command.id) this._endCommand(uid, s, ts, null);
+        s.phase = 'prompt';
+        s.input = [];
+        break;
+      case 'B':
+        // What is left unfinished is the prompt itself
+        s.partial = '';
+        s.phase = 'input';
+        s.input = [];
+        break;
+      case 'C':
+        this._shellCommand(uid, s, mark.cmdline, ts);
+        break;
+      case 'D':
+        this._flushPartial(uid, s, ts);
+        // A command line with no C mark and no output
+        if (s.phase === 'typed') this._typedCommand(uid, s, s.input, ts);
+        // A wrapped command normally ended at its sentinel already; one
+        // still open exited before printing it, with this status
+        this._endCommand(uid, s, ts, { id: s.command && s.command.id, code: mark.code });
+        s.phase = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  // The shell sent the command line, or else it is read back from the
+  // echo (which may be mangled where the line editor wrapped it)
+  _shellCommand(uid, s, cmdline, ts) {
+    const last = cleanLine(s.partial);
+    let typed;
+    if (cmdline !== undefined) typed = cmdline.split('\n');
+    else if (s.phase === 'input' || s.phase === 'typed') typed = s.input.concat(last);
+    else typed = [stripPrompt(last || s.input[s.input.length - 1] || '')];
+    s.partial = '';
+    this._typedCommand(uid, s, typed, ts);
+  }
+
+  _typedCommand(uid, s, typed, ts) {
+    s.input = [];
+    s.phase = 'output';
+    const command = typed.map(l => l.trim()).filter(Boolean).join('\n');
+    if (!command) return;
+    const wrapped = unwrapCommand(command);
+    if (wrapped) this._startCommand(uid, s, wrapped.command, wrapped.id, 'sentinel', ts);
+    else this._startCommand(uid, s, command, null, 'shell', ts);
+    this._emitLine(uid, s, wrapped ? wrapped.text : command, ts);
+  }
+
+  _line(uid, s, line, ts) {
+    // Prompt lines and typed input of an integrated shell are not output
+    if (s.phase === 'prompt' || s.phase === 'input') {
+      s.input.push(line);
+      // The C mark comes right after the newline that ends the command
+      // line; what follows without one is output
+      if (s.phase === 'input') s.phase = 'typed';
+      return;
+    }
+    if (s.phase === 'typed') this._typedCommand(uid, s, s.input, ts);
+    const wrapped = unwrapCommand(line);
+    if (wrapped) {
+      this._startCommand(uid, s, wrapped.command, wrapped.id, 'sentinel', ts);
+      line = wrapped.text;
+    } else if (!s.integrated && s.prompt !== null && !(s.command && s.command.id) && line.startsWith(s.prompt)) {
+      // Prompt-like output inside a wrapped command does not start one
+      const command = line.slice(s.prompt.length).trim();
+      if (command) this._startCommand(uid, s, command, null, 'prompt', ts);
+    }
+    s.prompt = null;
+    this._emitLine(uid, s, line, ts);
+  }
+
+  _emitLine(uid, s, line, ts) {
+    const cmd = s.command;
+    if (cmd) {
+      if (cmd.lines.length < MAX_BLOCK_LINES) cmd.lines.push(line);
+      else cmd.truncated++;
+    }
+    this._emit('pty:line', { uid, line, command: cmd ? cmd.command : null, ts });
+  }
+
+  _startCommand(uid, s, command, id, source, ts) {
+    if (s.command) this._endCommand(uid, s, ts, null);
+    s.command = { command, id, source, cwd: s.cwd, startedAt: ts, lines: [], truncated: 0 };
+    this._emit('pty:command', { uid, command, id, source, cwd: s.cwd, ts });
+  }
+
+  // `done` is the sentinel completion, when the command reported one
+  _endCommand(uid, s, ts, done) {
+    const cmd = s.command;
+    if (!cmd) return;
+    s.command = null;
+    // The echo line opened the block; it is not output of the command
+    const lines = cmd.lines.slice(1);
+    this._emit('pty:output-block', {
+      uid,
+      command: cmd.command,
+      id: cmd.id,
+      source: cmd.source,
+      cwd: cmd.cwd,
+      lines,
+      truncated: cmd.truncated,
+      startedAt: cmd.startedAt,
+      endedAt: ts,
+      exitCode: done && (!cmd.id || done.id === cmd.id) ? done.code : null,
+    });
+  }
+}
+
+// ─── Shared instance ─────────────────────────────────────────
+// Kept on the namespace so every plugin copy feeds the same one.
+function getDemux() {
+  const recon = getRecon();
+  if (!recon.pty) recon.pty = new PtyDemux((name, payload) => emitEvent(recon, name, payload));
+  return recon.pty;
+}
+
+// Call from every middleware that relies on pty:* events, with each
+// action. Redux hands all middlewares the same action object, so each
+// chunk is decoded by whichever plugin sees it first and skipped by
+// the rest; the events then reach every subscriber however plugins
+// were ordered.
+function feedPty(action) {
+  if (!action || !action.uid) return;
+  const type = action.type;
+  if (type !== 'SESSION_PTY_DATA' && type !== 'SESSION_PTY_EXIT' && type !== 'SESSION_USER_EXIT') return;
+  const demux = getDemux();
+  if (demux.fed.has(action)) return;
+  demux.fed.add(action);
+  if (type === 'SESSION_PTY_DATA') demux.feed(action.uid, action.data);
+  else demux.end(action.uid);
+}
+
+// The command running in a terminal, as far as the stream has seen
+function currentCommand(uid) {
+  return getDemux().current(uid);
+}
+
+function shellIntegrated(uid) {
+  return getDemux().integrated(uid);
+}
+
+// The shell a terminal runs by name: as its shell integration reported
+// it, else the user's $SHELL
+function sessionShell(uid) {
+  return getDemux().shell(uid) || detectShell();
+}
+
+module.exports = {
+  PtyDemux,
+  cleanLine,
+  feedPty,
+  currentCommand,
+  shellIntegrated,
+  sessionShell,
+};
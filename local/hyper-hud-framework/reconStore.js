@@ -0,0 +1,528 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  RECON STORE
+//  One store per workspace for everything the recon plugins keep:
+//  targets, services, findings, secrets, hashes, checklists and
+//  sessions. SQLite via node:sqlite when available, otherwise one
+//  JSON file per collection (same fallback as TargetStore).
+//  Plugins reach the active workspace's store through
+//  window.__hyperRecon.store (see exposeStore).
+// ══════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { RECON_HOME, workspaceDir, workspaceFile } = require('./workspace');
+const { emitEvent } = require('./events');
+
+// Bumped when stored records need migrating (PRAGMA user_version for
+// sqlite, `version` in the JSON collection files).
+const SCHEMA_VERSION = 1;
+
+function text(value) {
+  const str = value === undefined || value === null ? '' : String(value).trim();
+  return str || null;
+}
+
+function int(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+// ─── Collections ─────────────────────────────────────────────
+// normalize() returns the record to store (null rejects it); fields a
+// collection does not know about are kept as they are. `target` is
+// indexed so per-target lookups stay cheap.
+const COLLECTIONS = {
+  targets: {
+    key: r => r.address,
+    target: r => r.address,
+    normalize: (r) => {
+      const address = text(r.address);
+      if (!address) return null;
+      return Object.assign({}, r, {
+        address,
+        inScope: r.inScope !== false,
+        tags: Array.isArray(r.tags) ? r.tags : [],
+        addedAt: int(r.addedAt) || Date.now(),
+      });
+    },
+  },
+  services: {
+    key: r => r.target + '|' + r.port + '/' + r.proto,
+    target: r => r.target,
+    normalize: (r) => {
+      const target = text(r.target);
+      const port = int(r.port);
+      if (!target || !port || port < 1 || port > 65535) return null;
+      return Object.assign({}, r, {
+        target,
+        port,
+        proto: (text(r.proto) || 'tcp').toLowerCase(),
+        state: text(r.state) || 'open',
+        service: text(r.service),
+        version: text(r.version),
+        source: text(r.source),
+        discoveredAt: int(r.discoveredAt) || Date.now(),
+      });
+    },
+  },
+  findings: {
+    key: r => r.type + '|' + r.target + '|' + r.title,
+    target: r => r.target,
+    normalize: (r) => {
+      const title = text(r.title);
+      if (!title) return null;
+      return Object.assign({}, r, {
+        title,
+        type: text(r.type) || 'misc',
+        severity: text(r.severity) || 'info',
+        target: text(r.target) || 'unknown',
+        timestamp: int(r.timestamp) || Date.now(),
+      });
+    },
+  },
+  secrets: {
+    key: r => r.value,
+    target: () => null,
+    normalize: r => (text(r.value) ? Object.assign({}, r, { timestamp: int(r.timestamp) || Date.now() }) : null),
+  },
+  hashes: {
+    key: r => r.hash,
+    target: () => null,
+    normalize: r => (text(r.hash) ? Object.assign({}, r, { status: text(r.status) || 'detected' }) : null),
+  },
+  checklists: {
+    key: r => r.target + '|' + r.checklistId,
+    target: r => r.target,
+    normalize: (r) => {
+      const target = text(r.target);
+      const checklistId = text(r.checklistId);
+      if (!target || !checklistId) return null;
+      return { target, checklistId, done: r.done && typeof r.done === 'object' ? r.done : {} };
+    },
+  },
+  sessions: {
+    key: r => r.sessionId,
+    target: () => null,
+    normalize: r => (text(r.sessionId) ? Object.assign({}, r) : null),
+  },
+};
+
+const COLLECTION_NAMES = Object.keys(COLLECTIONS);
+
+// ─── Legacy imports ──────────────────────────────────────────
+// What each plugin wrote before the store existed, by file name in the
+// workspace directory. Each import runs once per store.
+function servicesOf(target) {
+  return (Array.isArray(target.services) ? target.services : [])
+    .map(s => Object.assign({ target: target.address }, s));
+}
+
+const LEGACY_IMPORTS = [
+  {
+    id: 'findings-log',
+    file: 'findings.json',
+    records: data => ({ findings: Array.isArray(data) ? data : [] }),
+  },
+  {
+    id: 'secret-sniffer',
+    file: 'secrets.json',
+    records: data => ({ secrets: Array.isArray(data) ? data : [] }),
+  },
+  {
+    id: 'hash-workshop',
+    file: 'hashes.json',
+    records: data => ({ hashes: Array.isArray(data) ? data : [] }),
+  },
+  {
+    id: 'target-book',
+    file: 'targets.json',
+    records: (data) => {
+      const targets = data && Array.isArray(data.targets) ? data.targets : [];
+      return {
+        targets: targets.map((t) => {
+          const rest = Object.assign({}, t);
+          delete rest.services;
+          return rest;
+        }),
+        services: [].concat(...targets.map(servicesOf)),
+      };
+    },
+  },
+  {
+    id: 'vuln-checklist',
+    file: 'checklists.json',
+    records: (data) => {
+      const out = [];
+      const targets = data && data.targets && typeof data.targets === 'object' ? data.targets : {};
+      for (const [target, lists] of Object.entries(targets)) {
+        for (const [checklistId, done] of Object.entries(lists || {})) {
+          out.push({ target, checklistId, done });
+        }
+      }
+      return { checklists: out };
+    },
+  },
+  {
+    id: 'session-scribe',
+    file: path.join('sessions', 'index.json'),
+    records: data => ({ sessions: data && Array.isArray(data.sessions) ? data.sessions : [] }),
+  },
+];
+
+// ─── Store ───────────────────────────────────────────────────
+class ReconStore {
+  constructor(options) {
+    const opts = options || {};
+    this.baseDir = opts.baseDir;
+    this.onChange = typeof opts.onChange === 'function' ? opts.onChange : null;
+    fs.mkdirSync(this.baseDir, { recursive: true, mode: 0o700 });
+
+    this.mode = 'json';
+    this.db = null;
+    this._json = new Map();
+
+    if (!opts.forceJson) {
+      try {
+        const { DatabaseSync } = require('node:sqlite');
+        this.db = new DatabaseSync(path.join(this.baseDir, 'recon.db'));
+        this._initSqlite();
+        this.mode = 'sqlite';
+      } catch (_e) {
+        this.db = null;
+        this.mode = 'json';
+      }
+    }
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  _spec(collection) {
+    const spec = COLLECTIONS[collection];
+    if (!spec) throw new Error('unknown collection "' + collection + '"');
+    return spec;
+  }
+
+  keyOf(collection, record) {
+    return String(this._spec(collection).key(record));
+  }
+
+  _initSqlite() {
+    const tables = COLLECTION_NAMES.map(name => `
+      CREATE TABLE IF NOT EXISTS ${name} (
+        key TEXT PRIMARY KEY,
+        target TEXT,
+        data TEXT NOT NULL,
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+      CREATE INDEX IF NOT EXISTS ${name}_target ON ${name}(target);`).join('\n');
+    this.db.exec(`
+      ${tables}
+      CREATE TABLE IF NOT EXISTS store_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+      PRAGMA user_version = ${SCHEMA_VERSION};
+    `);
+  }
+
+  // ─── JSON mode ─────────────────────────────────────────────
+  _jsonFile(collection) {
+    return path.join(this.baseDir, collection + '.json');
+  }
+
+  _jsonRecords(collection) {
+    if (!this._json.has(collection)) {
+      let records = {};
+      try {
+        const data = JSON.parse(fs.readFileSync(this._jsonFile(collection), 'utf8'));
+        if (data && data.records && typeof data.records === 'object') records = data.records;
+      } catch (_e) {}
+      this._json.set(collection, records);
+    }
+    return this._json.get(collection);
+  }
+
+  _writeJson(collection) {
+    const file = this._jsonFile(collection);
+    const tmp = file + '.tmp';
+    const data = { version: SCHEMA_VERSION, records: this._jsonRecords(collection) };
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  // ─── Reads ─────────────────────────────────────────────────
+  get(collection, key) {
+    this._spec(collection);
+    if (this.mode === 'sqlite') {
+      const row = this.db.prepare(`SELECT data FROM ${collection} WHERE key = ?`).get(String(key));
+      return row ? JSON.parse(row.data) : null;
+    }
+    return this._jsonRecords(collection)[String(key)] || null;
+  }
+
+  // Records in insertion order, optionally only those of one target.
+  list(collection, opts) {
+    const spec = this._spec(collection);
+    const target = opts && opts.target;
+    if (this.mode === 'sqlite') {
+      const rows = target
+        ? this.db.prepare(`SELECT data FROM ${collection} WHERE target = ? ORDER BY rowid`).all(target)
+        : this.db.prepare(`SELECT data FROM ${collection} ORDER BY rowid`).all();
+      return rows.map(row => JSON.parse(row.data));
+    }
+    const records = Object.values(this._jsonRecords(collection));
+    return target ? records.filter(r => spec.target(r) === target) : records;
+  }
+
+  count(collection) {
+    this._spec(collection);
+    if (this.mode === 'sqlite') {
+      return this.db.prepare(`SELECT COUNT(*) AS n FROM ${collection}`).get().n;
+    }
+    return Object.keys(this._jsonRecords(collection)).length;
+  }
+
+  // ─── Writes ────────────────────────────────────────────────
+  // Upsert: a later write fills in what an earlier one did not know.
+  _merge(collection, record) {
+    const spec = this._spec(collection);
+    const normalized = spec.normalize(record || {});
+    if (!normalized) return null;
+    const key = String(spec.key(normalized));
+    const existing = this.get(collection, key);
+    const merged = Object.assign({}, existing);
+    for (const [field, value] of Object.entries(normalized)) {
+      if (value !== null && value !== undefined) merged[field] = value;
+      else if (!(field in merged)) merged[field] = value === undefined ? null : value;
+    }
+    return { key, record: merged, target: spec.target(merged) || null };
+  }
+
+  _writeRows(collection, rows) {
+    if (this.mode === 'sqlite') {
+      const stmt = this.db.prepare(`
+        INSERT INTO ${collection} (key, target, data) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET target = excluded.target, data = excluded.data, updated_at = datetime('now')
+      `);
+      this.db.exec('BEGIN');
+      try {
+        rows.forEach(row => stmt.run(row.key, row.target, JSON.stringify(row.record)));
+        this.db.exec('COMMIT');
+      } catch (e) {
+        this.db.exec('ROLLBACK');
+        throw e;
+      }
+      return;
+    }
+    const records = this._jsonRecords(collection);
+    rows.forEach((row) => { records[row.key] = row.record; });
+    this._writeJson(collection);
+  }
+
+  _changed(collection, op, keys) {
+    if (!this.onChange || keys.length === 0) return;
+    try {
+      this.onChange({ collection, op, keys });
+    } catch (e) {
+      console.error('[ReconStore] Change listener failed:', e.message);
+    }
+  }
+
+  put(collection, record) {
+    const row = this._merge(collection, record);
+    if (!row) return null;
+    this._writeRows(collection, [row]);
+    this._changed(collection, 'put', [row.key]);
+    return row.record;
+  }
+
+  putMany(collection, records) {
+    const byKey = new Map();
+    (records || []).forEach((record) => {
+      const row = this._merge(collection, record);
+      if (row) byKey.set(row.key, byKey.has(row.key) ? this._mergeRows(byKey.get(row.key), row) : row);
+    });
+    const rows = Array.from(byKey.values());
+    if (rows.length > 0) this._writeRows(collection, rows);
+    this._changed(collection, 'put', rows.map(r => r.key));
+    return rows.map(r => r.record);
+  }
+
+  _mergeRows(earlier, later) {
+    const record = Object.assign({}, earlier.record);
+    for (const [field, value] of Object.entries(later.record)) {
+      if (value !== null && value !== undefined) record[field] = value;
+    }
+    return { key: later.key, record, target: later.target };
+  }
+
+  remove(collection, key) {
+    this._spec(collection);
+    const k = String(key);
+    if (this.mode === 'sqlite') {
+      this.db.prepare(`DELETE FROM ${collection} WHERE key = ?`).run(k);
+    } else {
+      const records = this._jsonRecords(collection);
+      if (!(k in records)) return false;
+      delete records[k];
+      this._writeJson(collection);
+    }
+    this._changed(collection, 'remove', [k]);
+    return true;
+  }
+
+  clear(collection) {
+    this._spec(collection);
+    if (this.mode === 'sqlite') {
+      this.db.exec(`DELETE FROM ${collection}`);
+    } else {
+      this._json.set(collection, {});
+      this._writeJson(collection);
+    }
+    this._changed(collection, 'clear', ['*']);
+  }
+
+  // For plugins that hold a whole collection in memory: the collection
+  // becomes exactly `records`.
+  replaceAll(collection, records) {
+    const rows = [];
+    const seen = new Set();
+    const spec = this._spec(collection);
+    (records || []).forEach((record) => {
+      const normalized = spec.normalize(record || {});
+      if (!normalized) return;
+      const key = String(spec.key(normalized));
+      if (seen.has(key)) return;
+      seen.add(key);
+      rows.push({ key, record: normalized, target: spec.target(normalized) || null });
+    });
+
+    if (this.mode === 'sqlite') {
+      this.db.exec('BEGIN');
+      try {
+        this.db.exec(`DELETE FROM ${collection}`);
+        const stmt = this.db.prepare(`INSERT INTO ${collection} (key, target, data) VALUES (?, ?, ?)`);
+        rows.forEach(row => stmt.run(row.key, row.target, JSON.stringify(row.record)));
+        this.db.exec('COMMIT');
+      } catch (e) {
+        this.db.exec('ROLLBACK');
+        throw e;
+      }
+    } else {
+      const next = {};
+      rows.forEach((row) => { next[row.key] = row.record; });
+      this._json.set(collection, next);
+      this._writeJson(collection);
+    }
+    this._changed(collection, 'replace', ['*']);
+  }
+
+  // ─── Legacy imports ────────────────────────────────────────
+  _appliedImports() {
+    if (this.mode === 'sqlite') {
+      return this.db.prepare('SELECT key FROM store_meta WHERE key LIKE ?').all('import:%').map(row => row.key.slice(7));
+    }
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(this.baseDir, 'meta.json'), 'utf8'));
+      return Array.isArray(meta.imports) ? meta.imports : [];
+    } catch (_e) {
+      return [];
+    }
+  }
+
+  _markImported(id) {
+    const at = new Date().toISOString();
+    if (this.mode === 'sqlite') {
+      this.db.prepare('INSERT OR REPLACE INTO store_meta (key, value) VALUES (?, ?)').run('import:' + id, at);
+      return;
+    }
+    const imports = this._appliedImports().concat(id);
+    fs.writeFileSync(path.join(this.baseDir, 'meta.json'), JSON.stringify({ version: SCHEMA_VERSION, imports }, null, 2), 'utf8');
+  }
+
+  // Import each plugin's pre-store file found in `dir` once. Returns the
+  // ids of the imports that ran.
+  importLegacy(dir) {
+    const applied = new Set(this._appliedImports());
+    const ran = [];
+    for (const entry of LEGACY_IMPORTS) {
+      if (applied.has(entry.id)) continue;
+      const file = path.join(dir, entry.file);
+      if (!fs.existsSync(file)) continue;
+      try {
+        const byCollection = entry.records(JSON.parse(fs.readFileSync(file, 'utf8')));
+        for (const [collection, records] of Object.entries(byCollection)) {
+          this.putMany(collection, records);
+        }
+        this._markImported(entry.id);
+        ran.push(entry.id);
+      } catch (e) {
+        console.error('[ReconStore] Failed to import ' + file + ':', e.message);
+      }
+    }
+    return ran;
+  }
+
+  close() {
+    if (this.db) {
+      try {
+        this.db.close();
+      } catch (_e) {}
+      this.db = null;
+    }
+  }
+}
+
+// ─── Shared instance ─────────────────────────────────────────
+// Where target-book kept targets.json before workspaces.
+const TARGET_BOOK_DIR = process.env.HYPER_RECON_DIR
+  || path.join(__dirname, '..', '..', 'cache', 'hyper-recon');
+
+const _stores = new Map();
+
+// The store of the active workspace, opened (and fed the plugins' old
+// files) on first use.
+function openWorkspaceStore(opts) {
+  const dir = workspaceDir();
+  if (!_stores.has(dir)) {
+    for (const entry of LEGACY_IMPORTS) {
+      const sub = path.dirname(entry.file);
+      if (sub !== '.') {
+        workspaceDir(sub, { legacy: path.join(RECON_HOME, sub) });
+        continue;
+      }
+      const candidates = [path.join(RECON_HOME, entry.file)];
+      if (entry.id === 'target-book') candidates.unshift(path.join(TARGET_BOOK_DIR, entry.file));
+      workspaceFile(entry.file, { legacy: candidates.find(f => fs.existsSync(f)) });
+    }
+    const store = new ReconStore(Object.assign({ baseDir: path.join(dir, 'store') }, opts));
+    store.importLegacy(dir);
+    _stores.set(dir, store);
+  }
+  return _stores.get(dir);
+}
+
+// The store on the recon namespace, putting the active workspace's there
+// first if needed (or when `reopen`, after a workspace switch). Writes are
+// announced as 'store:changed'.
+function exposeStore(recon, opts) {
+  if (recon.store && !(opts && opts.reopen)) return recon.store;
+  const store = openWorkspaceStore();
+  if (!store.onChange) {
+    store.onChange = change => emitEvent(recon, 'store:changed', change);
+  }
+  recon.store = store;
+  return store;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  COLLECTIONS: COLLECTION_NAMES,
+  ReconStore,
+  openWorkspaceStore,
+  exposeStore,
+};
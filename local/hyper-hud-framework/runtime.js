@@ -0,0 +1,202 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  RECON RUNTIME
+//  What every recon plugin needs from window.__hyperRecon, in one
+//  place: creating the namespace (with all of its fields, whoever
+//  gets there first), tracking the active terminal session,
+//  sending commands to a terminal, stripping ANSI from PTY data,
+//  and plugin registration. Plugins require this module instead
+//  of carrying their own getRecon()/activeUid/stripAnsi.
+// ══════════════════════════════════════════════════════════════
+
+const EventEmitter = require('events');
+const { emitEvent } = require('./events');
+
+// Bumped when something plugins rely on here changes incompatibly.
+const RUNTIME_API = 1;
+
+// ─── Namespace ───────────────────────────────────────────────
+// A namespace made by an older plugin copy may lack fields; they are
+// filled in on first use, keeping whatever is already there.
+function getRecon() {
+  if (!window.__hyperRecon) window.__hyperRecon = {};
+  const recon = window.__hyperRecon;
+  if (recon.runtime !== RUNTIME_API) {
+    if (!recon.events) {
+      recon.events = new EventEmitter();
+      recon.events.setMaxListeners(50);
+    }
+    if (!(recon.targets instanceof Map)) recon.targets = new Map();
+    if (!Array.isArray(recon.findings)) recon.findings = [];
+    if (!(recon.sessions instanceof Map)) recon.sessions = new Map();
+    if (!(recon.plugins instanceof Map)) recon.plugins = new Map();
+    if (recon.hud === undefined) recon.hud = null;
+    if (recon.activeUid === undefined) recon.activeUid = null;
+    if (typeof recon.exec !== 'function') recon.exec = execInTerminal;
+    recon.runtime = RUNTIME_API;
+  }
+  return recon;
+}
+
+// ─── Sessions ────────────────────────────────────────────────
+// Call from every middleware with each action. Whichever plugin sees an
+// action first records it and emits session:add/active/exit; the calls
+// from the other middlewares are no-ops.
+function trackSession(action) {
+  if (!action || !action.uid) return;
+  const recon = getRecon();
+  const uid = action.uid;
+  switch (action.type) {
+    case 'SESSION_ADD':
+      if (recon.sessions.has(uid)) return;
+      recon.sessions.set(uid, { started: Date.now() });
+      if (!recon.activeUid) recon.activeUid = uid;
+      emitEvent(recon, 'session:add', uid);
+      break;
+    case 'SESSION_SET_ACTIVE':
+      if (recon.activeUid === uid) return;
+      recon.activeUid = uid;
+      emitEvent(recon, 'session:active', uid);
+      break;
+    case 'SESSION_PTY_EXIT':
+    case 'SESSION_USER_EXIT':
+      if (!recon.sessions.has(uid) && recon.activeUid !== uid) return;
+      recon.sessions.delete(uid);
+      if (recon.activeUid === uid) recon.activeUid = null;
+      emitEvent(recon, 'session:exit', uid);
+      break;
+    default:
+      break;
+  }
+}
+
+function getActiveUid() {
+  return getRecon().activeUid;
+}
+
+// ─── Exec ────────────────────────────────────────────────────
+// Write raw data to a terminal (the active one by default). Returns
+// false when there is no session to write to.
+function sendToTerminal(data, uid) {
+  const target = uid || getActiveUid();
+  if (!target || !window.rpc) return false;
+  window.rpc.emit('data', { uid: target, data, escaped: false });
+  return true;
+}
+
+// Run a command line in a terminal (the active one by default).
+function execInTerminal(cmd, uid) {
+  return sendToTerminal(cmd + '\n', uid);
+}
+
+function shellQuote(str) {
+  return "'" + String(str === undefined || str === null ? '' : str).replace(/'/g, "'\\''") + "'";
+}
+
+// ─── ANSI ────────────────────────────────────────────────────
+// Plain text from raw PTY data: CSI (colours, cursor, private modes),
+// OSC (titles, hyperlinks, shell integration), charset selection and
+// the remaining C0 controls except tab and newline. \r goes too, so
+// "\r\n" line ends split the same as "\n".
+/* eslint-disable no-control-regex */
+function stripAnsi(str) {
+  return String(str || '')
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b[()][AB012]/g, '')
+    .replace(/\x1b[@-_=>]/g, '')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+/* eslint-enable no-control-regex */
+
+// ─── Plugins ─────────────────────────────────────────────────
+// registerPlugin({ name, version, runtime, provides, requires, api })
+//   runtime   RUNTIME_API the plugin was written against
+//   provides  { capability: version } it offers, e.g. { hud: 1 }
+//   requires  { capability: minVersion } it needs from others
+//   api       { capability: object } handed to those who use it
+// Returns the registration, or null when the plugin needs a newer
+// runtime than this one.
+function registerPlugin(spec) {
+  const recon = getRecon();
+  const name = spec && spec.name;
+  if (!name) throw new Error('registerPlugin needs a name');
+  const wanted = spec.runtime || 1;
+  if (wanted > RUNTIME_API) {
+    console.error('[Runtime] ' + name + ' needs runtime API ' + wanted + ', this is ' + RUNTIME_API + '; not registered');
+    return null;
+  }
+  const entry = {
+    name,
+    version: spec.version || '0.0.0',
+    provides: Object.assign({}, spec.provides),
+    requires: Object.assign({}, spec.requires),
+    api: Object.assign({}, spec.api),
+    registeredAt: Date.now(),
+  };
+  recon.plugins.set(name, entry);
+  emitEvent(recon, 'plugin:registered', { name, version: entry.version, provides: entry.provides });
+  return entry;
+}
+
+function unregisterPlugin(name) {
+  getRecon().plugins.delete(name);
+}
+
+// The plugin offering `capability` at `minVersion` or later, if any.
+function findProvider(capability, minVersion) {
+  const min = minVersion || 1;
+  for (const entry of getRecon().plugins.values()) {
+    if ((entry.provides[capability] || 0) >= min) return entry;
+  }
+  return null;
+}
+
+// Calls fn(api, provider) once `capability` (at `minVersion`) is there:
+// now, or when its provider registers. Returns a function that cancels
+// the wait.
+function whenCapability(capability, minVersion, fn) {
+  const recon = getRecon();
+  const provider = findProvider(capability, minVersion);
+  if (provider) {
+    fn(provider.api[capability], provider);
+    return () => {};
+  }
+  const onRegistered = (evt) => {
+    const entry = recon.plugins.get(evt.name);
+    if (!entry || (entry.provides[capability] || 0) < (minVersion || 1)) return;
+    recon.events.removeListener('plugin:registered', onRegistered);
+    fn(entry.api[capability], entry);
+  };
+  recon.events.on('plugin:registered', onRegistered);
+  return () => recon.events.removeListener('plugin:registered', onRegistered);
+}
+
+// Requirements of registered plugins that nobody provides (yet), as
+// [{ plugin, capability, version }].
+function missingCapabilities() {
+  const missing = [];
+  for (const entry of getRecon().plugins.values()) {
+    for (const [capability, version] of Object.entries(entry.requires)) {
+      if (!findProvider(capability, version)) missing.push({ plugin: entry.name, capability, version });
+    }
+  }
+  return missing;
+}
+
+module.exports = {
+  RUNTIME_API,
+  getRecon,
+  trackSession,
+  getActiveUid,
+  sendToTerminal,
+  execInTerminal,
+  shellQuote,
+  stripAnsi,
+  registerPlugin,
+  unregisterPlugin,
+  findProvider,
+  whenCapability,
+  missingCapabilities,
+};
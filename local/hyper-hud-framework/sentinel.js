@@ -0,0 +1,109 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  COMMAND SENTINEL
+//  Wraps commands dispatched by recon plugins so they report
+//  their exit status when they finish, as the marker
+//      __HYPER_DONE_<id>_<rc>
+//  carried inside a private OSC escape sequence. Terminals drop
+//  unknown OSC sequences, so the user never sees it, but every
+//  plugin middleware can find it in the raw PTY stream.
+// ══════════════════════════════════════════════════════════════
+
+const MARKER = '__HYPER_DONE';
+const OSC_CODE = 1731;
+const ID_RE = /^[A-Za-z0-9-]+$/;
+const SENTINEL_RE = /\x1b\]1731;__HYPER_DONE_([A-Za-z0-9-]+)_(\d+)(?:\x07|\x1b\\)/g;
+// The printf that ends every wrapper. The echoed command line shows
+// its format, never a real marker.
+const PRINTF = 'printf "\\033]' + OSC_CODE + ';' + MARKER + '_%s_%s\\007" ';
+const PRINTF_RE = 'printf "\\\\033\\]' + OSC_CODE + ';' + MARKER + '_%s_%s\\\\007" (?<id>[A-Za-z0-9-]+) ';
+
+function shQuote(str) {
+  return "'" + String(str).replace(/'/g, "'\\''") + "'";
+}
+
+// fish reads `\\` and `\'` inside single quotes as escapes
+function fishQuote(str) {
+  return "'" + String(str).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+}
+
+// Wrappers by the interactive shell they are typed into. The command is
+// quoted and eval'd, so a trailing comment or `&` cannot swallow the
+// printf, and run in a subshell (a child fish for fish), so an `exit`
+// in it cannot end the shell before the marker prints. bash and zsh run
+// it with the user's aliases and functions; a shell not known here gets
+// it through `sh -c`, where `$?` works whatever the shell is.
+const WRAPPERS = {
+  posix: {
+    wrap: (cmd, id) => '(eval ' + shQuote(cmd) + '); ' + PRINTF + id + ' "$?"',
+    re: new RegExp("\\(eval '(?<cmd>(?:[^']|'\\\\'')*)'\\); " + PRINTF_RE + '"\\$\\?"'),
+    unquote: s => s.replace(/'\\''/g, "'"),
+  },
+  fish: {
+    wrap: (cmd, id) => 'fish -c ' + fishQuote(cmd) + '; ' + PRINTF + id + ' $status',
+    re: new RegExp("fish -c '(?<cmd>(?:[^'\\\\]|\\\\.)*)'; " + PRINTF_RE + '\\$status'),
+    unquote: s => s.replace(/\\(.)/g, '$1'),
+  },
+  sh: {
+    wrap: (cmd, id) => 'sh -c ' + shQuote('(eval "$1"); ' + PRINTF + id + ' "$?"') + ' hyper ' + shQuote(cmd),
+    re: new RegExp("sh -c '\\(eval \"\\$1\"\\); " + PRINTF_RE + "\"\\$\\?\"' hyper '(?<cmd>(?:[^']|'\\\\'')*)'"),
+    unquote: s => s.replace(/'\\''/g, "'"),
+  },
+};
+
+function wrapperFor(shell) {
+  if (shell === 'bash' || shell === 'zsh') return WRAPPERS.posix;
+  if (shell === 'fish') return WRAPPERS.fish;
+  return WRAPPERS.sh;
+}
+
+// `cmd` as typed into `shell` (a name, as detectShell() gives it)
+function wrapCommand(cmd, id, shell) {
+  if (!ID_RE.test(id)) throw new Error('invalid sentinel id: ' + id);
+  return wrapperFor(shell).wrap(cmd, id);
+}
+
+// Recover the original command and sentinel id from echoed terminal text,
+// e.g. so output trackers can recognise the tool being run. Null if the
+// text holds no wrapped command.
+function unwrapCommand(text) {
+  const str = String(text || '');
+  for (const wrapper of Object.values(WRAPPERS)) {
+    const m = wrapper.re.exec(str);
+    if (!m) continue;
+    const command = wrapper.unquote(m.groups.cmd);
+    return { command, id: m.groups.id, text: str.replace(m[0], () => command) };
+  }
+  return null;
+}
+
+// Split a PTY chunk into ordered parts: { text } runs and { done: { id, code } }
+// completions, so callers can consume output up to the exact end of a command.
+function splitChunk(data) {
+  if (typeof data !== 'string' || data.indexOf(MARKER) === -1) return [{ text: data || '' }];
+  const parts = [];
+  let last = 0;
+  SENTINEL_RE.lastIndex = 0;
+  let m;
+  while ((m = SENTINEL_RE.exec(data)) !== null) {
+    if (m.index > last) parts.push({ text: data.slice(last, m.index) });
+    parts.push({ done: { id: m[1], code: parseInt(m[2], 10) } });
+    last = SENTINEL_RE.lastIndex;
+  }
+  if (last < data.length) parts.push({ text: data.slice(last) });
+  return parts;
+}
+
+// Completions carried by a chunk, in order
+function parseChunk(data) {
+  return splitChunk(data).filter(p => p.done).map(p => p.done);
+}
+
+module.exports = {
+  MARKER,
+  wrapCommand,
+  unwrapCommand,
+  splitChunk,
+  parseChunk,
+};
@@ -0,0 +1,61 @@
+# hyper-recon shell integration for bash
+# Marks prompts and commands with OSC 133 (A;shell=<name> prompt, B input,
+# C;cmdline=<command> output, D;<status> done) and reports the working
+# directory with OSC 7, so the recon plugins see exact command
+# boundaries. Sourced from ~/.bashrc.
+
+if [ -n "$BASH_VERSION" ] && [[ $- == *i* ]] && [ -z "$__HYPER_RECON_SI" ]; then
+  __HYPER_RECON_SI=1
+  __hyper_recon_at_prompt=
+  __hyper_recon_in_cmd=
+  __hyper_recon_hist=
+
+  __hyper_recon_prompt() {
+    local rc=$?
+    __hyper_recon_at_prompt=
+    if [ -n "$__hyper_recon_in_cmd" ]; then
+      printf '\033]133;D;%s\007' "$rc"
+    fi
+    __hyper_recon_in_cmd=
+    printf '\033]7;file://%s%s\007' "$HOSTNAME" "$PWD"
+    printf '\033]133;A;shell=bash\007'
+    __hyper_recon_hist=$(HISTTIMEFORMAT= history 1)
+    return $rc
+  }
+
+  # Last in PROMPT_COMMAND, so the commands of the entries before it are
+  # not taken for the one the user typed
+  __hyper_recon_arm() {
+    __hyper_recon_at_prompt=1
+  }
+
+  # DEBUG runs before every simple command; only the first one after a
+  # prompt starts the command line the user typed. The line is taken
+  # from history, unless it was not saved there (HISTCONTROL).
+  __hyper_recon_preexec() {
+    [ -n "$__hyper_recon_at_prompt" ] || return 0
+    [ -n "$COMP_LINE" ] && return 0
+    case "$BASH_COMMAND" in __hyper_recon_prompt*|__hyper_recon_arm*) return 0 ;; esac
+    __hyper_recon_at_prompt=
+    __hyper_recon_in_cmd=1
+    local hist
+    hist=$(HISTTIMEFORMAT= history 1)
+    if [ "$hist" != "$__hyper_recon_hist" ] && [[ $hist =~ ^\ *[0-9]+\*?\ \ (.*)$ ]]; then
+      printf '\033]133;C;cmdline=%s\007' "${BASH_REMATCH[1]//[$'\a\e']/}"
+    else
+      printf '\033]133;C\007'
+    fi
+  }
+
+  # First, so $? is still the command's status. Bash 5.1 also takes an
+  # array of commands.
+  if [[ $(declare -p PROMPT_COMMAND 2>/dev/null) == 'declare -a'* ]]; then
+    PROMPT_COMMAND=(__hyper_recon_prompt "${PROMPT_COMMAND[@]}" __hyper_recon_arm)
+  else
+    PROMPT_COMMAND="__hyper_recon_prompt
+${PROMPT_COMMAND:+$PROMPT_COMMAND
+}__hyper_recon_arm"
+  fi
+  PS1="${PS1}\[\033]133;B\007\]"
+  trap '__hyper_recon_preexec' DEBUG
+fi
@@ -0,0 +1,30 @@
+# hyper-recon shell integration for fish
+# Marks prompts and commands with OSC 133 (A;shell=<name> prompt, B input,
+# C;cmdline=<command> output, D;<status> done) and reports the working
+# directory with OSC 7, so the recon plugins see exact command
+# boundaries. Sourced from config.fish.
+
+if status is-interactive; and not set -q __HYPER_RECON_SI
+    set -g __HYPER_RECON_SI 1
+
+    function __hyper_recon_preexec --on-event fish_preexec
+        printf '\e]133;C;cmdline=%s\a' (string replace -ra '[\a\e]' '' -- $argv | string collect)
+    end
+
+    function __hyper_recon_postexec --on-event fish_postexec
+        printf '\e]133;D;%s\a' $status
+    end
+
+    function __hyper_recon_prompt --on-event fish_prompt
+        printf '\e]7;file://%s%s\a' (prompt_hostname) $PWD
+        printf '\e]133;A;shell=fish\a'
+    end
+
+    if functions -q fish_prompt
+        functions -c fish_prompt __hyper_recon_fish_prompt
+        function fish_prompt
+            __hyper_recon_fish_prompt
+            printf '\e]133;B\a'
+        end
+    end
+end
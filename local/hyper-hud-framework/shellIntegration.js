@@ -0,0 +1,129 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  SHELL INTEGRATION
+//  Shells instrumented with the snippets in shell-integration/
+//  mark their prompts and commands with OSC 133 escapes:
+//      133;A  prompt starts        133;C    command output starts
+//      133;B  command input starts 133;D;n  command done, status n
+//  with the command line itself on C as `cmdline=` (or, url-encoded,
+//  `cmdline_url=`), and report their working directory as OSC 7
+//  (file://host/path).
+//  The PTY stream reads these for exact command boundaries and
+//  falls back to prompt guessing in shells without them.
+// ══════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// eslint-disable-next-line no-control-regex
+const MARK_RE = /\x1b\](133|7);([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+const SNIPPET_DIR = path.join(__dirname, 'shell-integration');
+const SHELLS = ['bash', 'zsh', 'fish'];
+const RC_TAG = '# hyper-recon shell integration';
+
+// ─── Parsing ─────────────────────────────────────────────────
+function parseMark(code, body) {
+  if (code === '7') {
+    const m = /^file:\/\/[^/]*(\/.*)$/.exec(body);
+    if (!m) return null;
+    try {
+      return { type: 'cwd', cwd: decodeURIComponent(m[1]) };
+    } catch (e) {
+      return { type: 'cwd', cwd: m[1] };
+    }
+  }
+  const type = body.charAt(0);
+  if (body.length > 1 && body.charAt(1) !== ';') return null;
+  if (type !== 'A' && type !== 'B' && type !== 'C' && type !== 'D') return null;
+  const mark = { type };
+  const rest = body.slice(2);
+  if (type === 'D') mark.code = /^-?\d+/.test(rest) ? parseInt(rest, 10) : null;
+  // Our snippets name their shell on the prompt mark: A;shell=fish
+  if (type === 'A') {
+    const shell = /(?:^|;)shell=(\w+)/.exec(rest);
+    if (shell) mark.shell = shell[1];
+  }
+  // The command line runs to the end, semicolons and all
+  if (type === 'C' && rest.startsWith('cmdline=')) mark.cmdline = rest.slice(8);
+  if (type === 'C' && rest.startsWith('cmdline_url=')) {
+    try {
+      mark.cmdline = decodeURIComponent(rest.slice(12));
+    } catch (e) {
+      // not worth failing the mark over
+    }
+  }
+  return mark;
+}
+
+// Split decoded text into ordered parts: { text } runs and { mark }
+// shell-integration marks. Marks of other kinds are dropped.
+function splitMarks(data) {
+  if (typeof data !== 'string' || data.indexOf('\x1b]') === -1) return [{ text: data || '' }];
+  const parts = [];
+  let last = 0;
+  MARK_RE.lastIndex = 0;
+  let m;
+  while ((m = MARK_RE.exec(data)) !== null) {
+    if (m.index > last) parts.push({ text: data.slice(last, m.index) });
+    const mark = parseMark(m[1], m[2]);
+    if (mark) parts.push({ mark });
+    last = MARK_RE.lastIndex;
+  }
+  if (last < data.length) parts.push({ text: data.slice(last) });
+  return parts;
+}
+
+// ─── Installer ───────────────────────────────────────────────
+function snippetFile(shell) {
+  if (!SHELLS.includes(shell)) throw new Error('unsupported shell: ' + shell);
+  return path.join(SNIPPET_DIR, 'hyper-recon.' + shell);
+}
+
+function rcFile(shell, home) {
+  if (shell === 'fish') return path.join(home, '.config', 'fish', 'config.fish');
+  if (shell === 'zsh') return path.join(process.env.ZDOTDIR || home, '.zshrc');
+  return path.join(home, '.bashrc');
+}
+
+// The line that loads the snippet, for users who keep their rc files
+// by hand
+function installSnippet(shell) {
+  const file = "'" + snippetFile(shell).replace(/'/g, "'\\''") + "'";
+  if (shell === 'fish') return 'test -f ' + file + '; and source ' + file + '  ' + RC_TAG;
+  return '[ -f ' + file + ' ] && . ' + file + '  ' + RC_TAG;
+}
+
+// The user's shell by name, from $SHELL
+function detectShell() {
+  const name = path.basename(process.env.SHELL || '');
+  return SHELLS.includes(name) ? name : null;
+}
+
+// Add the snippet to the shell's rc file, once. Takes effect in shells
+// started afterwards. Returns { shell, rc, added }.
+function installShellIntegration(shell, opts) {
+  const home = (opts && opts.home) || os.homedir();
+  const line = installSnippet(shell);
+  const rc = rcFile(shell, home);
+  let current = '';
+  try {
+    current = fs.readFileSync(rc, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  if (current.includes(RC_TAG)) return { shell, rc, added: false };
+  fs.mkdirSync(path.dirname(rc), { recursive: true });
+  const sep = current && !current.endsWith('\n') ? '\n' : '';
+  fs.appendFileSync(rc, sep + line + '\n');
+  return { shell, rc, added: true };
+}
+
+module.exports = {
+  SHELLS,
+  splitMarks,
+  installSnippet,
+  detectShell,
+  installShellIntegration,
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  WORKSPACES
+//  One directory per client engagement under the recon home,
+//      ~/.hyper_recon/workspaces/<slug>/
+//  so findings, secrets, hashes and targets from two engagements
+//  never end up in the same file. Plugins resolve every data path
+//  through workspaceFile() / workspaceDir(); which workspace is
+//  active lives in ~/.hyper_recon/workspaces.json so all Hyper
+//  windows agree on it.
+// ══════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RECON_HOME = process.env.HYPER_RECON_HOME || path.join(os.homedir(), '.hyper_recon');
+const REGISTRY_FILE = path.join(RECON_HOME, 'workspaces.json');
+const WORKSPACES_DIR = path.join(RECON_HOME, 'workspaces');
+const DEFAULT_WORKSPACE = 'default';
+const WATCH_INTERVAL_MS = 2000;
+
+function slugify(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '');
+}
+
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  return dir;
+}
+
+// ─── Registry ────────────────────────────────────────────────
+function readRegistry() {
+  let registry = null;
+  try {
+    registry = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+  } catch (_e) {}
+  if (!registry || !Array.isArray(registry.workspaces)) {
+    registry = { active: DEFAULT_WORKSPACE, workspaces: [] };
+  }
+  if (!registry.workspaces.some(w => w.slug === DEFAULT_WORKSPACE)) {
+    registry.workspaces.unshift({ name: DEFAULT_WORKSPACE, slug: DEFAULT_WORKSPACE, createdAt: null, archivedAt: null });
+  }
+  const active = registry.workspaces.find(w => w.slug === registry.active);
+  if (!active || active.archivedAt) registry.active = DEFAULT_WORKSPACE;
+  return registry;
+}
+
+function writeRegistry(registry) {
+  ensureDir(RECON_HOME);
+  const tmp = REGISTRY_FILE + '.' + process.pid + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2), 'utf8');
+  fs.renameSync(tmp, REGISTRY_FILE);
+}
+
+function describe(entry, registry) {
+  return Object.assign({}, entry, {
+    dir: path.join(WORKSPACES_DIR, entry.slug),
+    active: registry.active === entry.slug,
+  });
+}
+
+function findEntry(registry, nameOrSlug) {
+  const slug = slugify(nameOrSlug);
+  const entry = registry.workspaces.find(w => w.slug === slug);
+  if (!entry) throw new Error('no workspace named "' + nameOrSlug + '"');
+  return entry;
+}
+
+// ─── Queries ─────────────────────────────────────────────────
+function getActiveWorkspace() {
+  const registry = readRegistry();
+  return describe(registry.workspaces.find(w => w.slug === registry.active), registry);
+}
+
+function listWorkspaces(opts) {
+  const includeArchived = !!(opts && opts.includeArchived);
+  const registry = readRegistry();
+  return registry.workspaces
+    .filter(w => includeArchived || !w.archivedAt)
+    .map(w => describe(w, registry));
+}
+
+// ─── Changes ─────────────────────────────────────────────────
+function createWorkspace(name) {
+  const slug = slugify(name);
+  if (!slug) throw new Error('invalid workspace name "' + name + '"');
+  const registry = readRegistry();
+  if (registry.workspaces.some(w => w.slug === slug)) {
+    throw new Error('workspace "' + slug + '" already exists');
+  }
+  const entry = { name: String(name).trim(), slug, createdAt: new Date().toISOString(), archivedAt: null };
+  registry.workspaces.push(entry);
+  ensureDir(path.join(WORKSPACES_DIR, slug));
+  writeRegistry(registry);
+  return describe(entry, registry);
+}
+
+function switchWorkspace(nameOrSlug) {
+  const registry = readRegistry();
+  const entry = findEntry(registry, nameOrSlug);
+  if (entry.archivedAt) throw new Error('workspace "' + entry.slug + '" is archived');
+  registry.active = entry.slug;
+  ensureDir(path.join(WORKSPACES_DIR, entry.slug));
+  writeRegistry(registry);
+  return describe(entry, registry);
+}
+
+// Archived workspaces keep their data but drop out of the switcher and
+// cannot be made active until restored.
+function archiveWorkspace(nameOrSlug) {
+  const registry = readRegistry();
+  const entry = findEntry(registry, nameOrSlug);
+  if (entry.slug === DEFAULT_WORKSPACE) throw new Error('the default workspace cannot be archived');
+  if (entry.slug === registry.active) throw new Error('switch away from "' + entry.slug + '" before archiving it');
+  entry.archivedAt = entry.archivedAt || new Date().toISOString();
+  writeRegistry(registry);
+  return describe(entry, registry);
+}
+
+function restoreWorkspace(nameOrSlug) {
+  const registry = readRegistry();
+  const entry = findEntry(registry, nameOrSlug);
+  entry.archivedAt = null;
+  writeRegistry(registry);
+  return describe(entry, registry);
+}
+
+// ─── Paths ───────────────────────────────────────────────────
+// Data written before workspaces existed belongs to the default
+// workspace, which copies it over the first time a path is resolved.
+function adoptLegacy(workspace, legacyPath, dest) {
+  if (workspace.slug !== DEFAULT_WORKSPACE || !legacyPath) return;
+  if (fs.existsSync(dest) || !fs.existsSync(legacyPath)) return;
+  try {
+    fs.cpSync(legacyPath, dest, { recursive: true });
+  } catch (e) {
+    console.error('[Workspace] Failed to adopt ' + legacyPath + ':', e.message);
+  }
+}
+
+// Directory for `subdir` in the active workspace, created on demand.
+// `legacy` may name the directory (or list the files) it replaces.
+function workspaceDir(subdir, opts) {
+  const workspace = getActiveWorkspace();
+  const dir = subdir ? path.join(workspace.dir, subdir) : workspace.dir;
+  const legacy = opts && opts.legacy;
+  if (legacy && !fs.existsSync(dir)) {
+    if (Array.isArray(legacy)) {
+      legacy.forEach(file => adoptLegacy(workspace, file, path.join(dir, path.basename(file))));
+    } else {
+      adoptLegacy(workspace, legacy, dir);
+    }
+  }
+  return ensureDir(dir);
+}
+
+// Path of `name` in the active workspace; `legacy` is where the file
+// used to live.
+function workspaceFile(name, opts) {
+  const workspace = getActiveWorkspace();
+  const file = path.join(workspace.dir, name);
+  ensureDir(path.dirname(file));
+  adoptLegacy(workspace, opts && opts.legacy, file);
+  return file;
+}
+
+// Calls listener(workspace, previous) whenever another window (or
+// anything else) switches the active workspace. Returns an unwatch fn.
+function watchWorkspace(listener) {
+  let current = getActiveWorkspace();
+  const onChange = () => {
+    const next = getActiveWorkspace();
+    if (next.slug === current.slug) return;
+    const previous = current;
+    current = next;
+    listener(next, previous);
+  };
+  fs.watchFile(REGISTRY_FILE, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+  return () => fs.unwatchFile(REGISTRY_FILE, onChange);
+}
+
+module.exports = {
+  RECON_HOME,
+  DEFAULT_WORKSPACE,
+  slugify,
+  getActiveWorkspace,
+  listWorkspaces,
+  createWorkspace,
+  switchWorkspace,
+  archiveWorkspace,
+  restoreWorkspace,
+  workspaceDir,
+  workspaceFile,
+  watchWorkspace,
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEvent } = require('../../hyper-hud-framework/events');
+const { PARSERS } = require('../parsers');
+const { ParseEngine, mergeRecord } = require('../parseEngine');
+
+function record(opts) {
+  const events = [];
+  const engine = new ParseEngine(PARSERS, (name, payload) => {
+    const evt = normalizeEvent(name, payload);
+    events.push([name, evt]);
+    return evt;
+  }, opts);
+  const of = name => events.filter(e => e[0] === name).map(e => e[1]);
+  const feed = (uid, text) => text.split('\n').forEach(line => engine.feed(uid, line));
+  return { engine, events, of, feed };
+}
+
+const NMAP = `Starting Nmap 7.94 ( https://nmap.org )
+Nmap scan report for 10.0.0.5
+PORT   STATE SERVICE VERSION
+22/tcp open  ssh     OpenSSH 8.2p1
+80/tcp open  http    Apache httpd 2.4.41
+Nmap scan report for 10.0.0.6
+443/tcp open  https
+Nmap done: 2 IP addresses (2 hosts up) scanned in 9.1 seconds`;
+
+test('each nmap host is emitted once, when its section ends', () => {
+  const { engine, of, feed } = record();
+  feed('u1', NMAP.split('\n').slice(0, 5).join('\n'));
+  assert.equal(of('parsed:nmap').length, 0);
+  feed('u1', NMAP.split('\n').slice(5).join('\n'));
+  engine.endCommand('u1');
+
+  assert.deepEqual(of('parsed:nmap').map(r => [r.id, r.ports.map(p => p.port)]), [
+    ['nmap:10.0.0.5', [22, 80]],
+    ['nmap:10.0.0.6', [443]],
+  ]);
+  assert.deepEqual(of('parsed:any').map(e => e.id), ['nmap:10.0.0.5', 'nmap:10.0.0.6']);
+
+  // The same scan again, in another terminal: nothing new
+  feed('u2', NMAP);
+  engine.endCommand('u2');
+  assert.equal(of('parsed:nmap').length, 2);
+  assert.equal(of('parsed:update').length, 0);
+});
+
+test('a record found again with more in it is sent as an update with only the new findings', () => {
+  const { engine, of, feed } = record();
+  feed('u1', NMAP);
+  engine.endCommand('u1');
+  feed('u1', 'Nmap scan report for 10.0.0.5\n22/tcp open  ssh     OpenSSH 9.6p1\n3306/tcp open  mysql\nOS details: Linux 5.4\nNmap done');
+  engine.endCommand('u1');
+
+  const [update] = of('parsed:update');
+  assert.equal(update.id, 'nmap:10.0.0.5');
+  assert.deepEqual(update.data.ports.map(p => [p.port, p.version]), [[22, 'OpenSSH 9.6p1'], [80, 'Apache httpd 2.4.41'], [3306, '']]);
+  assert.equal(update.data.os, 'Linux 5.4');
+  assert.deepEqual(update.previous.ports.length, 2);
+  assert.deepEqual(update.findings.map(f => f.title), [
+    'Port 22/tcp open: ssh (OpenSSH 9.6p1)',
+    'Port 3306/tcp open: mysql',
+  ]);
+});
+
+test('streamed results: a record per path, and sqlmap enriching one target', () => {
+  const { engine, of, feed } = record();
+  feed('u1', ':: Method           : GET\n:: URL              : http://10.0.0.5/FUZZ');
+  feed('u1', 'admin                   [Status: 301, Size: 0, Words: 1, Lines: 1]');
+  feed('u1', 'admin                   [Status: 301, Size: 0, Words: 1, Lines: 1]');
+  feed('u1', 'login                   [Status: 200, Size: 512, Words: 20, Lines: 9]');
+  engine.endCommand('u1');
+  assert.deepEqual(of('parsed:ffuf').map(r => [r.id, r.paths[0].status]), [
+    ['ffuf:http://10.0.0.5/* admin', 301],
+    ['ffuf:http://10.0.0.5/* login', 200],
+  ]);
+
+  feed('u1', "[10:00:01] [INFO] testing connection to the target URL 'http://10.0.0.5/item.php?id=1'");
+  feed('u1', 'Parameter: id (GET)\n    Type: boolean-based blind');
+  feed('u1', '[10:00:09] [INFO] the back-end DBMS is MySQL\n[*] shop\n[*] information_schema');
+  engine.endCommand('u1');
+  const [sqlmap] = of('parsed:sqlmap');
+  assert.deepEqual([sqlmap.id, sqlmap.injectable], ['sqlmap:http://10.0.0.5/item.php?id=1', []]);
+  const updates = of('parsed:update');
+  const last = updates[updates.length - 1].data;
+  assert.deepEqual([last.injectable, last.dbms, last.databases], [
+    [{ param: 'id', type: 'GET', technique: 'boolean-based blind' }], 'MySQL', ['shop', 'information_schema'],
+  ]);
+  // The injection is reported once, by the update that found it
+  const sqli = updates.flatMap(u => u.findings).filter(f => f.type === 'sqli');
+  assert.deepEqual(sqli.map(f => f.title), ['SQL Injection in parameter: id']);
+});
+
+test('an open record is published once the session goes quiet', async () => {
+  const { engine, of, feed } = record({ idleMs: 10 });
+  feed('u1', NMAP.split('\n').slice(0, 4).join('\n'));
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.deepEqual(of('parsed:nmap').map(r => r.ports.length), [1]);
+  // The rest of the host arrives later: an update, not a second record
+  feed('u1', '80/tcp open  http    Apache httpd 2.4.41\nNmap done');
+  engine.endSession('u1');
+  assert.equal(of('parsed:nmap').length, 1);
+  assert.deepEqual(of('parsed:update').map(u => u.data.ports.length), [2]);
+});
+
+test('mergeRecord joins lists by item and keeps fields the newer record lacks', () => {
+  const merged = mergeRecord(
+    { tool: 'nmap', target: 'a', os: 'Linux', ports: [{ port: 22, proto: 'tcp', version: 'OpenSSH' }], scripts: [] },
+    { tool: 'nmap', target: 'a', os: null, ports: [{ port: 22, proto: 'tcp', version: '' }, { port: 22, proto: 'udp' }] }
+  );
+  assert.equal(merged.os, 'Linux');
+  assert.deepEqual(merged.ports, [{ port: 22, proto: 'tcp', version: 'OpenSSH' }, { port: 22, proto: 'udp' }]);
+});
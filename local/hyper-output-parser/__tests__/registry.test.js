@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PARSERS } = require('../parsers');
+const { ParserRegistry } = require('../registry');
+const { createAdapterBridge } = require('../adapterBridge');
+const { ParseEngine } = require('../parseEngine');
+
+function setup() {
+  const registry = new ParserRegistry();
+  PARSERS.forEach(p => registry.register(p));
+  const events = [];
+  const engine = new ParseEngine(registry.parsers, (name, payload) => {
+    events.push([name, payload]);
+    return payload;
+  });
+  const of = name => events.filter(e => e[0] === name).map(e => e[1]);
+  const run = (uid, command, output) => {
+    engine.startCommand(uid, command);
+    engine.feed(uid, command);
+    output.split('\n').forEach(line => engine.feed(uid, line));
+    engine.endCommand(uid);
+  };
+  return { registry, engine, of, run };
+}
+
+const whoisParser = {
+  name: 'whois-lite',
+  detect: (line, ctx) => /^whois\b/.test(ctx.command || ''),
+  parse(line, state) {
+    const m = /^Registrar:\s*(.+)$/.exec(line);
+    return m ? { target: state.command.split(' ')[1], registrar: m[1] } : null;
+  },
+};
+
+test('parsers registered at runtime run on the next command, and can be replaced or removed', () => {
+  const { registry, of, run } = setup();
+  const remove = registry.register(whoisParser);
+  run('u1', 'whois example.com', 'Domain Name: EXAMPLE.COM\nRegistrar: RESERVED-IANA');
+  assert.deepEqual(of('parsed:whois-lite').map(r => [r.id, r.target, r.registrar]), [
+    ['whois-lite:' + JSON.stringify({ target: 'example.com', registrar: 'RESERVED-IANA' }), 'example.com', 'RESERVED-IANA'],
+  ]);
+
+  // Same name: replaced in place, not run twice
+  registry.register(Object.assign({}, whoisParser, { parse: () => ({ key: 'k', tool: 'whois', target: 'x' }) }));
+  assert.equal(registry.list().filter(p => p.name === 'whois-lite').length, 1);
+  run('u1', 'whois example.org', 'Registrar: Other');
+  assert.deepEqual(of('parsed:whois').map(r => r.id), ['whois:k']);
+
+  remove();  // no-op: that parser was replaced
+  assert.ok(registry.unregister('whois-lite'));
+  assert.deepEqual(registry.list().map(p => p.name), ['nmap', 'nikto', 'sqlmap', 'ffuf/gobuster', 'hydra']);
+  assert.throws(() => registry.register({ name: 'broken' }), /needs detect\(\)/);
+});
+
+test('loadDir registers every module in a directory and skips the broken ones', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'parsers-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'a.js'), `module.exports = [
+    { name: 'one', detect: () => false, parse: () => null },
+    { name: 'two', tools: ['x', 'y'], detect: () => false, parse: () => null },
+  ];`);
+  fs.writeFileSync(path.join(dir, 'b.js'), 'module.exports = { name: "bad" };');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a parser');
+  const error = t.mock.method(console, 'error', () => {});
+
+  const registry = new ParserRegistry();
+  assert.deepEqual(registry.loadDir(dir), ['one', 'two']);
+  assert.deepEqual(registry.list(), [
+    { name: 'one', tools: ['one'], source: path.join(dir, 'a.js') },
+    { name: 'two', tools: ['x', 'y'], source: path.join(dir, 'a.js') },
+  ]);
+  assert.equal(error.mock.callCount(), 1);
+  assert.deepEqual(registry.loadDir(path.join(dir, 'missing')), []);
+});
+
+test('jc adapters parse live output of tools no other parser handles', () => {
+  const { registry, of, run } = setup();
+  registry.register(createAdapterBridge(registry));
+
+  run('u1', 'nuclei -u https://10.0.0.5', [
+    '[git-config] [http] [medium] https://10.0.0.5/.git/config',
+    '[git-config] [http] [medium] https://10.0.0.5/.git/config',
+    '[tech-detect:nginx] [http] [info] https://10.0.0.5/',
+  ].join('\n'));
+  const nuclei = of('parsed:nuclei');
+  assert.deepEqual(nuclei.map(r => [r.adapter, r.target, r.records[0].id]), [
+    ['nuclei', 'https://10.0.0.5', 'git-config'],
+    ['nuclei', 'https://10.0.0.5', 'tech-detect:nginx'],
+  ]);
+  assert.deepEqual(nuclei[0].findings, [{
+    severity: 'medium', description: 'git-config https://10.0.0.5/.git/config', path: null,
+  }]);
+
+  // Whole-output adapters parse when the command ends
+  run('u1', '/usr/bin/feroxbuster -u http://10.0.0.5 -w words.txt',
+    '200      GET      512c http://10.0.0.5/admin');
+  assert.deepEqual(of('parsed:feroxbuster').map(r => r.paths), [[{ path: '/admin', status: 200, size: 0 }]]);
+
+  // nmap has a built-in parser; the adapter stays out of its way
+  run('u1', 'nmap 10.0.0.5', 'Nmap scan report for 10.0.0.5\n22/tcp open  ssh\nNmap done');
+  assert.deepEqual(of('parsed:any').map(e => e.tool), ['nuclei', 'nuclei', 'feroxbuster', 'nmap']);
+});
+
+test('the adapter bridge decides once per command, however long its output', (t) => {
+  const { registry, of, run } = setup();
+  registry.register(createAdapterBridge(registry));
+  const covers = t.mock.method(registry, 'covers');
+
+  run('u1', 'cat notes.txt', Array.from({ length: 50 }, (_, i) => `note ${i}`).join('\n'));
+  assert.equal(covers.mock.calls.filter(c => c.arguments[0] === 'cat').length, 1);
+  assert.deepEqual(of('parsed:any'), []);
+
+  // The next run of the same command is decided again
+  run('u1', 'cat notes.txt', 'note');
+  assert.equal(covers.mock.calls.filter(c => c.arguments[0] === 'cat').length, 2);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  JC ADAPTER BRIDGE
+//  Runs hyper-target-panel's jc adapters (lib/jc-adapters) on
+//  live terminal output. The adapter is picked from the command
+//  the PTY stream saw starting, the way target-panel picks one
+//  for a tool run, and only for tools no other registered parser
+//  handles. Line-oriented (incremental) adapters parse each line
+//  as it comes; the others re-parse the command's output when it
+//  goes quiet or ends. Every adapter record becomes one parsed
+//  record, tool named after the command.
+// ══════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { guessSeverity } = require('./parsers');
+
+const TARGET_PANEL_LIB = path.join(__dirname, '..', 'hyper-target-panel', 'lib');
+const MAX_LINES = 5000;
+
+const URL_RE = /https?:\/\/[^\s"'<>]+/;
+const IP_RE = /^\d{1,3}(?:\.\d{1,3}){3}(?:\/\d{1,2}|:\d+)?$/;
+const DOMAIN_RE = /^(?:[a-z0-9-]+\.)+[a-z]{2,}(?::\d+)?$/i;
+const FILE_EXT_RE = /\.(?:txt|lst|list|json|jsonl|xml|csv|log|ya?ml|conf|out)$/i;
+
+// The command's program, without its directory
+function commandTool(command) {
+  const first = String(command || '').trim().split(/\s+/)[0] || '';
+  return path.basename(first).toLowerCase();
+}
+
+// What the command is pointed at: a URL, else an IP or domain argument
+function commandTarget(command) {
+  const url = URL_RE.exec(command);
+  if (url) return url[0];
+  const args = String(command).trim().split(/\s+/).slice(1).map(a => a.replace(/^['"]|['"]$/g, ''));
+  return args.find(a => IP_RE.test(a)) ||
+         args.find(a => DOMAIN_RE.test(a) && !FILE_EXT_RE.test(a)) ||
+         'unknown';
+}
+
+// One adapter record as a parsed record. Paths with a status and
+// findings are also given the fields findings-log reads.
+function toRecord(tool, adapter, target, rec) {
+  const out = { key: JSON.stringify(rec), tool, target, adapter, records: [rec] };
+  if (rec.path && Number.isInteger(rec.status)) {
+    out.paths = [{ path: rec.path, status: rec.status, size: 0 }];
+  }
+  if (rec.type === 'finding' || rec.type === 'xss') {
+    const description = [rec.id, rec.value || rec.detail || rec.line, rec.target].filter(Boolean).join(' ');
+    out.findings = [{
+      severity: rec.severity || guessSeverity(description),
+      description,
+      path: rec.path || null,
+    }];
+  }
+  return out;
+}
+
+// `registry` is asked whether another parser already handles a tool.
+// Returns null when target-panel is not installed alongside.
+function createAdapterBridge(registry, opts) {
+  const lib = (opts && opts.lib) || TARGET_PANEL_LIB;
+  if (!fs.existsSync(path.join(lib, 'jc-adapters'))) return null;
+  const AdapterRunner = require(path.join(lib, 'jc', 'AdapterRunner'));
+  const { resolveAdapterParser } = require(path.join(lib, 'jc', 'JcRegistry'));
+  const runner = new AdapterRunner({ baseDir: path.join(lib, 'jc-adapters') });
+
+  // The adapter for a command, or null. Decided once per command run
+  // (the engine's context), not on every line of its output.
+  const decided = new WeakMap();
+  function adapterFor(context) {
+    if (decided.has(context)) return decided.get(context);
+    const tool = commandTool(context.command);
+    let adapter = null;
+    if (!registry.covers(tool, bridge)) {
+      adapter = resolveAdapterParser({ command: context.command.trim().replace(/^\S+/, tool) });
+      if (adapter && !runner.load(adapter)) adapter = null;
+    }
+    decided.set(context, adapter);
+    return adapter;
+  }
+
+  function parseLines(state, lines) {
+    const result = runner.parse(state.adapter, lines.join('\n'), { command: state.command });
+    if (!result.ok) return [];
+    return (result.data.records || []).map(rec => toRecord(state.tool, state.adapter, state.target, rec));
+  }
+
+  const bridge = {
+    name: 'jc-adapters',
+    tools: [],
+
+    detect(line, context) {
+      if (!context || !context.command) return false;
+      return adapterFor(context) !== null;
+    },
+
+    start(context) {
+      const adapter = adapterFor(context);
+      return {
+        tool: commandTool(context.command),
+        adapter,
+        command: context.command,
+        target: commandTarget(context.command),
+        incremental: runner.isIncremental(adapter),
+        lines: [],
+        echo: true,
+      };
+    },
+
+    line(state, line) {
+      // The first line of a command is usually its echo
+      if (state.echo) {
+        state.echo = false;
+        if (line.includes(state.command.trim())) return [];
+      }
+      if (state.incremental) return parseLines(state, [line]);
+      if (state.lines.length < MAX_LINES) state.lines.push(line);
+      return [];
+    },
+
+    flush(state) {
+      return state.incremental ? [] : parseLines(state, state.lines);
+    },
+  };
+  return bridge;
+}
+
+module.exports = {
+  createAdapterBridge,
+  commandTarget,
+};
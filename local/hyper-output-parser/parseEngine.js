@@ -0,0 +1,194 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  PARSE ENGINE
+//  Feeds each terminal line, once, to the parsers detected in
+//  its session, and turns the records they return into events:
+//    parsed:<tool> + parsed:any   a record seen for the first time
+//    parsed:update                a known record with something new
+//  Records are identified by tool and key (id "nmap:10.0.0.5"),
+//  so a host scanned twice, or from two terminals, is one record.
+//  Parsers get the command the output belongs to, when known, as
+//  context { uid, command } to detect() and start(); it is the
+//  same object for every line of one command.
+// ══════════════════════════════════════════════════════════════
+
+const MAX_RECORDS = 500;
+// Records still open (an nmap host) are published once the session
+// has been quiet this long, in case the run never visibly ends
+const IDLE_FLUSH_MS = 1000;
+
+// How items of a record's list fields are told apart when merging
+const ITEM_KEYS = {
+  ports: p => p.port + '/' + p.proto,
+  scripts: s => s.id,
+  findings: f => [f.id, f.path, f.description].join(' '),
+  paths: p => p.path,
+  creds: c => [c.host, c.port, c.service, c.login].join(' '),
+  injectable: i => i.param + ' ' + i.type,
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Fields of `next` over `prev`, except empty ones
+function overlay(prev, next) {
+  const out = Object.assign({}, prev);
+  for (const [k, v] of Object.entries(next)) {
+    if (!isEmpty(v)) out[k] = v;
+  }
+  return out;
+}
+
+// `next` merged into `prev`: lists are joined (items with the same key
+// merged), other fields replaced unless `next` has nothing for them
+function mergeRecord(prev, next) {
+  const out = Object.assign({}, prev);
+  for (const [field, value] of Object.entries(next)) {
+    if (Array.isArray(value)) {
+      const keyOf = ITEM_KEYS[field] || (v => (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+      const items = new Map((Array.isArray(prev[field]) ? prev[field] : []).map(v => [keyOf(v), v]));
+      for (const v of value) {
+        const k = keyOf(v);
+        items.set(k, v && typeof v === 'object' && items.has(k) ? overlay(items.get(k), v) : v);
+      }
+      out[field] = Array.from(items.values());
+    } else if (!isEmpty(value)) {
+      out[field] = value;
+    }
+  }
+  return out;
+}
+
+class ParseEngine {
+  // `parsers` is read on every line, so a registry's list may change
+  // underneath. emit(name, payload) sends the events and returns the
+  // payload as listeners saw it.
+  constructor(parsers, emit, opts) {
+    this._parsers = parsers;
+    this._emit = emit;
+    this._idleMs = (opts && opts.idleMs) || IDLE_FLUSH_MS;
+    this._sessions = new Map();  // uid -> { command, context, states: Map(parser -> state), idleTimer }
+    this.records = new Map();    // id -> { data, snapshot }, oldest first
+  }
+
+  _session(uid) {
+    let sess = this._sessions.get(uid);
+    if (!sess) {
+      sess = { command: null, context: { uid, command: null }, states: new Map(), idleTimer: null };
+      this._sessions.set(uid, sess);
+    }
+    return sess;
+  }
+
+  feed(uid, line) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const sess = this._session(uid);
+    const context = sess.context;
+
+    for (const parser of this._parsers) {
+      let state = sess.states.get(parser);
+      if (!state) {
+        state = this._begin(parser, trimmed, context);
+        if (!state) continue;
+        sess.states.set(parser, state);
+      }
+      this._run(uid, () => parser.line(state, trimmed));
+    }
+
+    if (sess.states.size === 0) return;
+    clearTimeout(sess.idleTimer);
+    sess.idleTimer = setTimeout(() => {
+      sess.idleTimer = null;
+      this._flush(uid, sess);
+    }, this._idleMs);
+  }
+
+  // A fresh state if `line` starts the parser's output
+  _begin(parser, line, context) {
+    try {
+      return parser.detect(line, context) ? parser.start(context) || {} : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // A command started in `uid`: the previous one is over
+  startCommand(uid, command) {
+    this.endCommand(uid);
+    const sess = this._session(uid);
+    sess.command = command || null;
+    sess.context = { uid, command: sess.command };
+  }
+
+  // The command running in `uid` ended: its open records are
+  // published and the parsers start over
+  endCommand(uid) {
+    const sess = this._sessions.get(uid);
+    if (!sess) return;
+    clearTimeout(sess.idleTimer);
+    sess.idleTimer = null;
+    this._flush(uid, sess);
+    sess.states.clear();
+    sess.command = null;
+    sess.context = { uid, command: null };
+  }
+
+  endSession(uid) {
+    this.endCommand(uid);
+    this._sessions.delete(uid);
+  }
+
+  _flush(uid, sess) {
+    for (const [parser, state] of sess.states) {
+      this._run(uid, () => parser.flush(state));
+    }
+  }
+
+  _run(uid, fn) {
+    let records;
+    try {
+      records = fn();
+    } catch (err) {
+      // A parser failing on odd output must not break the terminal
+      return;
+    }
+    for (const record of records || []) this._publish(uid, record);
+  }
+
+  _publish(uid, record) {
+    const data = Object.assign({}, record);
+    delete data.key;
+    const id = data.tool + ':' + record.key;
+    const known = this.records.get(id);
+
+    if (!known) {
+      // Parsers keep changing what they returned; keep a copy
+      const copy = JSON.parse(JSON.stringify(data));
+      this._remember(id, copy, JSON.stringify(copy));
+      const parsed = this._emit('parsed:' + data.tool, Object.assign({}, copy, { id, sessionUid: uid }));
+      // Generic event; the contract adds the findings it implies
+      this._emit('parsed:any', { id, tool: parsed.tool, target: parsed.target, uid, data: parsed });
+      return;
+    }
+
+    const merged = JSON.parse(JSON.stringify(mergeRecord(known.data, data)));
+    const snapshot = JSON.stringify(merged);
+    if (snapshot === known.snapshot) return;
+    this._remember(id, merged, snapshot);
+    this._emit('parsed:update', { id, tool: merged.tool, target: merged.target, uid, data: merged, previous: known.data });
+  }
+
+  _remember(id, data, snapshot) {
+    this.records.delete(id);
+    this.records.set(id, { data, snapshot });
+    if (this.records.size > MAX_RECORDS) this.records.delete(this.records.keys().next().value);
+  }
+}
+
+module.exports = {
+  ParseEngine,
+  mergeRecord,
+};
@@ -0,0 +1,451 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  TOOL PARSERS
+//  Each parser is detected on a line of tool output and then
+//  consumes the lines that follow, one at a time, keeping its
+//  own state per terminal session:
+//    detect(line, ctx)    does this line start the tool's output
+//    start(ctx)           fresh state for a session
+//    line(state, line)    consume one line; returns the records it
+//                         completed or changed
+//    flush(state)         records still open (scan paused or ended)
+//  A record is one logical result: { key, tool, target, ...data },
+//  `key` naming it within the tool (a host, a path, a credential).
+//  `ctx` is { uid, command }; `tools` lists the tools a parser
+//  handles when that is not just its name. More parsers can be
+//  registered at runtime, see registry.js.
+// ══════════════════════════════════════════════════════════════
+
+// ─── Nmap Parser ───────────────────────────────────────────────
+// One record per host, open from "Nmap scan report for" until the
+// next host or "Nmap done".
+function nmapHost(host) {
+  if (!host || !(host.ports.length || host.os || host.scripts.length)) return [];
+  return [Object.assign({ key: host.target }, host)];
+}
+
+const nmapParser = {
+  name: 'nmap',
+
+  detect(line) {
+    return /^Starting Nmap\b/i.test(line) ||
+           /^Nmap scan report for\b/i.test(line);
+  },
+
+  start() {
+    return { host: null };
+  },
+
+  line(state, line) {
+    // Target extraction
+    const targetMatch = line.match(/Nmap scan report for\s+(\S+)/i);
+    if (targetMatch) {
+      const done = nmapHost(state.host);
+      state.host = { tool: 'nmap', target: targetMatch[1].replace(/[()]/g, ''), ports: [], os: null, scripts: [] };
+      return done;
+    }
+
+    if (/^Nmap done\b/i.test(line)) {
+      const done = nmapHost(state.host);
+      state.host = null;
+      return done;
+    }
+
+    const host = state.host;
+    if (!host) return [];
+
+    // Port lines: PORT/PROTO STATE SERVICE [VERSION]
+    // e.g. "22/tcp   open  ssh     OpenSSH 8.2p1"
+    // e.g. "80/tcp   open  http    Apache httpd 2.4.41"
+    const portMatch = line.match(
+      /^(\d{1,5})\/(tcp|udp)\s+(open|closed|filtered|open\|filtered)\s+(\S+)(?:\s+(.+))?$/
+    );
+    if (portMatch) {
+      host.ports.push({
+        port: parseInt(portMatch[1], 10),
+        proto: portMatch[2],
+        state: portMatch[3],
+        service: portMatch[4],
+        version: portMatch[5] ? portMatch[5].trim() : '',
+      });
+      return [];
+    }
+
+    // OS detection
+    const osMatch = line.match(/^OS details:\s*(.+)/i) ||
+                     line.match(/^Running:\s*(.+)/i);
+    if (osMatch) {
+      host.os = osMatch[1].trim();
+      return [];
+    }
+
+    // Script output (NSE): "| http-title: Login" or "|_http-title: Login"
+    const scriptMatch = line.match(/^\|[_ ]([A-Za-z][\w.-]*):(?:\s+(.*))?$/);
+    if (scriptMatch) {
+      host.scripts.push({
+        id: scriptMatch[1],
+        output: (scriptMatch[2] || '').trim(),
+      });
+      return [];
+    }
+
+    // Any other "|" line continues the last script, "|_" ending it
+    const scriptCont = line.match(/^\|[_ ]\s*(.+)$/);
+    if (scriptCont && host.scripts.length > 0) {
+      const script = host.scripts[host.scripts.length - 1];
+      script.output = script.output ? script.output + ' ' + scriptCont[1].trim() : scriptCont[1].trim();
+    }
+    return [];
+  },
+
+  flush(state) {
+    return nmapHost(state.host);
+  },
+};
+
+
+// ─── Nikto Parser ──────────────────────────────────────────────
+// One record per finding. Findings printed before the target is
+// known wait for it.
+function niktoFinding(target, finding) {
+  return {
+    key: target + ' ' + (finding.id || '') + ' ' + (finding.path || '') + ' ' + finding.description,
+    tool: 'nikto',
+    target,
+    findings: [finding],
+  };
+}
+
+function niktoLineFinding(line) {
+  // OSVDB finding: "+ OSVDB-3268: /icons/: Directory indexing found."
+  const osvdbMatch = line.match(/^\+\s+(OSVDB-\d+):\s+(\S+):\s+(.+)/);
+  if (osvdbMatch) {
+    return {
+      id: osvdbMatch[1],
+      path: osvdbMatch[2],
+      description: osvdbMatch[3].trim(),
+      severity: guessSeverity(osvdbMatch[3]),
+    };
+  }
+
+  // Generic finding: "+ /path: description...", "+ /: ..." for the root
+  const genericMatch = line.match(/^\+\s+(\/\S*?):\s+(.+)/);
+  if (genericMatch) {
+    // Skip non-finding lines (e.g. banner info)
+    const desc = genericMatch[2].trim();
+    if (desc.length > 5 && !/^Start Time:|^End Time:|^\d+ host/i.test(desc)) {
+      return { id: null, path: genericMatch[1], description: desc, severity: guessSeverity(desc) };
+    }
+    return null;
+  }
+
+  // Finding without path: "+ The X-XSS-Protection header is not defined..."
+  const findingNoPath = line.match(/^\+\s+(?!Target|Start|End|Nikto|Server)(.{10,})/);
+  if (findingNoPath && !line.match(/^\+ \d+ (host|item)/)) {
+    const desc = findingNoPath[1].trim();
+    // Only capture meaningful findings
+    if (/header|vulnerability|injection|xss|csrf|security|leak|exposure|disclosure|traversal|outdated/i.test(desc)) {
+      return { id: null, path: null, description: desc, severity: guessSeverity(desc) };
+    }
+  }
+  return null;
+}
+
+const niktoParser = {
+  name: 'nikto',
+
+  detect(line) {
+    return /^- Nikto v/i.test(line) ||
+           /^\+ Target IP:/i.test(line) ||
+           /^\+ Target Hostname:/i.test(line);
+  },
+
+  start() {
+    return { target: null, pending: [] };
+  },
+
+  line(state, line) {
+    // Target extraction
+    const targetMatch = line.match(/^\+ Target (?:IP|Hostname):\s*(\S+)/i);
+    if (targetMatch) {
+      state.target = targetMatch[1];
+      const pending = state.pending.map(f => niktoFinding(state.target, f));
+      state.pending = [];
+      return pending;
+    }
+
+    const finding = niktoLineFinding(line);
+    if (!finding) return [];
+    if (!state.target) {
+      state.pending.push(finding);
+      return [];
+    }
+    return [niktoFinding(state.target, finding)];
+  },
+
+  flush() {
+    return [];
+  },
+};
+
+function guessSeverity(desc) {
+  const d = desc.toLowerCase();
+  if (/remote code|rce|command injection|sql injection|arbitrary file|critical/i.test(d)) return 'critical';
+  if (/xss|cross-site|csrf|traversal|directory listing|upload|lfi|rfi/i.test(d)) return 'high';
+  if (/header|cookie|clickjack|information|version|disclosure|leak/i.test(d)) return 'medium';
+  return 'low';
+}
+
+
+// ─── SQLMap Parser ─────────────────────────────────────────────
+// One record per target, returned whenever a line adds to it; later
+// additions (DBMS, databases, tables) arrive as updates.
+const sqlmapParser = {
+  name: 'sqlmap',
+
+  detect(line) {
+    return /\[INFO\]\s*testing/i.test(line) ||
+           /sqlmap identified/i.test(line) ||
+           /\[INFO\]\s*the back-end DBMS is/i.test(line);
+  },
+
+  start(ctx) {
+    // sqlmap does not always print the URL; the command names it
+    const cmdUrl = ctx && ctx.command && ctx.command.match(/(?:^|\s)(?:-u|--url)[=\s]+['"]?([^'"\s]+)/);
+    return {
+      rec: { tool: 'sqlmap', target: cmdUrl ? cmdUrl[1] : null, injectable: [], databases: [], tables: [], dbms: null },
+      // Lines since the last "Parameter:" or "Type:" line, for its "Type:"s
+      sinceParam: Infinity,
+    };
+  },
+
+  line(state, line) {
+    const rec = state.rec;
+    state.sinceParam++;
+
+    // Target URL, or from a resumed session
+    const urlMatch = line.match(/\[INFO\]\s*testing\s+'(https?:\/\/[^']+)'/i) ||
+                      line.match(/\[INFO\]\s*testing\s+(?:connection to the target )?URL\s+'?(\S+)/i) ||
+                      line.match(/URL:\s*(\S+)/i);
+    const resumeTarget = line.match(/\[INFO\]\s*resuming back-end DBMS.*URL\s+'?(\S+)/i);
+    if (resumeTarget || (urlMatch && !rec.target)) {
+      rec.target = (resumeTarget || urlMatch)[1].replace(/'/g, '');
+      return sqlmapRecord(rec);
+    }
+
+    // Injectable parameter
+    // "Parameter: id (GET)"
+    // "Parameter: user (POST)"
+    const paramMatch = line.match(/Parameter:\s*(\S+)\s*\((\w+)\)/i);
+    if (paramMatch) {
+      const param = paramMatch[1];
+      const type = paramMatch[2];
+      if (rec.injectable.find(x => x.param === param && x.type === type)) return [];
+      rec.injectable.push({ param, type, technique: '' });
+      state.sinceParam = 0;
+      return sqlmapRecord(rec);
+    }
+
+    // Technique details follow the parameter line, one block per
+    // technique: "Type:", "Title:", "Payload:", blank
+    const techMatch = line.match(/Type:\s*(.+)/i);
+    if (techMatch && state.sinceParam < 5) {
+      state.sinceParam = 0;
+      const inj = rec.injectable[rec.injectable.length - 1];
+      const technique = techMatch[1].trim();
+      const known = inj.technique ? inj.technique.split(', ') : [];
+      if (known.includes(technique)) return [];
+      inj.technique = known.concat(technique).join(', ');
+      return sqlmapRecord(rec);
+    }
+
+    // Database names: "[*] dbname"
+    const dbMatch = line.match(/^\[\*\]\s+(\S+)$/);
+    if (dbMatch) {
+      const name = dbMatch[1];
+      if (/^---/.test(name) || rec.databases.includes(name)) return [];
+      rec.databases.push(name);
+      return sqlmapRecord(rec);
+    }
+
+    // Table names from "Database: xxx" + "| tablename |"
+    const tableMatch = line.match(/^\|\s+(\S+)\s+\|$/);
+    if (tableMatch) {
+      const t = tableMatch[1];
+      if (t === 'Table' || /^-+$/.test(t) || rec.tables.includes(t)) return [];
+      rec.tables.push(t);
+      return sqlmapRecord(rec);
+    }
+
+    // DBMS identification
+    const dbmsMatch = line.match(/\[INFO\]\s*the back-end DBMS is\s+(.+)/i);
+    if (dbmsMatch) {
+      rec.dbms = dbmsMatch[1].trim();
+      return sqlmapRecord(rec);
+    }
+    return [];
+  },
+
+  flush(state) {
+    return sqlmapRecord(state.rec);
+  },
+};
+
+function sqlmapRecord(rec) {
+  if (!rec.target && !rec.injectable.length && !rec.databases.length) return [];
+  const target = rec.target || 'unknown';
+  return [Object.assign({ key: target }, rec, { target })];
+}
+
+
+// ─── FFuf / Gobuster Parser ───────────────────────────────────
+// One record per discovered path.
+const ffufGobusterParser = {
+  name: 'ffuf/gobuster',
+  tools: ['ffuf', 'gobuster'],
+
+  detect(line) {
+    return /^:: Method\s*:/i.test(line) ||        // ffuf header
+           /^:: URL\s*:/i.test(line) ||            // ffuf header
+           /^\s*Gobuster v/i.test(line) ||         // gobuster banner
+           /^\/\S+\s+\(Status:\s*\d+\)/i.test(line); // gobuster result line
+  },
+
+  start() {
+    return { tool: null, target: null };
+  },
+
+  line(state, line) {
+    // FFuf header; the URL line names the target
+    if (/^:: Method\s*:/i.test(line) || /^:: URL\s*:/i.test(line)) {
+      state.tool = 'ffuf';
+      const urlMatch = line.match(/^:: URL\s*:\s*(\S+)/i);
+      if (urlMatch) {
+        state.target = urlMatch[1].replace(/FUZZ/g, '*');
+      }
+      return [];
+    }
+
+    // Gobuster detection
+    if (/Gobuster v/i.test(line)) {
+      state.tool = 'gobuster';
+      return [];
+    }
+
+    // Gobuster URL
+    const goUrl = line.match(/^\[.+\]\s*(?:Starting|Scanning):\s*(\S+)/i) ||
+                   line.match(/^(?:\[\+\]\s*)?Url:\s*(\S+)/i);
+    if (goUrl) {
+      state.target = goUrl[1];
+      return [];
+    }
+
+    // FFuf result lines: "path  [Status: 200, Size: 1234, Words: 56, Lines: 12]"
+    const ffufMatch = line.match(
+      /^(\S+)\s+\[Status:\s*(\d+),\s*Size:\s*(\d+)(?:,\s*Words:\s*(\d+))?/
+    );
+    if (ffufMatch) {
+      return pathRecord(state, 'ffuf', ffufMatch[1], ffufMatch[2], ffufMatch[3]);
+    }
+
+    // Gobuster result: "/path (Status: 200) [Size: 1234]"
+    // or: "/path                 (Status: 200) [Size: 1234]"
+    const goMatch = line.match(
+      /^(\/\S+)\s+\(Status:\s*(\d+)\)\s*(?:\[Size:\s*(\d+)\])?/
+    );
+    if (goMatch) {
+      return pathRecord(state, 'gobuster', goMatch[1], goMatch[2], goMatch[3]);
+    }
+
+    // Gobuster v7+ / alternate format: "Found: /path  [200] [Size: 1234]"
+    const goAlt = line.match(/^Found:\s*(\/\S+)\s+\[(\d+)\](?:\s*\[Size:\s*(\d+)\])?/i);
+    if (goAlt) {
+      return pathRecord(state, 'gobuster', goAlt[1], goAlt[2], goAlt[3]);
+    }
+    return [];
+  },
+
+  flush() {
+    return [];
+  },
+};
+
+function pathRecord(state, guessedTool, path, status, size) {
+  state.tool = state.tool || guessedTool;
+  const target = state.target || 'unknown';
+  return [{
+    key: target + ' ' + path,
+    tool: state.tool,
+    target,
+    paths: [{ path, status: parseInt(status, 10), size: size ? parseInt(size, 10) : 0 }],
+  }];
+}
+
+
+// ─── Hydra Parser ──────────────────────────────────────────────
+// One record per login found.
+const hydraParser = {
+  name: 'hydra',
+
+  detect(line) {
+    return /^Hydra v/i.test(line) ||
+           /^\[DATA\]/i.test(line) ||
+           /^\[\d+\]\[/i.test(line);
+  },
+
+  start() {
+    return { target: null };
+  },
+
+  line(state, line) {
+    // "[DATA] attacking ..." lines for target
+    const dataMatch = line.match(/^\[DATA\]\s+attacking\s+(\S+):\/\/(\S+)/i);
+    if (dataMatch) {
+      state.target = dataMatch[2].replace(/\/.*$/, '').replace(/:\d+$/, '') || dataMatch[2];
+      return [];
+    }
+
+    // Credential found:
+    // "[22][ssh] host: 192.168.1.1   login: root   password: toor"
+    // "[80][http-post-form] host: 10.0.0.1   login: admin   password: admin123"
+    const credMatch = line.match(
+      /^\[(\d+)\]\[(\S+)\]\s+host:\s*(\S+)\s+login:\s*(\S+)\s+password:\s*(.+)$/i
+    );
+    if (credMatch) {
+      return credRecord(state, parseInt(credMatch[1], 10), credMatch[2], credMatch[3], credMatch[4], credMatch[5]);
+    }
+
+    // Alternate format from older Hydra: "[ssh] host: IP login: U password: P"
+    const credAlt = line.match(
+      /^\[(\S+)\]\s+host:\s*(\S+)\s+login:\s*(\S+)\s+password:\s*(.+)$/i
+    );
+    if (credAlt) {
+      return credRecord(state, null, credAlt[1], credAlt[2], credAlt[3], credAlt[4]);
+    }
+    return [];
+  },
+
+  flush() {
+    return [];
+  },
+};
+
+function credRecord(state, port, service, host, login, password) {
+  const target = state.target || host;
+  return [{
+    key: [host, port, service, login].join(' '),
+    tool: 'hydra',
+    target,
+    creds: [{ port, service, host, login, password: password.trim() }],
+  }];
+}
+
+
+// ─── Built-in Parsers ──────────────────────────────────────────
+const PARSERS = [nmapParser, niktoParser, sqlmapParser, ffufGobusterParser, hydraParser];
+
+module.exports = {
+  PARSERS,
+  guessSeverity,
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  PARSER REGISTRY
+//  The parsers the engine runs, in order. Kept on the recon
+//  namespace as __hyperRecon.parsers so other plugins and user
+//  modules can add their own at runtime:
+//    register(def)    add a parser, or replace the one of that name
+//    unregister(name)
+//    list()           [{ name, tools, source }]
+//    loadDir(dir)     register every *.js module in `dir`
+//  A parser is either the stateful form the built-ins use (see
+//  parsers.js) or the simple form:
+//    { name, detect(line, context), parse(line, state), flush?(state) }
+//  where `parse` returns a record, a list of them or nothing, and
+//  `state` ({ uid, command }) lasts for one command in one session.
+//  Records without a `key` are keyed by their content; `tool`
+//  defaults to the parser name.
+// ══════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+function toRecords(def, result) {
+  if (result === null || result === undefined) return [];
+  const list = Array.isArray(result) ? result : [result];
+  return list
+    .filter(r => r && typeof r === 'object')
+    .map(r => Object.assign({}, r, {
+      key: r.key !== undefined && r.key !== null ? String(r.key) : JSON.stringify(r),
+      tool: r.tool || def.name,
+      target: r.target || 'unknown',
+    }));
+}
+
+// The simple form as a stateful parser
+function fromSimple(def) {
+  return {
+    name: def.name,
+    tools: def.tools,
+    detect: (line, context) => def.detect(line, context || {}),
+    start: context => ({ uid: context ? context.uid : null, command: context ? context.command : null }),
+    line: (state, line) => toRecords(def, def.parse(line, state)),
+    flush: state => (typeof def.flush === 'function' ? toRecords(def, def.flush(state)) : []),
+  };
+}
+
+function normalize(def) {
+  if (!def || typeof def !== 'object' || typeof def.name !== 'string' || !def.name) {
+    throw new Error('parser needs a name');
+  }
+  if (typeof def.detect !== 'function') throw new Error('parser ' + def.name + ' needs detect()');
+  if (typeof def.line === 'function') {
+    return Object.assign({ start: () => ({}), flush: () => [] }, def);
+  }
+  if (typeof def.parse === 'function') return fromSimple(def);
+  throw new Error('parser ' + def.name + ' needs parse() or line()');
+}
+
+class ParserRegistry {
+  constructor() {
+    // The engine iterates this very array, so it is changed in place
+    this.parsers = [];
+    this._sources = new Map();  // parser -> file it was loaded from
+  }
+
+  // Returns a function that removes the parser again (unless it has
+  // been replaced since)
+  register(def, source) {
+    const parser = normalize(def);
+    const idx = this.parsers.findIndex(p => p.name === parser.name);
+    if (idx === -1) this.parsers.push(parser);
+    else {
+      this._sources.delete(this.parsers[idx]);
+      this.parsers[idx] = parser;
+    }
+    if (source) this._sources.set(parser, source);
+    return () => {
+      const at = this.parsers.indexOf(parser);
+      if (at !== -1) this._remove(at);
+    };
+  }
+
+  unregister(name) {
+    const idx = this.parsers.findIndex(p => p.name === name);
+    if (idx === -1) return false;
+    this._remove(idx);
+    return true;
+  }
+
+  _remove(idx) {
+    this._sources.delete(this.parsers[idx]);
+    this.parsers.splice(idx, 1);
+  }
+
+  list() {
+    return this.parsers.map(p => ({
+      name: p.name,
+      tools: p.tools || [p.name],
+      source: this._sources.get(p) || null,
+    }));
+  }
+
+  // Whether a parser other than `except` handles `tool`
+  covers(tool, except) {
+    return this.parsers.some(p => p !== except && (p.tools || [p.name]).includes(tool));
+  }
+
+  // A module exports one parser or a list of them. Modules are read
+  // afresh, so calling this again picks up edits. Returns the names
+  // registered.
+  loadDir(dir) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error('[output-parser] Failed to read parser directory:', e.message);
+      return [];
+    }
+    const names = [];
+    for (const file of files) {
+      const full = path.join(dir, file);
+      try {
+        delete require.cache[require.resolve(full)];
+        const mod = require(full);
+        for (const def of Array.isArray(mod) ? mod : [mod]) {
+          this.register(def, full);
+          names.push(def.name);
+        }
+      } catch (e) {
+        console.error('[output-parser] Failed to load parser ' + file + ':', e.message);
+      }
+    }
+    return names;
+  }
+}
+
+module.exports = {
+  ParserRegistry,
+};
@@ -8,26 +8,10 @@
 // ══════════════════════════════════════════════════════════════
 
 const { clipboard } = require('electron');
-
-// ─── Shared Recon Namespace ────────────────────────────────────
-function getRecon() {
-  if (!window.__hyperRecon) {
-    const EventEmitter = require('events');
-    window.__hyperRecon = { events: new EventEmitter(), targets: new Map(), findings: [], hud: null };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
-
-// ─── Session Tracking ──────────────────────────────────────────
-let activeUid = null;
-
-function execInTerminal(cmd) {
-  const recon = getRecon();
-  const uid = recon.activeUid || activeUid;
-  if (!uid) return;
-  window.rpc.emit('data', { uid, data: cmd, escaped: false });
-}
+const {
+  getRecon, trackSession, sendToTerminal, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
 
 function copyToClipboard(text) {
   clipboard.writeText(text);
@@ -319,7 +303,7 @@ function getPanelClass(React) {
     }
 
     _onInsert(text, idx) {
-      execInTerminal(text);
+      sendToTerminal(text);
       this.setState({ insertedIndex: idx });
       this._notify('Inserted into terminal');
       setTimeout(() => this.setState({ insertedIndex: null }), 1200);
@@ -629,18 +613,7 @@ function getPanelClass(React) {
 // ══════════════════════════════════════════════════════════════
 
 exports.middleware = (store) => (next) => (action) => {
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      break;
-    case 'SESSION_ADD':
-      if (!activeUid) activeUid = action.uid;
-      break;
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT':
-      if (action.uid === activeUid) activeUid = null;
-      break;
-  }
+  trackSession(action);
   return next(action);
 };
 
@@ -653,35 +626,16 @@ exports.decorateHyper = (Hyper, { React }) => {
     constructor(props) {
       super(props);
       this._registered = false;
-      this._onReady = this._onReady.bind(this);
+      this._cancelHud = null;
     }
 
     componentDidMount() {
-      this._tryRegister();
-    }
-
-    componentDidUpdate() {
-      this._tryRegister();
+      registerPlugin({ name: 'payload-rack', version, provides: { payloads: 1 }, requires: { hud: 1 } });
+      this._cancelHud = whenCapability('hud', 1, hud => this._register(hud));
     }
 
     componentWillUnmount() {
-      const recon = getRecon();
-      recon.events.removeListener('hud:ready', this._onReady);
-    }
-
-    _tryRegister() {
-      if (this._registered) return;
-      const recon = getRecon();
-      if (recon.hud) {
-        this._register(recon.hud);
-      } else {
-        recon.events.removeListener('hud:ready', this._onReady);
-        recon.events.on('hud:ready', this._onReady);
-      }
-    }
-
-    _onReady(hud) {
-      if (!this._registered) this._register(hud);
+      if (this._cancelHud) this._cancelHud();
     }
 
     _register(hud) {
@@ -1,5 +1,7 @@
 'use strict';
 const { diffVisibleRows } = require('./viewportDiff');
+const { registerPlugin } = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
 
 // ══════════════════════════════════════════════════════════════
 //  HYPER RECON MENU
@@ -273,6 +275,8 @@ exports.decorateTerm = (Term, { React }) => {
       if (this.props.onDecorated) this.props.onDecorated(term);
       if (!term || !term.term) return;
 
+      // Icon actions open target-panel's tool selector
+      registerPlugin({ name: 'recon-menu', version, requires: { 'tool-selector': 1 } });
       this._xterm = term.term;
 
       // Wait for DOM to be ready
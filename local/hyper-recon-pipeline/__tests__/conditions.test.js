@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findStep, evaluate, describe } = require('../conditions');
+
+const steps = [
+  { id: 'nmap', name: 'Nmap', output: ['80/tcp open http'] },
+  { id: 'whatweb', name: 'WhatWeb', output: ['http://x [200 OK] WordPress[6.4]'] },
+  { name: 'Gobuster', output: [] },
+];
+
+test('findStep matches id or name among earlier steps only', () => {
+  assert.equal(findStep(steps, 'whatweb', 2), 1);
+  assert.equal(findStep(steps, 'NMAP', 2), 0);
+  assert.equal(findStep(steps, 'gobuster', 2), -1);
+});
+
+test('target predicates look at the step input', () => {
+  const ctx = { targets: [{ target: '10.0.0.1', port: 22, isHttp: false }], steps, stepIdx: 2 };
+  assert.equal(evaluate(undefined, ctx).ok, true);
+  assert.equal(evaluate({ minTargets: 1 }, ctx).ok, true);
+  assert.deepEqual(evaluate({ minTargets: 2 }, ctx), { ok: false, reason: '1 target(s), need 2' });
+  assert.deepEqual(evaluate({ hasHttp: true }, ctx), { ok: false, reason: 'no HTTP services' });
+  assert.equal(evaluate({ hasHttp: true }, { ...ctx, targets: ['https://a.example.com'] }).ok, true);
+});
+
+test('match reads a named step, defaulting to the previous one', () => {
+  const ctx = { targets: [], steps, stepIdx: 2 };
+  assert.equal(evaluate({ match: 'wordpress', in: 'whatweb' }, ctx).ok, true);
+  assert.equal(evaluate({ match: 'WordPress' }, ctx).ok, true);
+  assert.equal(evaluate({ match: 'Joomla', in: 'whatweb' }, ctx).reason, '/Joomla/ not seen in whatweb');
+});
+
+test('not, any and arrays combine predicates', () => {
+  const ctx = { targets: ['a'], steps, stepIdx: 2 };
+  assert.equal(evaluate([{ minTargets: 1 }, { match: 'WordPress' }], ctx).ok, true);
+  assert.equal(evaluate([{ minTargets: 1 }, { hasHttp: true }], ctx).ok, false);
+  assert.equal(evaluate({ any: [{ hasHttp: true }, { match: 'WordPress' }] }, ctx).ok, true);
+  assert.equal(evaluate({ not: { match: 'WordPress' } }, ctx).ok, false);
+  assert.equal(describe({ any: [{ hasHttp: true }, { minTargets: 3 }] }), 'has HTTP | targets >= 3');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runBackground } = require('../fanoutRunner');
+
+function run(cmd, opts = {}) {
+  return new Promise((resolve) => {
+    runBackground(cmd, { login: false, ...opts, onExit: resolve });
+  });
+}
+
+test('captures stdout and stderr lines with the exit code', async () => {
+  const result = await run("printf 'a\\n\\x1b[32mb\\x1b[0m\\n'; echo err 1>&2; printf 'tail'; exit 3");
+  assert.equal(result.code, 3);
+  assert.deepEqual(result.lines.sort(), ['a', 'b', 'err', 'tail']);
+});
+
+test('keeps only the most recent lines', async () => {
+  const result = await run('seq 1 10', { maxLines: 3 });
+  assert.deepEqual(result.lines, ['8', '9', '10']);
+});
+
+test('runs items concurrently and kill() stops the process group', async () => {
+  const started = Date.now();
+  await Promise.all([run('sleep 0.5'), run('sleep 0.5'), run('sleep 0.5')]);
+  assert.ok(Date.now() - started < 1400);
+
+  let handle;
+  const done = new Promise((resolve) => {
+    handle = runBackground('sleep 5 & wait', { login: false, onExit: resolve });
+  });
+  handle.kill();
+  const result = await done;
+  assert.equal(result.signal, 'SIGTERM');
+});
+
+test('a command that cannot be spawned reports its error after the handle is returned', async () => {
+  let handle = null;
+  let handleAtExit;
+  const result = await new Promise((resolve) => {
+    handle = runBackground('echo a\0b', {
+      login: false,
+      onExit: (r) => { handleAtExit = handle; resolve(r); },
+    });
+  });
+  assert.equal(handle.pid, null);
+  assert.equal(handleAtExit, handle);
+  assert.match(result.error, /null bytes/);
+  assert.deepEqual(result.lines, []);
+});
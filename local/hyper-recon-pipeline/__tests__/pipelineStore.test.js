@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadPipelines, savePipelines, markInterrupted } = require('../pipelineStore');
+
+function mkTempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl-store-'));
+  return path.join(dir, 'pipelines.json');
+}
+
+function makePipeline(overrides = {}) {
+  return {
+    id: 'pl-1-abc',
+    name: 'Domain Recon',
+    templateKey: 'domain',
+    target: 'example.com',
+    currentStep: 1,
+    status: 'running',
+    startTime: 1000,
+    endTime: null,
+    expanded: true,
+    _activeUid: 'uid-1',
+    steps: [
+      { name: 'Subfinder', status: 'completed', output: ['a.example.com'], targets: ['a.example.com'], fanout: false, fanoutQueue: [], fanoutInflight: [], fanoutCompleted: 0, fanoutTotal: 0 },
+      {
+        name: 'Nmap',
+        status: 'running',
+        output: ['22/tcp open ssh'],
+        targets: [],
+        fanout: true,
+        fanoutQueue: [{ target: 'c.example.com', raw: 'c.example.com' }],
+        fanoutInflight: [{ target: 'b.example.com', raw: 'b.example.com' }],
+        fanoutActive: 1,
+        fanoutCompleted: 1,
+        fanoutTotal: 3,
+        _expanded: true,
+      },
+    ],
+    ...overrides,
+  };
+}
+
+test('saves and reloads pipelines without runtime-only fields', () => {
+  const file = mkTempFile();
+  assert.equal(savePipelines([makePipeline({ status: 'completed', currentStep: 0 })], file), true);
+
+  const [restored] = loadPipelines(file);
+  assert.equal(restored.id, 'pl-1-abc');
+  assert.equal(restored.status, 'completed');
+  assert.equal(restored._activeUid, undefined);
+  assert.equal(restored.steps[1]._expanded, undefined);
+  assert.deepEqual(restored.steps[0].targets, ['a.example.com']);
+});
+
+test('running pipelines come back paused and interrupted with in-flight fan-out requeued', () => {
+  const file = mkTempFile();
+  savePipelines([makePipeline()], file);
+
+  const [restored] = loadPipelines(file);
+  const step = restored.steps[1];
+  assert.equal(restored.status, 'paused');
+  assert.equal(restored.interrupted, true);
+  assert.equal(step.status, 'running');
+  assert.equal(step.fanoutActive, 0);
+  assert.equal(step.fanoutCompleted, 1);
+  assert.deepEqual(step.fanoutQueue.map(i => i.target), ['b.example.com', 'c.example.com']);
+  assert.deepEqual(step.fanoutInflight, []);
+});
+
+test('markInterrupted leaves finished pipelines alone', () => {
+  const done = markInterrupted(makePipeline({ status: 'cancelled' }));
+  assert.equal(done.status, 'cancelled');
+  assert.equal(done.interrupted, undefined);
+});
+
+test('missing or corrupt store yields no pipelines', () => {
+  const file = mkTempFile();
+  assert.deepEqual(loadPipelines(file), []);
+  fs.writeFileSync(file, '{not json');
+  assert.deepEqual(loadPipelines(file), []);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { validateTemplate, loadTemplates, saveTemplate, deleteTemplate } = require('../templateStore');
+
+const opts = { parserNames: ['line', 'nmap_ports', 'httpx'], reservedKeys: ['domain', 'custom'] };
+
+function mkTempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl-tpl-'));
+  return path.join(dir, 'pipeline-templates.json');
+}
+
+const chain = {
+  name: 'Client A chain',
+  steps: [
+    { name: 'Nmap', cmdTemplate: 'nmap -sV {target}', parser: 'nmap_ports' },
+    { name: 'Nikto', cmdTemplate: 'nikto -h http://{target}:{port}', fanout: true, inputFilter: 'http_only' },
+  ],
+};
+
+test('validateTemplate accepts a well-formed chain', () => {
+  assert.deepEqual(validateTemplate('client-a', chain, opts), []);
+});
+
+test('validateTemplate reports unknown parsers and illegal input options', () => {
+  const errors = validateTemplate('domain', {
+    name: 'Bad',
+    steps: [
+      { cmdTemplate: 'x {target}', parser: 'nope', inputMode: 'stream', inputFilter: 'web', inputField: 'ip' },
+      { cmdTemplate: '' },
+    ],
+  }, opts);
+
+  assert.ok(errors.some(e => e.includes('built-in')));
+  assert.ok(errors.some(e => e.includes('unknown parser "nope"')));
+  assert.ok(errors.some(e => e.startsWith('step 1: inputMode')));
+  assert.ok(errors.some(e => e.startsWith('step 1: inputFilter')));
+  assert.ok(errors.some(e => e.startsWith('step 1: inputField')));
+  assert.ok(errors.some(e => e === 'step 2: cmdTemplate is required'));
+});
+
+test('saveTemplate round-trips through loadTemplates with defaults filled in', () => {
+  const file = mkTempFile();
+  assert.deepEqual(saveTemplate('client-a', chain, opts, file), { ok: true, errors: [] });
+
+  const { templates, errors } = loadTemplates(opts, file);
+  assert.deepEqual(errors, []);
+  const tpl = templates['client-a'];
+  assert.equal(tpl.userDefined, true);
+  assert.equal(tpl.description, 'Nmap -> Nikto');
+  assert.equal(tpl.steps[1].parser, 'line');
+  assert.equal(tpl.steps[1].fanout, true);
+  assert.equal(tpl.steps[1].inputFilter, 'http_only');
+
+  assert.equal(deleteTemplate('client-a', file), true);
+  assert.deepEqual(loadTemplates(opts, file).templates, {});
+});
+
+test('loadTemplates skips invalid entries and reports them', () => {
+  const file = mkTempFile();
+  fs.writeFileSync(file, JSON.stringify({
+    templates: {
+      good: chain,
+      broken: { name: 'Broken', steps: [{ cmdTemplate: 'x', parser: 'missing' }] },
+    },
+  }));
+
+  const { templates, errors } = loadTemplates(opts, file);
+  assert.deepEqual(Object.keys(templates), ['good']);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^broken: step 1: unknown parser/);
+});
+
+test('validateTemplate checks step inputs and conditions against earlier steps', () => {
+  const branched = {
+    name: 'Branched',
+    steps: [
+      { id: 'scan', name: 'Nmap', cmdTemplate: 'nmap {target}', parser: 'nmap_ports' },
+      { name: 'Web', cmdTemplate: 'whatweb {target}', input: 'scan', when: { hasHttp: true } },
+      { name: 'WP', cmdTemplate: 'wpscan --url {target}', input: '@target', when: { match: 'WordPress', in: 'web' } },
+    ],
+  };
+  assert.deepEqual(validateTemplate('branched', branched, opts), []);
+
+  const errors = validateTemplate('bad-branch', {
+    name: 'Bad branch',
+    steps: [
+      { id: 'has space', cmdTemplate: 'a', input: 'later' },
+      { name: 'later', cmdTemplate: 'b', when: { match: '(', in: 'nowhere' } },
+      { cmdTemplate: 'c', when: { sometimes: true } },
+    ],
+  }, opts);
+  assert.ok(errors.some(e => e.startsWith('step 1: id')));
+  assert.ok(errors.some(e => e.startsWith('step 1: input')));
+  assert.ok(errors.some(e => e === 'step 2: when: match is not a valid regex'));
+  assert.ok(errors.some(e => e.includes('unknown earlier step "nowhere"')));
+  assert.ok(errors.some(e => e.startsWith('step 3: when: unknown condition')));
+});
+
+test('loadTemplates reads hand-written YAML next to the saved JSON', () => {
+  const file = mkTempFile();
+  const yamlFile = path.join(path.dirname(file), 'pipeline-templates.yaml');
+  fs.writeFileSync(yamlFile, [
+    '# per-engagement chains',
+    'version: 1',
+    'templates:',
+    '  client-b:',
+    '    name: "Client B chain"',
+    '    steps:',
+    '    - name: Nmap',
+    '      cmdTemplate: nmap -sV {target}   # service scan',
+    '      parser: nmap_ports',
+    '    - name: Nikto',
+    "      cmdTemplate: 'nikto -h http://{target}:{port}'",
+    '      fanout: true',
+    '      when: {hasHttp: true}',
+    '  client-a:',
+    '    name: From YAML',
+    '    steps:',
+    '      - cmdTemplate: echo {target}',
+  ].join('\n'));
+  saveTemplate('client-a', chain, opts, file);
+
+  const { templates, errors } = loadTemplates(opts, [yamlFile, file]);
+  assert.deepEqual(errors, []);
+  assert.equal(templates['client-b'].name, 'Client B chain');
+  assert.equal(templates['client-b'].readOnly, true);
+  assert.equal(templates['client-b'].steps[0].cmdTemplate, 'nmap -sV {target}');
+  assert.equal(templates['client-b'].steps[1].fanout, true);
+  assert.deepEqual(templates['client-b'].steps[1].when, { hasHttp: true });
+  // The saved JSON template wins over a YAML one with the same key
+  assert.equal(templates['client-a'].name, 'Client A chain');
+  assert.equal(templates['client-a'].readOnly, undefined);
+});
+
+test('YAML the subset reader does not support is reported with its line', () => {
+  const file = path.join(path.dirname(mkTempFile()), 'pipeline-templates.yml');
+  fs.writeFileSync(file, 'templates:\n  x:\n    name: X\n    steps:\n      - cmdTemplate: |\n          echo\n');
+  const { templates, errors } = loadTemplates(opts, file);
+  assert.deepEqual(templates, {});
+  assert.deepEqual(errors, ['pipeline-templates.yml: line 5: block scalars (| and >) are not supported']);
+});
+
+test('YAML keys that would reach an object prototype are refused', () => {
+  const file = path.join(path.dirname(mkTempFile()), 'pipeline-templates.yaml');
+  fs.writeFileSync(file, 'templates:\n  __proto__:\n    name: X\n');
+  const { templates, errors } = loadTemplates(opts, file);
+  assert.deepEqual(templates, {});
+  assert.equal(Object.getPrototypeOf(templates), Object.prototype);
+  assert.deepEqual(errors, ['pipeline-templates.yaml: line 2: key "__proto__" is not allowed']);
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+// ======================================================================
+//  STEP CONDITIONS
+//  Predicates a step can declare in `when` to decide whether it runs.
+//
+//    { minTargets: 1 }                    input has at least N targets
+//    { hasHttp: true }                    input contains an HTTP service
+//    { match: 'WordPress', in: 'whatweb' } regex over an earlier step's output
+//    { not: cond }  { any: [cond, ...] }  [cond, ...] (all must hold)
+// ======================================================================
+
+const INPUT_TARGET = '@target';   // `input` value meaning the pipeline target
+
+function isHttpTarget(t) {
+  if (t && typeof t === 'object') return !!t.isHttp;
+  return /^https?:\/\//i.test(String(t));
+}
+
+// Find an earlier step by id or name (case-insensitive)
+function findStep(steps, ref, beforeIdx) {
+  const key = String(ref).toLowerCase();
+  for (let i = 0; i < beforeIdx; i++) {
+    const s = steps[i];
+    if ((s.id && s.id.toLowerCase() === key) || (s.name && s.name.toLowerCase() === key)) return i;
+  }
+  return -1;
+}
+
+// ctx: { targets, steps, stepIdx }
+function evaluate(cond, ctx) {
+  if (cond === undefined || cond === null) return { ok: true };
+  if (Array.isArray(cond)) {
+    for (const c of cond) {
+      const r = evaluate(c, ctx);
+      if (!r.ok) return r;
+    }
+    return { ok: true };
+  }
+  if (cond.not !== undefined) {
+    const r = evaluate(cond.not, ctx);
+    return r.ok ? { ok: false, reason: 'not(' + describe(cond.not) + ')' } : { ok: true };
+  }
+  if (cond.any !== undefined) {
+    for (const c of cond.any) {
+      if (evaluate(c, ctx).ok) return { ok: true };
+    }
+    return { ok: false, reason: 'none of ' + cond.any.map(describe).join(' | ') };
+  }
+  if (cond.minTargets !== undefined) {
+    const count = ctx.targets.length;
+    return count >= cond.minTargets
+      ? { ok: true }
+      : { ok: false, reason: count + ' target(s), need ' + cond.minTargets };
+  }
+  if (cond.hasHttp !== undefined) {
+    const has = ctx.targets.some(isHttpTarget);
+    return has === !!cond.hasHttp
+      ? { ok: true }
+      : { ok: false, reason: has ? 'HTTP services found' : 'no HTTP services' };
+  }
+  if (cond.match !== undefined) {
+    const idx = cond.in !== undefined ? findStep(ctx.steps, cond.in, ctx.stepIdx) : ctx.stepIdx - 1;
+    const output = idx >= 0 ? ctx.steps[idx].output || [] : [];
+    const re = new RegExp(cond.match, 'i');
+    return output.some(line => re.test(line))
+      ? { ok: true }
+      : { ok: false, reason: '/' + cond.match + '/ not seen' + (cond.in ? ' in ' + cond.in : '') };
+  }
+  return { ok: false, reason: 'unknown condition' };
+}
+
+function describe(cond) {
+  if (Array.isArray(cond)) return cond.map(describe).join(' & ');
+  if (!cond || typeof cond !== 'object') return String(cond);
+  if (cond.not !== undefined) return 'not(' + describe(cond.not) + ')';
+  if (cond.any !== undefined) return cond.any.map(describe).join(' | ');
+  if (cond.minTargets !== undefined) return 'targets >= ' + cond.minTargets;
+  if (cond.hasHttp !== undefined) return cond.hasHttp ? 'has HTTP' : 'no HTTP';
+  if (cond.match !== undefined) return '/' + cond.match + '/' + (cond.in ? ' in ' + cond.in : '');
+  return '?';
+}
+
+// Structural check used by template validation; returns error strings
+function validate(cond, { steps = [], stepIdx = 0 } = {}) {
+  if (Array.isArray(cond)) return cond.flatMap(c => validate(c, { steps, stepIdx }));
+  if (!cond || typeof cond !== 'object') return ['condition must be an object or array'];
+  const keys = Object.keys(cond);
+  if (cond.not !== undefined) return validate(cond.not, { steps, stepIdx });
+  if (cond.any !== undefined) {
+    if (!Array.isArray(cond.any) || cond.any.length === 0) return ['"any" must be a non-empty array'];
+    return cond.any.flatMap(c => validate(c, { steps, stepIdx }));
+  }
+  if (cond.minTargets !== undefined) {
+    return Number.isInteger(cond.minTargets) && cond.minTargets >= 0 ? [] : ['minTargets must be a whole number'];
+  }
+  if (cond.hasHttp !== undefined) {
+    return typeof cond.hasHttp === 'boolean' ? [] : ['hasHttp must be true or false'];
+  }
+  if (cond.match !== undefined) {
+    const errors = [];
+    try { new RegExp(cond.match, 'i'); } catch (e) { errors.push('match is not a valid regex'); }
+    if (cond.in !== undefined && findStep(steps, cond.in, stepIdx) === -1) {
+      errors.push('match refers to unknown earlier step "' + cond.in + '"');
+    }
+    return errors;
+  }
+  return ['unknown condition ' + JSON.stringify(keys)];
+}
+
+module.exports = {
+  INPUT_TARGET,
+  findStep,
+  evaluate,
+  describe,
+  validate,
+};
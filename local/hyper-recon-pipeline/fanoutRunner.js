@@ -0,0 +1,80 @@
+'use strict';
+
+// ======================================================================
+//  FAN-OUT RUNNER
+//  Runs one fan-out item as a background shell process with its own
+//  output buffer, so several items can execute at the same time.
+// ======================================================================
+
+const { spawn } = require('child_process');
+const { stripAnsi } = require('../hyper-hud-framework/runtime');
+
+const DEFAULT_MAX_LINES = 2000;
+
+// Start `cmd` and call onExit({ lines, code, signal, error }) exactly once,
+// always after runBackground has returned (also when spawn throws), so
+// callers can use the handle in it.
+// Returns a handle with the child's pid and a kill() that stops the whole
+// process group (tools like nmap fork helpers of their own).
+function runBackground(cmd, opts = {}) {
+  const maxLines = opts.maxLines || DEFAULT_MAX_LINES;
+  const onExit = typeof opts.onExit === 'function' ? opts.onExit : () => {};
+  const lines = [];
+  const partial = { stdout: '', stderr: '' };
+  let finished = false;
+
+  const pushLine = (line) => {
+    const trimmed = stripAnsi(line).trim();
+    if (!trimmed) return;
+    lines.push(trimmed);
+    if (lines.length > maxLines) lines.splice(0, lines.length - maxLines);
+    if (typeof opts.onLine === 'function') opts.onLine(trimmed);
+  };
+
+  const collect = (stream) => (chunk) => {
+    const text = partial[stream] + chunk.toString('utf8');
+    const parts = text.split('\n');
+    partial[stream] = parts.pop();
+    parts.forEach(pushLine);
+  };
+
+  const finish = (result) => {
+    if (finished) return;
+    finished = true;
+    pushLine(partial.stdout);
+    pushLine(partial.stderr);
+    onExit({ lines, code: null, signal: null, error: null, ...result });
+  };
+
+  let child;
+  try {
+    // Login shell by default so PATH matches the user's terminal
+    child = spawn('bash', [opts.login === false ? '-c' : '-lc', cmd], {
+      cwd: opts.cwd,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (err) {
+    process.nextTick(() => finish({ error: err.message }));
+    return { pid: null, kill() {} };
+  }
+
+  child.stdout.on('data', collect('stdout'));
+  child.stderr.on('data', collect('stderr'));
+  child.once('error', (err) => finish({ error: err.message }));
+  child.once('close', (code, signal) => finish({ code, signal }));
+
+  return {
+    pid: child.pid,
+    kill(signal = 'SIGTERM') {
+      if (finished) return;
+      try {
+        process.kill(-child.pid, signal);
+      } catch (_e) {
+        try { child.kill(signal); } catch (_e2) {}
+      }
+    },
+  };
+}
+
+module.exports = { runBackground };
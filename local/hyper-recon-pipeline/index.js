@@ -7,37 +7,23 @@
 //  Visual progress in HUD tab. Pause/skip/branch at any step.
 // ======================================================================
 
-const EventEmitter = require('events');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { pipelinesFile, loadPipelines, savePipelines, markInterrupted } = require('./pipelineStore');
+const { loadTemplates, saveTemplate, deleteTemplate } = require('./templateStore');
+const { runBackground } = require('./fanoutRunner');
+const { wrapCommand } = require('../hyper-hud-framework/sentinel');
+const { feedPty, sessionShell } = require('../hyper-hud-framework/ptyStream');
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, getActiveUid, execInTerminal, sendToTerminal, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
+const conditions = require('./conditions');
 
 // ------ Constants -----------------------------------------------------
 
 const TICK_MS = 1000;
 const OUTPUT_BUFFER_MAX = 2000;
 const MAX_CONCURRENT_FANOUT = 3;
-const PROMPT_PATTERNS = [
-  /[$#]\s*$/,
-  /\u250c\u2500\u2500/,             // box-drawing: top-left corner
-  /\u276f\s*$/,                      // heavy right-pointing angle
-  />\s*$/,
-  /\]\$\s*$/,
-  /\]#\s*$/,
-];
 
 // ------ Shell Safety --------------------------------------------------
 
@@ -46,15 +32,6 @@ function esc(str) {
   return "'" + str.replace(/'/g, "'\\''") + "'";
 }
 
-function stripAnsi(str) {
-  return str
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-    .replace(/\x1b\][^\x07]*\x07/g, '')
-    .replace(/\x1b[()][AB012]/g, '')
-    .replace(/\x1b\[[\?]?[0-9;]*[hlm]/g, '')
-    .replace(/\r/g, '');
-}
-
 function elapsed(ms) {
   const s = Math.floor(ms / 1000);
   if (s < 60) return s + 's';
@@ -204,6 +181,7 @@ const PIPELINE_TEMPLATES = {
         parser: 'httpx',
         fanout: false,
         inputMode: 'pipe_all',
+        when: { minTargets: 1 },
         description: 'Probe live HTTP hosts',
       },
       {
@@ -219,6 +197,7 @@ const PIPELINE_TEMPLATES = {
         cmdTemplate: 'nikto -h {target}',
         parser: 'line',
         fanout: true,
+        when: { hasHttp: true },
         description: 'Vulnerability scan on HTTP services',
       },
     ],
@@ -230,6 +209,7 @@ const PIPELINE_TEMPLATES = {
     targetLabel: 'IP Address (e.g. 10.10.10.1)',
     steps: [
       {
+        id: 'nmap',
         name: 'Nmap',
         cmdTemplate: 'nmap -sV -sC {target}',
         parser: 'nmap_ports',
@@ -242,6 +222,7 @@ const PIPELINE_TEMPLATES = {
         parser: 'whatweb',
         fanout: true,
         inputFilter: 'http_only',
+        when: { hasHttp: true },
         description: 'Technology fingerprinting',
       },
       {
@@ -249,7 +230,9 @@ const PIPELINE_TEMPLATES = {
         cmdTemplate: 'gobuster dir -u http://{target}:{port} -w /usr/share/wordlists/dirb/common.txt',
         parser: 'gobuster',
         fanout: true,
+        input: 'nmap',
         inputFilter: 'http_only',
+        when: { hasHttp: true },
         description: 'Directory enumeration',
       },
       {
@@ -257,7 +240,9 @@ const PIPELINE_TEMPLATES = {
         cmdTemplate: 'nikto -h http://{target}:{port}',
         parser: 'line',
         fanout: true,
+        input: 'nmap',
         inputFilter: 'http_only',
+        when: { hasHttp: true },
         description: 'Vulnerability scanning',
       },
     ],
@@ -265,21 +250,32 @@ const PIPELINE_TEMPLATES = {
 
   webapp: {
     name: 'Web App Recon',
-    description: 'Fingerprint -> Dirs -> Vulns -> SQLi',
+    description: 'Fingerprint -> [WordPress] -> Dirs -> Vulns -> SQLi',
     targetLabel: 'URL (e.g. http://target.com)',
     steps: [
       {
+        id: 'whatweb',
         name: 'WhatWeb',
         cmdTemplate: 'whatweb {target}',
         parser: 'whatweb',
         fanout: false,
         description: 'Technology fingerprinting',
       },
+      {
+        name: 'WPScan',
+        cmdTemplate: 'wpscan --url {target} --enumerate vp,vt,u',
+        parser: 'line',
+        fanout: false,
+        input: '@target',
+        when: { match: 'WordPress', in: 'whatweb' },
+        description: 'WordPress scan (only if fingerprinted)',
+      },
       {
         name: 'Gobuster',
         cmdTemplate: 'gobuster dir -u {target} -w /usr/share/wordlists/dirb/common.txt -x php,html,js,txt',
         parser: 'gobuster',
         fanout: false,
+        input: '@target',
         description: 'Directory enumeration',
       },
       {
@@ -287,6 +283,7 @@ const PIPELINE_TEMPLATES = {
         cmdTemplate: 'nikto -h {target}',
         parser: 'line',
         fanout: false,
+        input: '@target',
         description: 'Vulnerability scan',
       },
       {
@@ -294,6 +291,7 @@ const PIPELINE_TEMPLATES = {
         cmdTemplate: 'sqlmap -u {target} --batch --crawl=2',
         parser: 'line',
         fanout: false,
+        input: '@target',
         description: 'SQL injection testing',
       },
     ],
@@ -346,6 +344,7 @@ const PIPELINE_TEMPLATES = {
         parser: 'httpx',
         fanout: false,
         inputMode: 'pipe_all',
+        when: { minTargets: 1 },
         description: 'Probe live HTTP hosts',
       },
       {
@@ -361,6 +360,7 @@ const PIPELINE_TEMPLATES = {
         cmdTemplate: 'nikto -h {target}',
         parser: 'line',
         fanout: true,
+        when: { hasHttp: true },
         description: 'Vulnerability scan on HTTP services',
       },
     ],
@@ -374,37 +374,77 @@ const PIPELINE_TEMPLATES = {
   },
 };
 
+// ------ User Templates ------------------------------------------------
+// Loaded from pipeline-templates.json (and .yaml/.yml) in the recon data directory.
+
+let userTemplates = {};
+
+function templateOpts() {
+  return {
+    parserNames: Object.keys(outputParsers),
+    reservedKeys: Object.keys(PIPELINE_TEMPLATES),
+  };
+}
+
+function getTemplate(key) {
+  return PIPELINE_TEMPLATES[key] || userTemplates[key] || null;
+}
+
+function loadUserTemplates() {
+  const { templates, errors } = loadTemplates(templateOpts());
+  userTemplates = templates;
+  if (errors.length > 0) {
+    console.warn('[recon-pipeline] Invalid templates:\n  ' + errors.join('\n  '));
+    if (hudApi) hudApi.notify('Skipped invalid pipeline templates: ' + errors[0], 'warn');
+  }
+  return errors;
+}
+
+// Save the custom step editor draft as a reusable template
+function saveCustomAsTemplate(name, customSteps) {
+  const key = name.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  const tpl = {
+    name: name.trim(),
+    targetLabel: 'Target',
+    steps: customSteps.map(s => ({
+      name: s.name,
+      cmdTemplate: s.cmd,
+      parser: s.parser || 'line',
+      fanout: !!s.fanout,
+      description: s.description || '',
+    })),
+  };
+
+  const result = saveTemplate(key, tpl, templateOpts());
+  if (!result.ok) {
+    if (hudApi) hudApi.notify('Template not saved: ' + result.errors[0], 'error');
+    return null;
+  }
+  loadUserTemplates();
+  if (hudApi) hudApi.notify('Saved pipeline template: ' + tpl.name, 'success');
+  return key;
+}
+
+function removeUserTemplate(key) {
+  if (!userTemplates[key] || userTemplates[key].readOnly) return;
+  deleteTemplate(key);
+  loadUserTemplates();
+}
+
 // ======================================================================
 //  PIPELINE ENGINE
 // ======================================================================
 
-let activeUid = null;
 let hudApi = null;
 let hudRegistered = false;
 let renderCallback = null;
 let tickTimer = null;
-let promptRegex = null;   // user-configurable
 
 const pipelines = new Map();        // id -> pipeline state
-const ptyBuffers = new Map();       // uid -> { partial, collecting, pipeline }
+const runningSteps = new Map();     // uid -> { pipelineId, stepIdx, sentinelId }
+const fanoutJobs = new Map();       // pipelineId -> Map(fan-out item -> process handle)
 let customStepDraft = [];           // for custom pipeline builder
 
-function isPromptLine(line) {
-  if (promptRegex) {
-    try { return promptRegex.test(line); } catch { /* fall through */ }
-  }
-  for (const pat of PROMPT_PATTERNS) {
-    if (pat.test(line)) return true;
-  }
-  return false;
-}
-
-function execCmd(cmd, uid) {
-  const target = uid || activeUid;
-  if (!target) return;
-  window.rpc.emit('data', { uid: target, data: cmd + '\n', escaped: false });
-}
-
 // Build actual command from template + variables
 function buildCommand(template, vars) {
   let cmd = template;
@@ -446,7 +486,7 @@ function hostFromUrl(url) {
 
 // Create a new pipeline from a template
 function createPipeline(templateKey, target, customSteps) {
-  const tpl = PIPELINE_TEMPLATES[templateKey];
+  const tpl = getTemplate(templateKey);
   if (!tpl) return null;
 
   const steps = (templateKey === 'custom' && customSteps)
@@ -462,6 +502,7 @@ function createPipeline(templateKey, target, customSteps) {
         elapsed: 0,
         currentTarget: null,
         fanoutQueue: [],
+        fanoutInflight: [],
         fanoutCompleted: 0,
         fanoutTotal: 0,
       }))
@@ -473,6 +514,7 @@ function createPipeline(templateKey, target, customSteps) {
         elapsed: 0,
         currentTarget: null,
         fanoutQueue: [],
+        fanoutInflight: [],
         fanoutCompleted: 0,
         fanoutTotal: 0,
       }));
@@ -491,9 +533,55 @@ function createPipeline(templateKey, target, customSteps) {
   };
 
   pipelines.set(pipeline.id, pipeline);
+  persistPipelines();
   return pipeline;
 }
 
+// ------ Persistence ---------------------------------------------------
+
+let pipelinesRestored = false;
+// File of the workspace the loaded pipelines belong to
+let storeFile = null;
+
+function persistPipelines() {
+  // Never overwrite the saved file before it has been read back
+  if (!pipelinesRestored) restorePipelines();
+  savePipelines(pipelines.values(), storeFile);
+}
+
+// Reload pipelines saved by a previous Hyper session. Anything that was
+// mid-step comes back paused + interrupted so the user can resume it.
+function restorePipelines() {
+  if (pipelinesRestored) return;
+  pipelinesRestored = true;
+  storeFile = pipelinesFile();
+
+  for (const pipeline of loadPipelines(storeFile)) {
+    if (!pipelines.has(pipeline.id)) pipelines.set(pipeline.id, pipeline);
+  }
+}
+
+// Switching workspace works like a restart: pipelines still running in the
+// old workspace come back interrupted there, ready to resume.
+function switchPipelineWorkspace() {
+  if (pipelinesRestored) savePipelines(pipelines.values(), storeFile);
+  pipelines.clear();
+  pipelinesRestored = false;
+  restorePipelines();
+  notifyInterrupted();
+  updateBadge();
+  triggerRender();
+}
+
+function notifyInterrupted() {
+  if (!hudApi) return;
+  let count = 0;
+  for (const p of pipelines.values()) {
+    if (p.interrupted) count++;
+  }
+  if (count > 0) hudApi.notify(count + ' interrupted pipeline(s) can be resumed', 'info');
+}
+
 // Start or resume a pipeline
 function startPipeline(pipeline) {
   if (pipeline.status === 'running') return;
@@ -501,7 +589,7 @@ function startPipeline(pipeline) {
   pipeline.startTime = pipeline.startTime || Date.now();
 
   const recon = getRecon();
-  recon.events.emit('pipeline:start', { pipeline });
+  emitEvent(recon, 'pipeline:start', { pipeline });
 
   advanceStep(pipeline);
   updateBadge();
@@ -520,27 +608,33 @@ function advanceStep(pipeline) {
 
   pipeline.currentStep = nextStepIdx;
   const step = pipeline.steps[nextStepIdx];
-  step.status = 'running';
-  step.startTime = Date.now();
-
   const recon = getRecon();
-  recon.events.emit('pipeline:step', { pipeline, step, status: 'running' });
 
   // Determine targets for this step
-  let targets = [];
-  if (nextStepIdx === 0) {
-    targets = [pipeline.target];
-  } else {
-    const prevStep = pipeline.steps[nextStepIdx - 1];
-    targets = prevStep.targets.length > 0 ? prevStep.targets : [pipeline.target];
-  }
+  let input = resolveStepInput(pipeline, nextStepIdx);
 
   // For IP Recon pipeline: nmap_ports parser returns objects with port info
   // Filter for HTTP-only if needed
-  if (step.inputFilter === 'http_only' && targets.length > 0 && typeof targets[0] === 'object') {
-    targets = targets.filter(t => t.isHttp);
+  if (step.inputFilter === 'http_only' && input.length > 0 && typeof input[0] === 'object') {
+    input = input.filter(t => t.isHttp);
   }
 
+  // Steps whose `when` predicate does not hold are skipped, not run
+  const check = conditions.evaluate(step.when, { targets: input, steps: pipeline.steps, stepIdx: nextStepIdx });
+  if (!check.ok) {
+    step.status = 'skipped';
+    step.skipReason = check.reason;
+    emitEvent(recon, 'pipeline:step', { pipeline, step, status: 'skipped', reason: check.reason });
+    advanceStep(pipeline);
+    return;
+  }
+
+  let targets = input.length > 0 ? input : [pipeline.target];
+  delete step.skipReason;
+  step.status = 'running';
+  step.startTime = Date.now();
+  emitEvent(recon, 'pipeline:step', { pipeline, step, status: 'running' });
+
   if (step.fanout && targets.length > 0) {
     // Fan-out mode: run command for each target
     let resolvedTargets;
@@ -558,9 +652,15 @@ function advanceStep(pipeline) {
     }
 
     step.fanoutQueue = resolvedTargets.slice();
+    step.fanoutInflight = [];
     step.fanoutTotal = resolvedTargets.length;
     step.fanoutCompleted = 0;
+    step.fanoutFailed = 0;
     step.fanoutActive = 0;
+    step.exitCode = 0;
+
+    // Fan-out items run in background processes, not in the terminal
+    pipeline._activeUid = null;
 
     // Process fan-out queue with concurrency limit
     processFanoutQueue(pipeline, step);
@@ -577,9 +677,25 @@ function advanceStep(pipeline) {
     executeStepCommand(pipeline, step, cmd, targetStr);
   }
 
+  persistPipelines();
   triggerRender();
 }
 
+// Targets a step consumes: its named `input` step, the pipeline target for
+// '@target', or by default the previous step. A step skipped by its
+// condition passes its own input through to whoever reads from it.
+function resolveStepInput(pipeline, idx) {
+  const step = pipeline.steps[idx];
+  if (idx === 0 || step.input === conditions.INPUT_TARGET) return [pipeline.target];
+
+  const srcIdx = step.input ? conditions.findStep(pipeline.steps, step.input, idx) : idx - 1;
+  if (srcIdx < 0) return [pipeline.target];
+
+  const src = pipeline.steps[srcIdx];
+  if (src.status === 'skipped' && src.skipReason) return resolveStepInput(pipeline, srcIdx);
+  return src.targets;
+}
+
 function buildPipeAllCommand(template, targets) {
   // printf 'a\nb\n' | httpx ...
   const escaped = targets.map(t => t.replace(/'/g, "")).join('\\n');
@@ -595,33 +711,126 @@ function buildPipeAllCommand(template, targets) {
   return cmd;
 }
 
+function fanoutLabel(item) {
+  return item.target + (item.port ? ':' + item.port : '');
+}
+
 function processFanoutQueue(pipeline, step) {
   if (pipeline.status !== 'running' || step.status !== 'running') return;
 
   while (step.fanoutActive < MAX_CONCURRENT_FANOUT && step.fanoutQueue.length > 0) {
     const item = step.fanoutQueue.shift();
     step.fanoutActive++;
+    step.fanoutInflight.push(item);
+    startFanoutItem(pipeline, step, item);
+  }
 
-    const vars = { target: item.target };
-    if (item.port !== undefined) vars.port = String(item.port);
+  finishFanoutIfDone(pipeline, step);
+}
 
-    const cmd = buildCommand(step.cmdTemplate, vars);
-    step.currentTarget = item.target + (item.port ? ':' + item.port : '');
+// Launch one fan-out item in its own background shell
+function startFanoutItem(pipeline, step, item) {
+  const vars = { target: item.target };
+  if (item.port !== undefined) vars.port = String(item.port);
+
+  const cmd = buildCommand(step.cmdTemplate, vars);
+  const label = fanoutLabel(item);
+  step.currentCmd = cmd;
+  step.currentTarget = label;
+
+  if (!fanoutJobs.has(pipeline.id)) fanoutJobs.set(pipeline.id, new Map());
+  const jobs = fanoutJobs.get(pipeline.id);
+
+  // onExit runs after runBackground returns, also when the shell could
+  // not be started (result.error says why)
+  const handle = runBackground(cmd, {
+    maxLines: OUTPUT_BUFFER_MAX,
+    onExit: (result) => {
+      // Jobs stopped by skip/cancel/unmount are no longer registered
+      if (jobs.get(item) !== handle) return;
+      jobs.delete(item);
+      onFanoutItemComplete(pipeline, step, item, result);
+    },
+  });
+  jobs.set(item, handle);
+}
+
+function onFanoutItemComplete(pipeline, step, item, result) {
+  if (step.status !== 'running') return;
+
+  step.fanoutCompleted++;
+  step.fanoutActive--;
+  const inflightIdx = step.fanoutInflight.indexOf(item);
+  if (inflightIdx !== -1) step.fanoutInflight.splice(inflightIdx, 1);
+
+  step.output.push('[' + fanoutLabel(item) + ']', ...result.lines);
+  if (result.error) {
+    step.output.push('[pipeline] ' + result.error);
+  } else if (result.code) {
+    step.output.push('[pipeline] exited with code ' + result.code);
+  }
+  if (result.error || result.code !== 0) {
+    step.fanoutFailed = (step.fanoutFailed || 0) + 1;
+    if (!step.exitCode) step.exitCode = result.code === null ? 1 : result.code;
+  }
+  if (step.output.length > OUTPUT_BUFFER_MAX) {
+    step.output = step.output.slice(-OUTPUT_BUFFER_MAX);
+  }
+
+  // Merge this item's parsed targets as soon as it finishes
+  const parser = outputParsers[step.parser] || outputParsers.line;
+  for (const t of parser(result.lines)) {
+    if (!step.targets.includes(t)) {
+      step.targets.push(t);
+    }
+  }
+
+  processFanoutQueue(pipeline, step);
+
+  persistPipelines();
+  updateBadge();
+  triggerRender();
+}
+
+// Complete a fan-out step once its queue is drained and nothing is running
+function finishFanoutIfDone(pipeline, step) {
+  if (pipeline.status !== 'running' || step.status !== 'running') return;
+  if (step.fanoutActive > 0 || step.fanoutQueue.length > 0) return;
+
+  step.status = 'completed';
+  step.elapsed = Date.now() - (step.startTime || pipeline.startTime);
+  step.currentTarget = null;
+
+  const recon = getRecon();
+  emitEvent(recon, 'pipeline:step', { pipeline, step, status: 'completed' });
 
-    // For fan-out, we execute sequentially by waiting for prompt after each
-    executeStepCommand(pipeline, step, cmd, step.currentTarget, true);
-    // Only start one at a time for sequential execution
-    break;
+  advanceStep(pipeline);
+}
+
+// Kill every running fan-out process of a pipeline without recording results
+function stopFanoutJobs(pipelineId) {
+  const jobs = fanoutJobs.get(pipelineId);
+  if (!jobs) return;
+  fanoutJobs.delete(pipelineId);
+  for (const handle of jobs.values()) handle.kill();
+}
+
+// Stop all background fan-out work and leave those pipelines resumable
+function interruptFanoutPipelines() {
+  for (const pipelineId of Array.from(fanoutJobs.keys())) {
+    stopFanoutJobs(pipelineId);
+    const pipeline = pipelines.get(pipelineId);
+    if (pipeline) markInterrupted(pipeline);
   }
+  persistPipelines();
 }
 
-function executeStepCommand(pipeline, step, cmd, displayTarget, isFanout) {
+function executeStepCommand(pipeline, step, cmd, displayTarget) {
   step.currentTarget = displayTarget;
   step.currentCmd = cmd;
-  step._isFanout = !!isFanout;
 
   // Setup output capture
-  const uid = activeUid;
+  const uid = getActiveUid();
   if (!uid) {
     step.status = 'error';
     step.output.push('[pipeline] No active terminal session');
@@ -630,84 +839,47 @@ function executeStepCommand(pipeline, step, cmd, displayTarget, isFanout) {
   }
 
   pipeline._activeUid = uid;
+  delete step.exitCode;
 
-  // Initialize PTY buffer collector
-  ptyBuffers.set(uid, {
-    collecting: true,
+  // The step's output arrives as one pty:output-block when it is done
+  const sentinelId = pipeline.id + '-s' + pipeline.currentStep;
+  runningSteps.set(uid, {
     pipelineId: pipeline.id,
     stepIdx: pipeline.currentStep,
-    buffer: [],
-    cmdSent: false,
-    promptCount: 0,
-    lastDataTime: Date.now(),
-    isFanout: !!isFanout,
+    sentinelId,
   });
 
-  // Send the command
-  execCmd(cmd, uid);
-
-  // Mark as sent after a tick (the command echo will appear first)
-  setTimeout(() => {
-    const buf = ptyBuffers.get(uid);
-    if (buf && buf.pipelineId === pipeline.id) {
-      buf.cmdSent = true;
-    }
-  }, 500);
+  // Send the command, wrapped for the terminal's shell so it reports its
+  // exit status when done
+  execInTerminal(wrapCommand(cmd, sentinelId, sessionShell(uid)), uid);
 
   triggerRender();
 }
 
-// Handle PTY data for active pipeline
-function handlePtyData(uid, rawData) {
-  const buf = ptyBuffers.get(uid);
-  if (!buf || !buf.collecting) return;
-
-  const pipeline = pipelines.get(buf.pipelineId);
-  if (!pipeline || pipeline.status !== 'running') {
-    ptyBuffers.delete(uid);
+// A command finished in a terminal; if it is the running step, its
+// block holds the step's output (echo excluded)
+function handleOutputBlock(block) {
+  const run = runningSteps.get(block.uid);
+  // The step's own sentinel is the only reliable completion signal; a
+  // block closed without one (session exit) leaves the step interrupted
+  if (!run || block.id !== run.sentinelId || block.exitCode === null) return;
+
+  // Keep collecting while paused so the step still completes
+  const pipeline = pipelines.get(run.pipelineId);
+  if (!pipeline || (pipeline.status !== 'running' && pipeline.status !== 'paused')) {
+    runningSteps.delete(block.uid);
     return;
   }
 
-  const step = pipeline.steps[buf.stepIdx];
+  const step = pipeline.steps[run.stepIdx];
   if (!step || step.status !== 'running') return;
 
-  const cleaned = stripAnsi(rawData);
-  const lines = cleaned.split(/\n/);
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-
-    // Skip the command echo itself
-    if (!buf.cmdSent) continue;
-
-    // Check for prompt (command completion)
-    if (isPromptLine(trimmed) && trimmed.length < 300) {
-      buf.promptCount++;
-      // Require seeing the prompt after some actual output or time
-      const hasOutput = buf.buffer.length > 0;
-      const timeElapsed = (Date.now() - buf.lastDataTime) > 1000;
-      if (buf.promptCount >= 1 && (hasOutput || timeElapsed)) {
-        onStepCommandComplete(pipeline, step, buf, uid);
-        return;
-      }
-    } else {
-      buf.promptCount = 0;
-      buf.buffer.push(trimmed);
-      // Enforce buffer limit
-      if (buf.buffer.length > OUTPUT_BUFFER_MAX) {
-        buf.buffer = buf.buffer.slice(-OUTPUT_BUFFER_MAX);
-      }
-    }
-  }
-
-  buf.lastDataTime = Date.now();
-  triggerRender();
+  const lines = block.lines.map(l => l.trim()).filter(Boolean);
+  onStepCommandComplete(pipeline, step, lines.slice(-OUTPUT_BUFFER_MAX), block.uid, block.exitCode);
 }
 
-function onStepCommandComplete(pipeline, step, buf, uid) {
+function onStepCommandComplete(pipeline, step, capturedLines, uid, exitCode) {
   // Capture output
-  const capturedLines = buf.buffer.slice();
   step.output.push(...capturedLines);
 
   // Enforce output limit on step
@@ -715,49 +887,21 @@ function onStepCommandComplete(pipeline, step, buf, uid) {
     step.output = step.output.slice(-OUTPUT_BUFFER_MAX);
   }
 
-  ptyBuffers.delete(uid);
-
-  if (buf.isFanout) {
-    step.fanoutCompleted++;
-    step.fanoutActive--;
+  runningSteps.delete(uid);
 
-    // Parse output for targets using this step's parser
-    const parser = outputParsers[step.parser] || outputParsers.line;
-    const parsed = parser(capturedLines);
-    for (const t of parsed) {
-      if (!step.targets.includes(t)) {
-        step.targets.push(t);
-      }
-    }
+  const parser = outputParsers[step.parser] || outputParsers.line;
+  step.targets = parser(step.output);
+  step.exitCode = exitCode;
+  step.status = exitCode === 0 ? 'completed' : 'failed';
+  step.elapsed = Date.now() - (step.startTime || pipeline.startTime);
+  step.currentTarget = null;
 
-    // Process next in fan-out queue
-    if (step.fanoutQueue.length > 0 && pipeline.status === 'running') {
-      processFanoutQueue(pipeline, step);
-    } else if (step.fanoutActive <= 0) {
-      // All fan-out tasks completed
-      step.status = 'completed';
-      step.elapsed = Date.now() - (step.startTime || pipeline.startTime);
-      step.currentTarget = null;
-
-      const recon = getRecon();
-      recon.events.emit('pipeline:step', { pipeline, step, status: 'completed' });
-
-      advanceStep(pipeline);
-    }
-  } else {
-    // Single command step completed
-    const parser = outputParsers[step.parser] || outputParsers.line;
-    step.targets = parser(step.output);
-    step.status = 'completed';
-    step.elapsed = Date.now() - (step.startTime || pipeline.startTime);
-    step.currentTarget = null;
-
-    const recon = getRecon();
-    recon.events.emit('pipeline:step', { pipeline, step, status: 'completed' });
+  const recon = getRecon();
+  emitEvent(recon, 'pipeline:step', { pipeline, step, status: step.status, exitCode });
 
-    advanceStep(pipeline);
-  }
+  advanceStep(pipeline);
 
+  persistPipelines();
   updateBadge();
   triggerRender();
 }
@@ -767,12 +911,13 @@ function completePipeline(pipeline) {
   pipeline.endTime = Date.now();
 
   const recon = getRecon();
-  recon.events.emit('pipeline:complete', { pipeline });
+  emitEvent(recon, 'pipeline:complete', { pipeline });
 
   if (hudApi) {
     hudApi.notify('Pipeline complete: ' + pipeline.name + ' -> ' + pipeline.target, 'info');
   }
 
+  persistPipelines();
   updateBadge();
   triggerRender();
 }
@@ -784,8 +929,9 @@ function pausePipeline(pipelineId) {
   pipeline.status = 'paused';
 
   const recon = getRecon();
-  recon.events.emit('pipeline:step', { pipeline, step: pipeline.steps[pipeline.currentStep], status: 'paused' });
+  emitEvent(recon, 'pipeline:step', { pipeline, step: pipeline.steps[pipeline.currentStep], status: 'paused' });
 
+  persistPipelines();
   updateBadge();
   triggerRender();
 }
@@ -797,16 +943,44 @@ function resumePipeline(pipelineId) {
   pipeline.status = 'running';
 
   const step = pipeline.steps[pipeline.currentStep];
-  if (step && step.status === 'completed') {
+  if (pipeline.interrupted) {
+    // Nothing is attached to a PTY anymore: re-run the interrupted step
+    pipeline.interrupted = false;
+    rerunStep(pipeline, step);
+  } else if (step && (step.status === 'completed' || step.status === 'failed')) {
     advanceStep(pipeline);
+  } else if (step && step.status === 'running' && step.fanout && step.fanoutTotal > 0) {
+    // Start fan-out items that were held back while paused
+    processFanoutQueue(pipeline, step);
   } else if (step && step.status === 'running') {
     // Step was still running when paused, it will continue
   }
 
+  persistPipelines();
   updateBadge();
   triggerRender();
 }
 
+// Restart the current step of an interrupted pipeline. Fan-out steps keep
+// the targets already completed and only run what is left in the queue.
+function rerunStep(pipeline, step) {
+  if (!step || step.status !== 'running') {
+    advanceStep(pipeline);
+    return;
+  }
+
+  if (step.fanout && step.fanoutTotal > 0) {
+    step.fanoutActive = 0;
+    processFanoutQueue(pipeline, step);
+    return;
+  }
+
+  // Single command: rewind one step so advanceStep rebuilds the command
+  step.status = 'pending';
+  pipeline.currentStep--;
+  advanceStep(pipeline);
+}
+
 // Skip current step and move to next
 function skipStep(pipelineId) {
   const pipeline = pipelines.get(pipelineId);
@@ -816,15 +990,17 @@ function skipStep(pipelineId) {
   if (step) {
     step.status = 'skipped';
     step.elapsed = Date.now() - (step.startTime || pipeline.startTime);
+    stopFanoutJobs(pipeline.id);
     // Send Ctrl+C if actively running
     if (pipeline._activeUid) {
-      window.rpc.emit('data', { uid: pipeline._activeUid, data: '\x03', escaped: false });
-      ptyBuffers.delete(pipeline._activeUid);
+      sendToTerminal('\x03', pipeline._activeUid);
+      runningSteps.delete(pipeline._activeUid);
     }
   }
 
   // If paused, set back to running
   if (pipeline.status === 'paused') pipeline.status = 'running';
+  pipeline.interrupted = false;
 
   advanceStep(pipeline);
   updateBadge();
@@ -842,20 +1018,24 @@ function cancelPipeline(pipelineId) {
   const step = pipeline.steps[pipeline.currentStep];
   if (step && step.status === 'running') {
     step.status = 'cancelled';
+    stopFanoutJobs(pipeline.id);
     // Send Ctrl+C
     if (pipeline._activeUid) {
-      window.rpc.emit('data', { uid: pipeline._activeUid, data: '\x03', escaped: false });
-      ptyBuffers.delete(pipeline._activeUid);
+      sendToTerminal('\x03', pipeline._activeUid);
+      runningSteps.delete(pipeline._activeUid);
     }
   }
 
+  persistPipelines();
   updateBadge();
   triggerRender();
 }
 
 // Remove completed/cancelled pipeline from list
 function removePipeline(pipelineId) {
+  stopFanoutJobs(pipelineId);
   pipelines.delete(pipelineId);
+  persistPipelines();
   updateBadge();
   triggerRender();
 }
@@ -915,6 +1095,7 @@ let formState = {
   selectedTemplate: 'domain',
   targetInput: '',
   customSteps: [{ name: '', cmd: '', parser: 'line', fanout: false, description: '' }],
+  templateName: '',
   showForm: true,
 };
 
@@ -945,10 +1126,12 @@ function renderCreatorForm(h) {
     { key: 'webapp', label: 'Web App', icon: '\u{1F578}' },
     { key: 'api', label: 'API Recon', icon: '\u{1F50D}' },
     { key: 'full', label: 'Full Recon', icon: '\u{1F4A5}' },
+    ...Object.entries(userTemplates).map(([key, t]) => ({ key, label: t.name, icon: '\u{1F4C4}' })),
     { key: 'custom', label: 'Custom', icon: '\u{2699}' },
   ];
 
-  const tpl = PIPELINE_TEMPLATES[formState.selectedTemplate];
+  if (!getTemplate(formState.selectedTemplate)) formState.selectedTemplate = 'domain';
+  const tpl = getTemplate(formState.selectedTemplate);
 
   return h('div', null,
     // Template selector buttons
@@ -993,7 +1176,14 @@ function renderCreatorForm(h) {
         border: '1px solid #21262d',
       },
     },
-      h('div', { style: { marginBottom: '4px', fontWeight: 600, color: '#c9d1d9' } }, tpl.description),
+      h('div', { style: { marginBottom: '4px', fontWeight: 600, color: '#c9d1d9', display: 'flex' } },
+        h('span', { style: { flex: 1 } }, tpl.description),
+        tpl.userDefined && !tpl.readOnly && h('span', {
+          className: 'pl-btn',
+          style: { color: '#f85149', fontSize: '9px', fontWeight: 400 },
+          onClick: () => removeUserTemplate(formState.selectedTemplate),
+        }, 'Delete template')
+      ),
       h('div', { style: { display: 'flex', gap: '6px', flexWrap: 'wrap' } },
         ...tpl.steps.map((s, i) =>
           h('span', {
@@ -1094,14 +1284,7 @@ function renderCustomStepEditor(h) {
           onChange: (e) => { steps[idx].parser = e.target.value; triggerRender(); },
           style: { ...selectStyle(), minWidth: '70px' },
         },
-          h('option', { value: 'line' }, 'line'),
-          h('option', { value: 'subfinder' }, 'subfinder'),
-          h('option', { value: 'httpx' }, 'httpx'),
-          h('option', { value: 'nmap' }, 'nmap'),
-          h('option', { value: 'nmap_http' }, 'nmap_http'),
-          h('option', { value: 'nmap_ports' }, 'nmap_ports'),
-          h('option', { value: 'gobuster' }, 'gobuster'),
-          h('option', { value: 'whatweb' }, 'whatweb')
+          ...Object.keys(outputParsers).map(name => h('option', { key: name, value: name }, name))
         ),
         h('label', {
           style: { display: 'flex', alignItems: 'center', gap: '2px', color: '#8b949e', fontSize: '9px', cursor: 'pointer' },
@@ -1139,7 +1322,37 @@ function renderCustomStepEditor(h) {
         steps.push({ name: '', cmd: '', parser: 'line', fanout: false, description: '' });
         triggerRender();
       },
-    }, '+ Add Step')
+    }, '+ Add Step'),
+    // Save as template
+    h('div', { style: { display: 'flex', gap: '4px', marginTop: '6px', alignItems: 'center' } },
+      h('input', {
+        placeholder: 'Template name',
+        value: formState.templateName,
+        onChange: (e) => { formState.templateName = e.target.value; triggerRender(); },
+        style: inputStyle('140px'),
+      }),
+      h('div', {
+        className: 'pl-btn',
+        style: {
+          padding: '3px 10px',
+          background: '#21262d',
+          borderRadius: '4px',
+          color: '#58a6ff',
+          fontSize: '10px',
+          border: '1px solid #30363d',
+          opacity: formState.templateName.trim() ? 1 : 0.4,
+          pointerEvents: formState.templateName.trim() ? 'auto' : 'none',
+        },
+        onClick: () => {
+          const validSteps = steps.filter(s => s.cmd.trim());
+          const key = saveCustomAsTemplate(formState.templateName, validSteps);
+          if (!key) return;
+          formState.templateName = '';
+          formState.selectedTemplate = key;
+          triggerRender();
+        },
+      }, 'Save as template')
+    )
   );
 }
 
@@ -1284,7 +1497,7 @@ function renderPipelineCard(h, pipeline) {
           border: '1px solid ' + statusColor + '44',
           flexShrink: 0,
         },
-      }, pipeline.status),
+      }, pipeline.interrupted ? 'interrupted' : pipeline.status),
 
       // Expand/collapse
       h('span', {
@@ -1334,6 +1547,7 @@ function renderStepProgress(h, pipeline) {
         skipped: { bg: '#2d1f00', border: '#d29922', text: '#d29922' },
         cancelled: { bg: '#3d0e0e', border: '#f85149', text: '#f85149' },
         error: { bg: '#3d0e0e', border: '#f85149', text: '#f85149' },
+        failed: { bg: '#3d0e0e', border: '#f85149', text: '#f85149' },
       };
       const colors = statusColors[step.status] || statusColors.pending;
 
@@ -1355,7 +1569,7 @@ function renderStepProgress(h, pipeline) {
             position: 'relative',
             boxShadow: step.status === 'running' ? '0 0 8px ' + colors.border + '66' : 'none',
           },
-          title: step.name + ' - ' + step.status,
+          title: step.name + ' - ' + step.status + (step.skipReason ? ' (' + step.skipReason + ')' : ''),
         },
           // Step number or checkmark
           h('span', {
@@ -1409,6 +1623,7 @@ function renderCurrentStep(h, pipeline) {
   const fanoutInfo = step.fanout && step.fanoutTotal > 0
     ? ' (' + step.fanoutCompleted + '/' + step.fanoutTotal + ' targets)'
     : '';
+  const runningTargets = step.fanout && step.fanoutInflight ? step.fanoutInflight.map(fanoutLabel) : [];
 
   return h('div', {
     style: {
@@ -1456,10 +1671,11 @@ function renderCurrentStep(h, pipeline) {
       },
     }, '$ ' + step.currentCmd),
 
-    // Current target
+    // Current target (every in-flight item for fan-out steps)
     step.currentTarget && h('div', { style: { fontSize: '10px', color: '#8b949e', marginBottom: '4px' } },
-      h('span', { style: { color: '#484f58' } }, 'Target: '),
-      h('span', { style: { color: '#c9d1d9', fontFamily: 'monospace' } }, step.currentTarget)
+      h('span', { style: { color: '#484f58' } }, runningTargets.length > 1 ? 'Targets: ' : 'Target: '),
+      h('span', { style: { color: '#c9d1d9', fontFamily: 'monospace' } },
+        runningTargets.length > 0 ? runningTargets.join(', ') : step.currentTarget)
     ),
 
     // Output preview (last 6 lines)
@@ -1516,7 +1732,7 @@ function renderControls(h, pipeline) {
       className: 'pl-btn',
       style: { ...btnBase, background: '#238636', color: '#fff' },
       onClick: () => resumePipeline(pipeline.id),
-    }, '\u25B6 Resume'),
+    }, pipeline.interrupted ? '\u25B6 Resume from step ' + (pipeline.currentStep + 1) : '\u25B6 Resume'),
 
     // Skip
     h('div', {
@@ -1546,7 +1762,7 @@ function renderControls(h, pipeline) {
 
 function renderStepOutputs(h, pipeline) {
   const completedSteps = pipeline.steps.filter(s =>
-    s.status === 'completed' || s.status === 'skipped' || s.status === 'cancelled'
+    s.status === 'completed' || s.status === 'failed' || s.status === 'skipped' || s.status === 'cancelled'
   );
 
   if (completedSteps.length === 0) return null;
@@ -1560,6 +1776,7 @@ function renderStepOutputs(h, pipeline) {
         skipped: '#d29922',
         cancelled: '#f85149',
         error: '#f85149',
+        failed: '#f85149',
       };
       const color = statusColors[step.status] || '#8b949e';
 
@@ -1594,8 +1811,11 @@ function renderStepOutputs(h, pipeline) {
             step.status === 'completed' ? '\u2713' : step.status === 'skipped' ? '\u2192' : '\u2715'),
           h('span', { style: { fontWeight: 600, color: '#c9d1d9', fontSize: '10px' } },
             (idx + 1) + '. ' + step.name),
-          h('span', { style: { color: '#484f58', fontSize: '9px' } }, step.description || ''),
+          h('span', { style: { color: '#484f58', fontSize: '9px' } }, step.skipReason || step.description || ''),
           h('span', { style: { flex: 1 } }),
+          step.exitCode > 0 && h('span', {
+            style: { color: '#f85149', fontSize: '9px', fontFamily: 'monospace' },
+          }, step.fanoutFailed ? step.fanoutFailed + ' failed' : 'exit ' + step.exitCode),
           step.elapsed > 0 && h('span', {
             style: { color: '#484f58', fontSize: '9px', fontFamily: 'monospace' },
           }, elapsed(step.elapsed)),
@@ -1677,23 +1897,15 @@ function renderStepOutputs(h, pipeline) {
 
 function registerHud() {
   if (hudRegistered) return;
-  const recon = getRecon();
-
-  const renderFn = (React) => renderPipelineTab(React);
+  hudRegistered = true;
+  registerPlugin({ name: 'recon-pipeline', version, provides: { pipelines: 1 }, requires: { hud: 1, workspaces: 1 } });
 
-  const doRegister = (hud) => {
-    if (hudRegistered) return;
+  whenCapability('hud', 1, (hud) => {
     hudApi = hud;
-    hud.registerTab('pipeline', 'Pipeline', null, renderFn);
-    hudRegistered = true;
+    hud.registerTab('pipeline', 'Pipeline', null, (React) => renderPipelineTab(React));
     updateBadge();
-  };
-
-  if (recon.hud) {
-    doRegister(recon.hud);
-  } else {
-    recon.events.on('hud:ready', doRegister);
-  }
+    notifyInterrupted();
+  });
 }
 
 // ======================================================================
@@ -1719,55 +1931,35 @@ function stopTick() {
 //  HYPER PLUGIN EXPORTS
 // ======================================================================
 
-// Middleware: intercept PTY data and session events
-exports.middleware = (store) => (next) => (action) => {
-  const recon = getRecon();
-
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      recon.activeUid = action.uid;
-      break;
-
-    case 'SESSION_ADD':
-      if (!activeUid) {
-        activeUid = action.uid;
-        recon.activeUid = action.uid;
-      }
-      break;
-
-    case 'SESSION_PTY_DATA': {
-      const uid = action.uid;
-      const data = action.data;
-      handlePtyData(uid, data);
-      break;
-    }
-
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT': {
-      // Cancel any running pipelines on this session
-      for (const pipeline of pipelines.values()) {
-        if (pipeline._activeUid === action.uid && pipeline.status === 'running') {
-          pipeline.status = 'cancelled';
-          pipeline.endTime = Date.now();
-          const step = pipeline.steps[pipeline.currentStep];
-          if (step && step.status === 'running') {
-            step.status = 'cancelled';
+// Middleware: complete steps from the PTY stream, track session events
+exports.middleware = (store) => {
+  getRecon().events.on('pty:output-block', handleOutputBlock);
+
+  return (next) => (action) => {
+    trackSession(action);
+    feedPty(action);
+
+    switch (action.type) {
+      case 'SESSION_PTY_EXIT':
+      case 'SESSION_USER_EXIT': {
+        // Keep pipelines on this session resumable instead of cancelling them
+        let interrupted = false;
+        for (const pipeline of pipelines.values()) {
+          if (pipeline._activeUid === action.uid && (pipeline.status === 'running' || pipeline.status === 'paused')) {
+            markInterrupted(pipeline);
+            interrupted = true;
           }
         }
+        if (interrupted) persistPipelines();
+        runningSteps.delete(action.uid);
+        updateBadge();
+        triggerRender();
+        break;
       }
-      ptyBuffers.delete(action.uid);
-      if (action.uid === activeUid) {
-        activeUid = null;
-        recon.activeUid = null;
-      }
-      updateBadge();
-      triggerRender();
-      break;
     }
-  }
 
-  return next(action);
+    return next(action);
+  };
 };
 
 // decorateHyper: register HUD tab and start tick timer
@@ -1788,14 +1980,18 @@ exports.decorateHyper = (Hyper, { React }) => {
         }
       };
 
+      restorePipelines();
       registerHud();
+      loadUserTemplates();
       startTick();
+      getRecon().events.on('workspace:changed', switchPipelineWorkspace);
     }
 
     componentWillUnmount() {
       this._mounted = false;
       renderCallback = null;
       stopTick();
+      interruptFanoutPipelines();
     }
 
     render() {
@@ -0,0 +1,119 @@
+'use strict';
+
+// ======================================================================
+//  PIPELINE STORE
+//  Disk persistence for pipeline state so runs survive Hyper restarts.
+// ======================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { RECON_HOME, workspaceFile } = require('../hyper-hud-framework/workspace');
+
+// Shared by every workspace (templates); pipeline runs name their
+// targets, so they are kept per workspace.
+const RECON_DIR = process.env.HYPER_RECON_DIR || RECON_HOME;
+
+function pipelinesFile() {
+  return workspaceFile('pipelines.json', { legacy: path.join(RECON_DIR, 'pipelines.json') });
+}
+const STORE_VERSION = 1;
+
+// Runtime-only fields that must never be written to disk
+const TRANSIENT_PIPELINE_KEYS = ['_activeUid'];
+const TRANSIENT_STEP_KEYS = ['_expanded', 'fanoutActive'];
+
+function omit(obj, keys) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (!keys.includes(k)) out[k] = v;
+  }
+  return out;
+}
+
+function serializePipeline(pipeline) {
+  return {
+    ...omit(pipeline, TRANSIENT_PIPELINE_KEYS),
+    steps: pipeline.steps.map(s => omit(s, TRANSIENT_STEP_KEYS)),
+  };
+}
+
+// Put a pipeline whose command is no longer attached to a live PTY into
+// the paused state, so resumePipeline re-runs the step that was running.
+function markInterrupted(pipeline) {
+  if (pipeline.status !== 'running' && pipeline.status !== 'paused') return pipeline;
+  const step = pipeline.steps[pipeline.currentStep];
+  const stepRunning = !!step && step.status === 'running';
+  if (pipeline.status === 'paused' && !stepRunning) return pipeline;
+
+  pipeline.status = 'paused';
+  pipeline.interrupted = true;
+  delete pipeline._activeUid;
+  if (!stepRunning) return pipeline;
+
+  if (step.fanout && step.fanoutInflight && step.fanoutInflight.length > 0) {
+    // Requeue fan-out items that never reported completion
+    step.fanoutQueue = step.fanoutInflight.concat(step.fanoutQueue || []);
+    step.fanoutInflight = [];
+  }
+  step.fanoutActive = 0;
+  return pipeline;
+}
+
+function restorePipeline(data) {
+  if (!data || typeof data.id !== 'string' || !Array.isArray(data.steps)) return null;
+  const pipeline = {
+    ...data,
+    steps: data.steps.map(s => ({
+      output: [],
+      targets: [],
+      fanoutQueue: [],
+      fanoutInflight: [],
+      fanoutCompleted: 0,
+      fanoutTotal: 0,
+      ...s,
+      fanoutActive: 0,
+    })),
+  };
+  return markInterrupted(pipeline);
+}
+
+function loadPipelines(file = pipelinesFile()) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || !Array.isArray(data.pipelines)) return [];
+    return data.pipelines.map(restorePipeline).filter(Boolean);
+  } catch (e) {
+    console.error('[recon-pipeline] Load error:', e.message);
+    return [];
+  }
+}
+
+function savePipelines(pipelines, file = pipelinesFile()) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const data = {
+      version: STORE_VERSION,
+      savedAt: new Date().toISOString(),
+      pipelines: Array.from(pipelines).map(serializePipeline),
+    };
+    // Write-then-rename so a crash mid-write never truncates the file
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+    return true;
+  } catch (e) {
+    console.error('[recon-pipeline] Save error:', e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  RECON_DIR,
+  pipelinesFile,
+  serializePipeline,
+  restorePipeline,
+  markInterrupted,
+  loadPipelines,
+  savePipelines,
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+// ======================================================================
+//  TEMPLATE STORE
+//  User-defined pipeline templates kept in the recon data directory:
+//  pipeline-templates.json, which "save as template" writes, and
+//  hand-written pipeline-templates.yaml (or .yml), which is only read.
+//  Both hold { version, templates: { key: template } }.
+// ======================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { RECON_DIR } = require('./pipelineStore');
+const conditions = require('./conditions');
+const yaml = require('./yaml');
+
+const TEMPLATES_FILE = path.join(RECON_DIR, 'pipeline-templates.json');
+const TEMPLATES_YAML_FILES = ['pipeline-templates.yaml', 'pipeline-templates.yml'].map(f => path.join(RECON_DIR, f));
+const STORE_VERSION = 1;
+
+// Legal values understood by advanceStep
+const INPUT_MODES = ['pipe_all'];
+const INPUT_FILTERS = ['http_only'];
+const INPUT_FIELDS = ['host_from_url'];
+
+const KEY_RE = /^[a-zA-Z0-9][a-zA-Z0-9_-]*$/;
+
+function validateStep(step, idx, parserNames, steps) {
+  const errors = [];
+  const label = 'step ' + (idx + 1);
+  if (!step || typeof step !== 'object') return [label + ': must be an object'];
+  if (typeof step.cmdTemplate !== 'string' || !step.cmdTemplate.trim()) {
+    errors.push(label + ': cmdTemplate is required');
+  }
+  if (step.parser !== undefined && !parserNames.includes(step.parser)) {
+    errors.push(label + ': unknown parser "' + step.parser + '"');
+  }
+  if (step.inputMode !== undefined && !INPUT_MODES.includes(step.inputMode)) {
+    errors.push(label + ': inputMode must be one of ' + INPUT_MODES.join(', '));
+  }
+  if (step.inputFilter !== undefined && !INPUT_FILTERS.includes(step.inputFilter)) {
+    errors.push(label + ': inputFilter must be one of ' + INPUT_FILTERS.join(', '));
+  }
+  if (step.inputField !== undefined && !INPUT_FIELDS.includes(step.inputField)) {
+    errors.push(label + ': inputField must be one of ' + INPUT_FIELDS.join(', '));
+  }
+  if (step.fanout !== undefined && typeof step.fanout !== 'boolean') {
+    errors.push(label + ': fanout must be true or false');
+  }
+  if (step.id !== undefined && !KEY_RE.test(String(step.id))) {
+    errors.push(label + ': id must be letters, digits, "-" or "_"');
+  }
+  if (step.input !== undefined && step.input !== conditions.INPUT_TARGET
+      && conditions.findStep(steps, step.input, idx) === -1) {
+    errors.push(label + ': input must be "' + conditions.INPUT_TARGET + '" or an earlier step id/name');
+  }
+  if (step.when !== undefined) {
+    errors.push(...conditions.validate(step.when, { steps, stepIdx: idx }).map(e => label + ': when: ' + e));
+  }
+  return errors;
+}
+
+// Returns a list of human-readable problems; empty when the template is usable.
+function validateTemplate(key, tpl, { parserNames = [], reservedKeys = [] } = {}) {
+  const errors = [];
+  if (!KEY_RE.test(String(key || ''))) {
+    errors.push('key must be letters, digits, "-" or "_"');
+  } else if (reservedKeys.includes(key)) {
+    errors.push('key "' + key + '" is a built-in template');
+  }
+  if (!tpl || typeof tpl !== 'object') return errors.concat('template must be an object');
+  if (typeof tpl.name !== 'string' || !tpl.name.trim()) errors.push('name is required');
+  if (!Array.isArray(tpl.steps) || tpl.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+  } else {
+    tpl.steps.forEach((step, idx) => errors.push(...validateStep(step, idx, parserNames, tpl.steps)));
+  }
+  return errors;
+}
+
+function normalizeTemplate(tpl) {
+  return {
+    name: tpl.name.trim(),
+    description: tpl.description || tpl.steps.map(s => s.name).filter(Boolean).join(' -> '),
+    targetLabel: tpl.targetLabel || 'Target',
+    steps: tpl.steps.map((s, i) => {
+      const step = {
+        name: s.name || ('Step ' + (i + 1)),
+        cmdTemplate: s.cmdTemplate,
+        parser: s.parser || 'line',
+        fanout: !!s.fanout,
+        description: s.description || '',
+      };
+      if (s.inputMode) step.inputMode = s.inputMode;
+      if (s.inputFilter) step.inputFilter = s.inputFilter;
+      if (s.inputField) step.inputField = s.inputField;
+      if (s.id) step.id = s.id;
+      if (s.input) step.input = s.input;
+      if (s.when !== undefined) step.when = s.when;
+      return step;
+    }),
+  };
+}
+
+function readFile(file) {
+  if (!fs.existsSync(file)) return { version: STORE_VERSION, templates: {} };
+  const content = fs.readFileSync(file, 'utf8');
+  const data = /\.ya?ml$/i.test(file) ? yaml.parse(content) : JSON.parse(content);
+  if (!data || typeof data.templates !== 'object' || Array.isArray(data.templates)) {
+    throw new Error('expected an object with a "templates" map');
+  }
+  return data;
+}
+
+// Load every valid template from disk. Invalid entries are skipped and
+// reported in `errors` so the UI can tell the user what to fix. A key in
+// more than one file is taken from the last; by default the YAML files
+// come first, so a template saved from the editor wins. Templates from
+// YAML are `readOnly`: deleteTemplate only edits the JSON file.
+function loadTemplates(opts = {}, files = TEMPLATES_YAML_FILES.concat(TEMPLATES_FILE)) {
+  const templates = {};
+  const errors = [];
+  for (const file of [].concat(files)) {
+    let data;
+    try {
+      data = readFile(file);
+    } catch (e) {
+      errors.push(path.basename(file) + ': ' + e.message);
+      continue;
+    }
+    const readOnly = /\.ya?ml$/i.test(file);
+    for (const [key, tpl] of Object.entries(data.templates)) {
+      const problems = validateTemplate(key, tpl, opts);
+      if (problems.length > 0) {
+        errors.push(...problems.map(p => key + ': ' + p));
+        continue;
+      }
+      templates[key] = { ...normalizeTemplate(tpl), userDefined: true };
+      if (readOnly) templates[key].readOnly = true;
+    }
+  }
+  return { templates, errors };
+}
+
+// Validate and add (or replace) one template in the file.
+function saveTemplate(key, tpl, opts = {}, file = TEMPLATES_FILE) {
+  const errors = validateTemplate(key, tpl, opts);
+  if (errors.length > 0) return { ok: false, errors };
+  try {
+    const data = readFile(file);
+    data.version = STORE_VERSION;
+    data.templates[key] = normalizeTemplate(tpl);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    return { ok: true, errors: [] };
+  } catch (e) {
+    return { ok: false, errors: [e.message] };
+  }
+}
+
+function deleteTemplate(key, file = TEMPLATES_FILE) {
+  try {
+    const data = readFile(file);
+    if (!(key in data.templates)) return false;
+    delete data.templates[key];
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+    return true;
+  } catch (e) {
+    console.error('[recon-pipeline] Template delete error:', e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  TEMPLATES_FILE,
+  TEMPLATES_YAML_FILES,
+  INPUT_MODES,
+  INPUT_FILTERS,
+  INPUT_FIELDS,
+  validateTemplate,
+  loadTemplates,
+  saveTemplate,
+  deleteTemplate,
+};
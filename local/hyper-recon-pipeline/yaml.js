@@ -0,0 +1,241 @@
+'use strict';
+
+// ======================================================================
+//  YAML SUBSET
+//  Enough YAML for hand-written pipeline templates, and no more:
+//    - block mappings and sequences, indented with spaces, including
+//      "- key: value" items
+//    - one-line scalars: plain (true/false/null, integers, floats,
+//      else a string), 'single-' and "double-quoted"
+//    - one-line flow collections: [a, b] and {k: v}
+//    - # comments and a leading "---"
+//  Anything else is an error naming the line: tabs, block scalars (| and
+//  >), scalars continued on the next line, "?" keys, anchors, aliases,
+//  tags, multiple documents, duplicate keys and keys that would reach
+//  an object's prototype (__proto__, constructor, prototype).
+// ======================================================================
+
+function fail(msg, line) {
+  throw new Error((line ? 'line ' + line.no + ': ' : '') + msg);
+}
+
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function setKey(out, key, value, line) {
+  if (RESERVED_KEYS.includes(key)) fail(`key "${key}" is not allowed`, line);
+  if (Object.prototype.hasOwnProperty.call(out, key)) fail(`duplicate key "${key}"`, line);
+  out[key] = value;
+}
+
+// Drop a trailing comment: a "#" at the start or after whitespace,
+// outside quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function toLines(src) {
+  const lines = [];
+  String(src || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+    const no = i + 1;
+    const text = stripComment(raw).replace(/\s+$/, '');
+    if (!text.trim()) return;
+    const indent = text.match(/^ */)[0].length;
+    if (text[indent] === '\t') fail('tabs are not allowed for indentation', { no });
+    if (indent === 0 && /^(---|\.\.\.)$/.test(text)) {
+      if (lines.length > 0) fail('only one document is supported', { no });
+      return;
+    }
+    lines.push({ no, indent, text: text.slice(indent) });
+  });
+  return lines;
+}
+
+// Index of the ": " (or final ":") that ends a mapping key, or -1
+function keyEnd(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if ((c === '"' || c === "'") && i === 0) {
+      quote = c;
+    } else if (c === '[' || c === '{') {
+      return -1;
+    } else if (c === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function isSeqItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+function plainScalar(text) {
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^(null|Null|NULL|~)$/.test(text)) return null;
+  if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+  return text;
+}
+
+function quoted(text, line) {
+  if (text[0] === '"') {
+    try {
+      return JSON.parse(text);
+    } catch (_e) {
+      fail('bad double-quoted string', line);
+    }
+  }
+  if (!/^'(?:[^']|'')*'$/.test(text)) fail('bad single-quoted string', line);
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+// [a, "b", {k: v}] and {k: v, l: [1, 2]}
+function flow(text, line) {
+  let pos = 0;
+  const ws = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+  const scalarUntil = (stops) => {
+    ws();
+    if (text[pos] === '"' || text[pos] === "'") {
+      const q = text[pos];
+      let end = pos + 1;
+      while (end < text.length) {
+        if (q === '"' && text[end] === '\\') end += 2;
+        else if (q === "'" && text[end] === "'" && text[end + 1] === "'") end += 2;
+        else if (text[end] === q) break;
+        else end++;
+      }
+      const raw = text.slice(pos, end + 1);
+      pos = end + 1;
+      return quoted(raw, line);
+    }
+    const start = pos;
+    while (pos < text.length && !stops.includes(text[pos])) pos++;
+    return plainScalar(text.slice(start, pos).trim());
+  };
+  const value = (stops) => {
+    ws();
+    if (text[pos] === '[') return seq();
+    if (text[pos] === '{') return map();
+    return scalarUntil(stops);
+  };
+  const seq = () => {
+    const out = [];
+    pos++;
+    ws();
+    if (text[pos] === ']') { pos++; return out; }
+    for (;;) {
+      out.push(value([',', ']']));
+      ws();
+      if (text[pos] === ',') { pos++; continue; }
+      if (text[pos] === ']') { pos++; return out; }
+      return fail('unterminated flow sequence', line);
+    }
+  };
+  const map = () => {
+    const out = {};
+    pos++;
+    ws();
+    if (text[pos] === '}') { pos++; return out; }
+    for (;;) {
+      const key = scalarUntil([':', ',', '}']);
+      ws();
+      if (text[pos] !== ':') fail('expected ":" in flow mapping', line);
+      pos++;
+      setKey(out, String(key), value([',', '}']), line);
+      ws();
+      if (text[pos] === ',') { pos++; continue; }
+      if (text[pos] === '}') { pos++; return out; }
+      return fail('unterminated flow mapping', line);
+    }
+  };
+  const result = value([]);
+  ws();
+  if (pos < text.length) fail('unexpected text after flow collection', line);
+  return result;
+}
+
+function scalar(text, line) {
+  if (/^[|>]/.test(text)) fail('block scalars (| and >) are not supported', line);
+  if (/^[&*!]/.test(text)) fail('anchors, aliases and tags are not supported', line);
+  if (text[0] === '"' || text[0] === "'") return quoted(text, line);
+  if (text[0] === '[' || text[0] === '{') return flow(text, line);
+  return plainScalar(text);
+}
+
+function parse(src) {
+  const lines = toLines(src);
+  let i = 0;
+
+  const block = (indent) => (isSeqItem(lines[i].text) ? sequence(indent) : mapping(indent));
+
+  // The value after "key:" or "-" with nothing on the line: a nested
+  // block, a sequence at the key's own indent, or null
+  const nested = (parentIndent, allowSameIndentSeq) => {
+    const next = lines[i];
+    if (!next) return null;
+    if (next.indent > parentIndent) return block(next.indent);
+    if (allowSameIndentSeq && next.indent === parentIndent && isSeqItem(next.text)) return sequence(parentIndent);
+    return null;
+  };
+
+  function sequence(indent) {
+    const out = [];
+    while (i < lines.length && lines[i].indent === indent && isSeqItem(lines[i].text)) {
+      const line = lines[i];
+      const rest = line.text.slice(1).trimStart();
+      if (!rest) {
+        i++;
+        out.push(nested(indent, false));
+      } else if (isSeqItem(rest) || keyEnd(rest) !== -1) {
+        // "- key: value" starts a mapping (or "- - x" a sequence) indented
+        // to where its first entry begins
+        lines[i] = { no: line.no, indent: indent + line.text.length - rest.length, text: rest };
+        out.push(block(lines[i].indent));
+      } else {
+        i++;
+        out.push(scalar(rest, line));
+      }
+    }
+    return out;
+  }
+
+  function mapping(indent) {
+    const out = {};
+    while (i < lines.length && lines[i].indent === indent) {
+      const line = lines[i];
+      if (isSeqItem(line.text)) fail('sequence item where a mapping key was expected', line);
+      const end = keyEnd(line.text);
+      if (end === -1) fail('expected "key: value"', line);
+      const rawKey = line.text.slice(0, end).trim();
+      const key = rawKey[0] === '"' || rawKey[0] === "'" ? quoted(rawKey, line) : rawKey;
+      const rest = line.text.slice(end + 1).trim();
+      i++;
+      setKey(out, key, rest ? scalar(rest, line) : nested(indent, true), line);
+    }
+    return out;
+  }
+
+  if (lines.length === 0) return null;
+  const root = block(lines[0].indent);
+  if (i < lines.length) fail('bad indentation', lines[i]);
+  return root;
+}
+
+module.exports = { parse };
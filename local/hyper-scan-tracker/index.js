@@ -7,30 +7,18 @@
 //  click-to-output, and kill functionality.
 // ======================================================================
 
-const EventEmitter = require('events');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, getActiveUid, sendToTerminal, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { version } = require('./package.json');
 
 // ------ Constants -----------------------------------------------------
 
 const BUFFER_LIMIT = 500;          // Max lines buffered per scan
 const PREVIEW_LINES = 8;           // Lines shown in preview area
 const TICK_INTERVAL = 1000;        // Elapsed-time refresh (ms)
-const PROMPT_RE = /[$#%>]\s*$/;    // Generic shell prompt pattern
 
 // ------ Scan Detection Patterns ---------------------------------------
 // Each entry: { name, detect: RegExp, completionPatterns: [RegExp] }
@@ -111,7 +99,6 @@ const TOOL_ICONS = {
 
 const scans = new Map();   // scanId -> scan object
 let scanIdCounter = 0;
-let activeUid = null;
 let hudApi = null;
 let tickTimer = null;
 let renderCallback = null; // stored so HUD can re-render
@@ -119,11 +106,12 @@ let renderCallback = null; // stored so HUD can re-render
 // Scan object shape:
 // {
 //   id, uid, tool, target, command,
-//   startTime, status ('running'|'completed'|'killed'),
+//   startTime, status ('running'|'completed'|'failed'|'killed'),
+//   sentinelId: string|null,  // set when a plugin dispatched it wrapped
+//   exitCode: number|null,    // reported by the sentinel marker
 //   buffer: [],           // Array of strings (lines)
 //   previewExpanded: false,
 //   lastDataTime: number,
-//   promptCount: number,   // consecutive prompt-like lines
 // }
 
 // ------ Helpers -------------------------------------------------------
@@ -139,22 +127,9 @@ function elapsed(ms) {
   return h + 'h ' + rm + 'm';
 }
 
-function stripAnsi(str) {
-  // Remove ANSI escape sequences for cleaner display
-  return str.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-            .replace(/\x1b\][^\x07]*\x07/g, '')
-            .replace(/\x1b[()][AB012]/g, '')
-            .replace(/\x1b[\[>=]/g, '')
-            .replace(/[\x00-\x08\x0e-\x1f]/g, '');
-}
-
-function addToBuffer(scan, rawData) {
-  const cleaned = stripAnsi(rawData);
-  const lines = cleaned.split(/\r?\n/);
-  for (const line of lines) {
-    if (line.trim().length > 0) {
-      scan.buffer.push(line);
-    }
+function addToBuffer(scan, line) {
+  if (line.trim().length > 0) {
+    scan.buffer.push(line);
   }
   // Enforce buffer limit
   if (scan.buffer.length > BUFFER_LIMIT) {
@@ -163,29 +138,11 @@ function addToBuffer(scan, rawData) {
   scan.lastDataTime = Date.now();
 }
 
-function checkCompletion(scan, rawData) {
+function checkCompletion(scan, line) {
   const tool = SCAN_TOOLS.find(t => t.name === scan.tool);
   if (!tool) return false;
-  const cleaned = stripAnsi(rawData);
   for (const pat of tool.completion) {
-    if (pat.test(cleaned)) return true;
-  }
-  return false;
-}
-
-function checkPromptReturn(scan, rawData) {
-  const cleaned = stripAnsi(rawData);
-  const lines = cleaned.split(/\r?\n/);
-  for (const line of lines) {
-    if (PROMPT_RE.test(line.trim()) && line.trim().length < 200) {
-      scan.promptCount = (scan.promptCount || 0) + 1;
-      // Require 2 consecutive prompt-like outputs with a gap to avoid false positives
-      if (scan.promptCount >= 2 && (Date.now() - scan.startTime) > 3000) {
-        return true;
-      }
-    } else if (line.trim().length > 0) {
-      scan.promptCount = 0;
-    }
+    if (pat.test(line)) return true;
   }
   return false;
 }
@@ -208,12 +165,13 @@ function triggerRender() {
   if (renderCallback) renderCallback();
 }
 
-// ------ Scan Detection from PTY Data ----------------------------------
+// ------ Scan Detection from Commands ----------------------------------
 
-function detectScan(uid, rawData) {
-  const cleaned = stripAnsi(rawData);
+// `command` comes from the PTY stream: typed at a prompt, or dispatched
+// by a plugin wrapped in a sentinel (then `sentinelId` is set)
+function detectScan(uid, command, sentinelId) {
   for (const tool of SCAN_TOOLS) {
-    if (tool.detect.test(cleaned)) {
+    if (tool.detect.test(command)) {
       // Avoid duplicate detection for the same session if already running same tool
       let alreadyTracking = false;
       for (const scan of scans.values()) {
@@ -226,38 +184,30 @@ function detectScan(uid, rawData) {
 
       // Extract target
       let target = '(unknown)';
-      const targetMatch = cleaned.match(tool.extractTarget);
+      const targetMatch = command.match(tool.extractTarget);
       if (targetMatch) {
         target = targetMatch[1] || targetMatch[2] || '(unknown)';
       }
 
-      // Extract the command line (first line containing the tool name)
-      let command = '';
-      const cmdLines = cleaned.split(/\r?\n/);
-      for (const ln of cmdLines) {
-        if (tool.detect.test('\n' + ln) || tool.detect.test(ln)) {
-          command = ln.trim();
-          break;
-        }
-      }
-
       const scan = {
         id: ++scanIdCounter,
         uid,
         tool: tool.name,
         target,
-        command: command || tool.name,
+        command: command.trim(),
         startTime: Date.now(),
         status: 'running',
         buffer: [],
         previewExpanded: false,
         lastDataTime: Date.now(),
-        promptCount: 0,
+        sentinelId: sentinelId || null,
+        exitCode: null,
       };
 
       scans.set(scan.id, scan);
       updateBadge();
       triggerRender();
+      emitScanEvent('scan:started', scan);
 
       // Notify via HUD
       if (hudApi) {
@@ -270,30 +220,56 @@ function detectScan(uid, rawData) {
   return null;
 }
 
-// ------ Feed PTY Data into Tracked Scans ------------------------------
+// ------ Feed PTY Lines into Tracked Scans -----------------------------
+
+function emitScanEvent(name, scan) {
+  emitEvent(getRecon(), name, {
+    id: scan.id,
+    uid: scan.uid,
+    tool: scan.tool,
+    target: scan.target,
+    command: scan.command,
+    status: scan.status,
+    exitCode: scan.exitCode,
+  });
+}
+
+function finishScan(scan, exitCode) {
+  scan.exitCode = exitCode === undefined ? null : exitCode;
+  scan.status = exitCode > 0 ? 'failed' : 'completed';
+  updateBadge();
+  emitScanEvent('scan:completed', scan);
+  if (hudApi) {
+    const suffix = exitCode > 0 ? ' (exit ' + exitCode + ')' : '';
+    hudApi.notify(scan.tool + ' scan ' + scan.status + ': ' + scan.target + suffix, exitCode > 0 ? 'error' : 'info');
+  }
+}
 
-function feedData(uid, rawData) {
+function runningScans(uid) {
+  const out = [];
   for (const scan of scans.values()) {
-    if (scan.uid === uid && scan.status === 'running') {
-      addToBuffer(scan, rawData);
+    if (scan.uid === uid && scan.status === 'running') out.push(scan);
+  }
+  return out;
+}
 
-      // Check for tool-specific completion patterns
-      if (checkCompletion(scan, rawData)) {
-        scan.status = 'completed';
-        updateBadge();
-        if (hudApi) {
-          hudApi.notify(scan.tool + ' scan completed: ' + scan.target, 'info');
-        }
-      }
-      // Check for prompt return (general completion)
-      else if (checkPromptReturn(scan, rawData)) {
-        scan.status = 'completed';
-        updateBadge();
-        if (hudApi) {
-          hudApi.notify(scan.tool + ' scan completed: ' + scan.target, 'info');
-        }
-      }
+function feedLine(uid, line) {
+  const running = runningScans(uid);
+  for (const scan of running) {
+    addToBuffer(scan, line);
+
+    // Wrapped commands report their own exit status; skip the guessing
+    if (!scan.sentinelId && checkCompletion(scan, line)) finishScan(scan);
+  }
+  if (running.length > 0) triggerRender();
+}
 
+// The command a scan was started by has ended: at its sentinel (with the
+// exit code) or, when it was typed, once the prompt came back
+function commandEnded(evt) {
+  for (const scan of runningScans(evt.uid)) {
+    if (scan.sentinelId ? scan.sentinelId === evt.id : !evt.id) {
+      finishScan(scan, evt.exitCode);
       triggerRender();
     }
   }
@@ -305,7 +281,7 @@ function killScan(scanId) {
   const scan = scans.get(scanId);
   if (!scan || scan.status !== 'running') return;
   // Send Ctrl+C to the session
-  window.rpc.emit('data', { uid: scan.uid, data: '\x03', escaped: false });
+  sendToTerminal('\x03', scan.uid);
   scan.status = 'killed';
   scan.buffer.push('[scan-tracker] Scan killed by user');
   updateBadge();
@@ -320,8 +296,7 @@ function killScan(scanId) {
 function outputScan(scanId) {
   const scan = scans.get(scanId);
   if (!scan) return;
-  const recon = getRecon();
-  const uid = recon.activeUid || activeUid;
+  const uid = getActiveUid();
   if (!uid) return;
 
   // Build output header + buffer content
@@ -329,7 +304,7 @@ function outputScan(scanId) {
     '',
     '# ── Scan Output: ' + scan.tool + ' ──────────────────────────────────',
     '# Target:  ' + scan.target,
-    '# Status:  ' + scan.status,
+    '# Status:  ' + scan.status + (scan.exitCode !== null && scan.exitCode !== undefined ? ' (exit ' + scan.exitCode + ')' : ''),
     '# Started: ' + new Date(scan.startTime).toLocaleString(),
     '# Lines:   ' + scan.buffer.length,
     '# ──────────────────────────────────────────────────────────',
@@ -339,7 +314,7 @@ function outputScan(scanId) {
   const fullOutput = header.concat(scan.buffer).join('\n') + '\n';
 
   // Inject into terminal via heredoc so the output is printed cleanly
-  window.rpc.emit('data', { uid, data: 'cat << \'__SCAN_OUTPUT_EOF__\'\n' + fullOutput + '__SCAN_OUTPUT_EOF__\n', escaped: false });
+  sendToTerminal('cat << \'__SCAN_OUTPUT_EOF__\'\n' + fullOutput + '__SCAN_OUTPUT_EOF__\n', uid);
 }
 
 // ------ Remove a Scan from Tracking -----------------------------------
@@ -393,7 +368,7 @@ function renderScanRow(React, scan) {
   const h = React.createElement;
   const now = Date.now();
   const isRunning = scan.status === 'running';
-  const isCompleted = scan.status === 'completed';
+  const isCompleted = scan.status === 'completed' || scan.status === 'failed';
   const isKilled = scan.status === 'killed';
   const icon = TOOL_ICONS[scan.tool] || TOOL_ICONS.default;
   const elapsedStr = elapsed(now - scan.startTime);
@@ -403,6 +378,7 @@ function renderScanRow(React, scan) {
   const statusColors = {
     running:   '#3fb950',
     completed: '#58a6ff',
+    failed:    '#f85149',
     killed:    '#f85149',
   };
   const statusColor = statusColors[scan.status] || '#8b949e';
@@ -514,7 +490,7 @@ function renderScanRow(React, scan) {
           color: statusColor,
           border: '1px solid ' + statusColor + '44',
         },
-      }, scan.status),
+      }, scan.status === 'failed' ? 'failed ' + scan.exitCode : scan.status),
 
       // Buffer line count
       h('span', {
@@ -626,7 +602,8 @@ let hudRegistered = false;
 
 function registerHud() {
   if (hudRegistered) return;
-  const recon = getRecon();
+  hudRegistered = true;
+  registerPlugin({ name: 'scan-tracker', version, provides: { scans: 1 }, requires: { hud: 1 } });
 
   // The renderFn is called by the HUD framework with React as the argument.
   // We wrap it so the HUD can trigger re-renders by invoking the tab's renderFn.
@@ -634,68 +611,45 @@ function registerHud() {
     return renderScansTab(React);
   };
 
-  if (recon.hud) {
-    hudApi = recon.hud;
-    recon.hud.registerTab('scans', 'Scans', null, renderFn);
-    hudRegistered = true;
+  whenCapability('hud', 1, (hud) => {
+    hudApi = hud;
+    hud.registerTab('scans', 'Scans', null, renderFn);
     updateBadge();
-  } else {
-    recon.events.on('hud:ready', (hud) => {
-      hudApi = hud;
-      hud.registerTab('scans', 'Scans', null, renderFn);
-      hudRegistered = true;
-      updateBadge();
-    });
-  }
+  });
 }
 
 // ======================================================================
 //  HYPER PLUGIN EXPORTS
 // ======================================================================
 
-// Middleware: intercept PTY data and session events
+// Middleware: follow commands in the PTY stream and session exits
 
-exports.middleware = (store) => (next) => (action) => {
+exports.middleware = (store) => {
   const recon = getRecon();
-
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      break;
-
-    case 'SESSION_ADD':
-      if (!activeUid) activeUid = action.uid;
-      break;
-
-    case 'SESSION_PTY_DATA': {
-      const uid = action.uid;
-      const data = action.data;
-
-      // Try to detect a new scan starting
-      detectScan(uid, data);
-
-      // Feed data to any running scans on this session
-      feedData(uid, data);
-      break;
-    }
-
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT': {
-      // Mark any running scans for this session as completed
-      for (const scan of scans.values()) {
-        if (scan.uid === action.uid && scan.status === 'running') {
-          scan.status = 'completed';
-          scan.buffer.push('[scan-tracker] Session exited');
-        }
+  // Try to detect a new scan starting
+  recon.events.on('pty:command', evt => detectScan(evt.uid, evt.command, evt.id));
+  // Feed output to any running scans on this session
+  recon.events.on('pty:line', (evt) => {
+    if (evt.command !== null) feedLine(evt.uid, evt.line);
+  });
+  recon.events.on('pty:output-block', commandEnded);
+
+  return (next) => (action) => {
+    // Mark any running scans for this session as completed before the
+    // stream closes their commands
+    if (action.type === 'SESSION_PTY_EXIT' || action.type === 'SESSION_USER_EXIT') {
+      for (const scan of runningScans(action.uid)) {
+        scan.status = 'completed';
+        scan.buffer.push('[scan-tracker] Session exited');
       }
-      if (action.uid === activeUid) activeUid = null;
       updateBadge();
       triggerRender();
-      break;
     }
-  }
 
-  return next(action);
+    trackSession(action);
+    feedPty(action);
+    return next(action);
+  };
 };
 
 // decorateHyper: register HUD tab and start tick timer
@@ -3,50 +3,27 @@
 // ======================================================================
 //  HYPER SECRET SNIFFER
 //  Detects secrets, credentials, API keys, and tokens in terminal output.
-//  Watches all SESSION_PTY_DATA for secret patterns and logs findings
+//  Watches every terminal line for secret patterns and logs findings
 //  to the shared recon HUD with masked display and export capabilities.
 // ======================================================================
 
-const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const { clipboard } = require('electron');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { workspaceDir } = require('../hyper-hud-framework/workspace');
+const { exposeStore } = require('../hyper-hud-framework/reconStore');
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { version } = require('./package.json');
 
 // ------ Constants -----------------------------------------------------
 
-const RECON_DIR = path.join(os.homedir(), '.hyper_recon');
-const SECRETS_FILE = path.join(RECON_DIR, 'secrets.json');
-const DEBOUNCE_MS = 150;
 const MAX_CONTEXT_LEN = 120;
 const MAX_SECRETS = 2000;
 
-// ------ ANSI Stripping -----------------------------------------------
-
-function stripAnsi(str) {
-  return str
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-    .replace(/\x1b\][^\x07]*\x07/g, '')
-    .replace(/\x1b[()][AB012]/g, '')
-    .replace(/\x1b[\[?]?[0-9;]*[a-zA-Z]/g, '');
-}
-
 // ------ Display Masking -----------------------------------------------
 
 function maskSecret(value) {
@@ -56,31 +33,29 @@ function maskSecret(value) {
 
 // ------ Persistence ---------------------------------------------------
 
-function ensureDir() {
-  try {
-    if (!fs.existsSync(RECON_DIR)) {
-      fs.mkdirSync(RECON_DIR, { recursive: true, mode: 0o700 });
-    }
-  } catch (e) { /* ignore */ }
+// Secrets live in the shared recon store ('secrets' collection) of the
+// active workspace.
+
+function reconStore() {
+  return exposeStore(getRecon());
 }
 
 function loadSecrets() {
   try {
-    if (fs.existsSync(SECRETS_FILE)) {
-      const raw = fs.readFileSync(SECRETS_FILE, 'utf8');
-      const data = JSON.parse(raw);
-      if (Array.isArray(data)) return data;
-    }
-  } catch (e) { /* ignore corrupted file */ }
-  return [];
+    return reconStore().list('secrets').sort((a, b) => (a.id || 0) - (b.id || 0));
+  } catch (e) {
+    console.error('[secret-sniffer] Failed to load secrets:', e.message);
+    return [];
+  }
 }
 
-function saveSecrets(secrets) {
+// Apply one change to the stored collection.
+function persist(fn) {
   try {
-    ensureDir();
-    const data = JSON.stringify(secrets, null, 2);
-    fs.writeFileSync(SECRETS_FILE, data, { encoding: 'utf8', mode: 0o600 });
-  } catch (e) { /* ignore */ }
+    fn(reconStore());
+  } catch (e) {
+    console.error('[secret-sniffer] Failed to save secrets:', e.message);
+  }
 }
 
 // ------ Secret Detection Patterns -------------------------------------
@@ -256,7 +231,6 @@ let _secrets = [];
 let _nextId = 1;
 let _seenValues = new Set();
 let _loaded = false;
-let _saveTimer = null;
 
 function _initStore() {
   if (_loaded) return;
@@ -279,19 +253,15 @@ function addSecret(secret) {
   secret.timestamp = Date.now();
   _secrets.push(secret);
 
+  persist(store => store.put('secrets', secret));
+
   // Cap at max
   if (_secrets.length > MAX_SECRETS) {
     const removed = _secrets.splice(0, _secrets.length - MAX_SECRETS);
     for (const r of removed) _seenValues.delete(r.value);
+    persist(store => removed.forEach(r => store.remove('secrets', r.value)));
   }
 
-  // Debounced save
-  if (_saveTimer) clearTimeout(_saveTimer);
-  _saveTimer = setTimeout(() => {
-    _saveTimer = null;
-    saveSecrets(_secrets);
-  }, 2000);
-
   return secret;
 }
 
@@ -300,30 +270,19 @@ function getSecrets() {
   return _secrets;
 }
 
-function clearSecrets() {
+// Drop the in-memory list so the next access loads the active workspace.
+function reloadSecrets() {
   _secrets = [];
   _nextId = 1;
-  _seenValues.clear();
-  saveSecrets(_secrets);
-}
-
-// ------ Line Buffer Per Session ---------------------------------------
-
-const _lineBuffers = new Map();
-
-function getLineBuffer(uid) {
-  if (!_lineBuffers.has(uid)) {
-    _lineBuffers.set(uid, '');
-  }
-  return _lineBuffers.get(uid);
+  _seenValues = new Set();
+  _loaded = false;
 }
 
-function setLineBuffer(uid, val) {
-  _lineBuffers.set(uid, val);
-}
-
-function removeLineBuffer(uid) {
-  _lineBuffers.delete(uid);
+function clearSecrets() {
+  _secrets = [];
+  _nextId = 1;
+  _seenValues.clear();
+  persist(store => store.clear('secrets'));
 }
 
 // ------ Secret Scanner ------------------------------------------------
@@ -338,9 +297,9 @@ function extractContext(line, matchIndex, matchLen) {
   return ctx;
 }
 
-function scanLine(line, sessionUid) {
+// `clean` is one line from the PTY stream, ANSI already stripped
+function scanLine(clean, sessionUid) {
   const recon = getRecon();
-  const clean = stripAnsi(line);
   if (clean.length < 8) return;
 
   for (const pat of SECRET_PATTERNS) {
@@ -377,46 +336,12 @@ function scanLine(line, sessionUid) {
 
       const added = addSecret(secret);
       if (added) {
-        recon.events.emit('secret:found', added);
+        emitEvent(recon, 'secret:found', added);
       }
     }
   }
 }
 
-// ------ Debounced Parsing Per Session ---------------------------------
-
-const _parseTimers = new Map();
-
-function debouncedParse(uid, data) {
-  const existing = getLineBuffer(uid);
-  const combined = existing + stripAnsi(data);
-
-  // Split into lines, keeping the last partial line in the buffer
-  const lines = combined.split(/\r?\n/);
-  const lastLine = lines.pop() || '';
-  setLineBuffer(uid, lastLine);
-
-  // Scan complete lines
-  for (const line of lines) {
-    if (line.trim().length > 0) {
-      scanLine(line, uid);
-    }
-  }
-
-  // Also scan partial line with debounce in case data ends without newline
-  if (lastLine.trim().length > 0) {
-    if (_parseTimers.has(uid)) clearTimeout(_parseTimers.get(uid));
-    _parseTimers.set(uid, setTimeout(() => {
-      _parseTimers.delete(uid);
-      const buf = getLineBuffer(uid);
-      if (buf.trim().length > 0) {
-        scanLine(buf, uid);
-        // Don't clear buffer - more data might come
-      }
-    }, DEBOUNCE_MS));
-  }
-}
-
 // ------ Provider Icons (inline SVG paths for 24x24 viewBox) -----------
 
 const PROVIDER_ICONS = {
@@ -442,33 +367,17 @@ const TYPE_BADGES = {
 };
 
 // ======================================================================
-//  MIDDLEWARE -- intercept SESSION_PTY_DATA for scanning
+//  MIDDLEWARE -- scan every line of the PTY stream
 // ======================================================================
 
-exports.middleware = (store) => (next) => (action) => {
-  switch (action.type) {
-    case 'SESSION_PTY_DATA':
-      if (action.data && action.uid) {
-        debouncedParse(action.uid, action.data);
-      }
-      break;
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT':
-      // Flush remaining buffer
-      {
-        const buf = getLineBuffer(action.uid);
-        if (buf && buf.trim().length > 0) {
-          scanLine(buf, action.uid);
-        }
-        removeLineBuffer(action.uid);
-        if (_parseTimers.has(action.uid)) {
-          clearTimeout(_parseTimers.get(action.uid));
-          _parseTimers.delete(action.uid);
-        }
-      }
-      break;
-  }
-  return next(action);
+exports.middleware = (store) => {
+  getRecon().events.on('pty:line', evt => scanLine(evt.line, evt.uid));
+
+  return (next) => (action) => {
+    trackSession(action);
+    feedPty(action);
+    return next(action);
+  };
 };
 
 // ======================================================================
@@ -486,6 +395,7 @@ exports.decorateHyper = (Hyper, { React }) => {
       this._revealedIds = new Set();
       this._confirmingReveal = null;
       this._forceUpdate = null;
+      this._cancelHud = null;
     }
 
     componentDidMount() {
@@ -495,19 +405,18 @@ exports.decorateHyper = (Hyper, { React }) => {
       // Store a force-update handle for re-rendering HUD content
       this._forceUpdate = () => this.forceUpdate();
 
-      const tryRegister = () => {
+      const register = (hud) => {
         if (self._registered) return;
-        if (!recon.hud) return;
         self._registered = true;
 
-        recon.hud.registerTab(
+        hud.registerTab(
           'secrets',
           'Secrets',
           '\uD83D\uDD12',
           (React) => self._renderPanel(React)
         );
 
-        recon.hud.updateBadge('secrets', getSecrets().length || null);
+        hud.updateBadge('secrets', getSecrets().length || null);
       };
 
       // Listen for new secrets to update badge
@@ -518,15 +427,22 @@ exports.decorateHyper = (Hyper, { React }) => {
         if (self._forceUpdate) self._forceUpdate();
       });
 
+      recon.events.on('workspace:changed', () => {
+        reloadSecrets();
+        if (recon.hud) {
+          recon.hud.updateBadge('secrets', getSecrets().length || null);
+        }
+        if (self._forceUpdate) self._forceUpdate();
+      });
+
       // Register immediately if HUD is ready, or wait
-      if (recon.hud) {
-        tryRegister();
-      }
-      recon.events.on('hud:ready', tryRegister);
+      registerPlugin({ name: 'secret-sniffer', version, provides: { secrets: 1 }, requires: { hud: 1, store: 1 } });
+      this._cancelHud = whenCapability('hud', 1, register);
     }
 
     componentWillUnmount() {
       const recon = getRecon();
+      if (this._cancelHud) this._cancelHud();
       if (recon.hud && this._registered) {
         recon.hud.removeTab('secrets');
       }
@@ -821,10 +737,9 @@ exports.decorateHyper = (Hyper, { React }) => {
       if (secrets.length === 0) return;
 
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const exportPath = path.join(RECON_DIR, `secrets-export-${timestamp}.json`);
+      const exportPath = path.join(workspaceDir(), `secrets-export-${timestamp}.json`);
 
       try {
-        ensureDir();
         const exportData = {
           exported: new Date().toISOString(),
           count: secrets.length,
@@ -10,78 +10,56 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const EventEmitter = require('events');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { RECON_HOME, workspaceDir } = require('../hyper-hud-framework/workspace');
+const { exposeStore } = require('../hyper-hud-framework/reconStore');
+const {
+  getRecon, trackSession, getActiveUid, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { version } = require('./package.json');
 
 // ------ Constants -----------------------------------------------------
 
-const SESSIONS_DIR = path.join(os.homedir(), '.hyper_recon', 'sessions');
-const INDEX_FILE = path.join(SESSIONS_DIR, 'index.json');
+const LEGACY_SESSIONS_DIR = path.join(RECON_HOME, 'sessions');
 const MAX_MEMORY_LINES = 10000;
 const FLUSH_THRESHOLD = 8000;
 const FLUSH_INTERVAL = 30000;
-const PROMPT_RE = /[$#%>]\s*$/;
 
-// ------ ANSI Stripping -----------------------------------------------
+// ------ Filesystem Helpers --------------------------------------------
 
-function stripAnsi(str) {
-  return str
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-    .replace(/\x1b\][^\x07]*\x07/g, '')
-    .replace(/\x1b\(B/g, '')
-    .replace(/\r/g, '');
+// Sessions directory of the active workspace. A recording keeps the
+// directory (and store) it started in: session.dir, session.db.
+function sessionsDir() {
+  return workspaceDir('sessions', { legacy: LEGACY_SESSIONS_DIR });
 }
 
-// ------ Filesystem Helpers --------------------------------------------
-
-function ensureDir() {
+function ensureDir(dir) {
   try {
-    fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+    fs.mkdirSync(dir, { recursive: true });
   } catch (e) {
     // already exists
   }
 }
 
-function loadIndex() {
+// The session index is the 'sessions' collection of the shared recon
+// store; entries stay in one file per session. Newest first.
+function loadIndex(db) {
   try {
-    const raw = fs.readFileSync(INDEX_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return { sessions: [] };
-  }
-}
-
-function saveIndex(index) {
-  ensureDir();
-  try {
-    fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2), 'utf8');
+    const sessions = (db || exposeStore(getRecon())).list('sessions');
+    return { sessions: sessions.sort((a, b) => b.started - a.started) };
   } catch (e) {
-    console.error('[session-scribe] Failed to save index:', e.message);
+    console.error('[session-scribe] Failed to load index:', e.message);
+    return { sessions: [] };
   }
 }
 
-function sessionFilePath(sessionId) {
-  return path.join(SESSIONS_DIR, `${sessionId}.json`);
+function sessionFilePath(sessionId, dir) {
+  return path.join(dir || sessionsDir(), `${sessionId}.json`);
 }
 
-function loadSessionFromDisk(sessionId) {
+function loadSessionFromDisk(sessionId, dir) {
   try {
-    const raw = fs.readFileSync(sessionFilePath(sessionId), 'utf8');
+    const raw = fs.readFileSync(sessionFilePath(sessionId, dir), 'utf8');
     return JSON.parse(raw);
   } catch {
     return null;
@@ -89,7 +67,7 @@ function loadSessionFromDisk(sessionId) {
 }
 
 function saveSessionToDisk(session) {
-  ensureDir();
+  ensureDir(session.dir);
   try {
     const data = {
       sessionId: session.sessionId,
@@ -97,7 +75,7 @@ function saveSessionToDisk(session) {
       ended: session.ended,
       entries: session.flushedEntries.concat(session.entries),
     };
-    fs.writeFileSync(sessionFilePath(session.sessionId), JSON.stringify(data, null, 2), 'utf8');
+    fs.writeFileSync(sessionFilePath(session.sessionId, session.dir), JSON.stringify(data, null, 2), 'utf8');
   } catch (e) {
     console.error('[session-scribe] Failed to save session:', e.message);
   }
@@ -138,19 +116,19 @@ const ANNOTATION_PATTERNS = [
 // ------ Session Manager -----------------------------------------------
 
 const activeSessions = new Map();  // hyperUid -> scribe session
-let currentHyperUid = null;
 
 function createSession(hyperUid) {
   const session = {
     sessionId: uid(),
     hyperUid: hyperUid,
+    dir: sessionsDir(),
+    db: exposeStore(getRecon()),
     started: Date.now(),
     ended: null,
     entries: [],
     flushedEntries: [],
     state: 'recording',    // 'recording' | 'paused' | 'stopped'
     bookmarkCount: 0,
-    pendingLine: '',
     lastAnnotationTs: 0,
     flushTimer: null,
   };
@@ -166,8 +144,9 @@ function getSession(hyperUid) {
 }
 
 function getCurrentSession() {
-  if (!currentHyperUid) return null;
-  return activeSessions.get(currentHyperUid);
+  const hyperUid = getActiveUid();
+  if (!hyperUid) return null;
+  return activeSessions.get(hyperUid);
 }
 
 function addEntry(session, entry) {
@@ -202,9 +181,21 @@ function stopSession(session) {
   updateIndex(session);
 }
 
+// After a workspace switch, close running recordings in the old workspace
+// and carry on in fresh ones, so no engagement's terminal history ends up
+// in another's sessions.
+function rolloverSessions() {
+  for (const [hyperUid, session] of activeSessions) {
+    if (session.state === 'stopped') continue;
+    const paused = session.state === 'paused';
+    stopSession(session);
+    const next = createSession(hyperUid);
+    if (paused) next.state = 'paused';
+  }
+  if (_forceRender) _forceRender();
+}
+
 function updateIndex(session) {
-  const index = loadIndex();
-  const existing = index.sessions.findIndex(s => s.sessionId === session.sessionId);
   const meta = {
     sessionId: session.sessionId,
     started: session.started,
@@ -213,16 +204,14 @@ function updateIndex(session) {
     bookmarkCount: session.bookmarkCount,
     entryCount: session.flushedEntries.length + session.entries.length,
   };
-  if (existing >= 0) {
-    index.sessions[existing] = meta;
-  } else {
-    index.sessions.unshift(meta);
-  }
-  // Keep index manageable
-  if (index.sessions.length > 200) {
-    index.sessions = index.sessions.slice(0, 200);
+  try {
+    session.db.put('sessions', meta);
+    // Keep index manageable
+    const index = loadIndex(session.db);
+    index.sessions.slice(200).forEach(old => session.db.remove('sessions', old.sessionId));
+  } catch (e) {
+    console.error('[session-scribe] Failed to save index:', e.message);
   }
-  saveIndex(index);
 }
 
 function addBookmark(session, label, auto) {
@@ -243,43 +232,34 @@ function addBookmark(session, label, auto) {
 
 // ------ PTY Data Processing -------------------------------------------
 
-function processPtyData(hyperUid, rawData) {
+// Lines and commands come from the shared PTY stream (pty:line,
+// pty:command), already assembled and stripped of ANSI.
+function recordCommand(hyperUid, command, ts) {
   const session = getSession(hyperUid);
   if (!session || session.state !== 'recording') return;
+  if (command.length < 500) {
+    addEntry(session, { ts: ts || Date.now(), type: 'command', content: command });
+  }
+}
 
-  const stripped = stripAnsi(rawData);
-  const now = Date.now();
-
-  // Split into lines
-  const combined = session.pendingLine + stripped;
-  const lines = combined.split('\n');
-  session.pendingLine = lines.pop() || '';
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-
-    // Detect commands (text after a prompt-like pattern)
-    const promptMatch = trimmed.match(/^.*?[$#%>]\s*(.+)$/);
-    if (promptMatch && promptMatch[1] && promptMatch[1].length > 1) {
-      const cmd = promptMatch[1].trim();
-      // Only record if it looks like an actual command (not just output)
-      if (cmd.length < 500 && /^[a-zA-Z0-9./_\-]/.test(cmd)) {
-        addEntry(session, { ts: now, type: 'command', content: cmd });
-      }
-    }
+function processLine(hyperUid, line, ts) {
+  const session = getSession(hyperUid);
+  if (!session || session.state !== 'recording') return;
 
-    // Store as data entry
-    addEntry(session, { ts: now, type: 'data', content: trimmed });
+  const trimmed = line.trim();
+  if (!trimmed) return;
+  const now = ts || Date.now();
 
-    // Auto-annotations (debounced — at most one per pattern per 2 seconds)
-    if (now - session.lastAnnotationTs > 2000) {
-      for (const pattern of ANNOTATION_PATTERNS) {
-        if (pattern.regex.test(trimmed)) {
-          addBookmark(session, pattern.label, true);
-          session.lastAnnotationTs = now;
-          break;
-        }
+  // Store as data entry
+  addEntry(session, { ts: now, type: 'data', content: trimmed });
+
+  // Auto-annotations (debounced — at most one per pattern per 2 seconds)
+  if (now - session.lastAnnotationTs > 2000) {
+    for (const pattern of ANNOTATION_PATTERNS) {
+      if (pattern.regex.test(trimmed)) {
+        addBookmark(session, pattern.label, true);
+        session.lastAnnotationTs = now;
+        break;
       }
     }
   }
@@ -293,7 +273,7 @@ function getAllEntries(session) {
   const all = session.flushedEntries.concat(session.entries);
   // Also try to read from disk for stopped sessions
   if (session.state === 'stopped' && all.length === 0) {
-    const fromDisk = loadSessionFromDisk(session.sessionId);
+    const fromDisk = loadSessionFromDisk(session.sessionId, session.dir);
     if (fromDisk && fromDisk.entries) return fromDisk.entries;
   }
   return all;
@@ -535,9 +515,8 @@ function saveToFile(content, defaultName) {
     }
   }
 
-  // Fallback: save to ~/.hyper_recon/exports/
-  const exportDir = path.join(os.homedir(), '.hyper_recon', 'exports');
-  try { fs.mkdirSync(exportDir, { recursive: true }); } catch {}
+  // Fallback: save to the workspace's exports/
+  const exportDir = workspaceDir('exports');
   const filePath = path.join(exportDir, defaultName);
   fs.writeFileSync(filePath, content, 'utf8');
   const recon = getRecon();
@@ -553,12 +532,11 @@ function saveToFile(content, defaultName) {
 let _hudRegistered = false;
 let _forceRender = null;
 
-function registerHudTab() {
-  const recon = getRecon();
-  if (!recon.hud || _hudRegistered) return;
+function registerHudTab(hud) {
+  if (_hudRegistered) return;
   _hudRegistered = true;
 
-  recon.hud.registerTab('session-scribe', 'Scribe', null, (React) => {
+  hud.registerTab('session-scribe', 'Scribe', null, (React) => {
     return React.createElement(ScribePanel, { React });
   });
 
@@ -566,11 +544,11 @@ function registerHudTab() {
   setInterval(() => {
     const session = getCurrentSession();
     if (session && session.state === 'recording') {
-      recon.hud.updateBadge('session-scribe', 'REC');
+      hud.updateBadge('session-scribe', 'REC');
     } else if (session && session.state === 'paused') {
-      recon.hud.updateBadge('session-scribe', 'II');
+      hud.updateBadge('session-scribe', 'II');
     } else {
-      recon.hud.updateBadge('session-scribe', null);
+      hud.updateBadge('session-scribe', null);
     }
   }, 2000);
 }
@@ -624,8 +602,9 @@ function makeScribePanel(React) {
           R('button', {
             style: btnStyle('#238636'),
             onClick: () => {
-              if (currentHyperUid) {
-                const s = createSession(currentHyperUid);
+              const hyperUid = getActiveUid();
+              if (hyperUid) {
+                const s = createSession(hyperUid);
                 this.forceUpdate();
               }
             },
@@ -1175,8 +1154,9 @@ function makeScribePanel(React) {
           session && session.state !== 'stopped' && R('button', {
             style: btnStyle('#238636'),
             onClick: () => {
-              if (currentHyperUid && !getSession(currentHyperUid)) {
-                createSession(currentHyperUid);
+              const hyperUid = getActiveUid();
+              if (hyperUid && !getSession(hyperUid)) {
+                createSession(hyperUid);
               }
               this.forceUpdate();
             },
@@ -1273,41 +1253,39 @@ function btnStyle(bg) {
 //  PLUGIN EXPORTS
 // ======================================================================
 
-// ------ Middleware: Intercept PTY data & session events ----------------
+// ------ Middleware: Record the PTY stream & session events ------------
 
-exports.middleware = (store) => (next) => (action) => {
+exports.middleware = (store) => {
   const recon = getRecon();
+  recon.events.on('pty:command', evt => recordCommand(evt.uid, evt.command, evt.ts));
+  recon.events.on('pty:line', evt => processLine(evt.uid, evt.line, evt.ts));
+
+  return (next) => (action) => {
+    trackSession(action);
+    // Before a closing session stops recording, so its last line is kept
+    feedPty(action);
+
+    switch (action.type) {
+      case 'SESSION_ADD':
+        // Auto-start recording for new sessions
+        if (!getSession(action.uid)) {
+          createSession(action.uid);
+        }
+        break;
 
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      currentHyperUid = action.uid;
-      break;
-
-    case 'SESSION_ADD':
-      if (!currentHyperUid) currentHyperUid = action.uid;
-      // Auto-start recording for new sessions
-      if (!getSession(action.uid)) {
-        createSession(action.uid);
-      }
-      break;
-
-    case 'SESSION_PTY_DATA':
-      processPtyData(action.uid, action.data);
-      break;
-
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT': {
-      const session = getSession(action.uid);
-      if (session) {
-        stopSession(session);
-        activeSessions.delete(action.uid);
+      case 'SESSION_PTY_EXIT':
+      case 'SESSION_USER_EXIT': {
+        const session = getSession(action.uid);
+        if (session) {
+          stopSession(session);
+          activeSessions.delete(action.uid);
+        }
+        break;
       }
-      if (action.uid === currentHyperUid) currentHyperUid = null;
-      break;
     }
-  }
 
-  return next(action);
+    return next(action);
+  };
 };
 
 // ------ decorateHyper: Register HUD tab on load -----------------------
@@ -1318,14 +1296,10 @@ exports.decorateHyper = (Hyper, { React }) => {
       const recon = getRecon();
 
       // Register once HUD is ready
-      const tryRegister = () => {
-        if (recon.hud) {
-          registerHudTab();
-        }
-      };
+      registerPlugin({ name: 'session-scribe', version, provides: { transcripts: 1 }, requires: { hud: 1, store: 1 } });
+      whenCapability('hud', 1, registerHudTab);
 
-      tryRegister();
-      recon.events.on('hud:ready', tryRegister);
+      recon.events.on('workspace:changed', rolloverSessions);
 
       // Listen for findings to auto-bookmark
       recon.events.on('finding:new', (finding) => {
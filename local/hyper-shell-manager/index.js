@@ -8,27 +8,20 @@
 
 const { clipboard } = require('electron');
 const { execSync } = require('child_process');
-
-// ─── Shared Recon API ────────────────────────────────────────
-function getRecon() {
-  if (!window.__hyperRecon) {
-    const EventEmitter = require('events');
-    window.__hyperRecon = { events: new EventEmitter(), targets: new Map(), findings: [], hud: null };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, getActiveUid, sendToTerminal, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { version } = require('./package.json');
 
 // ─── State ───────────────────────────────────────────────────
 let store = null;
-let activeUid = null;
 
 // Shell tracking: Map<uid, ShellInfo>
 const shells = new Map();
 // Listener tracking: Map<uid, ListenerInfo>
 const listeners = new Map();
-// Terminal output buffers for detection
-const ptyBuffers = new Map();
 // Local IP cache
 let localIpCache = null;
 // UI refresh callback
@@ -47,15 +40,6 @@ function esc(str) {
   return "'" + str.replace(/'/g, "'\\''") + "'";
 }
 
-function sendToTerminal(uid, data) {
-  if (!uid) return;
-  window.rpc.emit('data', { uid: uid, data: data, escaped: false });
-}
-
-function sendToActive(data) {
-  sendToTerminal(activeUid, data);
-}
-
 function getLocalIp() {
   if (localIpCache) return localIpCache;
   try {
@@ -165,7 +149,7 @@ function detectConnection(uid, text) {
       // Emit event to recon
       try {
         const recon = getRecon();
-        recon.events.emit('shell:connected', shell);
+        emitEvent(recon, 'shell:connected', shell);
       } catch {}
 
       refreshHud();
@@ -199,7 +183,7 @@ function detectListening(uid, text) {
 
 // ─── Shell Actions ───────────────────────────────────────────
 function startListener(port, uid) {
-  const targetUid = uid || activeUid;
+  const targetUid = uid || getActiveUid();
   if (!targetUid) return;
 
   const usePort = port || findNextPort(config.defaultPort);
@@ -212,7 +196,7 @@ function startListener(port, uid) {
     startedAt: Date.now(),
   });
 
-  sendToTerminal(targetUid, `nc -lvnp ${usePort}\n`);
+  sendToTerminal(`nc -lvnp ${usePort}\n`, targetUid);
   refreshHud();
   return usePort;
 }
@@ -222,16 +206,16 @@ function upgradeShell(uid) {
   if (!shell || shell.status !== 'connected') return;
 
   // Step 1: Spawn PTY
-  sendToTerminal(uid, "python3 -c 'import pty; pty.spawn(\"/bin/bash\")'\n");
+  sendToTerminal("python3 -c 'import pty; pty.spawn(\"/bin/bash\")'\n", uid);
 
   // Step 2: After a delay, background and set raw
   setTimeout(() => {
     // Send Ctrl+Z
-    sendToTerminal(uid, '\x1a');
+    sendToTerminal('\x1a', uid);
     setTimeout(() => {
-      sendToTerminal(uid, 'stty raw -echo; fg\n');
+      sendToTerminal('stty raw -echo; fg\n', uid);
       setTimeout(() => {
-        sendToTerminal(uid, 'export TERM=xterm; export SHELL=/bin/bash\n');
+        sendToTerminal('export TERM=xterm; export SHELL=/bin/bash\n', uid);
         shell.upgraded = true;
         refreshHud();
       }, 500);
@@ -242,16 +226,16 @@ function upgradeShell(uid) {
 function killShell(uid) {
   const shell = shells.get(uid);
   // Send exit then Ctrl+C
-  sendToTerminal(uid, 'exit\n');
+  sendToTerminal('exit\n', uid);
   setTimeout(() => {
-    sendToTerminal(uid, '\x03');
+    sendToTerminal('\x03', uid);
     if (shell) shell.status = 'dead';
     shells.delete(uid);
     listeners.delete(uid);
     refreshHud();
     try {
       const recon = getRecon();
-      recon.events.emit('shell:disconnected', { uid });
+      emitEvent(recon, 'shell:disconnected', { uid });
     } catch {}
   }, 300);
 }
@@ -850,19 +834,25 @@ function createShellManagerTab(React) {
 // ─── Middleware: Track sessions & detect shell connections ────
 exports.middleware = (s) => {
   store = s;
-  return (next) => (action) => {
-    switch (action.type) {
-      case 'SESSION_SET_ACTIVE':
-        activeUid = action.uid;
-        break;
+  getRecon().events.on('pty:line', ({ uid, line }) => {
+    if (line.trim().length < 5) return;
+    // Try connection detection first (more important)
+    if (!shells.has(uid) || shells.get(uid).status !== 'connected') {
+      if (detectConnection(uid, line)) return;
+    }
+    // Try listening detection
+    if (!listeners.has(uid)) {
+      detectListening(uid, line);
+    }
+  });
 
-      case 'SESSION_ADD':
-        if (!activeUid) activeUid = action.uid;
-        break;
+  return (next) => (action) => {
+    trackSession(action);
+    feedPty(action);
 
+    switch (action.type) {
       case 'SESSION_PTY_EXIT':
       case 'SESSION_USER_EXIT':
-        if (action.uid === activeUid) activeUid = null;
         // Mark shell as dead
         if (shells.has(action.uid)) {
           shells.get(action.uid).status = 'dead';
@@ -871,36 +861,10 @@ exports.middleware = (s) => {
           refreshHud();
           try {
             const recon = getRecon();
-            recon.events.emit('shell:disconnected', { uid: action.uid });
+            emitEvent(recon, 'shell:disconnected', { uid: action.uid });
           } catch {}
         }
         break;
-
-      case 'SESSION_PTY_DATA': {
-        const uid = action.uid;
-        const data = typeof action.data === 'string' ? action.data : '';
-        if (data.length > 0 && data.length < 4096) {
-          // Accumulate buffer for multi-chunk messages
-          const prev = ptyBuffers.get(uid) || '';
-          const combined = (prev + data).slice(-2048); // keep last 2KB
-          ptyBuffers.set(uid, combined);
-
-          // Check lines for patterns
-          const lines = data.split(/\r?\n/);
-          for (const line of lines) {
-            if (line.trim().length < 5) continue;
-            // Try connection detection first (more important)
-            if (!shells.has(uid) || shells.get(uid).status !== 'connected') {
-              if (detectConnection(uid, line)) break;
-            }
-            // Try listening detection
-            if (!listeners.has(uid)) {
-              detectListening(uid, line);
-            }
-          }
-        }
-        break;
-      }
     }
 
     return next(action);
@@ -909,32 +873,24 @@ exports.middleware = (s) => {
 
 
 // ─── Register HUD Tab ────────────────────────────────────────
+// Every terminal mounts a ShellManagerTerm; only the first one registers.
+let hudRequested = false;
+
+function registerHud(ShellManagerTab, React) {
+  if (hudRequested) return;
+  hudRequested = true;
+  registerPlugin({ name: 'shell-manager', version, provides: { shells: 1 }, requires: { hud: 1 } });
+  whenCapability('hud', 1, (hud) => {
+    hud.registerTab('shells', 'Shells', (props) => React.createElement(ShellManagerTab, props));
+  });
+}
+
 exports.decorateTerm = (Term, { React }) => {
   const ShellManagerTab = createShellManagerTab(React);
 
   return class ShellManagerTerm extends React.Component {
-    constructor(props) {
-      super(props);
-      this._registered = false;
-    }
-
     componentDidMount() {
-      this._registerHudTab(React);
-    }
-
-    componentDidUpdate() {
-      this._registerHudTab(React);
-    }
-
-    _registerHudTab(React) {
-      if (this._registered) return;
-      try {
-        const recon = getRecon();
-        if (recon.hud && typeof recon.hud.registerTab === 'function') {
-          recon.hud.registerTab('shells', 'Shells', (props) => React.createElement(ShellManagerTab, props));
-          this._registered = true;
-        }
-      } catch {}
+      registerHud(ShellManagerTab, React);
     }
 
     render() {
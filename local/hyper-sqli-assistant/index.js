@@ -7,22 +7,12 @@
 //  commands, and shows injection status in a HUD tab.
 // ======================================================================
 
-// -- Shared Recon Namespace -------------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    const EventEmitter = require('events');
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, execInTerminal, stripAnsi, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { version } = require('./package.json');
 
 // -- Shell Safety -----------------------------------------------------
 
@@ -32,17 +22,8 @@ function esc(str) {
 
 // -- Active Session ---------------------------------------------------
 
-let activeUid = null;
-
 function execCmd(cmd) {
-  const recon = getRecon();
-  const uid = activeUid || recon.activeUid;
-  if (!uid) return;
-  if (typeof recon.exec === 'function') {
-    recon.exec(cmd, uid);
-  } else {
-    window.rpc.emit('data', { uid, data: cmd + '\n', escaped: false });
-  }
+  execInTerminal(cmd);
 }
 
 // ======================================================================
@@ -90,7 +71,7 @@ const STATE = {
 function bump() {
   STATE.version++;
   const recon = getRecon();
-  recon.events.emit('sqli:updated', STATE);
+  emitEvent(recon, 'sqli:updated', STATE);
 }
 
 function resetState() {
@@ -108,17 +89,9 @@ function resetState() {
 
 // ======================================================================
 //  SQLMAP OUTPUT PARSER
-//  Parses PTY data lines for sqlmap patterns
+//  Parses PTY stream lines for sqlmap patterns
 // ======================================================================
 
-// ANSI escape code stripper
-function stripAnsi(str) {
-  return str.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '').replace(/\r/g, '');
-}
-
-// Buffer for partial lines per session
-const lineBuffers = new Map();
-
 function parseSqlmapLine(line) {
   const clean = stripAnsi(line).trim();
   if (!clean) return;
@@ -206,10 +179,11 @@ function parseSqlmapLine(line) {
   const techMatch = clean.match(/Type:\s+(.+)/i);
   if (techMatch) {
     const technique = techMatch[1].trim();
-    // Apply to the most recently testing or vulnerable param
+    // Add to the most recently testing or vulnerable param's techniques
     for (const [name, info] of STATE.params) {
       if (info.status === 'testing' || info.status === 'vulnerable') {
-        info.technique = technique;
+        const known = info.technique ? info.technique.split(', ') : [];
+        if (!known.includes(technique)) info.technique = known.concat(technique).join(', ');
         break;
       }
     }
@@ -240,8 +214,9 @@ function parseSqlmapLine(line) {
     return;
   }
 
-  // Capture individual database names (lines starting with [*])
-  const dbNameMatch = clean.match(/^\[\*\]\s+(.+)$/);
+  // Capture individual database names (lines starting with [*], except
+  // sqlmap's own "[*] ending @ 14:50:46" banner)
+  const dbNameMatch = !/^\[\*\]\s+(?:starting|ending)\s+@/.test(clean) && clean.match(/^\[\*\]\s+(.+)$/);
   if (dbNameMatch && (STATE.phase === 'enumerating-dbs' || STATE.phase === 'enumerating-tables' ||
       STATE.phase === 'enumerating-columns')) {
     const name = dbNameMatch[1].trim();
@@ -340,24 +315,6 @@ function parseSqlmapLine(line) {
   }
 }
 
-function processPtyData(uid, rawData) {
-  const data = typeof rawData === 'string' ? rawData : rawData.toString('utf8');
-  const buf = (lineBuffers.get(uid) || '') + data;
-  const lines = buf.split('\n');
-
-  // Keep the last chunk if it doesn't end with newline (partial line)
-  if (!data.endsWith('\n')) {
-    lineBuffers.set(uid, lines.pop());
-  } else {
-    lineBuffers.set(uid, '');
-    lines.pop(); // remove trailing empty
-  }
-
-  for (const line of lines) {
-    parseSqlmapLine(line);
-  }
-}
-
 
 // ======================================================================
 //  TAMPER SCRIPTS REFERENCE
@@ -1070,34 +1027,21 @@ let hudRegistered = false;
 let hudReadyUnsub = null;
 
 function registerHudTab() {
-  if (hudRegistered) return;
+  if (hudRegistered || hudReadyUnsub) return;
   const recon = getRecon();
+  registerPlugin({ name: 'sqli-assistant', version, provides: { sqli: 1 }, requires: { hud: 1 } });
 
-  if (recon.hud) {
-    recon.hud.registerTab('sqli', 'SQLi', '\u{1F489}', renderHudTab);
+  // Registers now if the HUD framework is ready, otherwise once it is
+  hudReadyUnsub = whenCapability('hud', 1, (hud) => {
+    hud.registerTab('sqli', 'SQLi', '\u{1F489}', renderHudTab);
     hudRegistered = true;
+    hudReadyUnsub = null;
 
     // Set up re-render on state changes
     recon.events.on('sqli:updated', () => {
-      if (recon.hud && recon.hud._forceUpdate) {
-        recon.hud._forceUpdate();
-      }
+      if (hud._forceUpdate) hud._forceUpdate();
     });
-  } else {
-    // Wait for HUD framework to be ready
-    const onReady = (hud) => {
-      hud.registerTab('sqli', 'SQLi', '\u{1F489}', renderHudTab);
-      hudRegistered = true;
-
-      recon.events.on('sqli:updated', () => {
-        if (recon.hud && recon.hud._forceUpdate) {
-          recon.hud._forceUpdate();
-        }
-      });
-    };
-    recon.events.once('hud:ready', onReady);
-    hudReadyUnsub = () => recon.events.removeListener('hud:ready', onReady);
-  }
+  });
 }
 
 
@@ -1105,29 +1049,17 @@ function registerHudTab() {
 //  HYPER PLUGIN EXPORTS
 // ======================================================================
 
-// -- Middleware: intercept PTY data for sqlmap output parsing ----------
-
-exports.middleware = (store) => (next) => (action) => {
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      break;
-    case 'SESSION_ADD':
-      if (!activeUid) activeUid = action.uid;
-      break;
-    case 'SESSION_PTY_DATA':
-      // Parse sqlmap output from terminal data
-      if (action.data) {
-        processPtyData(action.uid, action.data);
-      }
-      break;
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT':
-      if (action.uid === activeUid) activeUid = null;
-      lineBuffers.delete(action.uid);
-      break;
-  }
-  return next(action);
+// -- Middleware: feed the PTY stream for sqlmap output parsing ---------
+
+exports.middleware = (store) => {
+  // Parse sqlmap output from terminal lines
+  getRecon().events.on('pty:line', evt => parseSqlmapLine(evt.line));
+
+  return (next) => (action) => {
+    trackSession(action);
+    feedPty(action);
+    return next(action);
+  };
 };
 
 
@@ -1170,7 +1102,10 @@ exports.decorateHyper = (Hyper, { React }) => {
         const recon = getRecon();
         recon.events.removeListener('parsed:sqlmap', this._onParsedSqlmap);
       }
-      if (hudReadyUnsub) hudReadyUnsub();
+      if (hudReadyUnsub) {
+        hudReadyUnsub();
+        hudReadyUnsub = null;
+      }
     }
 
     render() {
@@ -1178,3 +1113,10 @@ exports.decorateHyper = (Hyper, { React }) => {
     }
   };
 };
+
+// Export internal functions for testing
+if (process.env.NODE_ENV === 'test') {
+  exports.parseSqlmapLine = parseSqlmapLine;
+  exports.resetState = resetState;
+  exports.STATE = STATE;
+}
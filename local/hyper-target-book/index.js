@@ -9,62 +9,32 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const { shell, clipboard } = require('electron');
+const { exposeStore } = require('../hyper-hud-framework/reconStore');
+const { emitEvent } = require('../hyper-hud-framework/events');
+const {
+  getRecon, trackSession, execInTerminal, registerPlugin, whenCapability, findProvider,
+} = require('../hyper-hud-framework/runtime');
+const { feedPty } = require('../hyper-hud-framework/ptyStream');
+const { createOutputParser } = require('./outputParser');
+const { version } = require('./package.json');
 
 // ─── Constants ───────────────────────────────────────────────
 const WORKSPACE_ROOT = path.resolve(__dirname, '..', '..');
-const RECON_DIR = process.env.HYPER_RECON_DIR || path.join(WORKSPACE_ROOT, 'cache', 'hyper-recon');
-const LEGACY_RECON_DIR = path.join(os.homedir(), '.hyper_recon');
-const TARGETS_FILE = path.join(RECON_DIR, 'targets.json');
 const SAVE_DEBOUNCE_MS = 1500;
-const PTY_BUFFER_MAX = 8192;
 const WORDLIST_DIR = path.join(WORKSPACE_ROOT, 'cache', 'wordlists', 'vendor');
 const WEB_WORDLIST = process.env.HYPER_WORDLIST_WEB || path.join(WORDLIST_DIR, 'common.txt');
 const PASSWORD_LIST = process.env.HYPER_PASSWORD_LIST || path.join(WORDLIST_DIR, 'rockyou.txt');
 
-try {
-  fs.mkdirSync(RECON_DIR, { recursive: true });
-  if (!fs.existsSync(TARGETS_FILE) && fs.existsSync(path.join(LEGACY_RECON_DIR, 'targets.json'))) {
-    fs.copyFileSync(path.join(LEGACY_RECON_DIR, 'targets.json'), TARGETS_FILE);
-  }
-} catch (_e) {}
-
-// ─── Shared Recon Namespace ──────────────────────────────────
-function getRecon() {
-  if (!window.__hyperRecon) {
-    const EventEmitter = require('events');
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
-
 // ─── Shell Safety ────────────────────────────────────────────
 function esc(str) {
   return "'" + String(str).replace(/'/g, "'\\''") + "'";
 }
 
-// ─── Session Tracking ────────────────────────────────────────
-let activeUid = null;
-
-function execInTerminal(cmd) {
-  const recon = getRecon();
-  const uid = recon.activeUid || activeUid;
-  if (!uid) return;
-  window.rpc.emit('data', { uid, data: cmd + '\n', escaped: false });
-}
-
 
 // ══════════════════════════════════════════════════════════════
 //  TARGET STORE
-//  In-memory store with JSON persistence to disk
+//  In-memory store persisted to the shared recon store
 // ══════════════════════════════════════════════════════════════
 
 /*
@@ -99,31 +69,21 @@ const targetStore = {
   targets: new Map(),
   _saveTimer: null,
   _dirty: false,
+  // Shared recon store of the workspace the loaded targets belong to
+  db: null,
 
   // ─── Persistence ─────────────────────────────────────────
-  ensureDir() {
-    try {
-      if (!fs.existsSync(RECON_DIR)) {
-        fs.mkdirSync(RECON_DIR, { recursive: true });
-      }
-    } catch (e) {
-      console.error('[target-book] Cannot create recon dir:', e.message);
-    }
-  },
-
+  // Targets and their services live in the 'targets' and 'services'
+  // collections of the shared store. Only target-book writes them; other
+  // plugins add services through 'service:add' events.
   load() {
+    this.targets.clear();
     try {
-      if (!fs.existsSync(TARGETS_FILE)) return;
-      const raw = fs.readFileSync(TARGETS_FILE, 'utf8');
-      const data = JSON.parse(raw);
-      if (!Array.isArray(data.targets)) return;
-      this.targets.clear();
-      for (const t of data.targets) {
+      this.db = exposeStore(getRecon());
+      for (const t of this.db.list('targets')) {
         const services = new Map();
-        if (Array.isArray(t.services)) {
-          for (const s of t.services) {
-            services.set(`${s.port}/${s.proto}`, s);
-          }
+        for (const s of this.db.list('services', { target: t.address })) {
+          services.set(`${s.port}/${s.proto}`, s);
         }
         this.targets.set(t.address, {
           address: t.address,
@@ -158,22 +118,34 @@ const targetStore = {
     this._writeToDisk();
   },
 
+  // Save what belongs to the old workspace, then load the new one.
+  reload() {
+    if (this._dirty) this.saveNow();
+    this.load();
+    this._notify();
+  },
+
   _writeToDisk() {
+    const db = this.db;
+    if (!db) return;
     try {
-      this.ensureDir();
-      const data = {
-        version: 1,
-        savedAt: new Date().toISOString(),
-        targets: Array.from(this.targets.values()).map(t => ({
-          address: t.address,
-          type: t.type,
-          inScope: t.inScope,
-          tags: t.tags,
-          addedAt: t.addedAt,
-          services: Array.from(t.services.values()),
-        })),
-      };
-      fs.writeFileSync(TARGETS_FILE, JSON.stringify(data, null, 2), 'utf8');
+      const targets = Array.from(this.targets.values());
+      db.replaceAll('targets', targets.map(t => ({
+        address: t.address,
+        type: t.type,
+        inScope: t.inScope,
+        tags: t.tags,
+        addedAt: t.addedAt,
+      })));
+      const services = [].concat(...targets.map(t =>
+        Array.from(t.services.values()).map(s => Object.assign({}, s, { target: t.address }))));
+      // The book is the authority on services of its own targets only
+      const keep = new Set(services.map(s => db.keyOf('services', s)));
+      for (const s of db.list('services')) {
+        const key = db.keyOf('services', s);
+        if (this.targets.has(s.target) && !keep.has(key)) db.remove('services', key);
+      }
+      db.putMany('services', services);
     } catch (e) {
       console.error('[target-book] Save error:', e.message);
     }
@@ -275,7 +247,7 @@ const targetStore = {
     try {
       const recon = getRecon();
       recon.targets = this.targets;
-      recon.events.emit('targets:updated', this.targets);
+      emitEvent(recon, 'targets:updated', this.targets);
       if (recon.hud) {
         const total = this.targets.size;
         recon.hud.updateBadge('target-book', total > 0 ? total : null);
@@ -359,110 +331,9 @@ function classifyTarget(addr) {
   return 'domain';
 }
 
-
-// ══════════════════════════════════════════════════════════════
-//  TERMINAL OUTPUT PARSER
-//  Watches SESSION_PTY_DATA for nmap/masscan output patterns
-// ══════════════════════════════════════════════════════════════
-
-const outputParser = {
-  // Per-session buffer to accumulate partial lines
-  _buffers: new Map(),
-  // Current scan target per session (from "Nmap scan report for X")
-  _scanTargets: new Map(),
-
-  // Nmap patterns
-  _reNmapReport: /Nmap scan report for\s+(\S+?)(?:\s+\((\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\))?/,
-  _reNmapPort: /^(\d{1,5})\/(tcp|udp)\s+(open|filtered|closed|open\|filtered)\s+(\S+)(?:\s+(.*))?$/,
-  // Masscan patterns
-  _reMasscanOpen: /Discovered open port\s+(\d{1,5})\/(tcp|udp)\s+on\s+(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/,
-
-  feed(uid, rawData) {
-    // Accumulate data and process complete lines
-    let buf = this._buffers.get(uid) || '';
-    buf += rawData;
-
-    // Prevent unbounded buffer growth
-    if (buf.length > PTY_BUFFER_MAX) {
-      buf = buf.slice(-PTY_BUFFER_MAX);
-    }
-
-    const lines = buf.split(/\r?\n/);
-    // Keep the last incomplete line in the buffer
-    this._buffers.set(uid, lines.pop() || '');
-
-    for (const line of lines) {
-      this._parseLine(uid, stripAnsi(line));
-    }
-  },
-
-  _parseLine(uid, line) {
-    const trimmed = line.trim();
-    if (!trimmed) return;
-
-    // Check for nmap scan report header
-    const reportMatch = trimmed.match(this._reNmapReport);
-    if (reportMatch) {
-      // Prefer the IP in parens if available, otherwise the hostname
-      const target = reportMatch[2] || reportMatch[1];
-      this._scanTargets.set(uid, target);
-      // Also ensure the hostname target exists if different
-      if (reportMatch[2] && reportMatch[1] !== reportMatch[2]) {
-        // Store domain mapping — add both
-        targetStore.addTarget(reportMatch[1]);
-        targetStore.addTarget(reportMatch[2]);
-      } else {
-        targetStore.addTarget(target);
-      }
-      return;
-    }
-
-    // Check for nmap port lines
-    const portMatch = trimmed.match(this._reNmapPort);
-    if (portMatch) {
-      const currentTarget = this._scanTargets.get(uid);
-      if (currentTarget) {
-        targetStore.addService(currentTarget, {
-          port: parseInt(portMatch[1], 10),
-          proto: portMatch[2],
-          state: portMatch[3],
-          service: portMatch[4],
-          version: (portMatch[5] || '').trim(),
-          source: 'nmap',
-        });
-      }
-      return;
-    }
-
-    // Check for masscan output
-    const masscanMatch = trimmed.match(this._reMasscanOpen);
-    if (masscanMatch) {
-      targetStore.addService(masscanMatch[3], {
-        port: parseInt(masscanMatch[1], 10),
-        proto: masscanMatch[2],
-        state: 'open',
-        service: 'unknown',
-        version: '',
-        source: 'masscan',
-      });
-      return;
-    }
-  },
-
-  cleanup(uid) {
-    this._buffers.delete(uid);
-    this._scanTargets.delete(uid);
-  },
-};
-
-// Strip ANSI escape sequences from terminal data
-function stripAnsi(str) {
-  // eslint-disable-next-line no-control-regex
-  return str.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-            .replace(/\x1b\][^\x07]*\x07/g, '')
-            .replace(/\x1b[()][AB012]/g, '')
-            .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
-}
+// ─── Terminal Output Parser ──────────────────────────────────
+// Hosts and services from nmap/masscan output in the PTY stream
+const outputParser = createOutputParser(targetStore);
 
 
 // ══════════════════════════════════════════════════════════════
@@ -772,6 +643,47 @@ const uiState = {
   importText: '',
 };
 
+function notify(message, type) {
+  const recon = getRecon();
+  if (recon.hud) recon.hud.notify(message, type || 'info');
+}
+
+// Scan files (nmap XML or grepable, masscan JSON, nuclei JSONL, Burp exports, ...)
+// are read by target-panel's importer, which adds their hosts and
+// services here through 'target:add' / 'service:add'
+function importScanFiles(files) {
+  const provider = findProvider('scan-import', 1);
+  if (!provider || !provider.api['scan-import']) {
+    notify('Scan import needs hyper-target-panel', 'warn');
+    return;
+  }
+  const importer = provider.api['scan-import'];
+  files.reduce((prev, file) => prev
+    .then(() => file.text())
+    .then((content) => {
+      const summary = importer.importScan(file.name, content);
+      if (!summary) {
+        notify(`${file.name}: not a scan file that can be imported`, 'warn');
+        return;
+      }
+      notify(`Imported ${file.name} (${summary.format}): ${summary.targets.length} target${summary.targets.length !== 1 ? 's' : ''}, ${summary.services} service${summary.services !== 1 ? 's' : ''}`, 'info');
+      triggerRender();
+    })
+    .catch((e) => {
+      console.error('[target-book] Scan import failed:', e.message);
+      notify(`${file.name}: ${e.message}`, 'error');
+    }), Promise.resolve());
+}
+
+function pickScanFiles() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.multiple = true;
+  input.accept = '.xml,.json,.jsonl,.txt,.nmap,.gnmap,.log';
+  input.onchange = () => importScanFiles(Array.from(input.files || []));
+  input.click();
+}
+
 function renderTargetBook(React) {
   const h = React.createElement;
   const targets = targetStore.getTargets();
@@ -889,6 +801,11 @@ function renderTargetBook(React) {
           triggerRender();
         },
       }, uiState.importMode ? 'Cancel' : 'Import'),
+      h('button', {
+        style: btnStyle,
+        title: 'Import an nmap, masscan, nuclei, httpx, ffuf or Burp scan file',
+        onClick: pickScanFiles,
+      }, 'Import File'),
       h('button', {
         style: btnStyle,
         onClick: () => {
@@ -1221,6 +1138,7 @@ function triggerRender() {
 function registerHudTab() {
   if (_hudRegistered) return;
   const recon = getRecon();
+  registerPlugin({ name: 'target-book', version, provides: { targets: 1 }, requires: { hud: 1, store: 1 } });
 
   // The render function that the HUD will call
   const renderFn = (React, forceUpdate) => {
@@ -1238,13 +1156,12 @@ function registerHudTab() {
     if (total > 0) hud.updateBadge('target-book', total);
   };
 
-  if (recon.hud) {
-    doRegister(recon.hud);
-  } else {
-    recon.events.on('hud:ready', doRegister);
+  const cancel = whenCapability('hud', 1, doRegister);
+  if (!_hudRegistered) {
     // If no HUD after a delay, use standalone overlay
     setTimeout(() => {
       if (!_hudRegistered) {
+        cancel();
         createStandaloneOverlay();
       }
     }, 3000);
@@ -1271,33 +1188,29 @@ function registerHudTab() {
 //  PLUGIN EXPORTS
 // ══════════════════════════════════════════════════════════════
 
-// Redux middleware — intercepts PTY data for auto-capture
-exports.middleware = (store) => (next) => (action) => {
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      activeUid = action.uid;
-      break;
-    case 'SESSION_ADD':
-      if (!activeUid) activeUid = action.uid;
-      break;
-    case 'SESSION_PTY_DATA':
-      // Feed terminal output to the parser for auto-capture
-      if (action.uid && action.data) {
-        try {
-          outputParser.feed(action.uid, action.data);
-        } catch (e) {
-          // Never let parsing errors break the terminal
-          console.error('[target-book] Parse error:', e.message);
-        }
-      }
-      break;
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT':
-      if (action.uid === activeUid) activeUid = null;
-      outputParser.cleanup(action.uid);
-      break;
-  }
-  return next(action);
+// Redux middleware — feeds the PTY stream, whose lines go to the parser
+// for auto-capture
+exports.middleware = (store) => {
+  getRecon().events.on('pty:line', (evt) => {
+    try {
+      outputParser.parseLine(evt.uid, evt.line);
+    } catch (e) {
+      // Never let parsing errors break the terminal
+      console.error('[target-book] Parse error:', e.message);
+    }
+  });
+
+  return (next) => (action) => {
+    trackSession(action);
+    feedPty(action);
+    switch (action.type) {
+      case 'SESSION_PTY_EXIT':
+      case 'SESSION_USER_EXIT':
+        outputParser.cleanup(action.uid);
+        break;
+    }
+    return next(action);
+  };
 };
 
 // decorateHyper — injects initialization into the Hyper component lifecycle
@@ -1312,8 +1225,8 @@ exports.decorateHyper = (Hyper, { React }) => {
       if (!this._initialized) {
         this._initialized = true;
         // Load persisted targets
-        targetStore.ensureDir();
         targetStore.load();
+        getRecon().events.on('workspace:changed', () => targetStore.reload());
         // Register with HUD framework
         registerHudTab();
       }
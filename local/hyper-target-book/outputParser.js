@@ -0,0 +1,83 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════
+//  TERMINAL OUTPUT PARSER
+//  Watches PTY stream lines for nmap/masscan output patterns and
+//  adds the hosts and services found to a target store (anything
+//  with addTarget(address) and addService(address, service)).
+// ══════════════════════════════════════════════════════════════
+
+function createOutputParser(store) {
+  return {
+    // Current scan target per session (from "Nmap scan report for X")
+    _scanTargets: new Map(),
+
+    // Nmap patterns
+    _reNmapReport: /Nmap scan report for\s+(\S+)(?:\s+\((\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\))?/,
+    _reNmapPort: /^(\d{1,5})\/(tcp|udp)\s+(open|filtered|closed|open\|filtered)\s+(\S+)(?:\s+(.*))?$/,
+    // Masscan patterns
+    _reMasscanOpen: /Discovered open port\s+(\d{1,5})\/(tcp|udp)\s+on\s+(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/,
+
+    // One line from the PTY stream
+    parseLine(uid, line) {
+      const trimmed = line.trim();
+      if (!trimmed) return;
+
+      // Check for nmap scan report header
+      const reportMatch = trimmed.match(this._reNmapReport);
+      if (reportMatch) {
+        // Prefer the IP in parens if available, otherwise the hostname
+        const target = reportMatch[2] || reportMatch[1];
+        this._scanTargets.set(uid, target);
+        // Also ensure the hostname target exists if different
+        if (reportMatch[2] && reportMatch[1] !== reportMatch[2]) {
+          // Store domain mapping — add both
+          store.addTarget(reportMatch[1]);
+          store.addTarget(reportMatch[2]);
+        } else {
+          store.addTarget(target);
+        }
+        return;
+      }
+
+      // Check for nmap port lines
+      const portMatch = trimmed.match(this._reNmapPort);
+      if (portMatch) {
+        const currentTarget = this._scanTargets.get(uid);
+        if (currentTarget) {
+          store.addService(currentTarget, {
+            port: parseInt(portMatch[1], 10),
+            proto: portMatch[2],
+            state: portMatch[3],
+            service: portMatch[4],
+            version: (portMatch[5] || '').trim(),
+            source: 'nmap',
+          });
+        }
+        return;
+      }
+
+      // Check for masscan output
+      const masscanMatch = trimmed.match(this._reMasscanOpen);
+      if (masscanMatch) {
+        store.addService(masscanMatch[3], {
+          port: parseInt(masscanMatch[1], 10),
+          proto: masscanMatch[2],
+          state: 'open',
+          service: 'unknown',
+          version: '',
+          source: 'masscan',
+        });
+        return;
+      }
+    },
+
+    cleanup(uid) {
+      this._scanTargets.delete(uid);
+    },
+  };
+}
+
+module.exports = {
+  createOutputParser,
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveExecution, createStrategies } = require('../lib/execution/ExecutionConfig');
+const { terminalArgs } = require('../lib/execution/TerminalProfiles');
+
+const globalConfig = {
+  strategies: ['external_terminal', 'hyper_tab'],
+  terminal: 'gnome-terminal',
+  shell: 'bash',
+};
+
+test('tool execution overrides merge onto the global config', () => {
+  assert.deepEqual(resolveExecution({ id: 'nmap' }, globalConfig).strategies, ['external_terminal', 'hyper_tab']);
+
+  const kitty = resolveExecution({ id: 'ffuf', execution: { terminal: 'kitty' } }, globalConfig);
+  assert.equal(kitty.terminal, 'kitty');
+  assert.equal(kitty.shell, 'bash');
+
+  const detached = resolveExecution({ id: 'gau', execution: 'detached_shell' }, globalConfig);
+  assert.deepEqual(detached.strategies, ['detached_shell']);
+});
+
+test('unknown strategies are dropped and an empty list falls back to the default', () => {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.deepEqual(resolveExecution({ execution: { strategies: ['warp', 'hyper_tab'] } }, {}).strategies, ['hyper_tab']);
+    assert.deepEqual(resolveExecution({ execution: { strategies: ['warp'] } }, {}).strategies, ['external_terminal']);
+  } finally {
+    console.error = original;
+  }
+  assert.equal(createStrategies(resolveExecution({}, globalConfig)).length, 2);
+});
+
+test('terminal argument conventions', () => {
+  const program = ['fish', '-ic', 'nmap x'];
+  assert.deepEqual(terminalArgs('konsole', 'tab', program), ['--new-tab', '-e', 'fish', '-ic', 'nmap x']);
+  assert.deepEqual(terminalArgs('gnome-terminal', 'window', program), ['--window', '--', 'fish', '-ic', 'nmap x']);
+  assert.deepEqual(terminalArgs('xterm', 'tab', program), ['-e', 'fish', '-ic', 'nmap x']);
+  assert.deepEqual(terminalArgs('tmux', 'tab', program), ['new-window', 'fish', '-ic', 'nmap x']);
+  assert.deepEqual(terminalArgs('foot', 'window', program, { window: [] }), program);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const {
+  exitFileFor,
+  withExitStatus,
+  readExitStatus,
+  readRunPid,
+  waitForExitStatus,
+} = require('../lib/execution/ExitStatusFile');
+
+function mkExitFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-exit-'));
+  return exitFileFor(path.join(dir, "it's a.log"));
+}
+
+test('bash wrapper records the tool exit code and end time', () => {
+  const exitFile = mkExitFile();
+  const before = Math.floor(Date.now() / 1000) * 1000;
+  spawnSync('bash', ['-c', withExitStatus('(exit 3)', exitFile, 'bash')]);
+
+  const status = readExitStatus(exitFile);
+  assert.equal(status.exitCode, 3);
+  assert.ok(status.endedAt >= before);
+});
+
+test('the recorded status is the tool\'s whatever the command ends with', () => {
+  const cases = [
+    ["sh -c 'exit 4' # scan the top ports", 4],
+    ["sh -c 'exit 5';", 5],
+    ["sleep 0.2; sh -c 'exit 6' &", 6],
+    ['cat <<EOF >/dev/null\nhello\nEOF\nsh -c "exit 7"', 7],
+    ["printf 'it''s\\n' | grep -q it && sh -c 'exit 8'", 8],
+  ];
+  for (const [command, code] of cases) {
+    const exitFile = mkExitFile();
+    spawnSync('bash', ['-c', withExitStatus(command, exitFile, 'bash')]);
+    assert.equal((readExitStatus(exitFile) || {}).exitCode, code, command);
+  }
+});
+
+test('fish wrapper evals the command with fish quoting and reads $status', () => {
+  const wrapped = withExitStatus("printf 'a\\n'", '/tmp/x.exit', 'fish');
+  assert.match(wrapped, /^printf '\{"pid":%s\}\\n' \$fish_pid > '\/tmp\/x\.exit'; /);
+  assert.equal(wrapped.split('; ')[1], "eval 'printf \\'a\\\\n\\''");
+  assert.match(wrapped, /; set -l __hyper_rc \$status; printf /);
+  assert.match(wrapped, /\(date \+%s\) > '\/tmp\/x\.exit'$/);
+});
+
+test('waitForExitStatus resolves once the sidecar appears, or when told to stop', async () => {
+  const exitFile = mkExitFile();
+  assert.equal(readExitStatus(exitFile), null);
+  setTimeout(() => fs.writeFileSync(exitFile, '{"exitCode":0,"endedAt":1700000000}\n'), 30);
+  assert.deepEqual(await waitForExitStatus(exitFile, { pollMs: 10 }), { exitCode: 0, endedAt: 1700000000000 });
+
+  let stop = false;
+  setTimeout(() => { stop = true; }, 30);
+  assert.deepEqual(await waitForExitStatus(mkExitFile(), { pollMs: 10, shouldStop: () => stop }), { cancelled: true });
+});
+
+test('waitForExitStatus reports a run whose process died without a status as lost', async () => {
+  const alive = [true, false];
+  const status = await waitForExitStatus(mkExitFile(), { pollMs: 10, isAlive: async () => alive.shift() });
+  assert.deepEqual(status, { lost: true });
+});
+
+test('the sidecar holds the shell pid while the tool runs, and a dead shell is a lost run', async () => {
+  const exitFile = mkExitFile();
+  const child = spawn('bash', ['-c', withExitStatus('sleep 5', exitFile, 'bash')], { detached: true, stdio: 'ignore' });
+  while (readRunPid(exitFile) === null) await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(readRunPid(exitFile), child.pid);
+  assert.equal(readExitStatus(exitFile), null);
+
+  setTimeout(() => process.kill(-child.pid, 'SIGKILL'), 30);
+  assert.deepEqual(await waitForExitStatus(exitFile, { pollMs: 10 }), { lost: true });
+});
+
+test('a run that never records its pid is lost after the start timeout', async () => {
+  const startedAt = Date.now();
+  assert.deepEqual(await waitForExitStatus(mkExitFile(), { pollMs: 10, startTimeoutMs: 50 }), { lost: true });
+  assert.ok(Date.now() - startedAt >= 50);
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeRecord,
+  recordKey,
+  mergeRecord,
+  diffRecords,
+  fromLegacy,
+  withLegacyFindings,
+  fromAdapterRecords,
+} = require('../lib/storage/FindingsModel');
+
+test('converts legacy bucket strings into typed records', () => {
+  assert.deepEqual(fromLegacy('ports', '80 (http) - Apache httpd 2.4.49'), {
+    kind: 'service', port: 80, proto: 'tcp', name: 'http', product: 'Apache httpd', version: '2.4.49',
+  });
+  assert.equal(fromLegacy('vulns', '[HIGH] cve-2021-44228 (http) - x').id, 'CVE-2021-44228');
+  assert.deepEqual(fromLegacy('paths', 'https://example.com/login?next=1'), {
+    kind: 'endpoint', url: 'https://example.com/login?next=1', path: '/login', method: null, status: null, size: null,
+  });
+  assert.equal(fromLegacy('ports', 'not a port'), null);
+});
+
+test('maps jc adapter records to typed records', () => {
+  const records = fromAdapterRecords([
+    { type: 'port', port: '22/tcp', line: '22/tcp open ssh OpenSSH 9.6p1' },
+    { type: 'finding', id: 'git-config', protocol: 'http', severity: 'Medium', target: 'https://example.com/.git/config' },
+    { type: 'result', status: 200, length: 512, url: 'https://example.com/admin' },
+    { type: 'url', url: 'https://api.example.com/v1', host: 'api.example.com', path: '/v1' },
+    { type: 'credential', login: 'admin', password: 'admin' },
+  ]);
+  assert.deepEqual(records.map((r) => `${r.kind}:${recordKey(r)}`), [
+    'service:22/tcp',
+    'vulnerability:git-config|https://example.com/.git/config',
+    'endpoint: https://example.com/admin',
+    'endpoint: https://api.example.com/v1',
+    'host:api.example.com',
+  ]);
+  assert.equal(records[1].severity, 'medium');
+  assert.equal(records[2].size, 512);
+});
+
+test('bucket strings no typed record covers are added as records', () => {
+  const nmap = require('../lib/parsers/nmap').parse([
+    '80/tcp open  http    Apache httpd 2.4.49',
+    '| http-vuln-cve2011-3192: VULNERABLE: Apache byterange filter DoS',
+    '| vulners:',
+    '|   cpe:/a:apache:http_server:2.4.49:',
+    '|       CVE-2021-41773 7.5 https://vulners.com/cve/CVE-2021-41773',
+  ].join('\n'));
+  const records = withLegacyFindings(nmap.records, nmap);
+  assert.deepEqual(records.map((r) => `${r.kind}:${recordKey(r)}`), [
+    'service:80/tcp',
+    'vulnerability:CVE-2021-41773|https://vulners.com/cve/CVE-2021-41773',
+    'vulnerability:[SCRIPT] HTTP-VULN-CVE2011-3192: VULNERABLE: APACHE BYTERANGE FILTER DOS|',
+  ]);
+
+  // ffuf labels are the fuzzed word, not a path: the typed endpoints cover them
+  const ffuf = {
+    paths: ['admin [200] (Size: 10, W: 1, L: 1)'],
+    records: [normalizeRecord({ kind: 'endpoint', url: 'http://x/admin', status: 200 })],
+  };
+  assert.equal(withLegacyFindings(ffuf.records, ffuf).length, 1);
+  assert.equal(withLegacyFindings(undefined, { domains: ['a.example.com', 'a.example.com'] }).length, 1);
+});
+
+test('later sightings fill in missing fields and add host addresses', () => {
+  const first = normalizeRecord({ kind: 'host', hostname: 'Example.com', ips: ['10.0.0.1'] });
+  const merged = mergeRecord(first, normalizeRecord({ kind: 'host', hostname: 'example.com', ips: ['10.0.0.2'] }));
+  assert.deepEqual(merged.ips, ['10.0.0.1', '10.0.0.2']);
+
+  const service = mergeRecord(
+    normalizeRecord({ kind: 'service', port: 443, name: 'https', product: 'nginx' }),
+    normalizeRecord({ kind: 'service', port: '443', proto: 'TCP' })
+  );
+  assert.equal(service.product, 'nginx');
+});
+
+test('diffs two runs by record key and changed fields', () => {
+  const before = [
+    normalizeRecord({ kind: 'service', port: 80, name: 'http', version: '1.0' }),
+    normalizeRecord({ kind: 'host', hostname: 'old.example.com' }),
+  ];
+  const after = [
+    Object.assign(normalizeRecord({ kind: 'service', port: 80, name: 'http', version: '1.1' }), { lastSeen: 'later' }),
+    normalizeRecord({ kind: 'host', hostname: 'new.example.com' }),
+  ];
+  const diff = diffRecords(before, after);
+  assert.deepEqual(diff.added.map((r) => r.hostname), ['new.example.com']);
+  assert.deepEqual(diff.removed.map((r) => r.hostname), ['old.example.com']);
+  assert.deepEqual(diff.changed.map((c) => c.fields), [['version']]);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseQuery, matchesRecord, recordLabel, launchTargetFor } = require('../lib/storage/FindingsQuery');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+test('parses filters, time ranges and free text', () => {
+  const query = parseQuery('kind:vuln tool:nuclei severity:high,critical since:7d target:*.example.com "remote code" bogus:1', NOW);
+  assert.deepEqual(query.kinds, ['vulnerability']);
+  assert.equal(query.tool, 'nuclei');
+  assert.deepEqual(query.fields, { severity: ['high', 'critical'] });
+  assert.equal(query.since, Date.parse('2026-03-03T12:00:00Z'));
+  assert.equal(query.target, '*.example.com');
+  assert.deepEqual(query.terms, ['remote code']);
+  assert.deepEqual(query.errors, ['unknown filter "bogus"']);
+});
+
+test('matches records on kind, fields, tool family, target glob and time', () => {
+  const vuln = {
+    kind: 'vulnerability', id: 'CVE-2021-41773', severity: 'high', url: 'http://a.example.com/cgi-bin/',
+    target: 'a.example.com', sourceTool: 'nuclei_url', lastSeen: '2026-03-09T00:00:00.000Z',
+  };
+  assert.equal(matchesRecord(vuln, parseQuery('kind:vuln tool:nuclei severity:high since:7d', NOW)), true);
+  assert.equal(matchesRecord(vuln, parseQuery('target:*.example.com cve-2021', NOW)), true);
+  assert.equal(matchesRecord(vuln, parseQuery('tool:nuc', NOW)), false);
+  assert.equal(matchesRecord(vuln, parseQuery('since:1d', NOW)), false);
+  assert.equal(matchesRecord(vuln, parseQuery('kind:service', NOW)), false);
+
+  const endpoint = { kind: 'endpoint', path: '/admin', url: null, status: 200, target: 'b.io', lastSeen: '2026-03-09T00:00:00.000Z' };
+  assert.equal(matchesRecord(endpoint, parseQuery('status:200 path:/adm*', NOW)), true);
+  assert.equal(matchesRecord(endpoint, parseQuery('status:404', NOW)), false);
+  assert.equal(matchesRecord(endpoint, parseQuery('product:apache', NOW)), false);
+});
+
+test('labels results and picks what a tool is launched against', () => {
+  const service = { kind: 'service', port: 8080, proto: 'tcp', name: 'http', product: 'Jetty', version: '9.4', target: 'c.io' };
+  assert.equal(recordLabel(service), '8080/tcp http Jetty 9.4');
+  assert.equal(launchTargetFor(service), 'c.io:8080');
+  assert.equal(launchTargetFor({ kind: 'endpoint', path: '/login', target: 'c.io' }), 'c.io/login');
+  assert.equal(launchTargetFor({ kind: 'host', hostname: 'dev.c.io', target: 'c.io' }), 'dev.c.io');
+});
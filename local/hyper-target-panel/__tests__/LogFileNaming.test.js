@@ -2,8 +2,11 @@
 
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
-const { getLogExtForTool, buildLogFileName } = require('../lib/LogFileNaming');
+const { getLogExtForTool, buildLogFileName, latestLogFileName } = require('../lib/LogFileNaming');
 
 test('uses txt for gobuster tools to avoid unsupported format errors', () => {
   assert.equal(getLogExtForTool({ id: 'gobuster_dir', parser: 'gobuster' }), 'txt');
@@ -14,3 +17,18 @@ test('uses log by default for other tools', () => {
   assert.equal(getLogExtForTool({ id: 'nmap', parser: 'nmap' }), 'log');
   assert.equal(buildLogFileName('example.com', { id: 'nmap', parser: 'nmap' }), 'example.com_nmap.log');
 });
+
+test('runs get their own log, and the newest run log of a tool is found by name', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-logs-'));
+  const nmap = { id: 'nmap', parser: 'nmap' };
+  assert.equal(buildLogFileName('example.com', nmap, '1700000000000_abc123'), 'example.com_nmap_1700000000000_abc123.log');
+  assert.equal(latestLogFileName(dir, 'example.com', nmap), 'example.com_nmap.log');
+
+  for (const name of [
+    'example.com_nmap_1700000000000_abc123.log',
+    'example.com_nmap_900000000000_zzz999.log',
+    'example.com_nmap_service_1800000000000_def456.log',
+    'example.com_nmap_1700000000000_abc123.xml',
+  ]) fs.writeFileSync(path.join(dir, name), '');
+  assert.equal(latestLogFileName(dir, 'example.com', nmap), 'example.com_nmap_1700000000000_abc123.log');
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const OutputProcessor = require('../lib/OutputProcessor');
+const { createSnapshotHandler } = require('../lib/jc/SnapshotWorker');
+
+// Runs jobs in-process, but still asynchronously like the real pool.
+function inProcessPool() {
+  const handle = createSnapshotHandler();
+  const jobs = [];
+  return {
+    jobs,
+    run: (job) => {
+      jobs.push(job.type);
+      return new Promise((resolve) => setTimeout(() => resolve(handle(job)), 20));
+    },
+    release: () => {},
+    dispose: () => {},
+  };
+}
+
+test('jc snapshots are rate limited per run and end with a full pass', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tp-proc-')), 'katana.log');
+  const snapshots = [];
+  const parsed = [];
+  const pool = inProcessPool();
+  const processor = new OutputProcessor({
+    onFindings: () => {},
+    onJcOutput: (target, data, context) => snapshots.push({ target, data, pass: context.jcPass }),
+    onRunParsed: (context) => parsed.push(snapshots.length),
+  }, { snapshotIntervalMs: 200, snapshotPool: pool });
+
+  processor.watch(file, 'katana', { target: 'example.com', jcParser: 'katana_standard', jcEngine: 'adapter' }, { idleMs: 0 });
+  for (let i = 0; i < 5; i++) {
+    fs.appendFileSync(file, `https://example.com/p${i}\n`);
+    processor.scheduleJcSnapshot(file);
+  }
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(pool.jobs, ['update']);
+
+  processor.complete(file);
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.deepEqual(pool.jobs, ['update', 'final']);
+  const last = snapshots[snapshots.length - 1];
+  assert.equal(last.pass, 'final');
+  assert.equal(last.target, 'example.com');
+  assert.equal(last.data.records.length, 5);
+  assert.equal(processor.watchers[file], undefined);
+  // Reported only once the final snapshot is in
+  assert.deepEqual(parsed, [snapshots.length]);
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { sniffFormat, importScan } = require('../lib/ScanImporter');
+
+const NMAP_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<nmaprun scanner="nmap" args="nmap -sV -oX scan.xml 10.0.0.0/24">
+<host><status state="up"/><address addr="10.0.0.5" addrtype="ipv4"/>
+<hostnames><hostname name="web.example.com" type="PTR"/></hostnames>
+<ports><port protocol="tcp" portid="80"><state state="open"/><service name="http" product="Apache httpd" version="2.4.49"/></port></ports>
+</host>
+<host><status state="up"/><address addr="10.0.0.6" addrtype="ipv4"/>
+<ports><port protocol="tcp" portid="22"><state state="open"/><service name="ssh" product="OpenSSH" version="8.9p1"/></port></ports>
+</host>
+</nmaprun>`;
+
+const BURP_XML = `<?xml version="1.0"?>
+<!DOCTYPE items [<!ELEMENT items (item*)>]>
+<items burpVersion="2023.10.3" exportTime="Mon Oct 16 10:00:00 UTC 2023">
+  <item>
+    <url><![CDATA[https://shop.example.com/login]]></url>
+    <host ip="203.0.113.7">shop.example.com</host>
+    <port>443</port>
+    <protocol>https</protocol>
+    <method><![CDATA[POST]]></method>
+    <path><![CDATA[/login]]></path>
+    <status>302</status>
+    <responselength>512</responselength>
+  </item>
+  <item>
+    <url><![CDATA[https://shop.example.com/admin/]]></url>
+    <host ip="203.0.113.7">shop.example.com</host>
+    <port>443</port>
+    <protocol>https</protocol>
+    <method><![CDATA[GET]]></method>
+    <path><![CDATA[/admin/]]></path>
+    <status>403</status>
+    <responselength>199</responselength>
+  </item>
+</items>`;
+
+const NUCLEI_JSONL = [
+  '{"template-id":"CVE-2021-41773","info":{"name":"Apache 2.4.49 Path Traversal","severity":"critical"},"type":"http","host":"http://10.0.0.5","matched-at":"http://10.0.0.5/cgi-bin/.%2e/etc/passwd"}',
+  '{"template-id":"tech-detect","info":{"name":"Wappalyzer","severity":"info"},"type":"http","matched-at":"http://10.0.0.5/"}',
+].join('\n');
+
+const MASSCAN_JSON = `[
+{ "ip": "10.0.0.5", "timestamp": "1697450000", "ports": [ {"port": 443, "proto": "tcp", "status": "open"} ] },
+]`;
+
+const NMAP_TEXT = `# Nmap 7.94 scan initiated Mon Oct 16 10:00:00 2023 as: nmap -sV -oN scan.txt 10.0.0.0/24
+Nmap scan report for web.example.com (10.0.0.5)
+Host is up (0.0010s latency).
+PORT   STATE SERVICE VERSION
+80/tcp open  http    Apache httpd 2.4.49
+Nmap scan report for 10.0.0.6
+PORT   STATE SERVICE VERSION
+22/tcp open  ssh     OpenSSH 8.9p1
+# Nmap done at Mon Oct 16 10:01:00 2023 -- 256 IP addresses (2 hosts up) scanned
+`;
+
+const HYDRA_TEXT = `Hydra v9.5 (c) 2023 by van Hauser/THC & David Maciejak
+[DATA] attacking ssh://10.0.0.6:22/
+[22][ssh] host: 10.0.0.6   login: admin   password: hunter2
+1 of 1 target successfully completed, 1 valid password found
+`;
+
+// Captured tool output shared with the parser golden tests
+const CORPUS = path.join(__dirname, '..', '..', 'hyper-hud-framework', '__tests__', 'fixtures', 'tool-output');
+const corpus = name => fs.readFileSync(path.join(CORPUS, name), 'utf8');
+
+const byTarget = result => Object.fromEntries(result.targets.map(t => [t.target, t]));
+
+test('formats are sniffed from the content, not the file name', () => {
+  assert.equal(sniffFormat(NMAP_XML), 'nmap-xml');
+  assert.equal(sniffFormat(BURP_XML), 'burp-xml');
+  assert.equal(sniffFormat(NUCLEI_JSONL), 'nuclei-jsonl');
+  assert.equal(sniffFormat(MASSCAN_JSON), 'masscan-json');
+  assert.equal(sniffFormat('{"commandline":"ffuf -u http://x/FUZZ","results":[]}'), 'ffuf-json');
+  assert.equal(sniffFormat('{"url":"https://a.example.com","status_code":200,"input":"a.example.com"}'), 'httpx-jsonl');
+  assert.equal(sniffFormat('{"request":{"method":"GET","endpoint":"https://a.example.com/x"}}'), 'katana-jsonl');
+  assert.equal(sniffFormat(NMAP_TEXT), 'nmap');
+  assert.equal(sniffFormat(corpus('nmap-grepable.gnmap')), 'nmap-grepable');
+  assert.equal(sniffFormat(corpus('sqlmap.txt')), 'sqlmap');
+  assert.equal(sniffFormat(HYDRA_TEXT), 'hydra');
+  assert.equal(sniffFormat('- Nikto v2.5.0\n+ Target IP: 10.0.0.5\n'), 'nikto');
+  assert.equal(sniffFormat('<html><body>not a scan</body></html>'), null);
+  assert.equal(sniffFormat('10.0.0.5\n10.0.0.6\n'), null);
+});
+
+test('an nmap XML import is split per host and attributed to the file', () => {
+  const result = importScan('/tmp/colleague scan.xml', NMAP_XML);
+  assert.equal(result.format, 'nmap-xml');
+  assert.equal(result.source, 'import:colleague scan.xml');
+  const targets = byTarget(result);
+  assert.deepEqual(Object.keys(targets).sort(), ['10.0.0.5', '10.0.0.6']);
+
+  const web = targets['10.0.0.5'];
+  assert.deepEqual(web.findings.records.map(r => r.kind).sort(), ['host', 'service']);
+  assert.ok(web.findings.records.every(r => r.target === undefined));
+  assert.deepEqual(web.findings.ports, ['80/tcp http Apache httpd 2.4.49']);
+  assert.deepEqual(web.services, [
+    { port: 80, proto: 'tcp', state: 'open', service: 'http', version: 'Apache httpd 2.4.49', source: 'import:colleague scan.xml' },
+  ]);
+  assert.equal(web.alerts[0].type, 'open-port');
+  assert.equal(targets['10.0.0.6'].services[0].service, 'ssh');
+});
+
+test('a one-host file keeps the strings a run of the tool would store', () => {
+  const result = importScan('masscan.json', MASSCAN_JSON);
+  assert.equal(result.targets.length, 1);
+  assert.equal(result.targets[0].target, '10.0.0.5');
+  assert.deepEqual(result.targets[0].findings.ports, ['443/tcp']);
+  assert.equal(result.targets[0].services[0].port, 443);
+});
+
+test('a Burp export gives endpoints, the host and its service', () => {
+  const result = importScan('sitemap.xml', BURP_XML);
+  assert.equal(result.format, 'burp-xml');
+  const [shop] = result.targets;
+  assert.equal(shop.target, 'shop.example.com');
+  const endpoints = shop.findings.records.filter(r => r.kind === 'endpoint');
+  assert.deepEqual(endpoints.map(e => [e.method, e.path, e.status]), [['POST', '/login', 302], ['GET', '/admin/', 403]]);
+  assert.deepEqual(shop.findings.records.find(r => r.kind === 'host'), { kind: 'host', hostname: 'shop.example.com', ips: ['203.0.113.7'] });
+  assert.equal(shop.services[0].port, 443);
+  assert.deepEqual(shop.alerts.filter(a => a.type === 'path').map(a => a.title), [
+    'Path discovered [302]: https://shop.example.com/login',
+    'Path discovered [403]: https://shop.example.com/admin/',
+  ]);
+});
+
+test('nuclei results become alerts by severity; info results are not alerted', () => {
+  const [target] = importScan('old.jsonl', NUCLEI_JSONL).targets;
+  assert.equal(target.target, '10.0.0.5');
+  assert.equal(target.findings.records.length, 2);
+  assert.deepEqual(target.alerts.map(a => [a.severity, a.title.split(' ')[0]]), [['critical', 'CVE-2021-41773']]);
+});
+
+test('text logs go through their parser or jc adapter', () => {
+  const nmap = byTarget(importScan('scan.txt', NMAP_TEXT));
+  assert.deepEqual(Object.keys(nmap).sort(), ['10.0.0.5', '10.0.0.6']);
+  assert.deepEqual(nmap['10.0.0.5'].findings.ports, ['80 (http) - Apache httpd 2.4.49']);
+  assert.ok(nmap['10.0.0.5'].findings.domains.includes('web.example.com'));
+  assert.equal(nmap['10.0.0.6'].services[0].port, 22);
+
+  const hydra = importScan('hydra.txt', HYDRA_TEXT);
+  assert.equal(hydra.targets[0].target, '10.0.0.6');
+  assert.deepEqual(hydra.targets[0].alerts.map(a => [a.type, a.title]), [['credential', 'Credentials found: admin:hunter2']]);
+});
+
+test('the fallback target is used when the file names no host; unknown files give null', () => {
+  const gobuster = importScan('dirs.txt', '/admin (Status: 301) [Size: 0] [--> /admin/]\n', { target: 'app.example.com' });
+  assert.equal(gobuster.format, 'gobuster');
+  assert.equal(gobuster.targets[0].target, 'app.example.com');
+  assert.ok(gobuster.targets[0].findings.paths.length > 0);
+
+  assert.equal(importScan('dirs.txt', '/admin (Status: 301) [Size: 0]\n'), null);
+  assert.equal(importScan('notes.txt', 'just some notes'), null);
+});
+
+test('grepable nmap output is split per host like the normal output', () => {
+  const result = importScan('sweep.gnmap', corpus('nmap-grepable.gnmap'));
+  assert.equal(result.format, 'nmap-grepable');
+  const targets = byTarget(result);
+  assert.deepEqual(Object.keys(targets).sort(), ['10.10.10.1', '10.10.10.5', '10.10.10.6']);
+  // 139/filtered is not an open port
+  assert.deepEqual(targets['10.10.10.5'].services.map(s => [s.port, s.service, s.version]), [
+    [22, 'ssh', 'OpenSSH 8.2p1 Ubuntu 4ubuntu0.5 (Ubuntu Linux; protocol 2.0)'],
+    [80, 'http', 'Apache httpd 2.4.41 ((Ubuntu))'],
+    [3306, 'mysql', 'MySQL 5.7.38-0ubuntu0.18.04.1'],
+  ]);
+  assert.deepEqual(targets['10.10.10.5'].findings.records.find(r => r.kind === 'host'), { kind: 'host', hostname: 'web01.lab.local', ips: ['10.10.10.5'] });
+  assert.deepEqual(targets['10.10.10.6'].services.map(s => s.service), ['ftp', 'microsoft-ds?']);
+});
+
+test('a sqlmap log is filed under the host it tested, not the URL in its banner', () => {
+  const log = corpus('sqlmap.txt');
+  const given = importScan('sqlmap.txt', log, { target: '10.10.10.5' });
+  assert.deepEqual(given.targets.map(t => t.target), ['10.10.10.5']);
+  assert.ok(given.targets[0].findings.vulns.includes('[Type] time-based blind'));
+
+  // Without one, from the output directory sqlmap names after the host
+  assert.deepEqual(importScan('sqlmap.txt', log).targets.map(t => t.target), ['10.10.10.5']);
+  // or the command line, when the log starts with it
+  const withCommand = "$ sqlmap -u 'http://shop.example.com/item.php?id=1' --batch\n" + log;
+  assert.deepEqual(importScan('sqlmap.txt', withCommand, { target: '10.10.10.5' }).targets.map(t => t.target), ['shop.example.com']);
+});
+
+test('the given target wins over a host guessed from the content', () => {
+  const nikto = '- Nikto v2.5.0\n+ See https://cirt.net/ and http://other.example.com/\n+ /admin/: Admin login page found.\n';
+  assert.deepEqual(importScan('nikto.txt', nikto, { target: 'app.example.com' }).targets.map(t => t.target), ['app.example.com']);
+  assert.deepEqual(importScan('nikto.txt', nikto).targets.map(t => t.target), ['other.example.com']);
+});
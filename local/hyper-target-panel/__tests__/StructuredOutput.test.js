@@ -0,0 +1,237 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseStructured, resolveStructured, structuredFileFor } = require('../lib/structured');
+const { parseXml } = require('../lib/structured/xml');
+const OutputProcessor = require('../lib/OutputProcessor');
+
+const NMAP_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE nmaprun>
+<nmaprun scanner="nmap" args="nmap -sV -sC --script vuln -oX - 10.0.0.5">
+<host><status state="up" reason="echo-reply"/>
+<address addr="10.0.0.5" addrtype="ipv4"/>
+<hostnames><hostname name="web.example.com" type="PTR"/></hostnames>
+<ports>
+<port protocol="tcp" portid="443"><state state="open" reason="syn-ack"/><service name="http" product="nginx" version="1.18.0" tunnel="ssl" method="probed" conf="10"><cpe>cpe:/a:igor_sysoev:nginx:1.18.0</cpe></service>
+<script id="ssl-cert" output="Subject: commonName=web.example.com&#xa;Subject Alternative Name: DNS:web.example.com, DNS:api.example.com, DNS:*.example.com&#xa;Not valid after:  2027-01-01T00:00:00"><table key="subject"><elem key="commonName">web.example.com</elem></table><table key="issuer"><elem key="commonName">R3</elem></table><table key="validity"><elem key="notBefore">2026-01-01T00:00:00</elem><elem key="notAfter">2027-01-01T00:00:00</elem></table></script>
+<script id="ssl-enum-ciphers" output="TLSv1.2: ..."><table key="TLSv1.2"><elem key="cipher preference">server</elem></table><table key="TLSv1.3"><elem key="cipher preference">server</elem></table><elem key="least strength">A</elem></script>
+<script id="vulners" output="&#xa;  cpe:/a:igor_sysoev:nginx:1.18.0: &#xa;    CVE-2021-23017 7.7 https://vulners.com/cve/CVE-2021-23017"/>
+</port>
+<port protocol="tcp" portid="8080"><state state="closed" reason="reset"/><service name="http-proxy" method="table" conf="3"/></port>
+</ports>
+<hostscript><script id="smb-vuln-ms17-010" output="VULNERABLE:&#xa;  Remote Code Execution vulnerability in Microsoft SMBv1 servers (ms17-010)"><table key="CVE-2017-0143"><elem key="title">Remote Code Execution vulnerability in Microsoft SMBv1 servers (ms17-010)</elem><elem key="state">VULNERABLE</elem><table key="ids"><elem>CVE:CVE-2017-0143</elem></table></table></script>
+<script id="smb-vuln-ms10-054" output="false"><table key="CVE-2010-2550"><elem key="title">SMB Pool Overflow</elem><elem key="state">NOT VULNERABLE</elem></table></script></hostscript>
+<os><osmatch name="Linux 5.0 - 5.4" accuracy="96"/></os>
+</host>
+</nmaprun>
+`;
+
+test('xml reader decodes entities and CDATA and keeps what a cut-short file has', () => {
+  const root = parseXml('<?xml version="1.0"?><a x="1 &amp; 2"><b>&lt;ok&gt;</b><c><![CDATA[<raw>]]></c><d y=\'q\'/><e>cut');
+  assert.equal(root.name, 'a');
+  assert.equal(root.attrs.x, '1 & 2');
+  assert.deepEqual(root.children.map(c => [c.name, c.text]), [['b', '<ok>'], ['c', '<raw>'], ['d', ''], ['e', 'cut']]);
+  assert.equal(root.children[2].attrs.y, 'q');
+  assert.equal(parseXml('no xml here'), null);
+});
+
+test('nmap XML gives services, NSE script vulnerabilities, hostnames and TLS details', () => {
+  const result = parseStructured('nmap-xml', NMAP_XML);
+
+  assert.deepEqual(result.ports, ['443 (ssl/http) - nginx 1.18.0']);
+  assert.deepEqual(result.os, ['Linux 5.0 - 5.4']);
+  assert.deepEqual(result.domains, ['web.example.com', 'api.example.com']);
+  assert.deepEqual(result.vulns, [
+    '[CVE] CVE-2021-23017 (CVSS: 7.7)',
+    '[Script] smb-vuln-ms17-010: Remote Code Execution vulnerability in Microsoft SMBv1 servers (ms17-010) (VULNERABLE)',
+  ]);
+
+  const byKind = kind => result.records.filter(r => r.kind === kind);
+  assert.deepEqual(byKind('service'), [
+    { kind: 'service', port: 443, proto: 'tcp', name: 'ssl/http', product: 'nginx', version: '1.18.0', target: '10.0.0.5' },
+  ]);
+  assert.deepEqual(byKind('vulnerability').map(r => [r.id, r.severity]), [
+    ['CVE-2021-23017', 'high'],
+    ['CVE-2017-0143', 'high'],
+  ]);
+  assert.deepEqual(byKind('host').map(r => [r.hostname, r.ips]), [
+    ['web.example.com', ['10.0.0.5']],
+    ['api.example.com', []],
+  ]);
+
+  const host = result.hosts[0];
+  assert.equal(host.ports.length, 2);
+  assert.equal(host.ports[1].state, 'closed');
+  assert.deepEqual(host.ports[0].service.cpe, ['cpe:/a:igor_sysoev:nginx:1.18.0']);
+  assert.deepEqual(host.ports[0].tls, {
+    subject: 'web.example.com',
+    issuer: 'R3',
+    notBefore: '2026-01-01T00:00:00',
+    notAfter: '2027-01-01T00:00:00',
+    altNames: ['web.example.com', 'api.example.com', '*.example.com'],
+    protocols: ['TLSv1.2', 'TLSv1.3'],
+    leastStrength: 'A',
+  });
+  // Full script output, not just its first line
+  assert.match(host.ports[0].scripts[2].output, /CVE-2021-23017 7\.7/);
+  assert.deepEqual(host.hostScripts.map(s => s.id), ['smb-vuln-ms17-010', 'smb-vuln-ms10-054']);
+});
+
+test('ffuf JSON keeps each result with the input that produced it', () => {
+  const result = parseStructured('ffuf-json', JSON.stringify({
+    commandline: 'ffuf -u http://10.0.0.5/FUZZ -w words.txt -of json -o out.json',
+    results: [
+      { input: { FUZZ: 'admin', FFUFHASH: 'abc' }, status: 301, length: 169, words: 5, lines: 8, 'content-type': 'text/html', redirectlocation: 'http://10.0.0.5/admin/', url: 'http://10.0.0.5/admin' },
+      { input: { FUZZ: 'robots.txt' }, status: 200, length: 42, words: 3, lines: 2, url: 'http://10.0.0.5/robots.txt' },
+    ],
+  }));
+  assert.deepEqual(result.paths, [
+    'admin [301] (Size: 169, W: 5, L: 8) -> http://10.0.0.5/admin/',
+    'robots.txt [200] (Size: 42, W: 3, L: 2)',
+  ]);
+  assert.deepEqual(result.records.map(r => [r.path, r.status, r.size]), [['/admin', 301, 169], ['/robots.txt', 200, 42]]);
+  assert.equal(result.results[0].contentType, 'text/html');
+  assert.equal(parseStructured('ffuf-json', 'admin [Status: 200, Size: 1]'), null);
+});
+
+test('nuclei JSONL keeps extracted results and classification', () => {
+  const result = parseStructured('nuclei-jsonl', [
+    JSON.stringify({ 'template-id': 'phpinfo-files', info: { name: 'PHPinfo Page', severity: 'low' }, type: 'http', 'matched-at': 'http://10.0.0.5/phpinfo.php', 'extracted-results': ['7.4.3'] }),
+    JSON.stringify({ 'template-id': 'CVE-2021-41773', info: { name: 'Apache Path Traversal', severity: 'high', classification: { 'cve-id': ['cve-2021-41773'], 'cvss-score': 7.5 } }, type: 'http', 'matched-at': 'http://10.0.0.5/cgi-bin/x' }),
+    '{"template-id": "half-writ',
+  ].join('\n'));
+  assert.deepEqual(result.vulns, [
+    '[LOW] phpinfo-files (http) - http://10.0.0.5/phpinfo.php',
+    '[HIGH] CVE-2021-41773 (http) - http://10.0.0.5/cgi-bin/x',
+  ]);
+  assert.equal(result.records[0].evidence, 'PHPinfo Page [7.4.3]');
+  assert.deepEqual(result.results[0].extracted, ['7.4.3']);
+  assert.deepEqual(result.results[1].cve, ['CVE-2021-41773']);
+  assert.equal(result.results[1].cvss, 7.5);
+});
+
+test('httpx, katana and masscan JSON give endpoints, hosts and services', () => {
+  const httpx = parseStructured('httpx-jsonl', JSON.stringify({
+    url: 'https://app.example.com', input: 'app.example.com', status_code: 200, title: 'App', webserver: 'nginx',
+    tech: ['Nginx', 'React'], content_length: 512, a: ['10.0.0.7'],
+  }));
+  assert.deepEqual(httpx.records, [
+    { kind: 'endpoint', url: 'https://app.example.com', path: '/', method: null, status: 200, size: 512 },
+    { kind: 'host', hostname: 'app.example.com', ips: ['10.0.0.7'] },
+  ]);
+  assert.deepEqual(httpx.results[0].tech, ['Nginx', 'React']);
+
+  const katana = parseStructured('katana-jsonl', JSON.stringify({
+    request: { method: 'POST', endpoint: 'https://app.example.com/api/login', tag: 'form', attribute: 'action', source: 'https://app.example.com/' },
+    response: { status_code: 401 },
+  }));
+  assert.deepEqual(katana.records.map(r => [r.method, r.path, r.status]), [['POST', '/api/login', 401]]);
+  assert.equal(katana.results[0].source, 'https://app.example.com/');
+
+  // As masscan writes it: trailing commas, and no closing bracket while it runs
+  const masscan = parseStructured('masscan-json', [
+    '[',
+    '{   "ip": "10.0.0.5",   "timestamp": "1700000000", "ports": [ {"port": 22, "proto": "tcp", "status": "open", "reason": "syn-ack", "ttl": 64} ] },',
+    '{   "ip": "10.0.0.5",   "timestamp": "1700000001", "ports": [ {"port": 22, "proto": "tcp", "service": {"name": "ssh", "banner": "SSH-2.0-OpenSSH_8.9"} } ] },',
+    '{   "ip": "10.0.0.6",   "timestamp": "1700000002", "ports": [ {"port": 80, "proto": "tcp", "status": "open"} ] },',
+  ].join('\n'));
+  assert.deepEqual(masscan.ports, ['22 (ssh)', '80/tcp']);
+  assert.deepEqual(masscan.records.map(r => [r.target, r.port]), [['10.0.0.5', 22], ['10.0.0.6', 80]]);
+  assert.deepEqual(masscan.hosts[0].ports, [{ port: 22, proto: 'tcp', status: 'open', service: 'ssh', banner: 'SSH-2.0-OpenSSH_8.9' }]);
+});
+
+test('tools name a sidecar next to their log, or their log is the structured file', () => {
+  const log = '/w/runtime/example.com_nmap_service.log';
+  assert.equal(structuredFileFor(log, 'nmap-xml'), '/w/runtime/example.com_nmap_service.xml');
+  assert.deepEqual(
+    resolveStructured({ structured: 'nmap-xml', command: 'nmap {target} -oN {log_file} -oX {structured_file}' }, log),
+    { format: 'nmap-xml', file: '/w/runtime/example.com_nmap_service.xml' },
+  );
+  assert.deepEqual(
+    resolveStructured({ structured: 'ffuf-json', command: 'ffuf -u {target}/FUZZ -o {log_file} -of json' }, '/w/a.log'),
+    { format: 'ffuf-json', file: '/w/a.log' },
+  );
+  assert.equal(resolveStructured({ structured: 'no-such-format', command: 'x' }, log), null);
+  assert.equal(resolveStructured({ command: 'x' }, log), null);
+});
+
+test('a finished run prefers its structured file and falls back to the text findings', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-structured-'));
+  const run = async (name, writeSidecar) => {
+    const logFile = path.join(dir, name + '.log');
+    const structured = { format: 'nmap-xml', file: structuredFileFor(logFile, 'nmap-xml') };
+    const findings = [];
+    const snapshots = [];
+    let parsed = null;
+    const processor = new OutputProcessor({
+      onFindings: (target, result) => findings.push(result),
+      onJcOutput: (target, data, context) => snapshots.push([context.jcParser, context.jcEngine, context.jcPass]),
+      onRunParsed: (context) => { parsed = context; },
+    });
+    processor.watch(logFile, 'nmap', { target: '10.0.0.5', structured }, { idleMs: 0 });
+    fs.writeFileSync(logFile, '443/tcp open  ssl/http nginx 1.18.0\n');
+    if (writeSidecar) fs.writeFileSync(structured.file, NMAP_XML);
+    processor.complete(logFile);
+    for (let i = 0; i < 50 && !parsed; i++) await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.ok(parsed, 'run was never reported parsed');
+    return { findings, snapshots };
+  };
+
+  const withXml = await run('with_xml', true);
+  assert.equal(withXml.findings.length, 2);
+  assert.deepEqual(withXml.findings[0].ports, ['443 (ssl/http) - nginx 1.18.0']);
+  assert.ok(withXml.findings[1].hosts, 'structured result reported after the text one');
+  assert.ok(withXml.findings[1].records.some(r => r.id === 'CVE-2017-0143'));
+  assert.deepEqual(withXml.snapshots, [['nmap-xml', 'structured', 'structured']]);
+
+  const textOnly = await run('text_only', false);
+  assert.equal(textOnly.findings.length, 1);
+  assert.deepEqual(textOnly.findings[0].ports, ['443 (ssl/http) - nginx 1.18.0']);
+  assert.deepEqual(textOnly.snapshots, []);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a finished range scan files each host\'s findings under that host', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-structured-'));
+  const logFile = path.join(dir, 'range.log');
+  const structured = { format: 'nmap-xml', file: structuredFileFor(logFile, 'nmap-xml') };
+  const host = (addr, ports) => `<host><status state="up"/><address addr="${addr}" addrtype="ipv4"/><ports>${ports.map(([port, name]) =>
+    `<port protocol="tcp" portid="${port}"><state state="open"/><service name="${name}"/></port>`).join('')}</ports></host>`;
+  const findings = [];
+  let parsed = null;
+  const processor = new OutputProcessor({
+    onFindings: (target, result) => findings.push([target, result]),
+    onRunParsed: (context) => { parsed = context; },
+  });
+  processor.watch(logFile, 'nmap', { target: '10.0.0.0/24', runId: 'r1', structured }, { idleMs: 0 });
+  fs.writeFileSync(structured.file, `<?xml version="1.0"?><nmaprun>${host('10.0.0.5', [[22, 'ssh'], [80, 'http']])}${host('10.0.0.7', [[445, 'microsoft-ds']])}</nmaprun>`);
+  processor.complete(logFile, { exitCode: 0 });
+  for (let i = 0; i < 50 && !parsed; i++) await new Promise((resolve) => setTimeout(resolve, 20));
+
+  assert.deepEqual(findings.map(([target, result]) => [target, result.ports, result.records.map(r => r.port)]), [
+    ['10.0.0.5', ['22/tcp ssh', '80/tcp http'], [22, 80]],
+    ['10.0.0.7', ['445/tcp microsoft-ds'], [445]],
+  ]);
+  assert.ok(findings.every(([, result]) => result.records.every(r => r.target === undefined)));
+  assert.deepEqual(parsed.targets, ['10.0.0.5', '10.0.0.7']);
+  assert.equal(parsed.exitCode, 0);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a log written as JSON lines is parsed live by its structured parser', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-structured-'));
+  const logFile = path.join(dir, 'nuclei.log');
+  const findings = [];
+  const processor = new OutputProcessor({ onFindings: (target, result) => findings.push(result) });
+  processor.watch(logFile, 'nuclei', { target: 'example.com', structured: { format: 'nuclei-jsonl', file: logFile } }, { idleMs: 0 });
+  fs.writeFileSync(logFile, JSON.stringify({ 'template-id': 'git-config', info: { name: 'Git Config', severity: 'medium' }, type: 'http', 'matched-at': 'http://example.com/.git/config' }) + '\n');
+  await new Promise((resolve) => processor.processFile(logFile, 'nuclei', resolve));
+  processor.stop(logFile);
+  assert.deepEqual(findings[0].vulns, ['[MEDIUM] git-config (http) - http://example.com/.git/config']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -27,3 +27,194 @@ test('stores target runs and findings per target', () => {
   assert.equal(data.vulns[0], 'CVE-2023-1');
   assert.equal(store.getRecentRuns('example.com', 1)[0].tool_id, 'nmap');
 });
+
+test('updates one runs row per chain node attempt and recovers interrupted chains', () => {
+  const store = new TargetStore({ baseDir: mkTempDir(), forceJson: true });
+  const node = { chainId: 'chain_1', nodeId: 'httpx', attempt: 1, target: 'example.com', toolId: 'httpx', toolName: 'HTTPX' };
+
+  store.recordChainNode({ ...node, status: 'queued' });
+  store.recordChainNode({ ...node, status: 'running', command: 'httpx -l a.log' });
+  let runs = store.getRecentRuns('example.com', 10);
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].status, 'running');
+  assert.equal(runs[0].command, 'httpx -l a.log');
+
+  store.recordChainNode({ ...node, attempt: 2, status: 'queued' });
+  assert.equal(store.recoverChainRuns(), 2);
+  runs = store.getRecentRuns('example.com', 10);
+  assert.deepEqual(runs.map((r) => r.status), ['interrupted', 'interrupted']);
+});
+
+test('recovers runs left started by an earlier session from their status sidecars', () => {
+  // sqlite where node:sqlite exists, and JSON
+  for (const forceJson of [false, true]) {
+    const dir = mkTempDir();
+    const store = new TargetStore({ baseDir: dir, forceJson });
+    const logFor = (name) => path.join(dir, `${name}.log`);
+    const run = (runId) => ({ runId, target: 'example.com', toolId: runId, status: 'started', logFile: logFor(runId), startedAt: 1700000000000 });
+    fs.writeFileSync(`${logFor('finished')}.exit`, '{"exitCode":2,"endedAt":1700000060}\n');
+    fs.writeFileSync(`${logFor('going')}.exit`, `{"pid":${process.pid}}\n`);
+    fs.writeFileSync(`${logFor('closed')}.exit`, '{"pid":2147483646}\n');
+    ['finished', 'going', 'closed', 'never'].forEach((id) => store.recordRun(run(id)));
+    store.recordChainNode({ chainId: 'chain_1', nodeId: 'httpx', attempt: 1, target: 'example.com', toolId: 'httpx', status: 'running' });
+
+    assert.equal(store.recoverRuns(), 3);
+    const byTool = Object.fromEntries(store.getRecentRuns('example.com', 10).map((r) => [r.tool_id, r]));
+    assert.equal(byTool.finished.status, 'failed');
+    assert.equal(byTool.finished.exit_code, 2);
+    assert.equal(byTool.finished.duration_ms, 60000);
+    assert.equal(byTool.going.status, 'started');
+    assert.equal(byTool.closed.status, 'interrupted');
+    assert.equal(byTool.never.status, 'interrupted');
+    assert.equal(byTool.httpx.status, 'running');
+  }
+});
+
+test('later status events for a run update its row with exit code and duration', () => {
+  const store = new TargetStore({ baseDir: mkTempDir(), forceJson: true });
+  const run = { runId: 'r1', target: 'example.com', toolId: 'nmap', toolName: 'Nmap', startedAt: 1000 };
+
+  store.recordRun({ ...run, status: 'running', transport: 'pending' });
+  store.recordRun({ ...run, status: 'started', transport: 'external_terminal' });
+  store.recordRun({ ...run, status: 'failed', transport: 'external_terminal', exitCode: 2, endedAt: 6000, durationMs: 5000 });
+
+  const runs = store.getRecentRuns('example.com', 10);
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].status, 'failed');
+  assert.equal(runs[0].exit_code, 2);
+  assert.equal(runs[0].duration_ms, 5000);
+  assert.equal(runs[0].started_at, new Date(1000).toISOString());
+});
+
+test('keeps typed finding records and merges repeated sightings', () => {
+  const store = new TargetStore({ baseDir: mkTempDir(), forceJson: true });
+  const nmap = require('../lib/parsers/nmap').parse('80/tcp open  http    Apache httpd 2.4.49\n');
+
+  store.mergeFindings('example.com', nmap, 'nmap');
+  store.mergeRecords('example.com', [
+    { kind: 'service', port: 80, proto: 'tcp', name: 'http' },
+    { kind: 'vulnerability', id: 'CVE-2021-41773', severity: 'critical', url: 'http://example.com/cgi-bin/' },
+  ], { toolId: 'nuclei', runId: 'r2' });
+
+  const services = store.getFindingRecords('example.com', 'service');
+  assert.equal(services.length, 1);
+  assert.equal(services[0].product, 'Apache httpd');
+  assert.equal(services[0].version, '2.4.49');
+  assert.equal(services[0].sourceTool, 'nuclei');
+  assert.equal(store.getFindingRecords('example.com', 'vulnerability')[0].severity, 'critical');
+  assert.deepEqual(store.getTargetData('example.com').ports, ['80 (http) - Apache httpd 2.4.49']);
+});
+
+test('migrates string findings of existing JSON targets into typed records', () => {
+  const dir = mkTempDir();
+  fs.mkdirSync(path.join(dir, 'targets'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'targets', 'example.com.json'), JSON.stringify({
+    target: 'example.com',
+    ports: ['22 (ssh) - OpenSSH 8.9p1', '53/udp'],
+    vulns: ['[CVE] CVE-2023-38408 (CVSS: 9.8)'],
+    paths: ['/admin'],
+    domains: ['www.example.com'],
+    history: [],
+  }));
+
+  const store = new TargetStore({ baseDir: dir, forceJson: true });
+  const records = store.getFindingRecords('example.com');
+  assert.deepEqual(records.map((r) => `${r.kind}:${r.key}`), [
+    'service:22/tcp',
+    'service:53/udp',
+    'vulnerability:CVE-2023-38408|',
+    'endpoint: /admin',
+    'host:www.example.com',
+  ]);
+  assert.equal(records[0].version, '8.9p1');
+  assert.equal(store.getTargetData('example.com').schemaVersion, 2);
+});
+
+test('final jc adapter snapshots add typed records', () => {
+  const store = new TargetStore({ baseDir: mkTempDir(), forceJson: true });
+  const data = require('../lib/jc-adapters/nmap').parse([
+    'Nmap scan report for example.com (93.184.216.34)',
+    '443/tcp open https nginx 1.25.3',
+  ].join('\n'));
+
+  store.storeJcSnapshot('example.com', data, { toolId: 'nmap_service', runId: 'r1', jcParser: 'nmap_service', jcPass: 'update' });
+  assert.equal(store.getFindingRecords('example.com').length, 0);
+
+  store.storeJcSnapshot('example.com', data, { toolId: 'nmap_service', runId: 'r1', jcParser: 'nmap_service', jcPass: 'final' });
+  const [service] = store.getFindingRecords('example.com', 'service');
+  assert.deepEqual([service.port, service.name, service.product, service.version], [443, 'https', 'nginx', '1.25.3']);
+  assert.deepEqual(store.getFindingRecords('example.com', 'host')[0].ips, ['93.184.216.34']);
+});
+
+test('queries typed findings across targets', () => {
+  const store = new TargetStore({ baseDir: mkTempDir(), forceJson: true });
+  store.mergeRecords('a.example.com', [
+    { kind: 'service', port: 80, name: 'http', product: 'Apache httpd', version: '2.4.49' },
+    { kind: 'endpoint', path: '/admin', status: 200 },
+  ], { toolId: 'nmap_service' });
+  store.mergeRecords('b.example.com', [
+    { kind: 'service', port: 443, name: 'https', product: 'Apache httpd', version: '2.4.58' },
+    { kind: 'endpoint', path: '/login', status: 200 },
+    { kind: 'endpoint', path: '/old', status: 404 },
+  ], { toolId: 'ffuf_dir' });
+  store.mergeRecords('other.io', [{ kind: 'endpoint', path: '/', status: 200 }], {});
+
+  const apache = store.queryFindings('kind:service product:apache version:2.4.49');
+  assert.deepEqual(apache.map((r) => r.target), ['a.example.com']);
+
+  const ok = store.queryFindings('kind:endpoint status:200 target:*.example.com');
+  assert.deepEqual(ok.map((r) => `${r.target}${r.path}`).sort(), ['a.example.com/admin', 'b.example.com/login']);
+  assert.equal(store.queryFindings('tool:ffuf').length, 3);
+  assert.equal(store.queryFindings('status:200').length, 3);
+  assert.equal(store.queryFindings('', { limit: 2 }).length, 2);
+});
+
+test('keeps findings per run and diffs a re-run against the previous one', () => {
+  const store = new TargetStore({ baseDir: mkTempDir(), forceJson: true });
+  const nmap = require('../lib/parsers/nmap').parse;
+
+  store.mergeFindings('example.com', nmap('22/tcp open ssh OpenSSH 8.9p1\n80/tcp open http Apache httpd 2.4.49\n'), 'nmap_service', 'run-1');
+  store.mergeFindings('example.com', { domains: ['www.example.com'] }, 'subfinder', 'run-2');
+  store.mergeFindings('example.com', nmap('80/tcp open http Apache httpd 2.4.58\n443/tcp open https nginx\n'), 'nmap_service', 'run-3');
+
+  assert.deepEqual(store.getFindingRuns('example.com', 'nmap_service').map((r) => r.runId), ['run-3', 'run-1']);
+  assert.equal(store.diffWithPreviousRun('example.com', 'run-1'), null);
+
+  const diff = store.diffWithPreviousRun('example.com', 'run-3');
+  assert.equal(diff.previousRunId, 'run-1');
+  assert.deepEqual(diff.added.map((r) => r.key), ['443/tcp']);
+  assert.deepEqual(diff.removed.map((r) => r.key), ['22/tcp']);
+  assert.equal(diff.changed.length, 1);
+  assert.deepEqual(diff.changed[0].fields, ['version']);
+  assert.equal(diff.changed[0].before.version, '2.4.49');
+
+  // The merged view still has everything ever seen
+  assert.equal(store.getFindingRecords('example.com', 'service').length, 3);
+});
+
+test('a re-run that found nothing is still a run to diff against', () => {
+  // sqlite where node:sqlite exists, and JSON
+  for (const store of [new TargetStore({ baseDir: mkTempDir() }), new TargetStore({ baseDir: mkTempDir(), forceJson: true })]) {
+    store.mergeFindings('example.com', { ports: ['22/tcp', '80/tcp'] }, 'nmap_service', 'run-1');
+    store.recordFindingRun('example.com', { runId: 'run-1', toolId: 'nmap_service' });
+    store.recordFindingRun('example.com', { runId: 'run-2', toolId: 'nmap_service' });
+
+    const runs = store.getFindingRuns('example.com', 'nmap_service');
+    assert.deepEqual(runs.map((r) => [r.runId, r.count]), [['run-2', 0], ['run-1', 2]], store.getMode());
+    const diff = store.diffWithPreviousRun('example.com', 'run-2');
+    assert.equal(diff.previousRunId, 'run-1');
+    assert.deepEqual(diff.removed.map((r) => r.key), ['22/tcp', '80/tcp']);
+    assert.deepEqual(diff.added, []);
+  }
+});
+
+test('a run that reported findings for several targets is diffed per target', () => {
+  // sqlite where node:sqlite exists, JSON otherwise; both must agree
+  const store = new TargetStore({ baseDir: mkTempDir() });
+  store.mergeFindings('a.example.com', { ports: ['22/tcp'] }, 'nmap_service', 'run-1');
+  store.mergeFindings('b.example.com', { ports: ['80/tcp', '443/tcp'] }, 'nmap_service', 'run-1');
+
+  assert.deepEqual(store.getRunFindings('a.example.com', 'run-1').map((r) => r.key), ['22/tcp']);
+  assert.deepEqual(store.getRunFindings('b.example.com', 'run-1').map((r) => r.key), ['80/tcp', '443/tcp']);
+  assert.deepEqual(store.getRunFindings('c.example.com', 'run-1'), []);
+});
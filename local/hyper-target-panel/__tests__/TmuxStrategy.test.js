@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TmuxStrategy = require('../lib/execution/TmuxStrategy');
+const { exitFileFor, waitForExitStatus } = require('../lib/execution/ExitStatusFile');
+
+const hasTmux = spawnSync('tmux', ['-V']).status === 0;
+
+function mkLogFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-tmux-'));
+  return path.join(dir, name);
+}
+
+test('runs each tool in a window of a per-target session on a headless server', { skip: !hasTmux, timeout: 30000 }, async (t) => {
+  const strategy = new TmuxStrategy({ socket: `hyper-test-${process.pid}`, shell: 'bash' });
+  t.after(() => strategy.tmux(['kill-server']));
+
+  const logFile = mkLogFile('quick.log');
+  const exitFile = exitFileFor(logFile);
+  const quick = await strategy.launch({
+    command: 'echo hello-from-pane; (exit 3)',
+    target: 'Example.com:8443',
+    tool: { id: 'quick' },
+    logFile,
+    exitFile,
+  });
+  assert.equal(quick.started, true);
+  assert.equal(quick.session, 'recon_Example_com_8443');
+
+  const exit = await waitForExitStatus(exitFile, { pollMs: 100, isAlive: () => strategy.isAlive(quick) });
+  assert.equal(exit.exitCode, 3);
+  assert.match(fs.readFileSync(logFile, 'utf8'), /hello-from-pane/);
+
+  const slow = await strategy.launch({
+    command: 'sleep 30',
+    target: 'Example.com:8443',
+    tool: { id: 'slow' },
+    logFile: mkLogFile('slow.log'),
+  });
+  assert.equal(slow.started, true);
+  assert.equal(await strategy.isAlive(slow), true);
+
+  const windows = await strategy.tmux(['list-windows', '-t', quick.session, '-F', '#{window_name}']);
+  assert.deepEqual(windows.stdout.split('\n'), ['quick', 'slow']);
+});
+
+test('a missing tmux binary is reported as a failed launch', async () => {
+  const strategy = new TmuxStrategy({ bin: '/nonexistent/tmux' });
+  const result = await strategy.launch({ command: 'true', target: 'x' });
+  assert.equal(result.started, false);
+  assert.equal(result.transport, 'tmux');
+  assert.equal(await strategy.isAlive({ paneId: '%1' }), false);
+});
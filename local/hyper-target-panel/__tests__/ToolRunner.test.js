@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ToolRunner = require('../lib/ToolRunner');
+const { exitFileFor } = require('../lib/execution/ExitStatusFile');
+
+const tool = { id: 'subfinder', name: 'Subfinder', command: 'subfinder -d {target} -o {log_file}' };
+
+// A runner whose launches all end as `launch` says, without a terminal
+function fakeRunner(launch) {
+  const runner = new ToolRunner(null, null, {});
+  const launches = [];
+  runner.strategyManagerFor = () => ({
+    launch: async (context) => {
+      launches.push(context);
+      return launch(context);
+    },
+  });
+  runner.launches = launches;
+  return runner;
+}
+
+test('chain node runs stop watching their log however they end early', async () => {
+  const failed = fakeRunner(() => ({ started: false, transport: 'fake', error: 'no terminal' }));
+  assert.equal((await failed.runNode(tool, 'example.com', {})).started, false);
+  assert.deepEqual(Object.keys(failed.processor.watchers), []);
+
+  const untracked = fakeRunner(() => ({ started: true, transport: 'fake', exitTracked: false }));
+  assert.match((await untracked.runNode(tool, 'example.com', {})).error, /cannot report when the tool exits/);
+  assert.deepEqual(Object.keys(untracked.processor.watchers), []);
+
+  const stopped = fakeRunner(() => ({ started: true, transport: 'fake', exitTracked: true }));
+  assert.equal((await stopped.runNode(tool, 'example.com', { shouldStop: () => true })).cancelled, true);
+  assert.deepEqual(Object.keys(stopped.processor.watchers), []);
+});
+
+test('each run of a tool gets its own log and exit sidecar, and {log:<tool>} is the newest', async () => {
+  const runner = fakeRunner((context) => {
+    fs.writeFileSync(context.exitFile, '{"exitCode":0,"endedAt":1700000000}\n');
+    return { started: true, transport: 'fake', exitTracked: true };
+  });
+  const first = await runner.runNode(tool, 'example.com', {});
+  const second = await runner.runNode(tool, 'example.com', {});
+  runner.stop();
+
+  assert.notEqual(first.logFile, second.logFile);
+  assert.match(path.basename(first.logFile), /^example\.com_subfinder_\d+_[a-z0-9]+\.log$/);
+  assert.deepEqual(runner.launches.map((l) => l.exitFile), [exitFileFor(first.logFile), exitFileFor(second.logFile)]);
+
+  const httpx = { id: 'httpx', command: 'httpx -l {log:subfinder} -o {log_file}' };
+  assert.equal(runner.prepareExecution(httpx, 'example.com').command.split(' ')[2], second.logFile);
+});
@@ -8,6 +8,7 @@ const tools = require('../config/tools.json');
 const workflows = require('../config/workflows.json');
 const { renderCommand } = require('../lib/CommandRenderer');
 const { verifyWorkflows } = require('../lib/WorkflowVerifier');
+const { getStructuredFormat } = require('../lib/structured');
 
 function isInternal(tool) {
   return tool && tool.runner === 'internal';
@@ -26,9 +27,10 @@ test('tools config renders commands for Juice Shop target without unresolved pla
       logFile: '/tmp/tool.log',
       tempDir: '/tmp',
       wordlistFile: '/tmp/wordlist.txt',
+      structuredFile: '/tmp/tool.xml',
       logPathByToolId: (toolId) => `/tmp/${toolId}.log`,
     });
-    if (/\{(?:target|target_safe|log_file|wordlist_file|log:[a-zA-Z0-9_-]+)\}/.test(cmd)) {
+    if (/\{(?:target|target_safe|log_file|wordlist_file|structured_file|log:[a-zA-Z0-9_-]+)\}/.test(cmd)) {
       unresolved.push({ id: tool.id, command: cmd });
     }
   }
@@ -52,6 +54,21 @@ test('workflow references are valid and dependency order checks pass', () => {
   assert.deepEqual(report.issues, []);
 });
 
+test('structured output is declared with a known format wherever a command writes it', () => {
+  const problems = [];
+  for (const tool of tools) {
+    const command = String(tool.command || '');
+    if (tool.structured !== undefined && !getStructuredFormat(tool.structured)) {
+      problems.push(`${tool.id}: unknown structured format ${tool.structured}`);
+    }
+    if (command.includes('{structured_file}') && !tool.structured) {
+      problems.push(`${tool.id}: writes {structured_file} without declaring its format`);
+    }
+  }
+  assert.deepEqual(problems, []);
+  assert.ok(tools.filter((tool) => tool.structured === 'nmap-xml').length >= 4);
+});
+
 test('tool ids are unique', () => {
   const ids = tools.map((tool) => tool.id);
   const unique = new Set(ids);
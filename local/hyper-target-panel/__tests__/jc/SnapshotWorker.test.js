@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSnapshotHandler } = require('../../lib/jc/SnapshotWorker');
+const SnapshotPool = require('../../lib/jc/SnapshotPool');
+
+function mkLog(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tp-snap-'));
+  const file = path.join(dir, 'run.log');
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function job(type, filePath, parser) {
+  return { type, key: filePath, filePath, parser, engine: 'adapter', context: {} };
+}
+
+test('incremental adapters only parse appended lines and merge them', () => {
+  const handle = createSnapshotHandler();
+  const file = mkLog('https://a.example.com/one\nhttps://b.exa');
+
+  const first = handle(job('update', file, 'katana_standard'));
+  assert.equal(first.ok, true);
+  assert.deepEqual(first.data.derived.urls, ['https://a.example.com/one']);
+
+  fs.appendFileSync(file, 'mple.com/two\nhttps://a.example.com/one\n');
+  const second = handle(job('update', file, 'katana_standard'));
+  assert.deepEqual(second.data.derived.urls, ['https://a.example.com/one', 'https://b.example.com/two']);
+  assert.deepEqual(second.data.findings.domains, ['a.example.com', 'b.example.com']);
+  assert.equal(second.data.summary.record_count, 3);
+
+  const final = handle(job('final', file, 'katana_standard'));
+  assert.deepEqual(final.data, handle(job('final', file, 'katana_standard')).data);
+  assert.equal(final.data.summary.record_count, 3);
+});
+
+test('a truncated log restarts the incremental parse', () => {
+  const handle = createSnapshotHandler();
+  const file = mkLog('old.example.com\n');
+  handle(job('update', file, 'subfinder'));
+
+  fs.writeFileSync(file, 'new.io\n');
+  const result = handle(job('update', file, 'subfinder'));
+  assert.deepEqual(result.data.findings.domains, ['new.io']);
+});
+
+test('non-incremental adapters re-parse the whole log', () => {
+  const handle = createSnapshotHandler();
+  const file = mkLog(JSON.stringify({ results: [{ url: 'http://example.com/admin', status: 200 }] }));
+  const result = handle(job('update', file, 'ffuf_dir'));
+  assert.deepEqual(result.data.findings.paths, ['/admin']);
+});
+
+test('the pool runs jobs in a forked worker', async () => {
+  const pool = new SnapshotPool();
+  try {
+    const file = mkLog('https://example.com/a\n');
+    const result = await pool.run(job('update', file, 'waybackurls'));
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.data.findings.paths, ['/a']);
+    assert.ok(pool.workers[0].child.pid > 0);
+  } finally {
+    pool.dispose();
+  }
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChainOrchestrator = require('../../lib/orchestration/ChainOrchestrator');
+
+const tools = [
+  { id: 'subfinder', name: 'Subfinder', command: 'subfinder -d {target} -o {log_file}' },
+  { id: 'whatweb', name: 'WhatWeb', command: 'whatweb {target}' },
+  { id: 'httpx', name: 'HTTPX', command: 'httpx -l {log:subfinder} -o {log_file}' },
+  { id: 'nuclei', name: 'Nuclei', command: 'nuclei -l {log:httpx} -o {log_file}' },
+];
+const workflow = { id: 'wf', name: 'Chain', tools: ['subfinder', 'whatweb', 'httpx', 'nuclei'] };
+
+// Fake runner: each runNode call waits until the test settles it by tool id.
+function fakeRunner() {
+  const pending = new Map();
+  const started = [];
+  return {
+    started,
+    runNode(tool, _data, hooks) {
+      started.push(tool.id);
+      hooks.onStarted({ command: tool.command, logFile: `/tmp/${tool.id}.log`, transport: 'fake' });
+      return new Promise((resolve) => pending.set(tool.id, resolve));
+    },
+    exit(toolId, exitCode) {
+      pending.get(toolId)({ started: true, exitCode });
+      pending.delete(toolId);
+      return new Promise((resolve) => setImmediate(resolve));
+    },
+  };
+}
+
+function memoryStore() {
+  const rows = [];
+  return {
+    rows,
+    recordChainNode(node) {
+      rows.push({ nodeId: node.nodeId, attempt: node.attempt, status: node.status });
+    },
+  };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const statuses = (chain) => Object.fromEntries(chain.nodes.map((n) => [n.nodeId, n.status]));
+
+test('independent nodes start together and dependants wait for upstream exit', async () => {
+  const runner = fakeRunner();
+  const store = memoryStore();
+  const orch = new ChainOrchestrator({ runner, store });
+  const { ok, chainId } = orch.start(workflow, tools, { target: 'example.com' });
+  assert.equal(ok, true);
+  await tick();
+  assert.deepEqual(runner.started, ['subfinder', 'whatweb']);
+
+  await runner.exit('subfinder', 0);
+  assert.deepEqual(runner.started, ['subfinder', 'whatweb', 'httpx']);
+  await runner.exit('httpx', 0);
+  await runner.exit('whatweb', 0);
+  await runner.exit('nuclei', 0);
+
+  const chain = orch.getChain(chainId);
+  assert.equal(chain.status, 'succeeded');
+  assert.deepEqual(store.rows.filter((r) => r.nodeId === 'httpx').map((r) => r.status),
+    ['queued', 'running', 'running', 'succeeded']);
+});
+
+test('a failed node skips its dependants and retry re-runs them', async () => {
+  const runner = fakeRunner();
+  const orch = new ChainOrchestrator({ runner });
+  const { chainId } = orch.start(workflow, tools, { target: 'example.com' });
+  await tick();
+  await runner.exit('whatweb', 0);
+  await runner.exit('subfinder', 1);
+
+  const chain = orch.getChain(chainId);
+  assert.equal(chain.status, 'failed');
+  assert.deepEqual(statuses(chain), { subfinder: 'failed', whatweb: 'succeeded', httpx: 'skipped', nuclei: 'skipped' });
+  assert.equal(chain.nodes.find((n) => n.nodeId === 'nuclei').reason, 'dependency httpx skipped');
+
+  assert.equal(orch.retryNode(chainId, 'subfinder'), true);
+  await tick();
+  assert.equal(chain.status, 'running');
+  assert.deepEqual(statuses(chain), { subfinder: 'running', whatweb: 'succeeded', httpx: 'queued', nuclei: 'queued' });
+  assert.equal(chain.nodes.find((n) => n.nodeId === 'subfinder').attempt, 2);
+
+  await runner.exit('subfinder', 0);
+  await runner.exit('httpx', 0);
+  await runner.exit('nuclei', 0);
+  assert.equal(chain.status, 'succeeded');
+});
+
+test('stop marks running nodes stopped, skips the rest and ignores late exits', async () => {
+  const runner = fakeRunner();
+  const orch = new ChainOrchestrator({ runner });
+  const { chainId } = orch.start(workflow, tools, { target: 'example.com' });
+  await tick();
+
+  assert.equal(orch.stop(chainId), true);
+  await runner.exit('subfinder', 0);
+  const chain = orch.getChain(chainId);
+  assert.equal(chain.status, 'stopped');
+  assert.deepEqual(statuses(chain), { subfinder: 'stopped', whatweb: 'stopped', httpx: 'skipped', nuclei: 'skipped' });
+  assert.deepEqual(runner.started, ['subfinder', 'whatweb']);
+});
+
+test('refuses to start an invalid graph or a duplicate chain', () => {
+  const orch = new ChainOrchestrator({ runner: fakeRunner() });
+  const bad = orch.start({ id: 'bad', tools: ['httpx'] }, tools, { target: 'example.com' });
+  assert.equal(bad.ok, false);
+  assert.match(bad.errors[0], /subfinder is not in the workflow/);
+
+  const first = orch.start(workflow, tools, { target: 'example.com' });
+  const again = orch.start(workflow, tools, { target: 'example.com' });
+  assert.equal(again.chainId, first.chainId);
+  assert.equal(again.existing, true);
+});
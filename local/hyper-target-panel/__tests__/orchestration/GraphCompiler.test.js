@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compileWorkflow } = require('../../lib/orchestration/GraphCompiler');
+
+const tools = [
+  { id: 'subfinder', name: 'Subfinder', command: 'subfinder -d {target} -o {log_file}' },
+  { id: 'httpx', name: 'HTTPX', command: 'httpx -l {log:subfinder} -o {log_file}' },
+  { id: 'nuclei', name: 'Nuclei', command: 'nuclei -l {log:httpx} -o {log_file}' },
+  { id: 'whatweb', name: 'WhatWeb', command: 'whatweb {target}' },
+];
+
+test('compiles {log:tool_id} references into dependency edges in topological order', () => {
+  const plan = compileWorkflow({ id: 'wf', tools: ['nuclei', 'whatweb', 'httpx', 'subfinder'] }, tools);
+  assert.equal(plan.ok, true);
+  assert.deepEqual(plan.order, ['whatweb', 'subfinder', 'httpx', 'nuclei']);
+  assert.deepEqual(plan.nodes.find((n) => n.nodeId === 'nuclei').dependsOn, ['httpx']);
+});
+
+test('rejects dependencies outside the workflow and unknown tools', () => {
+  const plan = compileWorkflow({ id: 'wf', tools: ['httpx', 'ghost'] }, tools);
+  assert.equal(plan.ok, false);
+  assert.deepEqual(plan.errors.map((e) => e.type).sort(), ['missing_dependency', 'missing_tool']);
+});
+
+test('reports the exact cycle path', () => {
+  const cyclic = [
+    { id: 'a', command: 'x {log:c}' },
+    { id: 'b', command: 'x {log:a}' },
+    { id: 'c', command: 'x {log:b}' },
+  ];
+  const plan = compileWorkflow({ id: 'wf', tools: ['a', 'b', 'c'] }, cyclic);
+  assert.equal(plan.ok, false);
+  assert.equal(plan.errors[0].type, 'cycle');
+  assert.deepEqual(plan.errors[0].cycle, ['a', 'c', 'b', 'a']);
+});
@@ -7,14 +7,15 @@ const ToolRunner = require('./lib/ToolRunner');
 const { normalizeTarget } = require('./lib/TargetNormalizer');
 const { buildWordlistCatalog } = require('./lib/WordlistCatalog');
 const TargetStore = require('./lib/storage/TargetStore');
+const ChainOrchestrator = require('./lib/orchestration/ChainOrchestrator');
 const { verifyWorkflows, buildAutomationHints } = require('./lib/WorkflowVerifier');
 const { extractSetTarget } = require('./lib/SetTargetParser');
-const { DATA_DIR, getLegacyFindingsPath } = require('./lib/PathResolver');
-
-// Ensure directory exists
-try {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-} catch (e) {}
+const { getEngagementDir, getLegacyFindingsPath } = require('./lib/PathResolver');
+const { parseQuery, recordLabel, launchTargetFor } = require('./lib/storage/FindingsQuery');
+const { importScan } = require('./lib/ScanImporter');
+const { emitEvent } = require('../hyper-hud-framework/events');
+const { getRecon, trackSession, execInTerminal, registerPlugin } = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
 
 function sanitizeTarget(target) {
   const normalized = normalizeTarget(target);
@@ -27,14 +28,25 @@ function isToolCompatibleWithType(tool, selectorType) {
   return tool.types.includes(selectorType);
 }
 
+function formatDuration(ms) {
+  const secs = Math.round(ms / 1000);
+  if (secs < 60) return `${secs}s`;
+  if (secs < 3600) return `${Math.floor(secs / 60)}m${String(secs % 60).padStart(2, '0')}s`;
+  return `${Math.floor(secs / 3600)}h${String(Math.floor(secs / 60) % 60).padStart(2, '0')}m`;
+}
+
 function resolveLegacyFindingsPath(target) {
   const safeTarget = sanitizeTarget(target).replace(/[^a-zA-Z0-9.-]/g, '_');
   return getLegacyFindingsPath(safeTarget);
 }
 
+// Cap on how many results one "run on results" click may launch a tool against.
+const MAX_RESULT_LAUNCHES = 10;
+
 const CONFIG_DIR = path.join(__dirname, 'config');
 const TOOLS_FILE = path.join(CONFIG_DIR, 'tools.json');
 const WORKFLOWS_FILE = path.join(CONFIG_DIR, 'workflows.json');
+const EXECUTION_FILE = path.join(CONFIG_DIR, 'execution.json');
 
 // Command Queue for robust execution
 const pendingCommands = [];
@@ -51,6 +63,7 @@ if (typeof window !== 'undefined') {
 
 // Middleware to intercept SESSION_ADD and execute pending commands
 exports.middleware = (store) => (next) => (action) => {
+    trackSession(action);
     if (action.type === 'SESSION_ADD') {
         if (typeof window !== 'undefined') {
             window.__hyperTargetPanel_lastSessionAddAt = Date.now();
@@ -62,7 +75,7 @@ exports.middleware = (store) => (next) => (action) => {
             if (!cmd) return next(action);
             // Execute cmd in action.uid with a small delay to ensure shell readiness
             setTimeout(() => {
-                window.rpc.emit('data', { uid: action.uid, data: cmd + '\n', escaped: false });
+                execInTerminal(cmd, action.uid);
                 if (typeof window !== 'undefined' && typeof window.__hyperTargetPanel_onCommandDispatched === 'function' && id) {
                     window.__hyperTargetPanel_onCommandDispatched(id, action.uid);
                 }
@@ -203,40 +216,83 @@ exports.decorateTerms = (Terms, { React }) => {
         wordlistSections: [],
         targetEditing: false,
         targetDraft: '',
+        searchText: '',
+        searchResults: null,
+        searchErrors: [],
+        searchToolId: '',
+        findingRuns: [],
+        diffToolId: '',
+        diffFromRunId: '',
+        diffToRunId: '',
+        runDiff: null,
         runStatus: null,
         recentRuns: [],
         workflowIssues: [],
         automationHints: [],
-        storageMode: 'json'
+        chains: [],
+        storageMode: 'json',
+        dropActive: false,
+        importStatus: null
       };
-      this.targetStore = new TargetStore({ baseDir: DATA_DIR });
+      this.targetStore = new TargetStore({ baseDir: getEngagementDir() });
+      // Stores of other workspaces that runs started there still report to
+      this.workspaceStores = new Map();
       this.toolRunner = new ToolRunner(window.rpc, window.store, {
         onRunStatus: (runStatus) => {
           if (runStatus && runStatus.target) {
-            this.targetStore.recordRun(runStatus);
+            this.storeFor(runStatus).recordRun(runStatus);
           }
           const activeTarget = this.state.data && this.state.data.target;
           const recentRuns = activeTarget ? this.targetStore.getRecentRuns(activeTarget, 8) : [];
           this.setState({ runStatus, recentRuns });
         },
         onFindings: (target, findings, context) => {
-          this.targetStore.mergeFindings(target, findings, context && context.toolId);
+          const store = this.storeFor(context);
+          store.mergeFindings(target, findings, context && context.toolId, context && context.runId);
+          if (store !== this.targetStore) return;
           const activeTarget = this.state.data && this.state.data.target;
           if (activeTarget && sanitizeTarget(activeTarget) === sanitizeTarget(target)) {
             this.reloadFindings(activeTarget);
           }
         },
         onJcOutput: (target, jcData, context) => {
-          this.targetStore.storeJcSnapshot(target, jcData, context || {});
+          this.storeFor(context).storeJcSnapshot(target, jcData, context || {});
+        },
+        onRunParsed: (context) => this.handleRunParsed(context)
+      });
+      try {
+        this.targetStore.recoverChainRuns();
+        this.targetStore.recoverRuns();
+      } catch (e) {
+        console.error('Failed to recover runs', e);
+      }
+      this.chainOrchestrator = new ChainOrchestrator({
+        runner: this.toolRunner,
+        store: this.targetStore,
+        onChange: () => {
+          const activeTarget = this.state.data && this.state.data.target;
+          const recentRuns = activeTarget ? this.targetStore.getRecentRuns(activeTarget, 8) : [];
+          this.setState({ chains: this.chainOrchestrator.getChains(), recentRuns });
         }
       });
       this.handleOpenToolSelector = this.handleOpenToolSelector.bind(this);
       this.handleSetTarget = this.handleSetTarget.bind(this);
+      this.handleWorkspaceChanged = this.handleWorkspaceChanged.bind(this);
+      this.handleDragOver = this.handleDragOver.bind(this);
+      this.handleDrop = this.handleDrop.bind(this);
     }
 
     componentDidMount() {
+      registerPlugin({
+        name: 'target-panel',
+        version,
+        provides: { 'tool-selector': 1, 'scan-import': 1 },
+        requires: { workspaces: 1 },
+        api: { 'scan-import': { importScan: (fileName, content) => this.importScanFile(fileName, content) } }
+      });
       this.loadConfig();
       this.loadTargetConfig();
+      getRecon().events.on('workspace:changed', this.handleWorkspaceChanged);
       
       window.addEventListener('hyper-target-panel:open-tool-selector', this.handleOpenToolSelector);
       window.addEventListener('hyper-target-panel:set-target', this.handleSetTarget);
@@ -245,6 +301,8 @@ exports.decorateTerms = (Terms, { React }) => {
     componentWillUnmount() {
       window.removeEventListener('hyper-target-panel:open-tool-selector', this.handleOpenToolSelector);
       window.removeEventListener('hyper-target-panel:set-target', this.handleSetTarget);
+      getRecon().events.removeListener('workspace:changed', this.handleWorkspaceChanged);
+      if (this.chainOrchestrator) this.chainOrchestrator.dispose();
       if (this.toolRunner) this.toolRunner.stop();
     }
 
@@ -266,6 +324,29 @@ exports.decorateTerms = (Terms, { React }) => {
         if (target) this.setTarget(target);
     }
 
+    // Runs report to the workspace they were started in, even after a switch.
+    storeFor(info) {
+      const dir = info && info.engagementDir;
+      if (!dir || dir === this.targetStore.baseDir) return this.targetStore;
+      if (!this.workspaceStores.has(dir)) this.workspaceStores.set(dir, new TargetStore({ baseDir: dir }));
+      return this.workspaceStores.get(dir);
+    }
+
+    handleWorkspaceChanged() {
+      const dir = getEngagementDir();
+      if (dir === this.targetStore.baseDir) return;
+      this.workspaceStores.set(this.targetStore.baseDir, this.targetStore);
+      this.targetStore = this.workspaceStores.get(dir) || new TargetStore({ baseDir: dir });
+      this.workspaceStores.delete(dir);
+      this.chainOrchestrator.store = this.targetStore;
+      this.setState({
+        searchResults: null,
+        searchErrors: [],
+        runStatus: null,
+      });
+      this.loadTargetConfig();
+    }
+
     loadConfig() {
       fs.readFile(TOOLS_FILE, 'utf8', (err, content) => {
         if (!err) {
@@ -286,6 +367,14 @@ exports.decorateTerms = (Terms, { React }) => {
           } catch (e) { console.error("Failed to parse workflows.json", e); }
         }
       });
+
+      fs.readFile(EXECUTION_FILE, 'utf8', (err, content) => {
+        if (!err) {
+          try {
+            this.toolRunner.setExecutionConfig(JSON.parse(content));
+          } catch (e) { console.error("Failed to parse execution.json", e); }
+        }
+      });
     }
 
     refreshWorkflowInsights(tools, workflows) {
@@ -320,6 +409,179 @@ exports.decorateTerms = (Terms, { React }) => {
           recentRuns,
           storageMode: this.targetStore.getMode()
         });
+        this.loadRunDiff(safeTarget, this.state.diffToolId);
+    }
+
+    // A run's output is fully parsed: compare it with the tool's previous
+    // run on each target it reported on (its own, and the hosts of a range
+    // scan) and tell the other plugins if it found anything new.
+    // A run that exited counts even when it found nothing; one whose
+    // process was lost may have been cut short, so it only counts if it
+    // reported findings.
+    handleRunParsed(context) {
+      if (!context || !context.runId || !context.target) return;
+      const store = this.storeFor(context);
+      const targets = Array.from(new Set([context.target].concat(context.targets || [])));
+      for (const target of targets) {
+        let diff = null;
+        try {
+          if (!context.lost) store.recordFindingRun(target, context);
+          diff = store.diffWithPreviousRun(target, context.runId);
+        } catch (e) {
+          console.error('[TargetPanel] Failed to diff run findings:', e.message);
+        }
+        if (diff && (diff.added.length > 0 || diff.changed.length > 0)) {
+          emitEvent(getRecon(), 'run:new-findings', Object.assign({ target, ts: Date.now() }, diff));
+        }
+      }
+      if (store !== this.targetStore) return;
+      const activeTarget = this.state.data && this.state.data.target;
+      if (activeTarget && targets.some((target) => sanitizeTarget(activeTarget) === sanitizeTarget(target))) {
+        this.loadRunDiff(activeTarget, context.toolId);
+      }
+    }
+
+    // A scan file made outside Hyper (see lib/ScanImporter): its findings
+    // go to every target it covers, its hosts and services to target-book
+    // and its alerts to findings-log, all with source import:<file name>.
+    // Returns { format, source, targets, services, alerts }, or null.
+    importScanFile(fileName, content) {
+      const activeTarget = this.state.data && this.state.data.target;
+      let result = null;
+      try {
+        result = importScan(fileName, content, { target: activeTarget !== 'None' ? activeTarget : null });
+      } catch (e) {
+        console.error('[TargetPanel] Failed to import scan file:', e.message);
+      }
+      const name = path.basename(String(fileName || 'file'));
+      if (!result) {
+        this.setState({ importStatus: { ok: false, message: `${name}: not a scan file that can be imported` } });
+        return null;
+      }
+
+      const recon = getRecon();
+      const summary = { format: result.format, source: result.source, targets: [], services: 0, alerts: 0 };
+      for (const entry of result.targets) {
+        const target = sanitizeTarget(entry.target);
+        if (target === 'None') continue;
+        try {
+          this.targetStore.mergeFindings(target, entry.findings, result.source);
+        } catch (e) {
+          console.error('[TargetPanel] Failed to store imported findings:', e.message);
+          continue;
+        }
+        emitEvent(recon, 'target:add', target, { tags: [result.source] });
+        for (const service of entry.services) emitEvent(recon, 'service:add', target, service);
+        emitEvent(recon, 'parsed:any', { tool: result.source, target, data: entry.findings, findings: entry.alerts });
+        summary.targets.push(target);
+        summary.services += entry.services.length;
+        summary.alerts += entry.alerts.length;
+      }
+
+      const message = `${name} (${result.format}): ${summary.targets.length} target(s), ${summary.services} service(s), ${summary.alerts} finding(s)`;
+      this.setState({ importStatus: { ok: summary.targets.length > 0, message } });
+      if (activeTarget && summary.targets.includes(sanitizeTarget(activeTarget))) this.reloadFindings(activeTarget);
+      return summary;
+    }
+
+    handleDragOver(e) {
+      if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      if (!this.state.dropActive) this.setState({ dropActive: true });
+    }
+
+    // Scan files dropped on the sidebar are imported one after another
+    handleDrop(e) {
+      const files = e.dataTransfer ? Array.from(e.dataTransfer.files || []) : [];
+      this.setState({ dropActive: false });
+      if (files.length === 0) return;
+      e.preventDefault();
+      files.reduce((prev, file) => prev
+        .then(() => file.text())
+        .then(content => this.importScanFile(file.name, content))
+        .catch((err) => {
+          console.error('[TargetPanel] Failed to read dropped file:', err.message);
+          this.setState({ importStatus: { ok: false, message: `${file.name}: ${err.message}` } });
+        }), Promise.resolve());
+    }
+
+    // Pick a tool with at least two runs (the given one if it has) and diff
+    // the requested runs, by default its last two.
+    loadRunDiff(target, toolId, fromRunId, toRunId) {
+      let findingRuns = [];
+      try {
+        findingRuns = this.targetStore.getFindingRuns(target);
+      } catch (e) {
+        console.error('[TargetPanel] Failed to load run findings:', e.message);
+      }
+      const counts = findingRuns.reduce((acc, run) => acc.set(run.toolId, (acc.get(run.toolId) || 0) + 1), new Map());
+      const diffable = Array.from(counts.keys()).filter((id) => counts.get(id) > 1);
+      const diffToolId = diffable.includes(toolId) ? toolId : (diffable[0] || '');
+      const toolRuns = findingRuns.filter((run) => run.toolId === diffToolId);
+      const pick = (id, fallback) => (toolRuns.some((run) => run.runId === id) ? id : fallback);
+      const diffToRunId = pick(toRunId, toolRuns[0] ? toolRuns[0].runId : '');
+      const diffFromRunId = pick(fromRunId, toolRuns[1] ? toolRuns[1].runId : '');
+      const runDiff = diffToolId && diffFromRunId && diffToRunId && diffFromRunId !== diffToRunId
+        ? this.targetStore.diffRuns(target, diffFromRunId, diffToRunId)
+        : null;
+      this.setState({ findingRuns, diffToolId, diffFromRunId, diffToRunId, runDiff });
+    }
+
+    renderRunDiff() {
+      const { data, findingRuns, diffToolId, diffFromRunId, diffToRunId, runDiff } = this.state;
+      if (!diffToolId) return null;
+
+      const toolIds = Array.from(new Set(findingRuns.map((run) => run.toolId)))
+        .filter((id) => findingRuns.filter((run) => run.toolId === id).length > 1);
+      const toolRuns = findingRuns.filter((run) => run.toolId === diffToolId);
+      const selectStyle = {
+        flex: 1,
+        minWidth: 0,
+        backgroundColor: C.bg,
+        color: C.text,
+        border: `1px solid ${C.border}`,
+        borderRadius: '3px',
+        fontFamily: '"Fira Code", monospace',
+        fontSize: '10px'
+      };
+      const runOption = (run) => React.createElement('option', { key: run.runId, value: run.runId },
+        `${String(run.recordedAt || '').replace('T', ' ').slice(5, 16)} (${run.count})`);
+      const select = (key, value, options, onChange) => React.createElement('select', {
+        key, value, style: selectStyle, onChange: (e) => onChange(e.target.value)
+      }, options);
+      const line = (key, sign, color, text) => React.createElement('div', {
+        key,
+        style: { color, fontSize: '10px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+        title: text
+      }, `${sign} ${text}`);
+
+      const lines = [];
+      if (runDiff) {
+        runDiff.added.forEach((r, i) => lines.push(line(`add-${i}`, '+', C.port, recordLabel(r))));
+        runDiff.removed.forEach((r, i) => lines.push(line(`rm-${i}`, '-', C.vuln, recordLabel(r))));
+        runDiff.changed.forEach((c, i) => lines.push(line(`chg-${i}`, '~', C.workflow,
+          `${recordLabel(c.after)} (${c.fields.map((f) => `${f}: ${c.before[f] === null ? '—' : c.before[f]} → ${c.after[f] === null ? '—' : c.after[f]}`).join(', ')})`)));
+      }
+
+      return React.createElement('div', { key: 'run-diff', style: { marginBottom: '8px' } }, [
+        React.createElement('div', {
+          key: 'title',
+          style: { color: C.header, fontSize: '10px', fontWeight: 'bold', marginBottom: '4px', borderBottom: `1px solid ${C.border}` }
+        }, 'CHANGES BETWEEN RUNS'),
+        React.createElement('div', { key: 'pickers', style: { display: 'flex', gap: '4px', marginBottom: '4px' } }, [
+          select('tool', diffToolId, toolIds.map((id) => React.createElement('option', { key: id, value: id }, id)),
+            (id) => this.loadRunDiff(data.target, id)),
+          select('from', diffFromRunId, toolRuns.map(runOption),
+            (id) => this.loadRunDiff(data.target, diffToolId, id, diffToRunId)),
+          select('to', diffToRunId, toolRuns.map(runOption),
+            (id) => this.loadRunDiff(data.target, diffToolId, diffFromRunId, id))
+        ]),
+        ...(lines.length > 0
+          ? lines.slice(0, 40)
+          : [React.createElement('div', { key: 'same', style: { color: C.header, fontSize: '10px' } },
+            runDiff ? 'No changes' : 'Pick two different runs')])
+      ]);
     }
 
     setTarget(rawTarget) {
@@ -396,11 +658,183 @@ exports.decorateTerms = (Terms, { React }) => {
       });
     }
 
+    runSearch(text) {
+      const searchText = String(text || '').trim();
+      if (!searchText) {
+        this.setState({ searchResults: null, searchErrors: [] });
+        return;
+      }
+      const query = parseQuery(searchText);
+      try {
+        this.setState({ searchResults: this.targetStore.queryFindings(query), searchErrors: query.errors });
+      } catch (e) {
+        console.error('[TargetPanel] Search failed:', e.message);
+        this.setState({ searchResults: [], searchErrors: [e.message] });
+      }
+    }
+
+    launchToolOnResults(toolId) {
+      const tool = this.state.tools.find((t) => t.id === toolId);
+      const results = this.state.searchResults || [];
+      if (!tool || results.length === 0) return;
+
+      const targets = Array.from(new Set(results.map(launchTargetFor).filter(Boolean))).slice(0, MAX_RESULT_LAUNCHES);
+      for (const target of targets) {
+        this.toolRunner.launch(tool, {
+          ...this.state.data,
+          target,
+          schemeOverride: this.state.schemeOverride
+        });
+      }
+    }
+
+    renderSearch() {
+      const { searchText, searchResults, searchErrors, searchToolId, tools } = this.state;
+      const launchable = tools.filter((t) => t.runner !== 'internal' && !(t.wordlist && t.wordlist.profile));
+      const inputStyle = {
+        backgroundColor: C.bg,
+        color: C.text,
+        border: `1px solid ${C.border}`,
+        borderRadius: '4px',
+        padding: '3px 6px',
+        fontFamily: '"Fira Code", monospace',
+        fontSize: '10px',
+        boxSizing: 'border-box'
+      };
+      const kindColor = { service: C.port, vulnerability: C.vuln, endpoint: C.path, host: C.target };
+
+      return React.createElement('div', { key: 'search', style: { marginBottom: '8px' } }, [
+        React.createElement('input', {
+          key: 'input',
+          value: searchText,
+          placeholder: 'Search: kind:service product:apache',
+          title: 'kind: target: tool: since: until: and record fields (port, product, version, severity, status, url, ...)',
+          style: Object.assign({ width: '100%' }, inputStyle),
+          onChange: (e) => this.setState({ searchText: e.target.value }),
+          onKeyDown: (e) => {
+            if (e.key === 'Enter') this.runSearch(searchText);
+            else if (e.key === 'Escape') this.setState({ searchText: '', searchResults: null, searchErrors: [] });
+          }
+        }),
+        searchErrors.length > 0 && React.createElement('div', {
+          key: 'errors',
+          style: { color: C.vuln, fontSize: '10px', marginTop: '2px' }
+        }, searchErrors.join('; ')),
+        searchResults && React.createElement('div', {
+          key: 'count',
+          style: { color: C.header, fontSize: '10px', marginTop: '4px' }
+        }, `${searchResults.length} result${searchResults.length === 1 ? '' : 's'}`),
+        ...(searchResults || []).slice(0, 50).map((result, i) =>
+          React.createElement('div', {
+            key: `result-${i}`,
+            title: [result.evidence, result.sourceTool && `via ${result.sourceTool}`, result.lastSeen].filter(Boolean).join(' · '),
+            style: { display: 'flex', gap: '6px', fontSize: '10px' }
+          }, [
+            React.createElement('span', {
+              key: 'target',
+              style: { color: C.target, cursor: 'pointer', flexShrink: 0, maxWidth: '90px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+              onClick: () => this.setTarget(result.target)
+            }, result.target),
+            React.createElement('span', {
+              key: 'label',
+              style: { flex: 1, color: kindColor[result.kind] || C.text, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }
+            }, recordLabel(result))
+          ])
+        ),
+        searchResults && searchResults.length > 0 && React.createElement('div', {
+          key: 'launch',
+          style: { display: 'flex', gap: '4px', marginTop: '4px' }
+        }, [
+          React.createElement('select', {
+            key: 'tool',
+            value: searchToolId,
+            style: Object.assign({ flex: 1 }, inputStyle),
+            onChange: (e) => this.setState({ searchToolId: e.target.value })
+          }, [
+            React.createElement('option', { key: 'none', value: '' }, 'Run tool on results…'),
+            ...launchable.map((tool) => React.createElement('option', { key: tool.id, value: tool.id }, tool.name))
+          ]),
+          React.createElement('div', {
+            key: 'run',
+            title: `Launches once per distinct result, at most ${MAX_RESULT_LAUNCHES}`,
+            style: {
+              color: searchToolId ? C.tool : C.header,
+              border: `1px solid ${C.border}`,
+              borderRadius: '3px',
+              padding: '2px 6px',
+              cursor: searchToolId ? 'pointer' : 'default',
+              fontSize: '10px',
+              fontWeight: 'bold'
+            },
+            onClick: () => this.launchToolOnResults(searchToolId)
+          }, 'RUN')
+        ])
+      ]);
+    }
+
     launchWorkflow(workflow) {
       const { tools, data } = this.state;
-      const sequence = workflow.tools.map(id => tools.find(t => t.id === id)).filter(Boolean);
-      this.toolRunner.launchWorkflow(sequence, data);
-      this.setState({ toolSelectorOpen: false });
+      const result = this.chainOrchestrator.start(workflow, tools, {
+        ...data,
+        schemeOverride: this.state.schemeOverride
+      });
+      if (!result.ok) {
+        this.setState({
+          toolSelectorOpen: false,
+          runStatus: {
+            toolId: workflow.id,
+            toolName: workflow.name,
+            status: 'failed',
+            transport: 'chain',
+            error: result.errors.join('; ')
+          }
+        });
+        return;
+      }
+      this.setState({ toolSelectorOpen: false, chains: this.chainOrchestrator.getChains() });
+    }
+
+    renderChain(chain) {
+      const statusColor = {
+        queued: C.header,
+        running: C.workflow,
+        succeeded: C.port,
+        failed: C.vuln,
+        skipped: C.path,
+        stopped: C.vuln
+      };
+      const glyph = { queued: '…', running: '▶', succeeded: '✓', failed: '✕', skipped: '→', stopped: '■' };
+
+      return React.createElement('div', { key: chain.id, style: { marginBottom: '6px' } }, [
+        React.createElement('div', {
+          key: 'head',
+          style: { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', color: statusColor[chain.status] || C.text }
+        }, [
+          React.createElement('span', { key: 'name', style: { fontWeight: 'bold', flex: 1 } }, `${chain.workflowName} (${chain.status})`),
+          chain.status === 'running' && React.createElement('span', {
+            key: 'stop',
+            style: { cursor: 'pointer', color: C.vuln, border: `1px solid ${C.border}`, borderRadius: '3px', padding: '0 4px' },
+            onClick: () => this.chainOrchestrator.stop(chain.id)
+          }, 'STOP')
+        ]),
+        ...chain.nodes.map((node) =>
+          React.createElement('div', {
+            key: node.nodeId,
+            title: node.command || (node.dependsOn.length ? `after ${node.dependsOn.join(', ')}` : ''),
+            style: { display: 'flex', gap: '6px', fontSize: '10px', paddingLeft: '6px', color: statusColor[node.status] || C.text }
+          }, [
+            React.createElement('span', { key: 'glyph' }, glyph[node.status] || '?'),
+            React.createElement('span', { key: 'tool', style: { color: C.tool } }, node.toolName),
+            React.createElement('span', { key: 'reason', style: { flex: 1, color: C.header, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' } },
+              node.reason || (node.attempt > 1 ? `attempt ${node.attempt}` : '')),
+            (node.status === 'failed' || node.status === 'skipped' || node.status === 'stopped') && React.createElement('span', {
+              key: 'retry',
+              style: { cursor: 'pointer', color: C.workflow },
+              onClick: () => this.chainOrchestrator.retryNode(chain.id, node.nodeId)
+            }, 'retry')
+          ])
+        )
+      ]);
     }
 
     openConfig() {
@@ -468,9 +902,13 @@ exports.decorateTerms = (Terms, { React }) => {
         selectorTarget,
         selectorActions,
         runStatus,
+        recentRuns,
         workflowIssues,
         automationHints,
+        chains,
         storageMode,
+        importStatus,
+        dropActive,
         schemeOverride,
         wordlistModalOpen,
         wordlistTool,
@@ -508,10 +946,16 @@ exports.decorateTerms = (Terms, { React }) => {
                 'div',
                 {
                   key: 'sidebar',
+                  onDragOver: this.handleDragOver,
+                  onDragLeave: () => this.setState({ dropActive: false }),
+                  onDrop: this.handleDrop,
+                  title: 'Drop scan files here to import them',
                   style: {
                     width: sidebarWidth,
                     backgroundColor: C.bg,
                     borderLeft: `1px solid ${C.border}`,
+                    outline: dropActive ? `2px dashed ${C.accent}` : 'none',
+                    outlineOffset: '-4px',
                     color: C.text,
                     fontFamily: '"Fira Code", monospace',
                     fontSize: '12px',
@@ -602,15 +1046,30 @@ exports.decorateTerms = (Terms, { React }) => {
                     style: {
                       marginBottom: '10px',
                       fontSize: '10px',
-                      color: runStatus.status === 'failed' ? C.vuln : C.port,
+                      color: runStatus.status === 'failed' || runStatus.status === 'lost' ? C.vuln : C.port,
                       border: `1px solid ${C.border}`,
                       borderRadius: '4px',
                       padding: '4px 6px',
                       wordBreak: 'break-word'
                     }
-                  }, runStatus.status === 'failed'
-                    ? `Last run failed (${runStatus.transport || 'none'}): ${runStatus.error || 'unknown error'}`
+                  }, runStatus.status === 'failed' || runStatus.status === 'lost'
+                    ? `Last run ${runStatus.status} (${runStatus.transport || 'none'}): ${runStatus.error || 'unknown error'}`
                     : `Last run ${runStatus.status} via ${runStatus.transport || 'pending'}: ${runStatus.toolName || runStatus.toolId || 'tool'}`),
+                  importStatus && React.createElement('div', {
+                    key: 'import-status',
+                    style: {
+                      marginBottom: '10px',
+                      fontSize: '10px',
+                      color: importStatus.ok ? C.port : C.vuln,
+                      border: `1px solid ${C.border}`,
+                      borderRadius: '4px',
+                      padding: '4px 6px',
+                      wordBreak: 'break-word',
+                      cursor: 'pointer'
+                    },
+                    title: 'Dismiss',
+                    onClick: () => this.setState({ importStatus: null })
+                  }, `Import ${importStatus.message}`),
                   React.createElement('div', {
                     style: {
                       marginBottom: '8px',
@@ -618,6 +1077,40 @@ exports.decorateTerms = (Terms, { React }) => {
                       color: C.header
                     }
                   }, `Storage: ${storageMode}`),
+                  this.renderSearch(),
+                  this.renderRunDiff(),
+                  recentRuns.length > 0 && React.createElement('div', { key: 'recent-runs', style: { marginBottom: '8px' } }, [
+                    React.createElement('div', {
+                      key: 'title',
+                      style: {
+                        color: C.header,
+                        fontSize: '10px',
+                        fontWeight: 'bold',
+                        marginBottom: '4px',
+                        borderBottom: `1px solid ${C.border}`
+                      }
+                    }, 'RECENT RUNS'),
+                    ...recentRuns.map((run, i) => {
+                      const finished = run.status === 'succeeded' || run.status === 'failed' || run.status === 'lost';
+                      const color = run.status === 'succeeded' ? C.port
+                        : run.status === 'failed' || run.status === 'interrupted' || run.status === 'lost' ? C.vuln
+                        : C.workflow;
+                      const detail = [
+                        run.exit_code !== null && run.exit_code !== undefined ? `exit ${run.exit_code}` : null,
+                        run.duration_ms ? formatDuration(run.duration_ms) : null
+                      ].filter(Boolean).join(' · ');
+                      return React.createElement('div', {
+                        key: `run-${i}`,
+                        title: run.error || run.command || '',
+                        style: { display: 'flex', gap: '6px', fontSize: '10px', color }
+                      }, [
+                        React.createElement('span', { key: 'status', style: { width: '62px', flexShrink: 0 } }, run.status || 'unknown'),
+                        React.createElement('span', { key: 'tool', style: { flex: 1, color: C.tool, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' } },
+                          run.tool_name || run.tool_id || 'tool'),
+                        React.createElement('span', { key: 'detail', style: { color: finished ? color : C.header } }, detail)
+                      ]);
+                    })
+                  ]),
 
                    React.createElement('div', {
                     style: {
@@ -649,6 +1142,20 @@ exports.decorateTerms = (Terms, { React }) => {
                       }, `⚡ ${wf.name}`)
                     )
                   ),
+                  chains.some((c) => c.target === data.target) && React.createElement('div', { key: 'chains' }, [
+                    React.createElement('div', {
+                      key: 'title',
+                      style: {
+                        color: C.header,
+                        fontSize: '10px',
+                        fontWeight: 'bold',
+                        marginBottom: '4px',
+                        marginTop: '10px',
+                        borderBottom: `1px solid ${C.border}`
+                      }
+                    }, 'CHAINS'),
+                    ...chains.filter((c) => c.target === data.target).slice(0, 3).map((chain) => this.renderChain(chain))
+                  ]),
                   workflowIssues.length > 0 && React.createElement('div', { key: 'workflow-issues' }, [
                     React.createElement('div', {
                       style: {
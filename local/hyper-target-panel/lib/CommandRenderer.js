@@ -44,6 +44,7 @@ function renderCommand(template, context) {
   const tool = context && context.tool ? context.tool : null;
   const schemeOverride = context && context.schemeOverride ? context.schemeOverride : 'auto';
   const wordlistFile = context && context.wordlistFile ? context.wordlistFile : '';
+  const structuredFile = context && context.structuredFile ? context.structuredFile : '';
   const logPathByToolId = context && typeof context.logPathByToolId === 'function'
     ? context.logPathByToolId
     : null;
@@ -56,7 +57,8 @@ function renderCommand(template, context) {
     .replace(/{target}/g, targetValue)
     .replace(/{target_safe}/g, targetSafe)
     .replace(/{log_file}/g, logFile)
-    .replace(/{wordlist_file}/g, wordlistFile);
+    .replace(/{wordlist_file}/g, wordlistFile)
+    .replace(/{structured_file}/g, structuredFile);
 
   // Support references to other tool logs.
   cmd = cmd.replace(/{log:([a-zA-Z0-9_-]+)}/g, (_m, toolId) => {
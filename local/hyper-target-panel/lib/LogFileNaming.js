@@ -1,5 +1,7 @@
 'use strict';
 
+const fs = require('fs');
+
 function getLogExtForTool(tool) {
   const id = tool && tool.id ? String(tool.id) : '';
   const parser = tool && tool.parser ? String(tool.parser) : '';
@@ -9,13 +11,39 @@ function getLogExtForTool(tool) {
   return 'log';
 }
 
-function buildLogFileName(targetSafe, tool) {
+// Each run logs to its own <target>_<tool>_<runId> file, so a run started
+// while another of the same tool is still going (a chain node retried
+// after a stop) neither shares its log nor its exit-status sidecar.
+// Without a runId: the one file per tool and target logs used to share.
+function buildLogFileName(targetSafe, tool, runId) {
   const ext = getLogExtForTool(tool);
   const id = tool && tool.id ? String(tool.id) : 'tool';
-  return `${targetSafe}_${id}.${ext}`;
+  return runId ? `${targetSafe}_${id}_${runId}.${ext}` : `${targetSafe}_${id}.${ext}`;
+}
+
+// File name of the newest run log of a tool in `dir` (what {log:<tool>}
+// points at), or the shared name when no run has its own log yet.
+function latestLogFileName(dir, targetSafe, tool) {
+  const ext = getLogExtForTool(tool);
+  const prefix = `${targetSafe}_${tool && tool.id ? String(tool.id) : 'tool'}_`;
+  let newest = null;
+  let newestAt = -1;
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch (_e) {}
+  for (const name of names) {
+    if (!name.startsWith(prefix) || !name.endsWith(`.${ext}`)) continue;
+    // runIds are <ms>_<random>
+    const m = /^(\d+)_[a-z0-9]+$/.exec(name.slice(prefix.length, -ext.length - 1));
+    if (m && Number(m[1]) > newestAt) {
+      newest = name;
+      newestAt = Number(m[1]);
+    }
+  }
+  return newest || buildLogFileName(targetSafe, tool);
 }
 
 module.exports = {
   getLogExtForTool,
   buildLogFileName,
+  latestLogFileName,
 };
@@ -1,9 +1,42 @@
 const fs = require('fs');
-const JcRunner = require('./jc/JcRunner');
-const AdapterRunner = require('./jc/AdapterRunner');
+const SnapshotPool = require('./jc/SnapshotPool');
+const { getStructuredFormat, parseStructured } = require('./structured');
+const { LEGACY_BUCKETS } = require('./storage/FindingsModel');
+const { recordLabel } = require('./storage/FindingsQuery');
+
+const IDLE_TIMEOUT_MS = 600000;
+// Minimum gap between two jc snapshots of the same run
+const SNAPSHOT_INTERVAL_MS = 5000;
+
+// Findings by the target they are filed under. Structured records name
+// the host they were seen on (nmap, masscan): a result about one host is
+// the run's own, under the run's target, while one about many (a range
+// scan) is split per host, each record labelled in its bucket as
+// ScanImporter does for imported files. Records naming no host stay with
+// the run's target.
+function findingsByTarget(result, fallback) {
+  const records = Array.isArray(result.records) ? result.records : [];
+  const hosts = new Set(records.map(r => r.target).filter(Boolean));
+  if (hosts.size <= 1) return new Map([[fallback, result]]);
+
+  const groups = new Map();
+  for (const record of records) {
+    const target = record.target || fallback;
+    if (!groups.has(target)) groups.set(target, { ports: [], vulns: [], paths: [], domains: [], records: [] });
+    const group = groups.get(target);
+    const clean = Object.assign({}, record);
+    delete clean.target;
+    group.records.push(clean);
+    const bucket = group[LEGACY_BUCKETS[clean.kind]];
+    const label = recordLabel(clean);
+    if (bucket && !bucket.includes(label)) bucket.push(label);
+  }
+  return groups;
+}
 
 class OutputProcessor {
-  constructor(callbacks) {
+  constructor(callbacks, opts) {
+    const options = opts || {};
     this.parsers = {
       nmap: require('./parsers/nmap').parse,
       generic: require('./parsers/generic').parse,
@@ -20,20 +53,23 @@ class OutputProcessor {
     this.watchers = {};
     this.onFindings = null;
     this.onJcOutput = null;
+    this.onRunParsed = null;
     if (typeof callbacks === 'function') {
       this.onFindings = callbacks;
     } else if (callbacks && typeof callbacks === 'object') {
       this.onFindings = typeof callbacks.onFindings === 'function' ? callbacks.onFindings : null;
       this.onJcOutput = typeof callbacks.onJcOutput === 'function' ? callbacks.onJcOutput : null;
+      this.onRunParsed = typeof callbacks.onRunParsed === 'function' ? callbacks.onRunParsed : null;
     }
-    this.jcRunner = new JcRunner();
-    this.adapterRunner = new AdapterRunner();
+    this.snapshotIntervalMs = options.snapshotIntervalMs === undefined ? SNAPSHOT_INTERVAL_MS : options.snapshotIntervalMs;
+    this.snapshotPool = options.snapshotPool || null;
     this.pendingFindings = { ports: new Set(), vulns: new Set(), paths: new Set(), domains: new Set() };
     this.writeTimeout = null;
   }
 
-  // Register a file to watch and parse
-  watch(filePath, parserType = 'generic', context = {}) {
+  // Register a file to watch and parse. Watching stops after `idleMs` without
+  // changes (10 minutes by default); 0 keeps it until complete() or stop().
+  watch(filePath, parserType = 'generic', context = {}, opts = {}) {
     if (this.watchers[filePath]) return;
 
     try {
@@ -50,13 +86,17 @@ class OutputProcessor {
         }
       });
 
+      const idleMs = opts.idleMs === undefined ? IDLE_TIMEOUT_MS : opts.idleMs;
       this.watchers[filePath] = {
         watcher,
         parserType,
         context,
+        idleMs,
         lastPos: 0,
         remainder: '',
-        expiry: setTimeout(() => this.stop(filePath), 600000) // 10m auto-stop
+        targets: new Set(),
+        snapshot: { inFlight: null, timer: null, dirty: false, lastAt: 0, closed: false },
+        expiry: idleMs > 0 ? setTimeout(() => this.stop(filePath), idleMs) : null
       };
       
       console.log(`[Processor] Watching ${filePath}`);
@@ -65,17 +105,54 @@ class OutputProcessor {
     }
   }
 
-  refreshExpiry(filePath) {
+  setIdleTimeout(filePath, idleMs) {
     if (this.watchers[filePath]) {
-      clearTimeout(this.watchers[filePath].expiry);
-      this.watchers[filePath].expiry = setTimeout(() => this.stop(filePath), 600000);
+      this.watchers[filePath].idleMs = idleMs;
+      this.refreshExpiry(filePath);
+    }
+  }
+
+  refreshExpiry(filePath) {
+    const watcher = this.watchers[filePath];
+    if (watcher && watcher.idleMs > 0) {
+      clearTimeout(watcher.expiry);
+      watcher.expiry = setTimeout(() => this.stop(filePath), watcher.idleMs);
     }
   }
 
+  // The run writing this file has exited: parse whatever is left, including
+  // a last line without a trailing newline, take a final full jc snapshot
+  // and read the run's structured output, then stop watching.
+  // onRunParsed(context) fires once all of that is in, with `outcome`
+  // ({ exitCode } or { lost: true }) and the `targets` findings were filed
+  // under added to the run's context.
+  complete(filePath, outcome) {
+    const watcher = this.watchers[filePath];
+    if (!watcher) return;
+    this.processFile(filePath, watcher.parserType, () => {
+      if (watcher.remainder) {
+        const parser = this.parserFor(filePath, watcher);
+        this.updateFindings(parser(watcher.remainder + '\n'), watcher.context || {}, watcher.targets);
+        watcher.remainder = '';
+      }
+      const finalPass = Promise.all([
+        this.finalJcSnapshot(filePath, watcher),
+        this.readStructured(watcher.context || {}, watcher.targets),
+      ]);
+      this.stop(filePath);
+      finalPass.then(() => {
+        const targets = Array.from(watcher.targets);
+        if (this.onRunParsed) this.onRunParsed(Object.assign({}, watcher.context, { targets }, outcome));
+      });
+    });
+  }
+
   stop(filePath) {
-    if (this.watchers[filePath]) {
-      this.watchers[filePath].watcher.close();
-      clearTimeout(this.watchers[filePath].expiry);
+    const watcher = this.watchers[filePath];
+    if (watcher) {
+      watcher.watcher.close();
+      clearTimeout(watcher.expiry);
+      this.closeJcSnapshot(filePath, watcher);
       delete this.watchers[filePath];
       console.log(`[Processor] Stopped watching ${filePath}`);
     }
@@ -84,34 +161,36 @@ class OutputProcessor {
   stopAll() {
     Object.keys(this.watchers).forEach(path => this.stop(path));
     if (this.writeTimeout) clearTimeout(this.writeTimeout);
+    if (this.snapshotPool) this.snapshotPool.dispose();
   }
 
-  processFile(filePath, parserType) {
+  processFile(filePath, parserType, onDone) {
+    const done = typeof onDone === 'function' ? onDone : () => {};
     fs.stat(filePath, (err, stats) => {
-      if (err) return;
+      if (err) return done();
       
       const watcher = this.watchers[filePath];
-      if (!watcher) return;
+      if (!watcher) return done();
       
       const lastPos = watcher.lastPos || 0;
       if (stats.size < lastPos) {
         // File was truncated or overwritten
         watcher.lastPos = 0;
-        this.processFile(filePath, parserType); // Re-process from start
+        this.processFile(filePath, parserType, done); // Re-process from start
         return;
       }
       
       if (stats.size > lastPos) {
-        this.processJcSnapshot(filePath, watcher.context || {});
+        this.scheduleJcSnapshot(filePath);
 
         const bytesToRead = stats.size - lastPos;
         const buffer = Buffer.alloc(bytesToRead);
         
         fs.open(filePath, 'r', (err, fd) => {
-          if (err) return;
+          if (err) return done();
           fs.read(fd, buffer, 0, bytesToRead, lastPos, (err, bytesRead) => {
             fs.close(fd, () => {});
-            if (err || bytesRead === 0) return;
+            if (err || bytesRead === 0) return done();
             
             watcher.lastPos = lastPos + bytesRead;
             const content = watcher.remainder + buffer.toString('utf8');
@@ -122,38 +201,136 @@ class OutputProcessor {
                 const completeLines = content.substring(0, lastNewline + 1);
                 watcher.remainder = content.substring(lastNewline + 1);
                 
-                const parser = this.parsers[parserType] || this.parsers.generic;
-                this.updateFindings(parser(completeLines), watcher.context || {});
+                const parser = this.parserFor(filePath, watcher);
+                this.updateFindings(parser(completeLines), watcher.context || {}, watcher.targets);
             } else {
                 // No newline yet, buffer the whole content
                 watcher.remainder = content;
             }
+            done();
           });
         });
+      } else {
+        done();
       }
     });
   }
 
-  processJcSnapshot(filePath, context) {
-    const jcParser = context && context.jcParser;
-    const jcEngine = context && context.jcEngine;
-    if (!jcParser || !this.onJcOutput) return;
+  // The text parser of the run, unless the log itself is a one-record-per-line
+  // structured format (nuclei -jsonl -o {log_file}); output that turns out
+  // not to be in that format still goes to the text parser.
+  parserFor(filePath, watcher) {
+    const text = this.parsers[watcher.parserType] || this.parsers.generic;
+    const structured = watcher.context && watcher.context.structured;
+    const spec = structured && structured.file === filePath ? getStructuredFormat(structured.format) : null;
+    if (!spec || !spec.lines) return text;
+    return (content) => spec.parse(content) || text(content);
+  }
+
+  // Once the run is over its structured file, if the tool wrote one, is
+  // parsed whole: its records update what the text parser reported, and
+  // the full result is kept next to the jc snapshots. Without the file, or
+  // when it does not parse, the text findings stand.
+  readStructured(context, targets) {
+    const structured = context.structured;
+    if (!structured || !structured.file) return Promise.resolve();
+    return new Promise((resolve) => {
+      fs.readFile(structured.file, 'utf8', (err, content) => {
+        if (err) return resolve();
+        let result = null;
+        try {
+          result = parseStructured(structured.format, content);
+        } catch (e) {
+          console.error(`[Processor] Failed to parse ${structured.file}:`, e.message);
+        }
+        if (result) {
+          this.updateFindings(result, context, targets);
+          if (this.onJcOutput) {
+            this.onJcOutput(context.target, result, Object.assign({}, context, {
+              jcParser: structured.format,
+              jcEngine: 'structured',
+              jcPass: 'structured',
+            }));
+          }
+        }
+        resolve();
+      });
+    });
+  }
+
+  // jc snapshots are parsed in a SnapshotPool worker, at most one at a time
+  // per run and no more often than snapshotIntervalMs; changes arriving in
+  // between are folded into the next snapshot.
+  scheduleJcSnapshot(filePath) {
+    const watcher = this.watchers[filePath];
+    if (!watcher || !this.wantsJcSnapshot(watcher.context)) return;
+    const snapshot = watcher.snapshot;
+    if (snapshot.closed) return;
+    if (snapshot.inFlight || snapshot.timer) {
+      snapshot.dirty = true;
+      return;
+    }
+
+    const wait = snapshot.lastAt + this.snapshotIntervalMs - Date.now();
+    if (wait > 0) {
+      snapshot.timer = setTimeout(() => {
+        snapshot.timer = null;
+        this.scheduleJcSnapshot(filePath);
+      }, wait);
+      return;
+    }
+
+    snapshot.dirty = false;
+    snapshot.lastAt = Date.now();
+    snapshot.inFlight = this.runJcSnapshot('update', filePath, watcher.context).then(() => {
+      snapshot.inFlight = null;
+      if (snapshot.dirty) this.scheduleJcSnapshot(filePath);
+    });
+  }
+
+  // Runs after the last update for this file so an older partial snapshot
+  // never lands on top of the final one.
+  finalJcSnapshot(filePath, watcher) {
+    const snapshot = watcher.snapshot;
+    if (snapshot.closed || !this.wantsJcSnapshot(watcher.context)) return Promise.resolve();
+    snapshot.closed = true;
+    clearTimeout(snapshot.timer);
+    return Promise.resolve(snapshot.inFlight).then(() => this.runJcSnapshot('final', filePath, watcher.context));
+  }
+
+  closeJcSnapshot(filePath, watcher) {
+    const snapshot = watcher.snapshot;
+    if (snapshot.closed) return;
+    snapshot.closed = true;
+    clearTimeout(snapshot.timer);
+    if (this.snapshotPool) this.snapshotPool.release(filePath);
+  }
+
+  wantsJcSnapshot(context) {
+    return !!(context && context.jcParser && this.onJcOutput);
+  }
 
-    fs.readFile(filePath, 'utf8', (err, content) => {
-      if (err || !content) return;
-      const result = jcEngine === 'adapter'
-        ? this.adapterRunner.parse(jcParser, content, context || {})
-        : this.jcRunner.parse(jcParser, content);
-      if (!result || !result.ok) return;
-      this.onJcOutput(context.target, result.data, Object.assign({}, context, { jcParser, jcEngine: jcEngine || 'jc' }));
+  runJcSnapshot(type, filePath, context) {
+    if (!this.snapshotPool) this.snapshotPool = new SnapshotPool();
+    const jcParser = context.jcParser;
+    const jcEngine = context.jcEngine || 'jc';
+    const job = { type, key: filePath, filePath, parser: jcParser, engine: jcEngine, context };
+
+    return this.snapshotPool.run(job).then((result) => {
+      if (!result || !result.ok || !this.onJcOutput) return;
+      this.onJcOutput(context.target, result.data, Object.assign({}, context, { jcParser, jcEngine, jcPass: type }));
     });
   }
 
-  updateFindings(newFindings, context) {
+  // `targets`, when given, collects the targets findings were filed under.
+  updateFindings(newFindings, context, targets) {
     if (!newFindings) return;
 
     if (this.onFindings && context && context.target) {
-      this.onFindings(context.target, newFindings, context);
+      for (const [target, findings] of findingsByTarget(newFindings, context.target)) {
+        if (targets) targets.add(target);
+        this.onFindings(target, findings, context);
+      }
       return;
     }
     
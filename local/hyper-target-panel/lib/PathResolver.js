@@ -4,12 +4,16 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const { workspaceDir } = require('../../hyper-hud-framework/workspace');
 
 const PLUGIN_ROOT = path.resolve(__dirname, '..');
 const WORKSPACE_ROOT = path.resolve(PLUGIN_ROOT, '..', '..');
 const DATA_DIR = path.join(PLUGIN_ROOT, 'data');
 const IMPORTS_DIR = path.join(DATA_DIR, 'imports');
-const LEGACY_DIR = path.join(DATA_DIR, 'legacy');
+// What the panel kept in data/ before workspaces; the default workspace
+// takes it over. data/ itself keeps what all engagements share (jc
+// baselines, wordlists, imports).
+const PRE_WORKSPACE_ENTRIES = ['target_panel.db', 'target_config.json', 'targets', 'legacy'];
 
 function expandHome(inputPath) {
   const value = String(inputPath || '').trim();
@@ -71,6 +75,13 @@ function ensureWorkspaceFile(inputPath, options) {
   return destPath;
 }
 
+// TargetStore, run logs and legacy findings of the active workspace.
+function getEngagementDir() {
+  return workspaceDir('target-panel', {
+    legacy: PRE_WORKSPACE_ENTRIES.map((name) => path.join(DATA_DIR, name)),
+  });
+}
+
 function getWordlistRoots() {
   const fromEnv = String(process.env.HYPER_WORDLIST_ROOTS || '')
     .split(path.delimiter)
@@ -90,8 +101,9 @@ function getWordlistRoots() {
 
 function getLegacyFindingsPath(safeTarget) {
   const fileName = `findings_${safeTarget}.json`;
-  const workspacePath = path.join(LEGACY_DIR, fileName);
-  fs.mkdirSync(LEGACY_DIR, { recursive: true });
+  const legacyDir = path.join(getEngagementDir(), 'legacy');
+  const workspacePath = path.join(legacyDir, fileName);
+  fs.mkdirSync(legacyDir, { recursive: true });
 
   const oldPath = path.join(os.homedir(), '.gemini/tmp', fileName);
   if (!fs.existsSync(workspacePath) && fs.existsSync(oldPath)) {
@@ -108,6 +120,7 @@ function getLegacyFindingsPath(safeTarget) {
 module.exports = {
   DATA_DIR,
   WORKSPACE_ROOT,
+  getEngagementDir,
   getWordlistRoots,
   ensureWorkspaceFile,
   getLegacyFindingsPath,
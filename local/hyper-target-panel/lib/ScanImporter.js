@@ -0,0 +1,317 @@
+'use strict';
+
+// Scan files made outside Hyper (a colleague's nmap XML or grepable
+// output, a masscan JSON, an old nuclei JSONL, a Burp export, a saved
+// nmap or nikto log), read into what runs of the tools would have
+// stored. The format is sniffed from the content: structured formats go
+// through lib/structured, text logs through the tool's text parser or
+// jc adapter. One file may cover many hosts, so the result is per target:
+//   { format, source: 'import:<file name>',
+//     targets: [{ target, findings, services, alerts }] }
+// `findings` is what TargetStore.mergeFindings takes, `services` what
+// target-book's addService takes and `alerts` findings-log entries.
+
+const path = require('path');
+const { jsonDocument, jsonLines } = require('./structured/json');
+const { parseStructured } = require('./structured');
+const { LEGACY_BUCKETS, withLegacyFindings } = require('./storage/FindingsModel');
+const { recordLabel } = require('./storage/FindingsQuery');
+const AdapterRunner = require('./jc/AdapterRunner');
+const { findingsOf } = require('../../hyper-hud-framework/events');
+
+const IPV4 = /\b\d{1,3}(?:\.\d{1,3}){3}\b/;
+const URL_RE = /\bhttps?:\/\/[^\s"'<>()]+/gi;
+// Sites tools print in their banners, never what they were run against
+const TOOL_SITES = /(?:^|\.)(?:sqlmap\.org|nmap\.org|cirt\.net|github\.com)$/;
+const SNIFF_BYTES = 8192;
+
+// Text logs, by what their first lines look like. `target` finds the
+// host a single-target log was run against (patterns tried in order);
+// nmap logs are split per "Nmap scan report for" so each host gets its
+// own ports.
+const TEXT_FORMATS = [
+  {
+    format: 'nmap',
+    test: /^# Nmap \S+ scan initiated|^Nmap scan report for /m,
+    parse: require('./parsers/nmap').parse,
+    split: /^Nmap scan report for (\S+)(?: \(([^)]+)\))?/m,
+  },
+  {
+    format: 'nikto',
+    test: /^- Nikto v\d/m,
+    parse: require('./parsers/nikto').parse,
+    target: /^\+ Target (?:Hostname|IP):\s+(\S+)/m,
+  },
+  {
+    format: 'gobuster',
+    test: /^Gobuster v\d|^\/\S*\s+\(Status: \d{3}\) \[Size: \d+\]/m,
+    parse: require('./parsers/gobuster').parse,
+    target: /^\[\+\] (?:Url|Domain):\s+(\S+)/m,
+  },
+  {
+    format: 'sqlmap',
+    test: /sqlmap identified the following injection point|^Parameter: \S+ \((?:GET|POST|COOKIE|HEADER)\)/m,
+    parse: require('./parsers/sqlmap').parse,
+    // The command line when the log has it, sqlmap's own URL lines, else
+    // the output directory it names after the host
+    target: [
+      /(?:^|\s)(?:-u|--url)(?:=|\s+)['"]?([^\s'"]+)/m,
+      /\bURL:?\s+'?(https?:\/\/[^\s']+)/,
+      /logged to text files under '[^']*[\/\\]output[\/\\]([^\/\\']+)'/,
+    ],
+  },
+  {
+    format: 'hydra',
+    test: /^Hydra v\d|^\[\d+\]\[[\w-]+\] host:/m,
+    adapter: 'hydra',
+    target: /^\[\d+\]\[[\w-]+\] host:\s+(\S+)/m,
+  },
+];
+
+let adapterRunner = null;
+
+// "https://app.example.com:8443/login" -> "app.example.com",
+// "10.0.0.5:22" -> "10.0.0.5"
+function hostOf(value) {
+  const str = String(value || '').trim();
+  if (!str) return null;
+  try {
+    if (/^[a-z][\w+.-]*:\/\//i.test(str)) return new URL(str).hostname.toLowerCase() || null;
+  } catch (_e) {
+    // not a URL after all
+  }
+  const host = str.split('/')[0].replace(/:\d+$/, '').toLowerCase();
+  return host || null;
+}
+
+// The host a file is about when neither its records nor the caller
+// say: the first URL (not a tool's banner) or IPv4 address in it
+function guessTarget(content) {
+  const head = String(content || '').slice(0, SNIFF_BYTES);
+  for (const url of head.match(URL_RE) || []) {
+    const host = hostOf(url);
+    if (host && !TOOL_SITES.test(host)) return host;
+  }
+  const ip = head.match(IPV4);
+  return ip ? ip[0] : null;
+}
+
+// The host `spec.target` finds in a single-target log, or null
+function namedTarget(spec, content) {
+  for (const re of [].concat(spec.target || [])) {
+    const m = content.match(re);
+    if (m && hostOf(m[1])) return hostOf(m[1]);
+  }
+  return null;
+}
+
+// JSON Lines formats, by the keys of their first record
+function sniffJsonLines(first) {
+  if (first['template-id']) return 'nuclei-jsonl';
+  if (first.ip && Array.isArray(first.ports)) return 'masscan-json';
+  if (first.request && first.request.endpoint) return 'katana-jsonl';
+  if (first.url && (first.status_code !== undefined || first.webserver || first.tech || first.input)) return 'httpx-jsonl';
+  return null;
+}
+
+// Format name (a lib/structured format or a TEXT_FORMATS one), or null
+// when the content is none the importer knows
+function sniffFormat(content) {
+  const src = String(content || '').replace(/^\uFEFF/, '');
+  const head = src.slice(0, SNIFF_BYTES);
+  const start = head.trimStart();
+
+  if (start.startsWith('<')) {
+    if (/<nmaprun[\s>]/.test(head)) return 'nmap-xml';
+    if (/<(?:items|issues)\s[^>]*burpVersion=/.test(head)) return 'burp-xml';
+    return null;
+  }
+  if (start.startsWith('{') || start.startsWith('[')) {
+    const doc = jsonDocument(src);
+    if (doc && !Array.isArray(doc) && Array.isArray(doc.results) && (doc.commandline || doc.config)) return 'ffuf-json';
+    const first = jsonLines(head)[0];
+    return first ? sniffJsonLines(first) : null;
+  }
+
+  // Before the text formats: nmap -oG starts with the same comment as -oN
+  if (/^Host: \S+ \([^)]*\)\t/m.test(head)) return 'nmap-grepable';
+
+  const text = TEXT_FORMATS.find(f => f.test.test(head));
+  return text ? text.format : null;
+}
+
+// ─── Per-target results ──────────────────────────────────────
+
+function emptyGroup(target) {
+  return {
+    target,
+    findings: { ports: [], vulns: [], paths: [], domains: [], records: [] },
+    services: [],
+    alerts: [],
+    creds: [],
+  };
+}
+
+function groupFor(groups, target) {
+  if (!groups.has(target)) groups.set(target, emptyGroup(target));
+  return groups.get(target);
+}
+
+function recordTarget(record, fallback) {
+  if (record.target) return record.target;
+  if (record.url) return hostOf(record.url) || fallback;
+  if (record.kind === 'host') return record.hostname;
+  return fallback;
+}
+
+function addBuckets(group, buckets) {
+  for (const key of ['ports', 'vulns', 'paths', 'domains']) {
+    for (const value of Array.isArray(buckets[key]) ? buckets[key] : []) {
+      if (!group.findings[key].includes(value)) group.findings[key].push(value);
+    }
+  }
+}
+
+function vulnType(record) {
+  const text = `${record.id} ${record.evidence || ''}`.toLowerCase();
+  if (/sqli|sql injection/.test(text)) return 'sqli';
+  if (/xss|cross-site scripting/.test(text)) return 'xss';
+  if (/\brce\b|remote code|command injection/.test(text)) return 'rce';
+  return 'misc';
+}
+
+// target-book services and findings-log alerts from a group's records
+function finishGroup(group, source) {
+  const records = withLegacyFindings(group.findings.records, group.findings);
+  const ports = [];
+  const paths = [];
+  for (const record of records) {
+    if (record.kind === 'service') {
+      const service = {
+        port: record.port,
+        proto: record.proto,
+        state: 'open',
+        service: record.name || 'unknown',
+        version: [record.product, record.version].filter(Boolean).join(' '),
+        source,
+      };
+      group.services.push(service);
+      ports.push(service);
+    } else if (record.kind === 'endpoint') {
+      paths.push({ path: record.url || record.path, status: record.status, size: record.size });
+    } else if (record.kind === 'vulnerability' && record.severity !== 'info') {
+      // Without a severity (a nikto line) it is logged as info, as a run would
+      group.alerts.push({
+        severity: record.severity && record.severity !== 'unknown' ? record.severity : 'info',
+        type: vulnType(record),
+        title: [record.id, record.url].filter(Boolean).join(' ').substring(0, 200),
+        detail: record.evidence || '',
+      });
+    }
+  }
+  group.alerts.unshift(...findingsOf({ ports, paths, creds: group.creds }));
+  if (group.findings.records.length === 0) delete group.findings.records;
+  delete group.creds;
+  return group;
+}
+
+// ─── Importers ───────────────────────────────────────────────
+
+function importStructured(format, content, fallback, groups) {
+  const result = parseStructured(format, content);
+  if (!result) return false;
+  const records = Array.isArray(result.records) ? result.records : [];
+  for (const record of records) {
+    const target = recordTarget(record, fallback);
+    if (!target) continue;
+    const clean = Object.assign({}, record);
+    delete clean.target;
+    groupFor(groups, target).findings.records.push(clean);
+  }
+
+  // A file about one host keeps the parser's own strings, as a run of
+  // the tool would store them; a file about many labels each record
+  if (groups.size === 1) {
+    addBuckets(groups.values().next().value, result);
+  } else {
+    for (const group of groups.values()) {
+      for (const record of group.findings.records) {
+        const bucket = group.findings[LEGACY_BUCKETS[record.kind]];
+        const label = recordLabel(record);
+        if (!bucket.includes(label)) bucket.push(label);
+      }
+    }
+  }
+  return groups.size > 0;
+}
+
+function importText(spec, content, fallback, groups) {
+  if (spec.split) {
+    // One section per host the log reports on
+    const starts = Array.from(content.matchAll(new RegExp(spec.split.source, 'gm')), m => m.index);
+    const sections = starts.map((start, i) => content.slice(start, starts[i + 1]));
+    for (const section of sections) {
+      const m = section.match(spec.split);
+      const target = m[2] || m[1];
+      const group = groupFor(groups, target.toLowerCase());
+      const result = spec.parse(section) || {};
+      addBuckets(group, result);
+      group.findings.records.push(...(result.records || []));
+      if (m[2] && !group.findings.domains.includes(m[1])) group.findings.domains.push(m[1]);
+    }
+    return groups.size > 0;
+  }
+
+  const target = namedTarget(spec, content) || fallback;
+  if (!target) return false;
+  const group = groupFor(groups, target);
+
+  if (spec.adapter) {
+    if (!adapterRunner) adapterRunner = new AdapterRunner();
+    const res = adapterRunner.parse(spec.adapter, content, {});
+    if (!res.ok) {
+      console.error('[ScanImporter] Adapter failed:', res.error);
+      return false;
+    }
+    const records = (res.data && res.data.records) || [];
+    group.creds.push(...records.filter(r => r.type === 'credential').map(r => ({ login: r.login, password: r.password, service: spec.format, host: target })));
+    return group.creds.length > 0;
+  }
+
+  const result = spec.parse(content) || {};
+  addBuckets(group, result);
+  if (Array.isArray(result.records)) group.findings.records.push(...result.records);
+  return true;
+}
+
+// Read one scan file. `opts.target` is the target for what the file
+// does not attribute to a host; without one it is guessed from the
+// content. Null when the format is not known or nothing in the file
+// could be placed.
+function importScan(fileName, content, opts) {
+  const src = String(content || '').replace(/^\uFEFF/, '');
+  const format = sniffFormat(src);
+  if (!format) return null;
+
+  const options = opts || {};
+  const source = `import:${path.basename(String(fileName || 'file'))}`;
+  const fallback = options.target ? String(options.target) : guessTarget(src);
+  const groups = new Map();
+  const spec = TEXT_FORMATS.find(f => f.format === format);
+  const ok = spec
+    ? importText(spec, src, fallback, groups)
+    : importStructured(format, src, fallback, groups);
+  if (!ok) return null;
+
+  return {
+    format,
+    source,
+    targets: Array.from(groups.values()).map(group => finishGroup(group, source)),
+  };
+}
+
+module.exports = {
+  TEXT_FORMATS,
+  sniffFormat,
+  importScan,
+};
@@ -1,12 +1,6 @@
 'use strict';
 
-function stripAnsi(str) {
-  return String(str || '')
-    .replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '')
-    .replace(/\x1b\][^\x07]*\x07/g, '')
-    .replace(/\x1b[()][AB012]/g, '')
-    .replace(/\x1b[\[?]?[0-9;]*[a-zA-Z]/g, '');
-}
+const { stripAnsi } = require('../../hyper-hud-framework/runtime');
 
 function extractSetTarget(raw) {
   if (!raw) return null;
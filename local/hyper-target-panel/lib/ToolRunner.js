@@ -5,14 +5,18 @@ const fs = require('fs');
 const OutputProcessor = require('./OutputProcessor');
 const { normalizeTarget } = require('./TargetNormalizer');
 const { renderCommand } = require('./CommandRenderer');
-const { buildLogFileName } = require('./LogFileNaming');
+const { buildLogFileName, latestLogFileName } = require('./LogFileNaming');
 const { resolveJcPlan } = require('./jc/JcRegistry');
+const { resolveStructured } = require('./structured');
 const ExecutionStrategyManager = require('./execution/ExecutionStrategyManager');
-const ExternalTerminalStrategy = require('./execution/ExternalTerminalStrategy');
-const { DATA_DIR } = require('./PathResolver');
+const { resolveExecution, createStrategies } = require('./execution/ExecutionConfig');
+const { exitFileFor, clearExitStatus, waitForExitStatus } = require('./execution/ExitStatusFile');
+const { getEngagementDir } = require('./PathResolver');
 
-const RUNTIME_LOG_DIR = path.join(DATA_DIR, 'runtime');
-fs.mkdirSync(RUNTIME_LOG_DIR, { recursive: true });
+const IDLE_WATCH_MS = 600000;
+// How long a launched run may take to record its shell's pid (see
+// ExitStatusFile) before it is taken as never having started
+const START_TIMEOUT_MS = 120000;
 
 class ToolRunner {
   constructor(rpc, store, callbacks) {
@@ -27,8 +31,10 @@ class ToolRunner {
       this.onFindings = typeof callbacks.onFindings === 'function' ? callbacks.onFindings : null;
     }
     this.onJcOutput = null;
+    this.onRunParsed = null;
     if (callbacks && typeof callbacks === 'object') {
       this.onJcOutput = typeof callbacks.onJcOutput === 'function' ? callbacks.onJcOutput : null;
+      this.onRunParsed = typeof callbacks.onRunParsed === 'function' ? callbacks.onRunParsed : null;
     }
     this.processor = new OutputProcessor({
       onFindings: (target, findings, context) => {
@@ -36,20 +42,37 @@ class ToolRunner {
       },
       onJcOutput: (target, jcData, context) => {
         if (this.onJcOutput) this.onJcOutput(target, jcData, context);
+      },
+      onRunParsed: (context) => {
+        if (this.onRunParsed) this.onRunParsed(context);
       }
     });
     this.launching = false;
     this.queue = [];
+    this.nodeLaunches = Promise.resolve();
+    this.stopped = false;
+    this.executionConfig = {};
+    this.managers = new Map();
+    this.liveRuns = new Map();
+  }
 
-    this.externalStrategy = new ExternalTerminalStrategy({
-      terminal: 'konsole',
-      shell: 'fish',
-      defaultMode: 'window',
-    });
-    this.strategyManager = new ExecutionStrategyManager([this.externalStrategy]);
+  // Global defaults from config/execution.json; tools may override them.
+  setExecutionConfig(config) {
+    this.executionConfig = config && typeof config === 'object' ? config : {};
+    this.managers.clear();
+  }
+
+  strategyManagerFor(tool) {
+    const execution = resolveExecution(tool, this.executionConfig);
+    const key = JSON.stringify(execution);
+    if (!this.managers.has(key)) {
+      this.managers.set(key, new ExecutionStrategyManager(createStrategies(execution)));
+    }
+    return this.managers.get(key);
   }
 
   stop() {
+    this.stopped = true;
     if (this.processor) this.processor.stopAll();
   }
 
@@ -90,29 +113,6 @@ class ToolRunner {
       });
   }
 
-  launchWorkflow(tools, data) {
-    if (this.launching) {
-      this.queue.push({ workflow: true, tools, data });
-      return;
-    }
-
-    this.launching = true;
-    this.launchWorkflowInternal(tools, data)
-      .catch((err) => {
-        this.emitRunStatus({
-          toolId: 'workflow',
-          toolName: 'Workflow',
-          status: 'failed',
-          transport: 'external_terminal',
-          error: err && err.message ? err.message : String(err),
-        });
-      })
-      .finally(() => {
-        this.launching = false;
-        this.processQueue();
-      });
-  }
-
   prepareExecution(tool, data) {
     let target = 'localhost';
     let ports = [];
@@ -132,11 +132,16 @@ class ToolRunner {
       ? String(target || '').trim() || normalizedTarget
       : normalizedTarget;
     const targetSafe = this.sanitizeTargetForFile(normalizedTarget);
-    const logFile = path.join(RUNTIME_LOG_DIR, buildLogFileName(targetSafe, tool));
+    // Logs and findings of a run stay in the workspace it was started in
+    const engagementDir = getEngagementDir();
+    const runtimeDir = path.join(engagementDir, 'runtime');
+    fs.mkdirSync(runtimeDir, { recursive: true });
+    const runId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const logFile = path.join(runtimeDir, buildLogFileName(targetSafe, tool, runId));
     const jcPlan = resolveJcPlan(tool);
     const jcParser = jcPlan ? jcPlan.parser : null;
     const jcEngine = jcPlan ? jcPlan.engine : null;
-    const runId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const structured = resolveStructured(tool, logFile);
 
     const command = renderCommand(tool.command, {
       target: normalizedTarget,
@@ -144,28 +149,45 @@ class ToolRunner {
       ports,
       targetSafe,
       logFile,
-      tempDir: RUNTIME_LOG_DIR,
+      tempDir: runtimeDir,
       tool,
       schemeOverride,
       wordlistFile,
-      logPathByToolId: (toolId) => path.join(RUNTIME_LOG_DIR, buildLogFileName(targetSafe, { id: toolId })),
+      structuredFile: structured ? structured.file : '',
+      logPathByToolId: (toolId) => path.join(runtimeDir, latestLogFileName(runtimeDir, targetSafe, { id: toolId })),
     });
 
-    return { normalizedTarget, effectiveTarget, logFile, command, jcParser, jcEngine, runId };
+    return { normalizedTarget, effectiveTarget, logFile, command, jcParser, jcEngine, structured, runId, engagementDir };
+  }
+
+  // A sidecar left by an earlier run must not be read as this run's
+  clearStructuredFile(structured, logFile) {
+    if (!structured || structured.file === logFile) return;
+    try {
+      fs.rmSync(structured.file, { force: true });
+    } catch (err) {
+      console.error('[ToolRunner] Failed to clear structured output:', err.message);
+    }
   }
 
   async launchInternal(tool, data) {
-    const { normalizedTarget, logFile, command, jcParser, jcEngine, runId } = this.prepareExecution(tool, data);
+    const { normalizedTarget, logFile, command, jcParser, jcEngine, structured, runId, engagementDir } = this.prepareExecution(tool, data);
+    const exitFile = exitFileFor(logFile);
+    const startedAt = Date.now();
+    clearExitStatus(exitFile);
+    this.clearStructuredFile(structured, logFile);
 
     this.emitRunStatus({
+      runId,
       toolId: tool.id,
       toolName: tool.name,
       target: normalizedTarget,
       command,
       logFile,
+      engagementDir,
       status: 'running',
       transport: 'pending',
-      startedAt: Date.now(),
+      startedAt,
     });
 
     if (this.processor && this.processor.watch) {
@@ -175,40 +197,59 @@ class ToolRunner {
         toolName: tool.name,
         jcParser,
         jcEngine,
+        structured,
         runId,
-      });
+        engagementDir,
+      }, { idleMs: 0 });
     }
 
-    const result = await this.strategyManager.launch({
+    const result = await this.strategyManagerFor(tool).launch({
+      rpc: this.rpc,
+      store: this.store,
       command,
       target: normalizedTarget,
       tool,
       logFile,
-      konsoleMode: 'window',
+      exitFile,
+      terminalMode: 'window',
     });
 
     if (result && result.started) {
-      this.emitRunStatus({
+      const started = {
+        runId,
         toolId: tool.id,
         toolName: tool.name,
         target: normalizedTarget,
         command,
         logFile,
-        status: 'started',
+        engagementDir,
         transport: result.transport,
         sessionUid: result.sessionUid,
+        paneId: result.paneId,
         pid: result.pid,
-        startedAt: Date.now(),
-      });
+        startedAt,
+      };
+      this.emitRunStatus(Object.assign({ status: 'started' }, started));
+      if (result.exitTracked) {
+        this.liveRuns.set(runId, result);
+        this.trackExit(exitFile, started);
+      } else if (this.processor && this.processor.setIdleTimeout) {
+        // No sidecar from this transport: fall back to stopping when idle
+        this.processor.setIdleTimeout(logFile, IDLE_WATCH_MS);
+      }
       return;
     }
 
+    this.stopWatching(logFile);
+
     this.emitRunStatus({
+      runId,
       toolId: tool.id,
       toolName: tool.name,
       target: normalizedTarget,
       command,
       logFile,
+      engagementDir,
       status: 'failed',
       transport: (result && result.transport) || 'none',
       error: (result && result.error) || 'unable to launch command',
@@ -216,78 +257,127 @@ class ToolRunner {
     });
   }
 
-  async launchWorkflowInternal(tools, data) {
-    const list = Array.isArray(tools) ? tools : [];
-    for (let i = 0; i < list.length; i++) {
-      const tool = list[i];
-      if (!tool || !tool.command) continue;
-      const prepared = this.prepareExecution(tool, data);
+  // Whether a run's process is still going: true/false when its transport
+  // can tell (tmux), null when it cannot or the run is not being tracked.
+  async isRunAlive(runId) {
+    const launch = this.liveRuns.get(runId);
+    if (!launch || !launch.strategy || typeof launch.strategy.isAlive !== 'function') return null;
+    return launch.strategy.isAlive(launch);
+  }
+
+  // Wait for the run's status sidecar in the background, then report how it
+  // ended and let the processor parse the tail of the log. A run whose
+  // process went away without a status ends as lost.
+  trackExit(exitFile, run) {
+    const canCheck = this.liveRuns.has(run.runId) && typeof this.liveRuns.get(run.runId).strategy.isAlive === 'function';
+    waitForExitStatus(exitFile, {
+      shouldStop: () => this.stopped,
+      isAlive: canCheck ? () => this.isRunAlive(run.runId) : null,
+      startTimeoutMs: START_TIMEOUT_MS,
+    })
+      .then((exit) => {
+        this.liveRuns.delete(run.runId);
+        if (exit.cancelled) return;
+        if (this.processor && this.processor.complete) {
+          this.processor.complete(run.logFile, exit.lost ? { lost: true } : { exitCode: exit.exitCode });
+        }
+        if (exit.lost) {
+          this.emitRunStatus(Object.assign({}, run, {
+            status: 'lost',
+            error: 'process ended without reporting an exit status',
+            endedAt: Date.now(),
+            durationMs: Date.now() - run.startedAt,
+          }));
+          return;
+        }
+        this.emitRunStatus(Object.assign({}, run, {
+          status: exit.exitCode === 0 ? 'succeeded' : 'failed',
+          exitCode: exit.exitCode,
+          error: exit.exitCode === 0 ? null : `exit ${exit.exitCode}`,
+          endedAt: exit.endedAt,
+          durationMs: Math.max(0, exit.endedAt - run.startedAt),
+        }));
+      })
+      .catch((err) => console.error('[ToolRunner] Exit tracking failed:', err.message));
+  }
+
+  // Launch one chain node and resolve once the tool exits, as reported by
+  // the exit-status file the terminal wrapper writes next to the log.
+  // Launches are spaced out so the terminal registers each window/tab in turn.
+  async runNode(tool, data, hooks) {
+    const opts = hooks || {};
+    const prepared = this.prepareExecution(tool, data);
+    const exitFile = exitFileFor(prepared.logFile);
+    clearExitStatus(exitFile);
+    this.clearStructuredFile(prepared.structured, prepared.logFile);
 
-      this.emitRunStatus({
+    if (this.processor && this.processor.watch) {
+      this.processor.watch(prepared.logFile, tool.parser || 'generic', {
+        target: prepared.normalizedTarget,
         toolId: tool.id,
         toolName: tool.name,
-        target: prepared.normalizedTarget,
-        command: prepared.command,
-        logFile: prepared.logFile,
-        status: 'running',
-        transport: 'pending',
-        startedAt: Date.now(),
-      });
-
-      if (this.processor && this.processor.watch) {
-        this.processor.watch(prepared.logFile, tool.parser || 'generic', {
-          target: prepared.normalizedTarget,
-          toolId: tool.id,
-          toolName: tool.name,
-          jcParser: prepared.jcParser,
-          jcEngine: prepared.jcEngine,
-          runId: prepared.runId,
-        });
-      }
+        jcParser: prepared.jcParser,
+        jcEngine: prepared.jcEngine,
+        structured: prepared.structured,
+        runId: prepared.runId,
+        engagementDir: prepared.engagementDir,
+      }, { idleMs: 0 });
+    }
 
-      const result = await this.externalStrategy.launch({
+    const launched = this.nodeLaunches.then(async () => {
+      const result = await this.strategyManagerFor(tool).launch({
+        rpc: this.rpc,
+        store: this.store,
         command: prepared.command,
-        konsoleMode: i === 0 ? 'window' : 'tab',
+        target: prepared.normalizedTarget,
+        tool,
+        logFile: prepared.logFile,
+        exitFile,
+        terminalMode: opts.terminalMode || 'tab',
       });
+      await new Promise((resolve) => setTimeout(resolve, opts.terminalMode === 'window' ? 260 : 180));
+      return result;
+    });
+    this.nodeLaunches = launched.catch(() => {});
+    const result = await launched;
 
-      if (result && result.started) {
-        this.emitRunStatus({
-          toolId: tool.id,
-          toolName: tool.name,
-          target: prepared.normalizedTarget,
-          command: prepared.command,
-          logFile: prepared.logFile,
-          status: 'started',
-          transport: result.transport,
-          pid: result.pid,
-          startedAt: Date.now(),
-        });
-      } else {
-        this.emitRunStatus({
-          toolId: tool.id,
-          toolName: tool.name,
-          target: prepared.normalizedTarget,
-          command: prepared.command,
-          logFile: prepared.logFile,
-          status: 'failed',
-          transport: (result && result.transport) || 'external_terminal',
-          error: (result && result.error) || 'unable to launch workflow command',
-          endedAt: Date.now(),
-        });
-      }
+    const info = {
+      command: prepared.command,
+      logFile: prepared.logFile,
+      transport: (result && result.transport) || 'external_terminal',
+    };
+    if (!result || !result.started) {
+      this.stopWatching(prepared.logFile);
+      return Object.assign(info, { started: false, error: (result && result.error) || 'unable to launch chain node' });
+    }
+    if (!result.exitTracked) {
+      this.stopWatching(prepared.logFile);
+      return Object.assign(info, { started: true, error: `${info.transport} cannot report when the tool exits` });
+    }
 
-      // Let Konsole fully register the window/tab before issuing the next tab request.
-      await new Promise((resolve) => setTimeout(resolve, i === 0 ? 260 : 180));
+    if (typeof opts.onStarted === 'function') opts.onStarted(info);
+    const strategy = result.strategy;
+    const exit = await waitForExitStatus(exitFile, {
+      shouldStop: () => this.stopped || (typeof opts.shouldStop === 'function' && opts.shouldStop()),
+      isAlive: strategy && typeof strategy.isAlive === 'function' ? () => strategy.isAlive(result) : null,
+      startTimeoutMs: START_TIMEOUT_MS,
+    });
+    if (exit.cancelled) {
+      this.stopWatching(prepared.logFile);
+    } else if (this.processor && this.processor.complete) {
+      this.processor.complete(prepared.logFile, exit.lost ? { lost: true } : { exitCode: exit.exitCode });
     }
+    if (exit.lost) return Object.assign(info, { started: true, error: 'process ended without reporting an exit status' });
+    return Object.assign(info, { started: true }, exit);
+  }
+
+  stopWatching(logFile) {
+    if (this.processor && this.processor.stop) this.processor.stop(logFile);
   }
 
   processQueue() {
     if (this.queue.length === 0) return;
     const next = this.queue.shift();
-    if (next.workflow) {
-      this.launchWorkflow(next.tools, next.data);
-      return;
-    }
     this.launch(next.tool, next.data);
   }
 }
@@ -1,6 +1,7 @@
 'use strict';
 
 const { spawn } = require('child_process');
+const { withExitStatus } = require('./ExitStatusFile');
 
 class DetachedShellStrategy {
   async launch(context) {
@@ -10,12 +11,14 @@ class DetachedShellStrategy {
     }
 
     try {
-      const child = spawn('bash', ['-lc', command], { detached: true, stdio: 'ignore' });
+      const tracked = context.exitFile ? withExitStatus(command, context.exitFile, 'bash') : command;
+      const child = spawn('bash', ['-lc', tracked], { detached: true, stdio: 'ignore' });
       child.unref();
       return {
         started: true,
         transport: 'detached_shell',
         pid: child.pid,
+        exitTracked: !!context.exitFile,
       };
     } catch (err) {
       return {
@@ -0,0 +1,66 @@
+'use strict';
+
+const HyperTabStrategy = require('./HyperTabStrategy');
+const ExternalTerminalStrategy = require('./ExternalTerminalStrategy');
+const DetachedShellStrategy = require('./DetachedShellStrategy');
+const TmuxStrategy = require('./TmuxStrategy');
+
+const STRATEGY_NAMES = ['hyper_tab', 'external_terminal', 'tmux', 'detached_shell'];
+
+// Used when config/execution.json is missing: the original Konsole + fish setup.
+const DEFAULT_EXECUTION = {
+  strategies: ['external_terminal'],
+  terminal: 'konsole',
+  shell: 'fish',
+  terminal_mode: 'window',
+  terminal_args: null,
+  tmux_socket: null,
+  tmux_session_prefix: 'recon',
+};
+
+// Merge the global execution config with a tool's own `execution` entry.
+// A tool may give a full object or just a strategy name.
+function resolveExecution(tool, globalConfig) {
+  const base = Object.assign({}, DEFAULT_EXECUTION, globalConfig || {});
+  const raw = tool && tool.execution;
+  const override = typeof raw === 'string' ? { strategies: [raw] } : (raw && typeof raw === 'object' ? raw : {});
+  const merged = Object.assign(base, override);
+
+  const requested = Array.isArray(merged.strategies) ? merged.strategies : [merged.strategies];
+  const strategies = requested.filter((name) => STRATEGY_NAMES.includes(name));
+  requested
+    .filter((name) => !STRATEGY_NAMES.includes(name))
+    .forEach((name) => console.error(`[ExecutionConfig] Unknown strategy "${name}" for ${(tool && tool.id) || 'default'}`));
+  merged.strategies = strategies.length > 0 ? strategies : DEFAULT_EXECUTION.strategies.slice();
+  return merged;
+}
+
+function createStrategy(name, execution) {
+  if (name === 'hyper_tab') return new HyperTabStrategy({ shell: execution.shell });
+  if (name === 'detached_shell') return new DetachedShellStrategy();
+  if (name === 'tmux') {
+    return new TmuxStrategy({
+      shell: execution.shell,
+      socket: execution.tmux_socket,
+      sessionPrefix: execution.tmux_session_prefix,
+    });
+  }
+  return new ExternalTerminalStrategy({
+    terminal: execution.terminal,
+    shell: execution.shell,
+    defaultMode: execution.terminal_mode,
+    terminalArgs: execution.terminal_args,
+  });
+}
+
+// Strategies in fallback order, ready for ExecutionStrategyManager.
+function createStrategies(execution) {
+  return execution.strategies.map((name) => createStrategy(name, execution));
+}
+
+module.exports = {
+  STRATEGY_NAMES,
+  DEFAULT_EXECUTION,
+  resolveExecution,
+  createStrategies,
+};
@@ -10,7 +10,8 @@ class ExecutionStrategyManager {
     for (const strategy of this.strategies) {
       try {
         const result = await strategy.launch(context);
-        if (result && result.started) return result;
+        // Keep the strategy so callers can ask it about the run later
+        if (result && result.started) return Object.assign({}, result, { strategy });
         lastError = result && result.error ? result.error : lastError;
       } catch (err) {
         lastError = err && err.message ? err.message : String(err);
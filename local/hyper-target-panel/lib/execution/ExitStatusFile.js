@@ -0,0 +1,128 @@
+'use strict';
+
+const fs = require('fs');
+
+// Terminal wrappers write a one-line status sidecar after the tool,
+//   <log>.exit: {"exitCode":0,"endedAt":1771567711}
+// so the panel can tell when a run launched in another process has really
+// finished, how it ended and when. Until then the sidecar holds the pid of
+// the shell running the tool, {"pid":4242}, so a run whose window was
+// closed under it can be told from one that is still going.
+function exitFileFor(logFile) {
+  return `${logFile}.exit`;
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// fish reads `\\` and `\'` inside single quotes as escapes
+function fishQuote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// `command` between the two sidecar writes: the shell's pid before it,
+// the status after. The command is quoted
+// and eval'd, so a trailing comment, `;` or heredoc cannot run into the
+// printf. A trailing `&` is dropped: the wrapper is there to wait for
+// the tool, and would otherwise record the status of backgrounding it.
+function withExitStatus(command, exitFile, shell) {
+  const cmd = String(command).replace(/\s*(^|[^&])&\s*$/, '$1');
+  const format = `'{"exitCode":%s,"endedAt":%s}\\n'`;
+  const pidFormat = `'{"pid":%s}\\n'`;
+  // Capture the status first: `date` would overwrite it
+  return shell === 'fish'
+    ? `printf ${pidFormat} $fish_pid > ${shellQuote(exitFile)}; eval ${fishQuote(cmd)}; set -l __hyper_rc $status; printf ${format} $__hyper_rc (date +%s) > ${shellQuote(exitFile)}`
+    : `printf ${pidFormat} $$ > ${shellQuote(exitFile)}; eval ${shellQuote(cmd)}; __hyper_rc=$?; printf ${format} $__hyper_rc $(date +%s) > ${shellQuote(exitFile)}`;
+}
+
+function clearExitStatus(exitFile) {
+  try {
+    fs.unlinkSync(exitFile);
+  } catch (_e) {}
+}
+
+function readSidecar(exitFile) {
+  try {
+    return JSON.parse(fs.readFileSync(exitFile, 'utf8'));
+  } catch (_e) {
+    return null;
+  }
+}
+
+// { exitCode, endedAt } with endedAt in ms, or null while the run is going
+// (or the sidecar is still half-written).
+function readExitStatus(exitFile) {
+  const parsed = readSidecar(exitFile);
+  if (!parsed || !Number.isInteger(parsed.exitCode)) return null;
+  const endedAt = Number(parsed.endedAt) > 0 ? Number(parsed.endedAt) * 1000 : Date.now();
+  return { exitCode: parsed.exitCode, endedAt };
+}
+
+// Pid of the shell running the tool, or null before it has started (and
+// once it has written its status).
+function readRunPid(exitFile) {
+  const parsed = readSidecar(exitFile);
+  return parsed && Number.isInteger(parsed.pid) && parsed.pid > 0 ? parsed.pid : null;
+}
+
+function isPidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Poll for the exit file. Resolves { exitCode, endedAt } once it holds a
+// status, { cancelled: true } as soon as shouldStop() returns true, or
+// { lost: true } when the process is gone without having written a
+// status: isAlive() says so where given (tmux), the recorded shell pid
+// otherwise. A run whose shell has not recorded its pid after
+// startTimeoutMs never started, and is lost as well.
+function waitForExitStatus(exitFile, opts) {
+  const options = opts || {};
+  const pollMs = options.pollMs || 1000;
+  const shouldStop = typeof options.shouldStop === 'function' ? options.shouldStop : () => false;
+  const isAlive = typeof options.isAlive === 'function'
+    ? options.isAlive
+    : () => {
+      const pid = readRunPid(exitFile);
+      return pid === null ? null : isPidAlive(pid);
+    };
+  const startDeadline = options.startTimeoutMs > 0 ? Date.now() + options.startTimeoutMs : Infinity;
+  let seenRunning = false;
+
+  return new Promise((resolve) => {
+    const check = async () => {
+      if (shouldStop()) {
+        resolve({ cancelled: true });
+        return;
+      }
+      const status = readExitStatus(exitFile);
+      if (status) {
+        resolve(status);
+        return;
+      }
+      const alive = await isAlive();
+      if (alive) seenRunning = true;
+      if (alive === false || (!seenRunning && Date.now() >= startDeadline)) {
+        resolve(readExitStatus(exitFile) || { lost: true });
+        return;
+      }
+      setTimeout(check, pollMs);
+    };
+    check();
+  });
+}
+
+module.exports = {
+  exitFileFor,
+  withExitStatus,
+  clearExitStatus,
+  readExitStatus,
+  readRunPid,
+  isPidAlive,
+  waitForExitStatus,
+};
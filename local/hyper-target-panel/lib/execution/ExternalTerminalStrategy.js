@@ -1,6 +1,8 @@
 'use strict';
 
 const { spawn } = require('child_process');
+const { withExitStatus } = require('./ExitStatusFile');
+const { terminalArgs } = require('./TerminalProfiles');
 
 function fishCommand(command) {
   return `${command}; echo; echo "[hyper-target-panel] command finished"; exec fish`;
@@ -16,6 +18,12 @@ function launchWith(bin, args) {
         done = true;
         resolve({ started: false, error: err.message });
       });
+      // Terminals that refuse the request (e.g. tmux without a server) exit at once
+      child.once('exit', (code) => {
+        if (done || !code) return;
+        done = true;
+        resolve({ started: false, error: `${bin} exited with code ${code}` });
+      });
       child.unref();
       setTimeout(() => {
         if (done) return;
@@ -34,6 +42,7 @@ class ExternalTerminalStrategy {
     this.shell = options.shell || 'fish';
     this.terminal = options.terminal || 'konsole';
     this.defaultMode = options.defaultMode || 'window';
+    this.terminalArgs = options.terminalArgs || null;
   }
 
   async launch(context) {
@@ -42,17 +51,13 @@ class ExternalTerminalStrategy {
       return { started: false, transport: 'external_terminal', error: 'missing command' };
     }
 
+    // Record the tool's exit status before anything else touches it
+    const tracked = context.exitFile ? withExitStatus(command, context.exitFile, this.shell) : command;
     const wrapped = this.shell === 'fish'
-      ? fishCommand(command)
-      : `${command}; echo; echo "[hyper-target-panel] command finished"`;
-    const mode = (context && context.konsoleMode) || this.defaultMode;
-    const args = [];
-    if (mode === 'tab') {
-      args.push('--new-tab');
-    } else {
-      args.push('--separate');
-    }
-    args.push('-e', this.shell, '-ic', wrapped);
+      ? fishCommand(tracked)
+      : `${tracked}; echo; echo "[hyper-target-panel] command finished"`;
+    const mode = (context && context.terminalMode) || this.defaultMode;
+    const args = terminalArgs(this.terminal, mode, [this.shell, '-ic', wrapped], this.terminalArgs);
 
     const result = await launchWith(this.terminal, args);
     if (result.started) {
@@ -60,6 +65,7 @@ class ExternalTerminalStrategy {
         started: true,
         transport: 'external_terminal',
         pid: result.pid,
+        exitTracked: !!context.exitFile,
       };
     }
     return {
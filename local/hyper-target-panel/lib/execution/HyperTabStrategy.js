@@ -1,5 +1,7 @@
 'use strict';
 
+const { withExitStatus } = require('./ExitStatusFile');
+
 function collectSessionUids(state) {
   if (!state || typeof state !== 'object') return new Set();
   const uids = new Set();
@@ -41,12 +43,17 @@ class HyperTabStrategy {
   constructor(opts) {
     this.timeoutMs = (opts && opts.timeoutMs) || 2800;
     this.pollMs = (opts && opts.pollMs) || 80;
+    // Shell of new Hyper sessions; decides the exit-status syntax
+    this.shell = (opts && opts.shell) || 'bash';
   }
 
   async launch(context) {
     const rpc = context && context.rpc;
     const store = context && context.store;
-    const command = context && context.command;
+    const exitFile = context && context.exitFile;
+    const command = context && context.command && exitFile
+      ? withExitStatus(context.command, exitFile, this.shell)
+      : context && context.command;
 
     if (!rpc || !store || !command) {
       return { started: false, transport: 'hyper_new_tab', error: 'missing rpc/store/command' };
@@ -91,6 +98,7 @@ class HyperTabStrategy {
             started: true,
             transport: 'hyper_new_tab',
             sessionUid: uid || null,
+            exitTracked: !!exitFile,
           });
         };
 
@@ -153,6 +161,7 @@ class HyperTabStrategy {
           started: true,
           transport: 'hyper_new_tab',
           sessionUid: targetUid,
+          exitTracked: !!exitFile,
         };
       }
     }
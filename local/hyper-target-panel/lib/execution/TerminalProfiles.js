@@ -0,0 +1,29 @@
+'use strict';
+
+// How each terminal emulator is told to open a window (or tab) running a
+// program. The program argv ([shell, '-ic', command]) is appended last.
+const TERMINAL_PROFILES = {
+  konsole: { window: ['--separate', '-e'], tab: ['--new-tab', '-e'] },
+  'gnome-terminal': { window: ['--window', '--'], tab: ['--tab', '--'] },
+  xterm: { window: ['-e'] },
+  alacritty: { window: ['-e'] },
+  kitty: { window: ['--'] },
+  tmux: { window: ['new-window'], tab: ['new-window'] },
+};
+
+function terminalProfile(terminal, custom) {
+  if (custom && Array.isArray(custom.window)) return custom;
+  return TERMINAL_PROFILES[terminal] || { window: ['-e'] };
+}
+
+// Terminals without tabs open a window instead.
+function terminalArgs(terminal, mode, program, custom) {
+  const profile = terminalProfile(terminal, custom);
+  const prefix = mode === 'tab' && Array.isArray(profile.tab) ? profile.tab : profile.window;
+  return prefix.concat(program);
+}
+
+module.exports = {
+  TERMINAL_PROFILES,
+  terminalArgs,
+};
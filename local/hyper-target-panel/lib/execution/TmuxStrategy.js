@@ -0,0 +1,91 @@
+'use strict';
+
+const { execFile } = require('child_process');
+const { withExitStatus } = require('./ExitStatusFile');
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+function tmuxName(value) {
+  return String(value || 'target').replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+// Each run gets a named window in a per-target tmux session, so long scans
+// keep going (and stay attachable) when Hyper restarts. Output of tools that
+// do not write {log_file} themselves is piped from the pane into the log.
+class TmuxStrategy {
+  constructor(opts) {
+    const options = opts || {};
+    this.bin = options.bin || 'tmux';
+    this.socket = options.socket || null;
+    this.sessionPrefix = options.sessionPrefix || 'recon';
+    this.shell = options.shell || 'bash';
+  }
+
+  tmux(args) {
+    const argv = this.socket ? ['-L', this.socket].concat(args) : args;
+    return new Promise((resolve) => {
+      execFile(this.bin, argv, { timeout: 5000 }, (err, stdout, stderr) => {
+        if (err) {
+          resolve({ ok: false, error: String(stderr || err.message).trim() });
+          return;
+        }
+        resolve({ ok: true, stdout: String(stdout).trim() });
+      });
+    });
+  }
+
+  sessionName(target) {
+    return `${this.sessionPrefix}_${tmuxName(target)}`;
+  }
+
+  async launch(context) {
+    const command = context && context.command;
+    if (!command) {
+      return { started: false, transport: 'tmux', error: 'missing command' };
+    }
+
+    const session = this.sessionName(context.target);
+    const windowName = tmuxName((context.tool && context.tool.id) || 'run');
+    const channel = `hyper_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const tracked = context.exitFile ? withExitStatus(command, context.exitFile, this.shell) : command;
+    // Hold the tool until the log pipe is attached so no output is lost
+    const program = [this.shell, '-ic', `tmux wait-for ${channel}; ${tracked}`];
+
+    const hasSession = await this.tmux(['has-session', '-t', `=${session}`]);
+    const created = hasSession.ok
+      ? await this.tmux(['new-window', '-d', '-P', '-F', '#{window_id} #{pane_id}', '-t', `${session}:`, '-n', windowName].concat(program))
+      : await this.tmux(['new-session', '-d', '-P', '-F', '#{window_id} #{pane_id}', '-s', session, '-n', windowName].concat(program));
+    if (!created.ok) {
+      return { started: false, transport: 'tmux', error: created.error || 'tmux could not create a window' };
+    }
+
+    const [windowId, paneId] = created.stdout.split(' ');
+    // Keep the finished pane around for review and for isAlive()
+    await this.tmux(['set-option', '-w', '-t', windowId, 'remain-on-exit', 'on']);
+    const logFile = context.logFile;
+    if (logFile && !command.includes(logFile)) {
+      await this.tmux(['pipe-pane', '-t', paneId, '-o', `cat >> ${shellQuote(logFile)}`]);
+    }
+    await this.tmux(['wait-for', '-S', channel]);
+
+    return {
+      started: true,
+      transport: 'tmux',
+      session,
+      windowId,
+      paneId,
+      exitTracked: !!context.exitFile,
+    };
+  }
+
+  // True while the process in the run's pane is still running.
+  async isAlive(launchResult) {
+    if (!launchResult || !launchResult.paneId) return false;
+    const res = await this.tmux(['display-message', '-p', '-t', launchResult.paneId, '#{pane_dead}']);
+    return res.ok && res.stdout === '0';
+  }
+}
+
+module.exports = TmuxStrategy;
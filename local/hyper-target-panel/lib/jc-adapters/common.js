@@ -4,6 +4,10 @@ const DOMAIN_RE = /\b(?:[a-zA-Z0-9-]+\.)+[a-zA-Z]{2,}\b/g;
 const URL_RE = /https?:\/\/[^\s"'<>]+/g;
 const CVE_RE = /\bCVE-\d{4}-\d{4,7}\b/gi;
 const PORT_RE = /\b(\d{1,5})\/(tcp|udp)\b/i;
+// "common.txt", "index.php": file names DOMAIN_RE would take for domains
+const FILE_NAME_RE = /\.(?:txt|php|html?|xml|xsl|ya?ml|json|js|css|bak|log|aspx?|jsp|cgi|conf|ini|gz|zip)$/i;
+// Closing punctuation written around a URL, not part of it
+const URL_TRAILER_RE = /[)\]}>,.;:]+$/;
 
 function uniq(items) {
   return Array.from(new Set((items || []).filter(Boolean).map((v) => String(v).trim())));
@@ -25,16 +29,14 @@ function matchAll(text, re) {
   return out;
 }
 
+// The path as the tool printed it: URL parsing would resolve dot
+// segments, and "/.%2e/" is the finding in a traversal
 function normalizePath(value) {
   const raw = String(value || '').trim();
   if (!raw) return null;
   if (raw.startsWith('http://') || raw.startsWith('https://')) {
-    try {
-      const u = new URL(raw);
-      return u.pathname || '/';
-    } catch (_e) {
-      return null;
-    }
+    const m = raw.match(/^https?:\/\/[^/?#\s]+([^?#\s]*)/);
+    return m ? m[1] || '/' : null;
   }
   if (raw.startsWith('/')) return raw;
   return null;
@@ -42,9 +44,9 @@ function normalizePath(value) {
 
 function baseOutput(parser, raw, records, extra) {
   const text = String(raw || '');
-  const allDomains = uniq(matchAll(text, DOMAIN_RE));
+  const allDomains = uniq(matchAll(text, DOMAIN_RE).filter((d) => !FILE_NAME_RE.test(d)));
   const allCves = uniq(matchAll(text, CVE_RE).map((v) => v.toUpperCase()));
-  const allUrls = uniq(matchAll(text, URL_RE));
+  const allUrls = uniq(matchAll(text, URL_RE).map((u) => u.replace(URL_TRAILER_RE, '')));
   const findings = Object.assign({
     ports: [],
     vulns: allCves,
@@ -80,12 +82,50 @@ function extractPortToken(line) {
   return `${port}/${String(m[2] || '').toLowerCase()}`;
 }
 
+function mergeLists(prev, next) {
+  const out = Object.assign({}, prev);
+  Object.keys(next || {}).forEach((key) => {
+    out[key] = Array.isArray(next[key]) ? uniq((out[key] || []).concat(next[key])) : next[key];
+  });
+  return out;
+}
+
+// Fold the output for a newly appended chunk into the run's output so far.
+// Counts backed by the merged lists are recomputed; other numeric summary
+// fields are added up and may over-count until the final full pass.
+function mergeOutputs(prev, next) {
+  if (!prev) return next;
+  if (!next) return prev;
+
+  const records = (prev.records || []).concat(next.records || []);
+  const derived = mergeLists(prev.derived, next.derived);
+  const summary = Object.assign({}, prev.summary);
+  Object.keys(next.summary || {}).forEach((key) => {
+    const value = next.summary[key];
+    summary[key] = typeof value === 'number' && typeof summary[key] === 'number' ? summary[key] + value : value;
+  });
+  Object.assign(summary, {
+    record_count: records.length,
+    domain_count: (derived.domains || []).length,
+    url_count: (derived.urls || []).length,
+    vuln_count: (derived.cves || []).length,
+  });
+
+  return Object.assign({}, prev, {
+    summary,
+    findings: mergeLists(prev.findings, next.findings),
+    records,
+    derived,
+  });
+}
+
 module.exports = {
   uniq,
   lines,
   matchAll,
   normalizePath,
   baseOutput,
+  mergeOutputs,
   extractPortToken,
   DOMAIN_RE,
   URL_RE,
@@ -15,7 +15,7 @@ function parse(raw) {
     if (u) {
       try {
         const url = new URL(u[0]);
-        const path = normalizePath(url.pathname);
+        const path = normalizePath(u[0]);
         if (path) paths.push(path);
       } catch (_e) {}
     }
@@ -14,7 +14,7 @@ function parse(raw) {
     if (m) {
       try {
         const u = new URL(m[2]);
-        const path = normalizePath(u.pathname);
+        const path = normalizePath(m[2]);
         if (path) paths.push(path);
         records.push({ type: 'path', status: Number(m[1]), path: path || u.pathname });
       } catch (_e) {}
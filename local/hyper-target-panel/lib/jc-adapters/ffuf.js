@@ -17,7 +17,7 @@ function parseJson(raw) {
       try {
         const u = new URL(url);
         domains.push(u.hostname);
-        const path = normalizePath(u.pathname);
+        const path = normalizePath(url);
         if (path) paths.push(path);
       } catch (_e) {}
       records.push({
@@ -42,21 +42,31 @@ function parseJson(raw) {
 function parseText(raw) {
   const records = [];
   const paths = [];
+  const textLines = lines(raw);
+  // ":: URL : http://host/FUZZ", for where each word was requested
+  let urlTemplate = null;
 
-  lines(raw).forEach((line) => {
+  textLines.forEach((line, i) => {
     const trimmed = line.trim();
     if (!trimmed) return;
 
-    const m = trimmed.match(/\[Status:\s*(\d+),.*\]\s+(\S+)/i);
+    const header = trimmed.match(/^::\s*URL\s*:\s*(\S+)/i);
+    if (header) {
+      urlTemplate = header[1];
+      return;
+    }
+
+    // The word is before the brackets, after them, or on the
+    // "* FUZZ:" line that follows
+    const m = trimmed.match(/^(\S*)\s*\[Status:\s*(\d+),[^\]]*\][ \t]*(\S*)/i);
     if (m) {
-      const target = m[2];
-      let path = null;
-      try {
-        const u = new URL(target);
-        path = normalizePath(u.pathname);
-      } catch (_e) {}
+      const next = (textLines[i + 1] || '').match(/^\s*\*\s+FUZZ:\s+(\S+)/);
+      const target = m[1] || m[3] || (next && next[1]);
+      if (!target) return;
+      const url = /^https?:\/\//.test(target) ? target : urlTemplate && urlTemplate.replace('FUZZ', target);
+      const path = normalizePath(url);
       if (path) paths.push(path);
-      records.push({ type: 'result', status: Number(m[1]), target, path });
+      records.push({ type: 'result', status: Number(m[2]), target, url: url || null, path });
     }
   });
 
@@ -22,7 +22,7 @@ function parse(raw) {
     if (alt) {
       try {
         const u = new URL(alt[1]);
-        const path = normalizePath(u.pathname);
+        const path = normalizePath(alt[1]);
         if (path) paths.push(path);
         records.push({ type: 'path', path: path || '/', status: null });
       } catch (_e) {}
@@ -39,4 +39,4 @@ function parse(raw) {
   });
 }
 
-module.exports = { parse };
+module.exports = { parse, incremental: true };
@@ -6,4 +6,4 @@ function parse(raw, context) {
   return family.parse(raw, context || {});
 }
 
-module.exports = { parse };
+module.exports = { parse, incremental: family.incremental };
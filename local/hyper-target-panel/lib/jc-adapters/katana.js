@@ -27,7 +27,7 @@ function parse(raw) {
     try {
       const u = new URL(url);
       domains.push(u.hostname);
-      const p = normalizePath(u.pathname);
+      const p = normalizePath(url);
       if (p) paths.push(p);
       records.push({ type: 'url', url, host: u.hostname, path: p || '/' });
     } catch (_e) {
@@ -46,4 +46,4 @@ function parse(raw) {
   });
 }
 
-module.exports = { parse };
+module.exports = { parse, incremental: true };
@@ -11,11 +11,15 @@ function parse(raw) {
     const trimmed = line.trim();
     if (!trimmed) return;
 
-    const p = trimmed.match(/\+\s+([^:\s]+):\s*(.*)$/);
+    // "+ /path: detail" or "+ OSVDB-3233: /path: detail"; banner lines
+    // ("+ Server: ...") name no path and are not findings
+    const p = trimmed.match(/^\+\s+(?:(OSVDB-\d+):\s+)?(\/\S*?):\s+(.*)$/);
     if (p) {
-      const path = normalizePath(p[1]);
+      const path = normalizePath(p[2]);
       if (path) paths.push(path);
-      records.push({ type: 'finding', path: path || p[1], detail: p[2] || '' });
+      const record = { type: 'finding', path, detail: p[3] };
+      if (p[1]) record.id = p[1];
+      records.push(record);
     }
 
     const cves = trimmed.match(/\bCVE-\d{4}-\d{4,7}\b/gi) || [];
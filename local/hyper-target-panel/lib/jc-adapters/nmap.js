@@ -1,5 +1,6 @@
 'use strict';
 
+const net = require('net');
 const { lines, uniq, baseOutput, extractPortToken } = require('./common');
 
 function parse(raw) {
@@ -12,6 +13,12 @@ function parse(raw) {
     const trimmed = line.trim();
     if (!trimmed) return;
 
+    const host = trimmed.match(/^Nmap scan report for (\S+)(?: \(([^)]+)\))?$/);
+    // A bare address names no host
+    if (host && (host[2] || !net.isIP(host[1]))) {
+      records.push({ type: 'host', hostname: host[1], ips: host[2] ? [host[2]] : [] });
+    }
+
     const p = extractPortToken(trimmed);
     if (p && /\bopen\b/i.test(trimmed)) {
       ports.push(p);
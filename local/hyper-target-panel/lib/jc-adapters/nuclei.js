@@ -24,7 +24,7 @@ function parse(raw) {
           try {
             const u = new URL(target);
             domains.push(u.hostname);
-            const p = normalizePath(u.pathname);
+            const p = normalizePath(target);
             if (p) paths.push(p);
           } catch (_e) {}
         }
@@ -44,7 +44,7 @@ function parse(raw) {
         try {
           const u = new URL(target);
           domains.push(u.hostname);
-          const p = normalizePath(u.pathname);
+          const p = normalizePath(target);
           if (p) paths.push(p);
         } catch (_e) {}
       }
@@ -68,4 +68,4 @@ function parse(raw) {
   });
 }
 
-module.exports = { parse };
+module.exports = { parse, incremental: true };
@@ -20,4 +20,4 @@ function parse(raw) {
   });
 }
 
-module.exports = { parse };
+module.exports = { parse, incremental: true };
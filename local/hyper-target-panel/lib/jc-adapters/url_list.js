@@ -17,7 +17,7 @@ function parse(raw) {
     try {
       const u = new URL(trimmed);
       domains.push(u.hostname);
-      const p = normalizePath(u.pathname);
+      const p = normalizePath(trimmed);
       if (p) paths.push(p);
       records.push({ type: 'url', url: trimmed, host: u.hostname, path: p || '/' });
     } catch (_e) {
@@ -36,4 +36,4 @@ function parse(raw) {
   });
 }
 
-module.exports = { parse };
+module.exports = { parse, incremental: true };
@@ -17,7 +17,7 @@ function parse(raw) {
       try {
         const u = new URL(target);
         domains.push(u.hostname);
-        const p = normalizePath(u.pathname);
+        const p = normalizePath(target);
         if (p) paths.push(p);
       } catch (_e) {}
       records.push({ type: 'target', value: target });
@@ -23,6 +23,13 @@ class AdapterRunner {
     }
   }
 
+  // Line-oriented adapters set `incremental: true`: parsing appended chunks
+  // separately and merging the results matches parsing the whole log.
+  isIncremental(parser) {
+    const mod = this.load(parser);
+    return !!(mod && mod.incremental);
+  }
+
   parse(parser, rawText, context) {
     const mod = this.load(parser);
     if (!mod) return { ok: false, error: `missing adapter parser: ${parser}` };
@@ -0,0 +1,111 @@
+'use strict';
+
+const path = require('path');
+const { fork } = require('child_process');
+const { createSnapshotHandler } = require('./SnapshotWorker');
+
+// A few forked SnapshotWorker processes, so jc and adapter parsing (including
+// JcRunner's synchronous python call) never blocks the renderer. Jobs for the
+// same run always go to the same worker, which keeps that run's incremental
+// state. If forking fails the jobs run in-process instead.
+class SnapshotPool {
+  constructor(opts) {
+    const options = opts || {};
+    this.size = options.size || 1;
+    this.workerPath = options.workerPath || path.join(__dirname, 'SnapshotWorker.js');
+    this.workers = [];
+    this.assigned = new Map();
+    this.nextSlot = 0;
+    this.seq = 0;
+    this.fallback = null;
+  }
+
+  run(job) {
+    const worker = this.workerFor(job.key);
+    if (!worker) {
+      if (!this.fallback) this.fallback = createSnapshotHandler();
+      return Promise.resolve(this.fallback(job));
+    }
+
+    return new Promise((resolve) => {
+      const id = ++this.seq;
+      worker.pending.set(id, resolve);
+      this.setBusy(worker, true);
+      worker.child.send({ id, job });
+    });
+  }
+
+  // Drop a run's incremental state without a final pass.
+  release(key) {
+    if (!this.assigned.has(key)) return;
+    this.run({ type: 'release', key });
+    this.assigned.delete(key);
+  }
+
+  dispose() {
+    this.workers.forEach((worker) => {
+      if (worker) worker.child.kill();
+    });
+    this.workers = [];
+    this.assigned.clear();
+  }
+
+  workerFor(key) {
+    const assignedSlot = this.assigned.get(key);
+    if (assignedSlot !== undefined && this.workers[assignedSlot]) return this.workers[assignedSlot];
+
+    const slot = this.nextSlot;
+    this.nextSlot = (this.nextSlot + 1) % this.size;
+    const worker = this.workers[slot] || this.spawn(slot);
+    if (worker && key) this.assigned.set(key, slot);
+    return worker;
+  }
+
+  spawn(slot) {
+    let child;
+    try {
+      child = fork(this.workerPath, [], {
+        // Hyper's execPath is Electron; make it behave like plain node
+        env: Object.assign({}, process.env, { ELECTRON_RUN_AS_NODE: '1' }),
+        stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+      });
+    } catch (e) {
+      console.error('[SnapshotPool] Failed to start worker:', e.message);
+      return null;
+    }
+
+    const worker = { child, pending: new Map() };
+    child.on('message', (msg) => {
+      const resolve = msg && worker.pending.get(msg.id);
+      if (!resolve) return;
+      worker.pending.delete(msg.id);
+      if (worker.pending.size === 0) this.setBusy(worker, false);
+      resolve(msg.result || { ok: false, error: 'empty worker reply' });
+    });
+    const onGone = (err) => {
+      if (this.workers[slot] !== worker) return;
+      if (err) console.error('[SnapshotPool] Worker failed:', err.message);
+      this.workers[slot] = null;
+      for (const [key, assignedSlot] of this.assigned) {
+        if (assignedSlot === slot) this.assigned.delete(key);
+      }
+      worker.pending.forEach((resolve) => resolve({ ok: false, error: 'snapshot worker exited' }));
+      worker.pending.clear();
+    };
+    child.on('error', onGone);
+    child.on('exit', () => onGone(null));
+
+    this.workers[slot] = worker;
+    this.setBusy(worker, false);
+    return worker;
+  }
+
+  // An idle worker must not keep the host process alive.
+  setBusy(worker, busy) {
+    const method = busy ? 'ref' : 'unref';
+    worker.child[method]();
+    if (worker.child.channel) worker.child.channel[method]();
+  }
+}
+
+module.exports = SnapshotPool;
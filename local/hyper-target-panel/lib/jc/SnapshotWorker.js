@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const JcRunner = require('./JcRunner');
+const AdapterRunner = require('./AdapterRunner');
+const { mergeOutputs } = require('../jc-adapters/common');
+
+// Parses jc snapshots of run logs away from the renderer. Jobs look like
+//   { type: 'update' | 'final' | 'release', key, filePath, parser, engine, context }
+// An update of an incremental adapter only reads the bytes appended since
+// the previous one and merges them in; anything else re-parses the whole
+// log. `final` always does a full pass and then forgets the run.
+function createSnapshotHandler(opts) {
+  const options = opts || {};
+  const jcRunner = options.jcRunner || new JcRunner();
+  const adapterRunner = options.adapterRunner || new AdapterRunner();
+  const runs = new Map();
+
+  function fullPass(job) {
+    const content = fs.readFileSync(job.filePath, 'utf8');
+    if (!content) return { ok: false, error: 'empty log' };
+    return job.engine === 'adapter'
+      ? adapterRunner.parse(job.parser, content, job.context || {})
+      : jcRunner.parse(job.parser, content);
+  }
+
+  function readAppended(run, filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      if (size < run.pos) return null;
+      const buffer = Buffer.alloc(size - run.pos);
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, run.pos);
+      run.pos += bytesRead;
+      return run.decoder.write(buffer.subarray(0, bytesRead));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function newRun() {
+    return { pos: 0, remainder: '', decoder: new StringDecoder('utf8'), data: null };
+  }
+
+  function update(job) {
+    if (job.engine !== 'adapter' || !adapterRunner.isIncremental(job.parser)) return fullPass(job);
+
+    let run = runs.get(job.key) || newRun();
+    let text = readAppended(run, job.filePath);
+    if (text === null) {
+      // Truncated or overwritten: start over
+      run = newRun();
+      text = readAppended(run, job.filePath);
+    }
+    runs.set(job.key, run);
+
+    const content = run.remainder + text;
+    const lastNewline = content.lastIndexOf('\n');
+    run.remainder = lastNewline === -1 ? content : content.slice(lastNewline + 1);
+    if (lastNewline !== -1) {
+      const result = adapterRunner.parse(job.parser, content.slice(0, lastNewline + 1), job.context || {});
+      if (!result.ok) return result;
+      run.data = mergeOutputs(run.data, result.data);
+    }
+    return run.data ? { ok: true, parser: job.parser, data: run.data } : { ok: false, error: 'no complete lines yet' };
+  }
+
+  return function handle(job) {
+    try {
+      if (job.type === 'release') {
+        runs.delete(job.key);
+        return { ok: true };
+      }
+      if (job.type === 'final') {
+        runs.delete(job.key);
+        return fullPass(job);
+      }
+      return update(job);
+    } catch (e) {
+      return { ok: false, error: e && e.message ? e.message : String(e) };
+    }
+  };
+}
+
+if (require.main === module && typeof process.send === 'function') {
+  const handle = createSnapshotHandler();
+  process.on('message', (msg) => {
+    process.send({ id: msg.id, result: handle(msg.job) });
+  });
+}
+
+module.exports = { createSnapshotHandler };
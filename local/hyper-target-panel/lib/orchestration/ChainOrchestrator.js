@@ -0,0 +1,226 @@
+'use strict';
+
+const { compileWorkflow } = require('./GraphCompiler');
+
+const TERMINAL_STATES = new Set(['succeeded', 'failed', 'skipped', 'stopped']);
+const RETRYABLE_STATES = new Set(['failed', 'skipped', 'stopped']);
+const MAX_CHAINS = 10;
+
+// Runs a workflow as a dependency graph: nodes whose upstream tools have all
+// succeeded start in parallel (up to maxParallel), a failed upstream skips its
+// dependants, and every node state change is written to the store's runs.
+//
+// `runner` must provide runNode(tool, data, hooks) resolving once the tool has
+// exited, with { started, exitCode, error, cancelled } (see ToolRunner).
+class ChainOrchestrator {
+  constructor(opts) {
+    const options = opts || {};
+    this.runner = options.runner;
+    this.store = options.store || null;
+    this.onChange = typeof options.onChange === 'function' ? options.onChange : null;
+    this.maxParallel = options.maxParallel || 3;
+    this.chains = [];
+    this.disposed = false;
+  }
+
+  start(workflow, tools, data) {
+    const runData = data && typeof data === 'object' ? data : { target: data };
+    const target = String(runData.target || '').trim();
+    if (!target || target === 'None') {
+      return { ok: false, errors: ['set a target before starting a chain'] };
+    }
+
+    const active = this.chains.find((c) => c.status === 'running' && c.workflowId === workflow.id && c.target === target);
+    if (active) return { ok: true, chainId: active.id, existing: true };
+
+    const compiled = compileWorkflow(workflow, tools);
+    if (!compiled.ok) return { ok: false, errors: compiled.errors.map((e) => e.message) };
+
+    const byId = new Map(compiled.nodes.map((n) => [n.nodeId, n]));
+    const chain = {
+      id: `chain_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      workflowId: workflow.id,
+      workflowName: workflow.name || workflow.id,
+      target,
+      data: runData,
+      tools: new Map((tools || []).map((t) => [t.id, t])),
+      status: 'running',
+      // Keeps writing to the store it started with across workspace switches
+      store: this.store,
+      launched: 0,
+      startedAt: Date.now(),
+      endedAt: null,
+      nodes: compiled.order.map((id) => Object.assign({}, byId.get(id), {
+        status: 'queued',
+        attempt: 1,
+        reason: null,
+        startedAt: null,
+        endedAt: null,
+        exitCode: null,
+      })),
+    };
+
+    this.chains.unshift(chain);
+    this.chains.splice(MAX_CHAINS);
+    chain.nodes.forEach((node) => this.persist(chain, node));
+    this.schedule(chain);
+    return { ok: true, chainId: chain.id };
+  }
+
+  getChain(chainId) {
+    return this.chains.find((c) => c.id === chainId) || null;
+  }
+
+  getChains(target) {
+    return target ? this.chains.filter((c) => c.target === target) : this.chains.slice();
+  }
+
+  // Stop scheduling. Tools already running keep their terminal open but
+  // their nodes are marked stopped; nodes that never started are skipped.
+  // A retry logs to a file of its own, so a stopped copy still running
+  // cannot write into it or end it.
+  stop(chainId) {
+    const chain = this.getChain(chainId);
+    if (!chain || chain.status !== 'running') return false;
+    for (const node of chain.nodes) {
+      if (node.status === 'running') {
+        this.transition(chain, node, 'stopped', { reason: 'stopped by user', endedAt: Date.now() });
+      } else if (node.status === 'queued') {
+        this.transition(chain, node, 'skipped', { reason: 'chain stopped' });
+      }
+    }
+    this.finish(chain, 'stopped');
+    return true;
+  }
+
+  // Re-queue a node that did not succeed, together with the dependants that
+  // were skipped or stopped because of it, and resume the chain.
+  retryNode(chainId, nodeId) {
+    const chain = this.getChain(chainId);
+    const node = chain && chain.nodes.find((n) => n.nodeId === nodeId);
+    if (!node || !RETRYABLE_STATES.has(node.status)) return false;
+
+    const reset = new Set([nodeId]);
+    for (const n of chain.nodes) {
+      if (n.dependsOn.some((dep) => reset.has(dep)) && (n.status === 'skipped' || n.status === 'stopped')) {
+        reset.add(n.nodeId);
+      }
+    }
+
+    chain.status = 'running';
+    chain.endedAt = null;
+    for (const n of chain.nodes) {
+      if (!reset.has(n.nodeId)) continue;
+      n.attempt += 1;
+      this.transition(chain, n, 'queued', { reason: null, startedAt: null, endedAt: null, exitCode: null });
+    }
+    this.schedule(chain);
+    return true;
+  }
+
+  // Called on unmount: stop polling for exits. Nodes still running stay
+  // `running` in the store and are marked interrupted on the next start.
+  dispose() {
+    this.disposed = true;
+  }
+
+  schedule(chain) {
+    if (chain.status !== 'running' || this.disposed) return;
+    let running = chain.nodes.filter((n) => n.status === 'running').length;
+
+    // Nodes are in topological order, so one pass cascades skips downstream.
+    for (const node of chain.nodes) {
+      if (node.status !== 'queued') continue;
+      const deps = node.dependsOn.map((id) => chain.nodes.find((n) => n.nodeId === id));
+      const blocker = deps.find((d) => TERMINAL_STATES.has(d.status) && d.status !== 'succeeded');
+      if (blocker) {
+        this.transition(chain, node, 'skipped', { reason: `dependency ${blocker.nodeId} ${blocker.status}` });
+        continue;
+      }
+      if (!deps.every((d) => d.status === 'succeeded') || running >= this.maxParallel) continue;
+      running += 1;
+      this.runNode(chain, node);
+    }
+
+    if (chain.nodes.every((n) => TERMINAL_STATES.has(n.status))) {
+      this.finish(chain, chain.nodes.every((n) => n.status === 'succeeded') ? 'succeeded' : 'failed');
+    }
+  }
+
+  runNode(chain, node) {
+    const attempt = node.attempt;
+    const isCurrent = () => !this.disposed && node.attempt === attempt && node.status === 'running';
+    const tool = chain.tools.get(node.toolId);
+    this.transition(chain, node, 'running', { startedAt: Date.now(), reason: null });
+
+    Promise.resolve()
+      .then(() => this.runner.runNode(tool, chain.data, {
+        terminalMode: chain.launched++ === 0 ? 'window' : 'tab',
+        shouldStop: () => !isCurrent(),
+        onStarted: (info) => {
+          if (isCurrent()) this.transition(chain, node, 'running', info);
+        },
+      }))
+      .then((result) => {
+        if (!isCurrent() || !result || result.cancelled) return;
+        if (!result.started) {
+          this.transition(chain, node, 'failed', { reason: result.error || 'unable to launch', endedAt: Date.now() });
+          return;
+        }
+        const ok = result.exitCode === 0;
+        this.transition(chain, node, ok ? 'succeeded' : 'failed', {
+          exitCode: Number.isInteger(result.exitCode) ? result.exitCode : null,
+          reason: ok ? null : result.error || `exit ${result.exitCode}`,
+          endedAt: result.endedAt || Date.now(),
+        });
+      })
+      .catch((err) => {
+        if (!isCurrent()) return;
+        this.transition(chain, node, 'failed', { reason: err && err.message ? err.message : String(err), endedAt: Date.now() });
+      })
+      .then(() => this.schedule(chain));
+  }
+
+  transition(chain, node, status, extra) {
+    Object.assign(node, extra || {}, { status });
+    this.persist(chain, node);
+    this.emit(chain);
+  }
+
+  finish(chain, status) {
+    chain.status = status;
+    chain.endedAt = Date.now();
+    this.emit(chain);
+  }
+
+  persist(chain, node) {
+    const store = chain.store || this.store;
+    if (!store || typeof store.recordChainNode !== 'function') return;
+    try {
+      store.recordChainNode({
+        chainId: chain.id,
+        nodeId: node.nodeId,
+        attempt: node.attempt,
+        target: chain.target,
+        toolId: node.toolId,
+        toolName: node.toolName,
+        command: node.command,
+        transport: node.transport,
+        status: node.status,
+        error: node.reason,
+        exitCode: node.exitCode,
+        logFile: node.logFile,
+        startedAt: node.startedAt,
+        endedAt: node.endedAt,
+      });
+    } catch (e) {
+      console.error('[ChainOrchestrator] Failed to persist node state:', e.message);
+    }
+  }
+
+  emit(chain) {
+    if (this.onChange) this.onChange(chain);
+  }
+}
+
+module.exports = ChainOrchestrator;
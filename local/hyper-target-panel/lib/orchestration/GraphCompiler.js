@@ -0,0 +1,102 @@
+'use strict';
+
+const { extractDeps } = require('../WorkflowVerifier');
+
+// Depth-first search with white/grey/black colouring; returns the first cycle
+// found as a list of tool ids ending where it started, or null.
+function findCycle(nodes) {
+  const byId = new Map(nodes.map((n) => [n.nodeId, n]));
+  const color = new Map();
+  const stack = [];
+
+  const visit = (id) => {
+    color.set(id, 'grey');
+    stack.push(id);
+    for (const dep of byId.get(id).dependsOn) {
+      if (color.get(dep) === 'grey') return stack.slice(stack.indexOf(dep)).concat(dep);
+      if (!color.has(dep)) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    color.set(id, 'black');
+    return null;
+  };
+
+  for (const node of nodes) {
+    if (color.has(node.nodeId)) continue;
+    const cycle = visit(node.nodeId);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Kahn's algorithm, ties broken by workflow order so runs are deterministic.
+function topologicalOrder(nodes) {
+  const pending = new Map(nodes.map((n) => [n.nodeId, new Set(n.dependsOn)]));
+  const order = [];
+  while (pending.size > 0) {
+    const ready = nodes.find((n) => pending.has(n.nodeId) && pending.get(n.nodeId).size === 0);
+    if (!ready) break;
+    order.push(ready.nodeId);
+    pending.delete(ready.nodeId);
+    for (const deps of pending.values()) deps.delete(ready.nodeId);
+  }
+  return order;
+}
+
+// Turn a workflow into a dependency graph of tool nodes. Edges come from the
+// `{log:<tool_id>}` tokens in each tool's command.
+function compileWorkflow(workflow, tools) {
+  const toolMap = new Map((tools || []).map((t) => [t.id, t]));
+  const ids = Array.isArray(workflow && workflow.tools) ? workflow.tools : [];
+  const errors = [];
+  const nodes = [];
+  const seen = new Set();
+
+  for (const toolId of ids) {
+    if (seen.has(toolId)) continue;
+    seen.add(toolId);
+    const tool = toolMap.get(toolId);
+    if (!tool || !tool.command) {
+      errors.push({ type: 'missing_tool', toolId, message: `unknown tool ${toolId}` });
+      continue;
+    }
+    nodes.push({
+      nodeId: toolId,
+      toolId,
+      toolName: tool.name || toolId,
+      dependsOn: [...new Set(extractDeps(tool.command))],
+    });
+  }
+
+  for (const node of nodes) {
+    for (const dep of node.dependsOn) {
+      if (!seen.has(dep)) {
+        errors.push({
+          type: 'missing_dependency',
+          toolId: node.toolId,
+          dependency: dep,
+          message: `${node.toolId} reads {log:${dep}} but ${dep} is not in the workflow`,
+        });
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    const cycle = findCycle(nodes);
+    if (cycle) {
+      errors.push({ type: 'cycle', cycle, message: `dependency cycle ${cycle.join(' -> ')}` });
+    }
+  }
+
+  if (errors.length > 0) return { ok: false, errors, nodes: [], order: [] };
+  return { ok: true, errors, nodes, order: topologicalOrder(nodes) };
+}
+
+module.exports = {
+  compileWorkflow,
+  findCycle,
+  topologicalOrder,
+};
@@ -8,24 +8,24 @@ exports.parse = (content) => {
   // Or compact:
   // admin [Status: 200, Size: 123, Words: 45, Lines: 67, Duration: 89ms]
   
-  // Regex for standard CLI output
-  // [Status: 200, Size: 1234, Words: 56, Lines: 78]    path
-  // Also handle color codes if present (though usually stripped)
-  const ffufRegex = /\[Status:\s+(\d+),\s+Size:\s+(\d+),\s+Words:\s+(\d+),\s+Lines:\s+(\d+)(?:,\s+Duration:\s+[\d]+ms)?\]\s+([^\s]+)/gm;
-  
-  let match;
-  while ((match = ffufRegex.exec(content)) !== null) {
-    const status = match[1];
-    const size = match[2];
-    const words = match[3];
-    const lines = match[4];
-    const path = match[5].trim();
-    
+  // One result per line: the word is before the brackets, after them
+  // ("[Status: ...]    path"), or on the "* FUZZ:" line that follows
+  const ffufRegex = /^(\S*)\s*\[Status:\s+(\d+),\s+Size:\s+(\d+),\s+Words:\s+(\d+),\s+Lines:\s+(\d+)(?:,\s+Duration:\s+[\d]+ms)?\][ \t]*(\S*)/;
+  const fuzzRegex = /^\s*\*\s+FUZZ:\s+(\S+)/;
+
+  const lines = String(content || '').split(/\r?\n/);
+  lines.forEach((line, i) => {
+    const match = line.match(ffufRegex);
+    if (!match) return;
+    const [, before, status, size, words, lineCount, after] = match;
+    const next = (lines[i + 1] || '').match(fuzzRegex);
+    const path = before || after || (next && next[1]);
+
     // Interesting statuses
-    if (['200', '204', '301', '302', '307', '401', '403', '405', '500'].includes(status)) {
-        paths.push(`${path} [${status}] (Size: ${size}, W: ${words}, L: ${lines})`);
+    if (path && ['200', '204', '301', '302', '307', '401', '403', '405', '500'].includes(status)) {
+        paths.push(`${path} [${status}] (Size: ${size}, W: ${words}, L: ${lineCount})`);
     }
-  }
+  });
 
   return { paths };
 };
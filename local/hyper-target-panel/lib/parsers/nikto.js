@@ -11,7 +11,7 @@ exports.parse = (content) => {
   // + OPTIONS: Allowed HTTP Methods: GET, HEAD, POST, OPTIONS
   
   // 1. Extract OSVDB findings
-  const osvdbRegex = /\+ OSVDB-(\d+):\s+([^:]+):\s+(.*)/g;
+  const osvdbRegex = /^\+ OSVDB-(\d+):[ \t]+([^:\n]+):[ \t]+(.*)/gm;
   let match;
   while ((match = osvdbRegex.exec(content)) !== null) {
     const finding = `[OSVDB-${match[1]}] ${match[3].trim()}`;
@@ -28,13 +28,17 @@ exports.parse = (content) => {
       methods.push(...mmatch[1].split(',').map(m => m.trim()));
   }
 
-  // 3. Extract other findings (start with +)
-  const plainRegex = /^\+\s+([^:]+):\s+(.*)/gm;
+  // 3. Extract other findings (start with +), one per line
+  // Scan bookkeeping, not findings
+  const skipKeys = ['Target Port', 'Start Time', 'End Time'];
+  const skipLines = /^\+\s+(?:No CGI Directories found|\d+ host\(s\) tested|\d+ requests:)/;
+  const plainRegex = /^\+[ \t]+([^:\n]+):[ \t]+(.*)/gm;
   let pMatch;
   while ((pMatch = plainRegex.exec(content)) !== null) {
     const key = pMatch[1].trim();
     const val = pMatch[2].trim();
-    
+    if (skipLines.test(pMatch[0]) || skipKeys.includes(key)) continue;
+
     // Avoid re-matching OSVDB lines
     if (!key.startsWith('OSVDB-')) {
         if (key.startsWith('/')) {
@@ -44,6 +48,8 @@ exports.parse = (content) => {
             info.push(`Target IP: ${val}`);
         } else if (key === 'Target Hostname') {
             info.push(`Target Hostname: ${val}`);
+        } else if (key === 'Server') {
+            info.push(`Server: ${val}`);
         } else {
             // General finding
             vulns.push(`${key}: ${val}`);
@@ -51,6 +57,13 @@ exports.parse = (content) => {
     }
   }
 
+  // 4. Findings with no "key:" ("+ Apache/2.4.41 appears to be outdated ...")
+  const bareRegex = /^\+[ \t]+([^:\n]+)$/gm;
+  let bMatch;
+  while ((bMatch = bareRegex.exec(content)) !== null) {
+    if (!skipLines.test(bMatch[0])) vulns.push(bMatch[1].trim());
+  }
+
   return { vulns, paths, info, methods };
 };
 
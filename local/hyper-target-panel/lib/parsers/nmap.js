@@ -1,8 +1,11 @@
+const { parseServiceLine } = require('../storage/FindingsModel');
+
 exports.parse = (content) => {
   const ports = [];
   const vulns = [];
   const os = [];
   const scripts = [];
+  const records = [];
 
   // 1. Extract Open Ports with Service Versions
   // Format: 80/tcp open http Apache httpd 2.4.49
@@ -25,6 +28,9 @@ exports.parse = (content) => {
     } else {
         ports.push(`${port} (${serviceName})`);
     }
+
+    const service = parseServiceLine(match[0]);
+    if (service) records.push(service);
   }
 
   // 2. Extract OS Detection
@@ -53,14 +59,23 @@ exports.parse = (content) => {
   }
 
   // 3. Extract NSE Script Output
-  // Format: |  script-name: output
-  //         |_ script-name: output
-  const scriptRegex = /^[|]\s*([_]?)([\w-]+):\s+(.*)/gm;
-  let scMatch;
-  while ((scMatch = scriptRegex.exec(content)) !== null) {
-    const scriptName = scMatch[2];
-    const output = scMatch[3].trim();
-    
+  // Format: | script-name: output
+  //         |   more output
+  //         |_  last line
+  // or a one-liner: |_script-name: output
+  const nseScripts = [];
+  for (const line of String(content || '').split(/\r?\n/)) {
+    const start = line.match(/^\|[ _]([A-Za-z][\w.-]*):(?:\s+(.*))?$/);
+    const more = !start && line.match(/^\|[ _]\s*(.+)$/);
+    if (start) {
+      nseScripts.push({ name: start[1], output: (start[2] || '').trim() });
+    } else if (more && nseScripts.length > 0) {
+      const last = nseScripts[nseScripts.length - 1];
+      last.output = last.output ? `${last.output} ${more[1].trim()}` : more[1].trim();
+    }
+  }
+
+  for (const { name: scriptName, output } of nseScripts) {
     // Filter out common informational scripts if needed, but usually all are interesting
     if (output && output.length > 0 && !output.includes("ERROR:")) {
         scripts.push(`${scriptName}: ${output}`);
@@ -83,6 +98,7 @@ exports.parse = (content) => {
   let cveMatch;
   while ((cveMatch = cveRegex.exec(content)) !== null) {
       vulns.push(`[CVE] ${cveMatch[1]} (CVSS: ${cveMatch[2]})`);
+      records.push({ kind: 'vulnerability', id: cveMatch[1], evidence: `CVSS ${cveMatch[2]}`, url: cveMatch[3] });
   }
 
   // 5. Extract http-title
@@ -96,6 +112,6 @@ exports.parse = (content) => {
       // For now, let's just leave it, or add to scripts.
   }
 
-  return { ports, vulns, os, scripts };
+  return { ports, vulns, os, scripts, records };
 };
 
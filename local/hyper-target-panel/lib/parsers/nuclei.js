@@ -2,6 +2,7 @@ exports.parse = (content) => {
   const vulns = [];
   const paths = [];
   const info = [];
+  const records = [];
 
   // Nuclei output examples:
   // [2026-02-17 21:00:00] [info-vulnerability] [info] http://example.com
@@ -21,6 +22,7 @@ exports.parse = (content) => {
     const url = match[4];
     
     const finding = `[${severity.toUpperCase()}] ${template} (${protocol}) - ${url}`;
+    records.push({ kind: 'vulnerability', id: template, severity, evidence: finding, url });
     
     if (['high', 'critical'].includes(severity)) {
         vulns.push(finding);
@@ -38,6 +40,6 @@ exports.parse = (content) => {
   // Handle JSON output if detected?
   // Usually users cat log files.
   
-  return { vulns, paths, info };
+  return { vulns, paths, info, records };
 };
 
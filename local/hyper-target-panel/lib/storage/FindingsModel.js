@@ -0,0 +1,309 @@
+'use strict';
+
+// Typed finding records kept next to the legacy string buckets:
+//   service        { port, proto, name, product, version }
+//   vulnerability  { id, severity, evidence, url }
+//   endpoint       { url, path, method, status, size }
+//   host           { hostname, ips }
+// Every record carries `kind`; `recordKey` identifies the same finding
+// across runs so repeated sightings update one record.
+const FINDING_KINDS = ['service', 'vulnerability', 'endpoint', 'host'];
+
+// Which legacy bucket each kind also feeds, for getTargetData() callers.
+const LEGACY_BUCKETS = { service: 'ports', vulnerability: 'vulns', endpoint: 'paths', host: 'domains' };
+
+const CVE_RE = /\bCVE-\d{4}-\d{4,7}\b/i;
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical', 'unknown'];
+
+function text(value) {
+  const str = value === undefined || value === null ? '' : String(value).trim();
+  return str || null;
+}
+
+function int(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname || '/';
+  } catch (_e) {
+    return null;
+  }
+}
+
+// "Apache httpd 2.4.49" -> { product: 'Apache httpd', version: '2.4.49' }
+function splitProductVersion(info) {
+  const words = String(info || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return { product: null, version: null };
+  const last = words[words.length - 1];
+  if (words.length > 1 && /^v?\d[\w.+:~-]*$/.test(last)) {
+    return { product: words.slice(0, -1).join(' '), version: last };
+  }
+  return { product: words.join(' '), version: null };
+}
+
+// One nmap port line: "80/tcp open http Apache httpd 2.4.49"
+function parseServiceLine(line) {
+  const m = String(line || '').trim().match(/^(\d{1,5})\/(tcp|udp)\s+open\s+(\S+)?\s*(.*)$/i);
+  if (!m) return null;
+  return normalizeRecord(Object.assign({
+    kind: 'service',
+    port: m[1],
+    proto: m[2],
+    name: m[3],
+  }, splitProductVersion(m[4])));
+}
+
+function normalizeRecord(raw) {
+  if (!raw || !FINDING_KINDS.includes(raw.kind)) return null;
+
+  if (raw.kind === 'service') {
+    const port = int(raw.port);
+    if (!port || port < 1 || port > 65535) return null;
+    return {
+      kind: 'service',
+      port,
+      proto: (text(raw.proto) || 'tcp').toLowerCase(),
+      name: text(raw.name),
+      product: text(raw.product),
+      version: text(raw.version),
+    };
+  }
+
+  if (raw.kind === 'vulnerability') {
+    const id = text(raw.id);
+    const evidence = text(raw.evidence);
+    if (!id && !evidence) return null;
+    const severity = (text(raw.severity) || '').toLowerCase();
+    return {
+      kind: 'vulnerability',
+      id: id || (evidence.match(CVE_RE) || [evidence])[0].toUpperCase(),
+      severity: SEVERITIES.includes(severity) ? severity : null,
+      evidence,
+      url: text(raw.url),
+    };
+  }
+
+  if (raw.kind === 'endpoint') {
+    const url = text(raw.url);
+    const path = text(raw.path) || (url ? pathOf(url) : null);
+    if (!url && !path) return null;
+    return {
+      kind: 'endpoint',
+      url,
+      path,
+      method: (text(raw.method) || '').toUpperCase() || null,
+      status: int(raw.status),
+      size: int(raw.size),
+    };
+  }
+
+  const hostname = (text(raw.hostname) || '').toLowerCase();
+  if (!hostname) return null;
+  const ips = Array.isArray(raw.ips) ? raw.ips.map(text).filter(Boolean) : [];
+  return { kind: 'host', hostname, ips: Array.from(new Set(ips)) };
+}
+
+function recordKey(record) {
+  if (record.kind === 'service') return `${record.port}/${record.proto}`;
+  if (record.kind === 'vulnerability') return `${record.id}|${record.url || ''}`;
+  if (record.kind === 'endpoint') return `${record.method || ''} ${record.url || record.path}`;
+  return record.hostname;
+}
+
+// A later sighting fills in what an earlier one did not know.
+function mergeRecord(existing, incoming) {
+  if (!existing) return incoming;
+  const merged = Object.assign({}, existing);
+  Object.keys(incoming).forEach((field) => {
+    if (field === 'ips') {
+      merged.ips = Array.from(new Set((existing.ips || []).concat(incoming.ips || [])));
+    } else if (incoming[field] !== null && incoming[field] !== undefined) {
+      merged[field] = incoming[field];
+    }
+  });
+  return merged;
+}
+
+const META_FIELDS = new Set(['key', 'target', 'sourceTool', 'runId', 'firstSeen', 'lastSeen']);
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// What changed between the records two runs reported: `added` and
+// `removed` by record key, `changed` for keys in both whose fields differ
+// (e.g. a service's version), with the names of those fields.
+function diffRecords(before, after) {
+  const index = (records) => new Map((records || []).map((r) => [`${r.kind}:${r.key || recordKey(r)}`, r]));
+  const old = index(before);
+  const now = index(after);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [key, record] of now) {
+    const prev = old.get(key);
+    if (!prev) {
+      diff.added.push(record);
+      continue;
+    }
+    const fields = Object.keys(Object.assign({}, prev, record))
+      .filter((field) => !META_FIELDS.has(field) && !sameValue(prev[field], record[field]));
+    if (fields.length > 0) diff.changed.push({ before: prev, after: record, fields });
+  }
+  for (const [key, record] of old) {
+    if (!now.has(key)) diff.removed.push(record);
+  }
+  return diff;
+}
+
+// Best-effort typed record for a value from the old string buckets, used by
+// the migration and for parsers that only report strings.
+function fromLegacy(bucket, value) {
+  const str = text(value);
+  if (!str) return null;
+
+  if (bucket === 'ports') {
+    // "80 (http) - Apache httpd 2.4.49", "80 (http)" or "80/tcp"
+    const m = str.match(/^(\d{1,5})(?:\/(tcp|udp))?(?:\s+\(([^)]*)\))?(?:\s+-\s+(.*))?/i);
+    if (!m) return null;
+    return normalizeRecord(Object.assign({ kind: 'service', port: m[1], proto: m[2], name: m[3] }, splitProductVersion(m[4])));
+  }
+  if (bucket === 'vulns') {
+    const cve = str.match(CVE_RE);
+    return normalizeRecord({ kind: 'vulnerability', id: cve ? cve[0].toUpperCase() : null, evidence: str });
+  }
+  if (bucket === 'paths') {
+    return /^https?:\/\//i.test(str)
+      ? normalizeRecord({ kind: 'endpoint', url: str })
+      : normalizeRecord({ kind: 'endpoint', path: str });
+  }
+  if (bucket === 'domains') {
+    return normalizeRecord({ kind: 'host', hostname: str });
+  }
+  return null;
+}
+
+function fromLegacyFindings(findings) {
+  const out = [];
+  Object.keys(LEGACY_BUCKETS).forEach((kind) => {
+    const bucket = LEGACY_BUCKETS[kind];
+    const values = findings && Array.isArray(findings[bucket]) ? findings[bucket] : [];
+    values.forEach((value) => {
+      const record = fromLegacy(bucket, value);
+      if (record) out.push(record);
+    });
+  });
+  return out;
+}
+
+// Whether bucket string `value` is a label for the typed record `typed`:
+// the id of a vulnerability in it (or its text in the evidence), or the
+// URL, path or fuzzed word of an endpoint first ("admin [200] (Size: 1)")
+function labels(typed, value) {
+  const str = String(value).trim();
+  if (typed.kind === 'vulnerability') {
+    const lower = str.toLowerCase();
+    if (typed.id && lower.includes(typed.id.toLowerCase())) return true;
+    const bare = lower.replace(/^\[[^\]]*\]\s*/, '').replace(/\.\.\.$/, '').trim();
+    return !!bare && !!typed.evidence && typed.evidence.toLowerCase().includes(bare);
+  }
+  if (typed.kind === 'endpoint') {
+    const word = str.split(/\s+/)[0];
+    const tail = `/${word.replace(/^\//, '')}`;
+    return [typed.url, typed.path].some((v) => v && (v === word || v.endsWith(tail)));
+  }
+  return false;
+}
+
+// A parser's typed `records` plus what only its legacy buckets hold
+// (nmap's NSE script hits next to the vulners CVEs it types), each
+// finding once: a bucket string is skipped when a typed record has its
+// key or it is a label for one.
+function withLegacyFindings(records, findings) {
+  const typed = (Array.isArray(records) ? records : []).map(normalizeRecord).filter(Boolean);
+  const keys = new Set(typed.map((r) => `${r.kind}:${recordKey(r)}`));
+  const out = typed.slice();
+  Object.keys(LEGACY_BUCKETS).forEach((kind) => {
+    const bucket = LEGACY_BUCKETS[kind];
+    const values = findings && Array.isArray(findings[bucket]) ? findings[bucket] : [];
+    values.forEach((value) => {
+      const record = fromLegacy(bucket, value);
+      if (!record) return;
+      const key = `${record.kind}:${recordKey(record)}`;
+      if (keys.has(key) || typed.some((t) => t.kind === kind && labels(t, value))) return;
+      keys.add(key);
+      out.push(record);
+    });
+  });
+  return out;
+}
+
+// Typed records from the `records` a jc adapter returns.
+function fromAdapterRecords(records) {
+  const out = [];
+  const push = (raw) => {
+    const record = normalizeRecord(raw);
+    if (record) out.push(record);
+  };
+
+  (Array.isArray(records) ? records : []).forEach((r) => {
+    if (!r || typeof r !== 'object') return;
+    switch (r.type) {
+      case 'port': {
+        const service = parseServiceLine(r.line);
+        if (service) out.push(service);
+        else push({ kind: 'service', port: String(r.port || '').split('/')[0], proto: String(r.port || '').split('/')[1] });
+        break;
+      }
+      case 'vuln':
+      case 'cve':
+        push({ kind: 'vulnerability', id: r.id, evidence: r.line });
+        break;
+      case 'finding':
+        push({ kind: 'vulnerability', id: r.id, severity: r.severity, evidence: r.detail || r.value, url: r.target || r.path });
+        break;
+      case 'sqli':
+        push({ kind: 'vulnerability', id: 'sqli', evidence: r.line });
+        break;
+      case 'xss':
+        push({ kind: 'vulnerability', id: 'xss', evidence: r.line });
+        break;
+      case 'path':
+        push({ kind: 'endpoint', path: r.path || r.value, status: r.status });
+        break;
+      case 'result':
+        push({ kind: 'endpoint', url: r.url || r.target, path: r.path, status: r.status, size: r.length });
+        break;
+      case 'url':
+        push({ kind: 'endpoint', url: r.url || r.value, path: r.path });
+        if (r.host) push({ kind: 'host', hostname: r.host });
+        break;
+      case 'host':
+        push({ kind: 'host', hostname: r.hostname, ips: r.ips });
+        break;
+      case 'subdomain':
+      case 'domain':
+        push({ kind: 'host', hostname: r.value });
+        break;
+      default:
+        break;
+    }
+  });
+  return out;
+}
+
+module.exports = {
+  FINDING_KINDS,
+  LEGACY_BUCKETS,
+  normalizeRecord,
+  recordKey,
+  mergeRecord,
+  diffRecords,
+  parseServiceLine,
+  fromLegacy,
+  fromLegacyFindings,
+  withLegacyFindings,
+  fromAdapterRecords,
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+// Search syntax for typed findings across targets, e.g.
+//   kind:service product:apache version:2.4.49
+//   kind:endpoint status:200
+//   kind:vuln tool:nuclei severity:high,critical since:7d
+//   target:*.example.com admin
+// `field:a,b` matches either value; a `*` makes a value a glob, otherwise
+// text fields match on substring. Bare words must all appear in the label.
+const KIND_ALIASES = {
+  service: 'service',
+  services: 'service',
+  port: 'service',
+  ports: 'service',
+  vuln: 'vulnerability',
+  vulns: 'vulnerability',
+  vulnerability: 'vulnerability',
+  endpoint: 'endpoint',
+  endpoints: 'endpoint',
+  path: 'endpoint',
+  paths: 'endpoint',
+  host: 'host',
+  hosts: 'host',
+  domain: 'host',
+  domains: 'host',
+};
+
+const RECORD_FIELDS = [
+  'port', 'proto', 'name', 'product', 'version',
+  'id', 'severity', 'evidence', 'url',
+  'path', 'method', 'status', 'size',
+  'hostname', 'ips',
+];
+const NUMERIC_FIELDS = new Set(['port', 'status', 'size']);
+const DURATION_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+function globToRegExp(glob) {
+  const source = String(glob)
+    .split('')
+    .map((ch) => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// "7d", "24h", "30m", "2w" ago, or anything Date.parse understands.
+function parseTime(value, now) {
+  const rel = String(value).match(/^(\d+)([mhdw])$/i);
+  if (rel) return now - Number(rel[1]) * DURATION_UNITS[rel[2].toLowerCase()];
+  const abs = Date.parse(value);
+  return Number.isNaN(abs) ? null : abs;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(text || ''))) !== null) {
+    if (m[1] || m[3]) tokens.push({ field: (m[1] || m[3]).toLowerCase(), value: m[1] ? m[2] : m[4] });
+    else tokens.push({ field: null, value: m[5] !== undefined ? m[5] : m[6] });
+  }
+  return tokens;
+}
+
+function parseQuery(text, now) {
+  const at = now || Date.now();
+  const query = { kinds: [], target: null, tool: null, since: null, until: null, fields: {}, terms: [], errors: [] };
+
+  for (const { field, value } of tokenize(text)) {
+    if (!field) {
+      if (value) query.terms.push(value.toLowerCase());
+    } else if (field === 'kind' || field === 'type') {
+      value.split(',').forEach((v) => {
+        const kind = KIND_ALIASES[v.toLowerCase()];
+        if (kind) query.kinds.push(kind);
+        else query.errors.push(`unknown kind "${v}"`);
+      });
+    } else if (field === 'target') {
+      query.target = value.toLowerCase();
+    } else if (field === 'tool') {
+      query.tool = value;
+    } else if (field === 'since' || field === 'until') {
+      const time = parseTime(value, at);
+      if (time === null) query.errors.push(`bad time "${value}"`);
+      else query[field] = time;
+    } else if (RECORD_FIELDS.includes(field)) {
+      query.fields[field] = value.split(',').filter(Boolean);
+    } else {
+      query.errors.push(`unknown filter "${field}"`);
+    }
+  }
+  return query;
+}
+
+function recordLabel(record) {
+  if (record.kind === 'service') {
+    return [`${record.port}/${record.proto}`, record.name, record.product, record.version].filter(Boolean).join(' ');
+  }
+  if (record.kind === 'vulnerability') {
+    return [record.severity ? `[${record.severity.toUpperCase()}]` : null, record.id, record.url].filter(Boolean).join(' ');
+  }
+  if (record.kind === 'endpoint') {
+    return [record.status, record.method, record.url || record.path].filter(Boolean).join(' ');
+  }
+  return [record.hostname].concat(record.ips || []).join(' ');
+}
+
+function valueMatches(actual, wanted, numeric) {
+  if (actual === null || actual === undefined) return false;
+  if (numeric) return Number(actual) === Number(wanted);
+  if (wanted.includes('*') || wanted.includes('?')) return globToRegExp(wanted).test(String(actual));
+  return String(actual).toLowerCase().includes(wanted.toLowerCase());
+}
+
+// Tool ids are family_variant (nuclei_url), so tool:nuclei matches the family.
+function toolMatches(sourceTool, wanted) {
+  if (!sourceTool) return false;
+  if (wanted.includes('*')) return globToRegExp(wanted).test(sourceTool);
+  return sourceTool === wanted || sourceTool.startsWith(`${wanted}_`);
+}
+
+function timeOf(value) {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// `record` is a stored record (see TargetStore.getFindingRecords) plus its
+// `target`.
+function matchesRecord(record, query) {
+  if (query.kinds.length > 0 && !query.kinds.includes(record.kind)) return false;
+  if (query.target && !globToRegExp(query.target).test(record.target || '')) return false;
+  if (query.tool && !toolMatches(record.sourceTool, query.tool)) return false;
+  const seen = timeOf(record.lastSeen);
+  if (query.since !== null && (seen === null || seen < query.since)) return false;
+  if (query.until !== null && (seen === null || seen > query.until)) return false;
+
+  for (const [field, wanted] of Object.entries(query.fields)) {
+    if (!(field in record)) return false;
+    const actual = field === 'ips' ? record.ips || [] : [record[field]];
+    if (!wanted.some((w) => actual.some((a) => valueMatches(a, w, NUMERIC_FIELDS.has(field))))) return false;
+  }
+
+  if (query.terms.length > 0) {
+    const label = `${record.target || ''} ${recordLabel(record)} ${record.evidence || ''}`.toLowerCase();
+    if (!query.terms.every((term) => label.includes(term))) return false;
+  }
+  return true;
+}
+
+// What to hand a tool as {target} when launching it on a result.
+function launchTargetFor(result) {
+  if (result.kind === 'endpoint') {
+    if (result.url) return result.url;
+    return result.path ? `${result.target}${result.path}` : result.target;
+  }
+  if (result.kind === 'service') return `${result.target}:${result.port}`;
+  if (result.kind === 'host') return result.hostname;
+  return result.url || result.target;
+}
+
+module.exports = {
+  parseQuery,
+  matchesRecord,
+  recordLabel,
+  globToRegExp,
+  launchTargetFor,
+};
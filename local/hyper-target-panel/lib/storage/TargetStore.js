@@ -3,12 +3,51 @@
 const fs = require('fs');
 const path = require('path');
 const { normalizeTarget } = require('../TargetNormalizer');
-const { DATA_DIR } = require('../PathResolver');
+const { getEngagementDir } = require('../PathResolver');
+const {
+  FINDING_KINDS,
+  normalizeRecord,
+  recordKey,
+  mergeRecord,
+  diffRecords,
+  fromLegacy,
+  fromLegacyFindings,
+  withLegacyFindings,
+  fromAdapterRecords,
+} = require('./FindingsModel');
+const { parseQuery, matchesRecord } = require('./FindingsQuery');
+const { exitFileFor, readExitStatus, readRunPid, isPidAlive } = require('../execution/ExitStatusFile');
+
+// Bumped when stored findings need migrating (PRAGMA user_version for
+// sqlite, `schemaVersion` in the JSON target files).
+// 1: typed finding records next to the string buckets.
+// 2: a finding_runs row for every run, found something or not (sqlite;
+//    nothing to convert in JSON, where each run already has an entry).
+const SCHEMA_VERSION = 2;
+// Per-run findings kept in JSON mode, newest runs first.
+const MAX_RUN_FINDINGS = 50;
+
+// datetime('now') gives "2026-02-20 12:00:00" in UTC.
+function sqliteTimeToIso(value) {
+  return value ? `${String(value).replace(' ', 'T')}Z` : null;
+}
+
+function isoToSqliteTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Columns of each typed record table, by record field.
+const RECORD_TABLES = {
+  service: { table: 'services', columns: { port: 'port', proto: 'proto', name: 'name', product: 'product', version: 'version' } },
+  vulnerability: { table: 'vulnerabilities', columns: { id: 'vuln_id', severity: 'severity', evidence: 'evidence', url: 'url' } },
+  endpoint: { table: 'endpoints', columns: { url: 'url', path: 'path', method: 'method', status: 'status', size: 'size' } },
+  host: { table: 'hosts', columns: { hostname: 'hostname', ips: 'ips' } },
+};
 
 class TargetStore {
   constructor(options) {
     const opts = options || {};
-    this.baseDir = opts.baseDir || DATA_DIR;
+    this.baseDir = opts.baseDir || getEngagementDir();
     this.configFile = path.join(this.baseDir, 'target_config.json');
     this.jsonDir = path.join(this.baseDir, 'targets');
 
@@ -29,6 +68,13 @@ class TargetStore {
         this.mode = 'json';
       }
     }
+
+    try {
+      if (this.mode === 'sqlite') this._migrateSqlite();
+      else this._migrateJson();
+    } catch (e) {
+      console.error('[TargetStore] Findings migration failed:', e.message);
+    }
   }
 
   getMode() {
@@ -52,6 +98,14 @@ class TargetStore {
     return path.join(this.jsonDir, `${this._safeFilePart(target)}_runs.json`);
   }
 
+  _runFindingsFile(target) {
+    return path.join(this.jsonDir, `${this._safeFilePart(target)}_run_findings.json`);
+  }
+
+  _isTargetFile(name) {
+    return name.endsWith('.json') && !name.endsWith('_runs.json') && !name.endsWith('_run_findings.json');
+  }
+
   _targetDir(target) {
     return path.join(this.jsonDir, this._safeFilePart(target));
   }
@@ -98,6 +152,111 @@ class TargetStore {
         FOREIGN KEY(target_id) REFERENCES targets(id)
       );
     `);
+    const recordColumns = `
+        id INTEGER PRIMARY KEY,
+        target_id INTEGER NOT NULL,
+        record_key TEXT NOT NULL,
+        source_tool TEXT,
+        run_id TEXT,
+        first_seen TEXT DEFAULT (datetime('now')),
+        last_seen TEXT DEFAULT (datetime('now')),
+        UNIQUE(target_id, record_key),
+        FOREIGN KEY(target_id) REFERENCES targets(id)`;
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS services (
+        port INTEGER, proto TEXT, name TEXT, product TEXT, version TEXT,${recordColumns}
+      );
+      CREATE TABLE IF NOT EXISTS vulnerabilities (
+        vuln_id TEXT, severity TEXT, evidence TEXT, url TEXT,${recordColumns}
+      );
+      CREATE TABLE IF NOT EXISTS endpoints (
+        url TEXT, path TEXT, method TEXT, status INTEGER, size INTEGER,${recordColumns}
+      );
+      CREATE TABLE IF NOT EXISTS hosts (
+        hostname TEXT, ips TEXT,${recordColumns}
+      );
+      CREATE TABLE IF NOT EXISTS run_findings (
+        id INTEGER PRIMARY KEY,
+        target_id INTEGER NOT NULL,
+        run_id TEXT NOT NULL,
+        tool_id TEXT,
+        kind TEXT NOT NULL,
+        record_key TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(run_id, kind, record_key),
+        FOREIGN KEY(target_id) REFERENCES targets(id)
+      );
+      CREATE TABLE IF NOT EXISTS finding_runs (
+        id INTEGER PRIMARY KEY,
+        target_id INTEGER NOT NULL,
+        run_id TEXT NOT NULL,
+        tool_id TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(target_id, run_id),
+        FOREIGN KEY(target_id) REFERENCES targets(id)
+      );
+    `);
+    this._ensureColumns('runs', {
+      chain_id: 'TEXT',
+      node_id: 'TEXT',
+      attempt: 'INTEGER',
+      run_id: 'TEXT',
+      exit_code: 'INTEGER',
+      duration_ms: 'INTEGER',
+    });
+  }
+
+  _ensureColumns(table, columns) {
+    const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name));
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.has(name)) this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  // Version 0 -> 1: derive typed records from the existing findings rows.
+  // Version 1 -> 2: register the runs already in run_findings, oldest first.
+  _migrateSqlite() {
+    const version = this.db.prepare('PRAGMA user_version').get().user_version;
+    if (version >= SCHEMA_VERSION) return;
+
+    this.db.exec('BEGIN');
+    try {
+      if (version < 1) {
+        const rows = this.db.prepare('SELECT target_id, kind, value, source_tool FROM findings ORDER BY id').all();
+        for (const row of rows) {
+          const record = fromLegacy(row.kind, row.value);
+          if (record) this._upsertRecordSqlite(row.target_id, record, { toolId: row.source_tool });
+        }
+      }
+      this.db.exec(`
+        INSERT OR IGNORE INTO finding_runs(target_id, run_id, tool_id, created_at)
+        SELECT target_id, run_id, MIN(tool_id), MIN(created_at) FROM run_findings
+        GROUP BY target_id, run_id
+        ORDER BY MIN(id)
+      `);
+      this.db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+      this.db.exec('COMMIT');
+    } catch (e) {
+      this.db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  _migrateJson() {
+    for (const name of fs.readdirSync(this.jsonDir)) {
+      if (!this._isTargetFile(name)) continue;
+      const f = path.join(this.jsonDir, name);
+      let current;
+      try { current = JSON.parse(fs.readFileSync(f, 'utf8')); } catch (_e) { continue; }
+      if (!current || typeof current !== 'object' || current.schemaVersion >= SCHEMA_VERSION) continue;
+      if (!(current.schemaVersion >= 1)) {
+        current.records = [];
+        this._mergeRecordsJson(current, fromLegacyFindings(current), {});
+      }
+      current.schemaVersion = SCHEMA_VERSION;
+      fs.writeFileSync(f, JSON.stringify(current, null, 2));
+    }
   }
 
   saveLastTarget(target) {
@@ -142,7 +301,7 @@ class TargetStore {
     fs.writeFileSync(this._targetFile(safeTarget), JSON.stringify(current, null, 2));
   }
 
-  mergeFindings(target, findings, sourceTool) {
+  mergeFindings(target, findings, sourceTool, runId) {
     const safeTarget = this._safeTarget(target);
     const payload = findings || {};
     const keys = ['ports', 'vulns', 'paths', 'domains'];
@@ -154,6 +313,7 @@ class TargetStore {
         const vals = Array.isArray(payload[key]) ? payload[key] : [];
         for (const val of vals) insert.run(targetId, key, String(val), sourceTool || null);
       }
+      this.mergeRecords(safeTarget, this._findingRecords(payload), { toolId: sourceTool, runId });
       return;
     }
 
@@ -165,29 +325,298 @@ class TargetStore {
         if (!current[key].includes(val)) current[key].push(val);
       }
     }
+    const records = this._findingRecords(payload);
+    this._mergeRecordsJson(current, records, { toolId: sourceTool, runId });
+    fs.writeFileSync(this._targetFile(safeTarget), JSON.stringify(current, null, 2));
+    this._recordRunFindingsJson(safeTarget, records, { toolId: sourceTool, runId });
+  }
+
+  // Parsers that know more than the string buckets return typed `records`;
+  // bucket strings no record covers are converted as well as they can be.
+  _findingRecords(findings) {
+    return withLegacyFindings(findings.records, findings);
+  }
+
+  // Add or update typed finding records (see FindingsModel). `context`
+  // gives the toolId/runId that saw them.
+  mergeRecords(target, records, context) {
+    const safeTarget = this._safeTarget(target);
+    if (!safeTarget || safeTarget === 'None') return 0;
+    const normalized = (records || []).map(normalizeRecord).filter(Boolean);
+    if (normalized.length === 0) return 0;
+
+    if (this.mode === 'sqlite') {
+      const targetId = this._sqliteTargetId(safeTarget);
+      this.db.exec('BEGIN');
+      try {
+        for (const record of normalized) {
+          this._upsertRecordSqlite(targetId, record, context || {});
+          if (context && context.runId) this._upsertRunFindingSqlite(targetId, record, context);
+        }
+        this.db.exec('COMMIT');
+      } catch (e) {
+        this.db.exec('ROLLBACK');
+        throw e;
+      }
+      return normalized.length;
+    }
+
+    const current = this.getTargetData(safeTarget);
+    this._mergeRecordsJson(current, normalized, context || {});
     fs.writeFileSync(this._targetFile(safeTarget), JSON.stringify(current, null, 2));
+    this._recordRunFindingsJson(safeTarget, normalized, context || {});
+    return normalized.length;
+  }
+
+  // Each run also keeps its own copy of what it found, so two runs of a
+  // tool can be compared (see diffRuns).
+  _upsertRunFindingSqlite(targetId, record, context) {
+    this._registerRunSqlite(targetId, context);
+    const key = recordKey(record);
+    const existing = this.db.prepare(
+      'SELECT id, data FROM run_findings WHERE run_id = ? AND kind = ? AND record_key = ?'
+    ).get(context.runId, record.kind, key);
+    if (existing) {
+      const merged = mergeRecord(JSON.parse(existing.data), record);
+      this.db.prepare('UPDATE run_findings SET data = ? WHERE id = ?').run(JSON.stringify(merged), existing.id);
+      return;
+    }
+    this.db.prepare(`
+      INSERT INTO run_findings(target_id, run_id, tool_id, kind, record_key, data) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(targetId, context.runId, context.toolId || null, record.kind, key, JSON.stringify(record));
+  }
+
+  _registerRunSqlite(targetId, context) {
+    this.db.prepare('INSERT OR IGNORE INTO finding_runs(target_id, run_id, tool_id) VALUES (?, ?, ?)')
+      .run(targetId, context.runId, context.toolId || null);
+  }
+
+  // A run of the tool finished on the target: it counts as a run to diff
+  // against even when it found nothing, so that a re-run that no longer
+  // finds anything shows everything as removed.
+  recordFindingRun(target, context) {
+    const safeTarget = this._safeTarget(target);
+    if (!context || !context.runId || !safeTarget || safeTarget === 'None') return;
+    if (this.mode === 'sqlite') {
+      this._registerRunSqlite(this._sqliteTargetId(safeTarget), context);
+      return;
+    }
+    this._recordRunFindingsJson(safeTarget, [], context);
+  }
+
+  _recordRunFindingsJson(safeTarget, records, context) {
+    if (!context.runId) return;
+    const f = this._runFindingsFile(safeTarget);
+    let runs = [];
+    try { runs = JSON.parse(fs.readFileSync(f, 'utf8')); } catch (_e) {}
+    let run = runs.find((r) => r.runId === context.runId);
+    if (run && records.length === 0) return;
+    if (!run) {
+      run = { runId: context.runId, toolId: context.toolId || null, recordedAt: new Date().toISOString(), records: {} };
+      runs.unshift(run);
+    }
+    for (const record of records) {
+      const key = recordKey(record);
+      const id = `${record.kind}:${key}`;
+      run.records[id] = Object.assign(mergeRecord(run.records[id], record), { key });
+    }
+    fs.writeFileSync(f, JSON.stringify(runs.slice(0, MAX_RUN_FINDINGS), null, 2));
+  }
+
+  // Runs of a target, newest first, optionally only those of one tool:
+  // [{ runId, toolId, recordedAt, count }]; count is 0 for a run that
+  // finished without finding anything.
+  getFindingRuns(target, toolId) {
+    const safeTarget = this._safeTarget(target);
+
+    if (this.mode === 'sqlite') {
+      const row = this.db.prepare('SELECT id FROM targets WHERE target = ?').get(safeTarget);
+      if (!row) return [];
+      return this.db.prepare(`
+        SELECT r.run_id, r.tool_id, r.created_at AS recorded_at, COUNT(f.id) AS count
+        FROM finding_runs r
+        LEFT JOIN run_findings f ON f.run_id = r.run_id AND f.target_id = r.target_id
+        WHERE r.target_id = ? ${toolId ? 'AND r.tool_id = ?' : ''}
+        GROUP BY r.id
+        ORDER BY r.id DESC
+      `).all(...[row.id].concat(toolId ? [toolId] : [])).map((r) => ({
+        runId: r.run_id,
+        toolId: r.tool_id,
+        recordedAt: sqliteTimeToIso(r.recorded_at),
+        count: r.count,
+      }));
+    }
+
+    let runs = [];
+    try { runs = JSON.parse(fs.readFileSync(this._runFindingsFile(safeTarget), 'utf8')); } catch (_e) {}
+    return runs
+      .filter((r) => !toolId || r.toolId === toolId)
+      .map((r) => ({ runId: r.runId, toolId: r.toolId, recordedAt: r.recordedAt, count: Object.keys(r.records).length }));
+  }
+
+  getRunFindings(target, runId) {
+    const safeTarget = this._safeTarget(target);
+
+    if (this.mode === 'sqlite') {
+      const row = this.db.prepare('SELECT id FROM targets WHERE target = ?').get(safeTarget);
+      if (!row) return [];
+      return this.db.prepare('SELECT record_key, data FROM run_findings WHERE run_id = ? AND target_id = ? ORDER BY id')
+        .all(runId, row.id)
+        .map((r) => Object.assign(JSON.parse(r.data), { key: r.record_key }));
+    }
+
+    let runs = [];
+    try { runs = JSON.parse(fs.readFileSync(this._runFindingsFile(safeTarget), 'utf8')); } catch (_e) {}
+    const run = runs.find((r) => r.runId === runId);
+    return run ? Object.values(run.records) : [];
+  }
+
+  // { added, removed, changed } going from one run's findings to another's.
+  diffRuns(target, fromRunId, toRunId) {
+    return diffRecords(this.getRunFindings(target, fromRunId), this.getRunFindings(target, toRunId));
   }
 
+  // Diff a run against the previous run of the same tool on this target,
+  // or null when it is the tool's first run there.
+  diffWithPreviousRun(target, runId) {
+    const runs = this.getFindingRuns(target);
+    const at = runs.findIndex((r) => r.runId === runId);
+    if (at === -1) return null;
+    const previous = runs.slice(at + 1).find((r) => r.toolId === runs[at].toolId);
+    if (!previous) return null;
+    return Object.assign({ runId, previousRunId: previous.runId, toolId: runs[at].toolId },
+      this.diffRuns(target, previous.runId, runId));
+  }
+
+  _upsertRecordSqlite(targetId, record, context) {
+    const spec = RECORD_TABLES[record.kind];
+    const key = recordKey(record);
+    const existing = this.db.prepare(`SELECT * FROM ${spec.table} WHERE target_id = ? AND record_key = ?`).get(targetId, key);
+    const merged = mergeRecord(existing ? this._recordFromRow(record.kind, existing) : null, record);
+    const fields = Object.keys(spec.columns);
+    const values = fields.map((field) => (field === 'ips' ? JSON.stringify(merged.ips || []) : merged[field]));
+    const columns = fields.map((field) => spec.columns[field]);
+
+    if (existing) {
+      this.db.prepare(`
+        UPDATE ${spec.table} SET ${columns.map((c) => `${c} = ?`).join(', ')},
+          source_tool = COALESCE(?, source_tool), run_id = COALESCE(?, run_id), last_seen = datetime('now')
+        WHERE id = ?
+      `).run(...values, context.toolId || null, context.runId || null, existing.id);
+      return;
+    }
+    this.db.prepare(`
+      INSERT INTO ${spec.table}(target_id, record_key, source_tool, run_id, ${columns.join(', ')})
+      VALUES (?, ?, ?, ?, ${columns.map(() => '?').join(', ')})
+    `).run(targetId, key, context.toolId || null, context.runId || null, ...values);
+  }
+
+  _recordFromRow(kind, row) {
+    const spec = RECORD_TABLES[kind];
+    const record = { kind };
+    for (const [field, column] of Object.entries(spec.columns)) {
+      if (field === 'ips') {
+        try { record.ips = JSON.parse(row.ips || '[]'); } catch (_e) { record.ips = []; }
+      } else {
+        record[field] = row[column];
+      }
+    }
+    return Object.assign(record, {
+      key: row.record_key,
+      sourceTool: row.source_tool,
+      runId: row.run_id,
+      firstSeen: sqliteTimeToIso(row.first_seen),
+      lastSeen: sqliteTimeToIso(row.last_seen),
+    });
+  }
+
+  _mergeRecordsJson(current, records, context) {
+    if (!Array.isArray(current.records)) current.records = [];
+    const now = new Date().toISOString();
+    const index = new Map(current.records.map((r, i) => [`${r.kind}:${r.key}`, i]));
+
+    for (const record of records) {
+      const key = recordKey(record);
+      const at = index.get(`${record.kind}:${key}`);
+      if (at === undefined) {
+        index.set(`${record.kind}:${key}`, current.records.length);
+        current.records.push(Object.assign({}, record, {
+          key,
+          sourceTool: context.toolId || null,
+          runId: context.runId || null,
+          firstSeen: now,
+          lastSeen: now,
+        }));
+        continue;
+      }
+      const prev = current.records[at];
+      current.records[at] = Object.assign(mergeRecord(prev, record), {
+        sourceTool: context.toolId || prev.sourceTool,
+        runId: context.runId || prev.runId,
+        lastSeen: now,
+      });
+    }
+    current.schemaVersion = SCHEMA_VERSION;
+  }
+
+  // Typed finding records for a target, optionally of one kind.
+  getFindingRecords(target, kind) {
+    const safeTarget = this._safeTarget(target);
+    const kinds = kind ? [kind].filter((k) => FINDING_KINDS.includes(k)) : FINDING_KINDS;
+
+    if (this.mode === 'sqlite') {
+      const row = this.db.prepare('SELECT id FROM targets WHERE target = ?').get(safeTarget);
+      if (!row) return [];
+      const out = [];
+      for (const k of kinds) {
+        const rows = this.db.prepare(`SELECT * FROM ${RECORD_TABLES[k].table} WHERE target_id = ? ORDER BY id`).all(row.id);
+        rows.forEach((r) => out.push(this._recordFromRow(k, r)));
+      }
+      return out;
+    }
+
+    const records = this.getTargetData(safeTarget).records || [];
+    return kinds.flatMap((k) => records.filter((r) => r.kind === k));
+  }
+
+  // A run keeps one row: later status events for the same runId (started,
+  // succeeded/failed) update it instead of adding rows.
   recordRun(run) {
     const target = this._safeTarget(run && run.target);
     if (!target || target === 'None') return;
+    const row = {
+      tool_id: run.toolId || null,
+      tool_name: run.toolName || null,
+      command: run.command || null,
+      transport: run.transport || null,
+      status: run.status || null,
+      error: run.error || null,
+      log_file: run.logFile || null,
+      started_at: run.startedAt ? new Date(run.startedAt).toISOString() : null,
+      ended_at: run.endedAt ? new Date(run.endedAt).toISOString() : null,
+      exit_code: Number.isInteger(run.exitCode) ? run.exitCode : null,
+      duration_ms: Number.isFinite(run.durationMs) ? Math.round(run.durationMs) : null,
+    };
 
     if (this.mode === 'sqlite') {
+      const existing = run.runId
+        ? this.db.prepare('SELECT id FROM runs WHERE run_id = ?').get(run.runId)
+        : null;
+      if (existing) {
+        this.db.prepare(`
+          UPDATE runs SET transport = ?, status = ?, error = ?, started_at = COALESCE(started_at, ?),
+            ended_at = ?, exit_code = ?, duration_ms = ?
+          WHERE id = ?
+        `).run(row.transport, row.status, row.error, row.started_at, row.ended_at, row.exit_code, row.duration_ms, existing.id);
+        return;
+      }
       const targetId = this._sqliteTargetId(target);
       this.db.prepare(`
-        INSERT INTO runs(target_id, tool_id, tool_name, command, transport, status, error, log_file, started_at, ended_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO runs(target_id, tool_id, tool_name, command, transport, status, error, log_file, started_at, ended_at, run_id, exit_code, duration_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
-        targetId,
-        run.toolId || null,
-        run.toolName || null,
-        run.command || null,
-        run.transport || null,
-        run.status || null,
-        run.error || null,
-        run.logFile || null,
-        run.startedAt ? new Date(run.startedAt).toISOString() : null,
-        run.endedAt ? new Date(run.endedAt).toISOString() : null
+        targetId, row.tool_id, row.tool_name, row.command, row.transport, row.status, row.error,
+        row.log_file, row.started_at, row.ended_at, run.runId || null, row.exit_code, row.duration_ms
       );
       return;
     }
@@ -195,19 +624,174 @@ class TargetStore {
     let rows = [];
     const f = this._runsFile(target);
     try { rows = JSON.parse(fs.readFileSync(f, 'utf8')); } catch (_e) {}
-    rows.unshift({
-      tool_id: run.toolId || null,
-      tool_name: run.toolName || null,
-      command: run.command || null,
-      transport: run.transport || null,
-      status: run.status || null,
-      error: run.error || null,
-      log_file: run.logFile || null,
-      created_at: new Date().toISOString(),
-    });
+    const existing = run.runId ? rows.find((r) => r.run_id === run.runId) : null;
+    if (existing) {
+      Object.assign(existing, row, { started_at: existing.started_at || row.started_at });
+    } else {
+      rows.unshift(Object.assign(row, { run_id: run.runId || null, created_at: new Date().toISOString() }));
+    }
     fs.writeFileSync(f, JSON.stringify(rows.slice(0, 200), null, 2));
   }
 
+  // Chain nodes keep one row per attempt, updated in place on each state change.
+  recordChainNode(node) {
+    const target = this._safeTarget(node && node.target);
+    if (!target || target === 'None') return;
+    const toIso = (ts) => (ts ? new Date(ts).toISOString() : null);
+    const row = {
+      tool_id: node.toolId || null,
+      tool_name: node.toolName || null,
+      command: node.command || null,
+      transport: node.transport || null,
+      status: node.status || null,
+      error: node.error || null,
+      log_file: node.logFile || null,
+      started_at: toIso(node.startedAt),
+      ended_at: toIso(node.endedAt),
+      exit_code: Number.isInteger(node.exitCode) ? node.exitCode : null,
+      duration_ms: node.startedAt && node.endedAt ? node.endedAt - node.startedAt : null,
+    };
+
+    if (this.mode === 'sqlite') {
+      const targetId = this._sqliteTargetId(target);
+      const existing = this.db.prepare(
+        'SELECT id FROM runs WHERE chain_id = ? AND node_id = ? AND attempt = ?'
+      ).get(node.chainId, node.nodeId, node.attempt);
+      if (existing) {
+        this.db.prepare(`
+          UPDATE runs SET command = ?, transport = ?, status = ?, error = ?, log_file = ?, started_at = ?, ended_at = ?,
+            exit_code = ?, duration_ms = ?
+          WHERE id = ?
+        `).run(
+          row.command, row.transport, row.status, row.error, row.log_file, row.started_at, row.ended_at,
+          row.exit_code, row.duration_ms, existing.id
+        );
+        return;
+      }
+      this.db.prepare(`
+        INSERT INTO runs(target_id, tool_id, tool_name, command, transport, status, error, log_file, started_at, ended_at,
+          exit_code, duration_ms, chain_id, node_id, attempt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        targetId, row.tool_id, row.tool_name, row.command, row.transport, row.status, row.error,
+        row.log_file, row.started_at, row.ended_at, row.exit_code, row.duration_ms, node.chainId, node.nodeId, node.attempt
+      );
+      return;
+    }
+
+    let rows = [];
+    const f = this._runsFile(target);
+    try { rows = JSON.parse(fs.readFileSync(f, 'utf8')); } catch (_e) {}
+    const existing = rows.find((r) => r.chain_id === node.chainId && r.node_id === node.nodeId && r.attempt === node.attempt);
+    if (existing) {
+      Object.assign(existing, row);
+    } else {
+      rows.unshift(Object.assign(row, {
+        chain_id: node.chainId,
+        node_id: node.nodeId,
+        attempt: node.attempt,
+        created_at: new Date().toISOString(),
+      }));
+    }
+    fs.writeFileSync(f, JSON.stringify(rows.slice(0, 200), null, 2));
+  }
+
+  // Chain nodes still queued or running belong to a session that ended with
+  // Hyper; nothing is watching them any more, so close them out.
+  recoverChainRuns() {
+    const note = 'interrupted: Hyper restarted mid-chain';
+
+    if (this.mode === 'sqlite') {
+      return Number(this.db.prepare(`
+        UPDATE runs SET status = 'interrupted', error = ?
+        WHERE chain_id IS NOT NULL AND status IN ('queued', 'running')
+      `).run(note).changes);
+    }
+
+    let count = 0;
+    for (const name of fs.readdirSync(this.jsonDir)) {
+      if (!name.endsWith('_runs.json')) continue;
+      const f = path.join(this.jsonDir, name);
+      let rows;
+      try { rows = JSON.parse(fs.readFileSync(f, 'utf8')); } catch (_e) { continue; }
+      const stale = rows.filter((r) => r.chain_id && (r.status === 'queued' || r.status === 'running'));
+      if (stale.length === 0) continue;
+      stale.forEach((r) => Object.assign(r, { status: 'interrupted', error: note }));
+      fs.writeFileSync(f, JSON.stringify(rows, null, 2));
+      count += stale.length;
+    }
+    return count;
+  }
+
+  // Runs outside chains still started or running when Hyper last closed:
+  // their status sidecar tells how those that have ended since went, and
+  // those whose shell is gone without one are closed out. Runs whose shell
+  // is still alive (in another window, or a tmux pane) are left alone.
+  recoverRuns() {
+    const stale = (r) => !r.chain_id && (r.status === 'started' || r.status === 'running');
+
+    if (this.mode === 'sqlite') {
+      const rows = this.db.prepare(`
+        SELECT id, status, log_file, started_at FROM runs
+        WHERE chain_id IS NULL AND status IN ('started', 'running')
+      `).all();
+      let count = 0;
+      for (const row of rows) {
+        const outcome = this._staleRunOutcome(row);
+        if (!outcome) continue;
+        this.db.prepare('UPDATE runs SET status = ?, error = ?, exit_code = ?, ended_at = ?, duration_ms = ? WHERE id = ?')
+          .run(outcome.status, outcome.error, outcome.exit_code, outcome.ended_at, outcome.duration_ms, row.id);
+        count++;
+      }
+      return count;
+    }
+
+    let count = 0;
+    for (const name of fs.readdirSync(this.jsonDir)) {
+      if (!name.endsWith('_runs.json')) continue;
+      const f = path.join(this.jsonDir, name);
+      let rows;
+      try { rows = JSON.parse(fs.readFileSync(f, 'utf8')); } catch (_e) { continue; }
+      let changed = 0;
+      for (const row of rows.filter(stale)) {
+        const outcome = this._staleRunOutcome(row);
+        if (!outcome) continue;
+        Object.assign(row, outcome);
+        changed++;
+      }
+      if (changed === 0) continue;
+      fs.writeFileSync(f, JSON.stringify(rows, null, 2));
+      count += changed;
+    }
+    return count;
+  }
+
+  // Row fields closing out a run left over from an earlier session, or null
+  // while its shell is still running.
+  _staleRunOutcome(row) {
+    const exitFile = row.log_file ? exitFileFor(row.log_file) : null;
+    const exit = exitFile ? readExitStatus(exitFile) : null;
+    if (exit) {
+      const startedAt = row.started_at ? Date.parse(row.started_at) : NaN;
+      return {
+        status: exit.exitCode === 0 ? 'succeeded' : 'failed',
+        error: exit.exitCode === 0 ? null : `exit ${exit.exitCode}`,
+        exit_code: exit.exitCode,
+        ended_at: new Date(exit.endedAt).toISOString(),
+        duration_ms: Number.isFinite(startedAt) ? Math.max(0, exit.endedAt - startedAt) : null,
+      };
+    }
+    const pid = exitFile ? readRunPid(exitFile) : null;
+    if (pid && isPidAlive(pid)) return null;
+    return {
+      status: 'interrupted',
+      error: 'interrupted: Hyper restarted while the run was going',
+      exit_code: null,
+      ended_at: null,
+      duration_ms: null,
+    };
+  }
+
   getRecentRuns(target, limit) {
     const safeTarget = this._safeTarget(target);
     const take = limit || 8;
@@ -216,7 +800,8 @@ class TargetStore {
       const row = this.db.prepare('SELECT id FROM targets WHERE target = ?').get(safeTarget);
       if (!row) return [];
       return this.db.prepare(`
-        SELECT tool_id, tool_name, command, transport, status, error, log_file, created_at
+        SELECT tool_id, tool_name, command, transport, status, error, log_file, started_at, ended_at,
+          exit_code, duration_ms, chain_id, created_at
         FROM runs
         WHERE target_id = ?
         ORDER BY id DESC
@@ -265,6 +850,59 @@ class TargetStore {
     }
   }
 
+  // Typed findings across all targets matching a FindingsQuery search
+  // string (or an already parsed query), newest sighting first. Each
+  // result is a record plus its `target`.
+  queryFindings(search, opts) {
+    const query = typeof search === 'string' ? parseQuery(search) : search;
+    const limit = (opts && opts.limit) || 200;
+    const kinds = query.kinds.length > 0 ? query.kinds : FINDING_KINDS;
+    const results = [];
+
+    if (this.mode === 'sqlite') {
+      const where = [];
+      const params = [];
+      if (query.target) {
+        where.push('t.target GLOB ?');
+        params.push(query.target);
+      }
+      if (query.since !== null) {
+        where.push('r.last_seen >= ?');
+        params.push(isoToSqliteTime(query.since));
+      }
+      if (query.until !== null) {
+        where.push('r.last_seen <= ?');
+        params.push(isoToSqliteTime(query.until));
+      }
+      for (const kind of kinds) {
+        const rows = this.db.prepare(`
+          SELECT r.*, t.target AS target FROM ${RECORD_TABLES[kind].table} r
+          JOIN targets t ON t.id = r.target_id
+          ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+        `).all(...params);
+        for (const row of rows) {
+          const record = Object.assign(this._recordFromRow(kind, row), { target: row.target });
+          if (matchesRecord(record, query)) results.push(record);
+        }
+      }
+    } else {
+      for (const name of fs.readdirSync(this.jsonDir)) {
+        if (!this._isTargetFile(name)) continue;
+        let current;
+        try { current = JSON.parse(fs.readFileSync(path.join(this.jsonDir, name), 'utf8')); } catch (_e) { continue; }
+        const target = (current && current.target) || name.slice(0, -'.json'.length);
+        for (const record of (current && current.records) || []) {
+          if (!kinds.includes(record.kind)) continue;
+          const withTarget = Object.assign({}, record, { target });
+          if (matchesRecord(withTarget, query)) results.push(withTarget);
+        }
+      }
+    }
+
+    results.sort((a, b) => String(b.lastSeen || '').localeCompare(String(a.lastSeen || '')));
+    return results.slice(0, limit);
+  }
+
   importLegacyFindings(target, legacyPath) {
     const safeTarget = this._safeTarget(target);
     if (!legacyPath || !fs.existsSync(legacyPath)) return;
@@ -311,6 +949,18 @@ class TargetStore {
     };
 
     fs.writeFileSync(filePath, JSON.stringify(payload, null, 2));
+
+    // Partial snapshots are superseded by the final pass; only that one
+    // (or a snapshot that does not say) is kept as findings. Structured
+    // output results are only kept here: their findings come through
+    // mergeFindings.
+    const pass = context && context.jcPass;
+    if (jcData && Array.isArray(jcData.records) && (!pass || pass === 'final')) {
+      this.mergeRecords(safeTarget, fromAdapterRecords(jcData.records), {
+        toolId: context && context.toolId,
+        runId: context && context.runId,
+      });
+    }
   }
 }
 
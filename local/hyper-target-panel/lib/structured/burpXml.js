@@ -0,0 +1,109 @@
+'use strict';
+
+// Burp Suite XML exports: "Save selected items" from the site map or
+// proxy history (<items><item>) and scanner issue reports
+// (<issues><issue>). Items give each requested URL with its method,
+// status and length plus the host and port it was served from; issues
+// give the vulnerabilities with their severity. Records carry the
+// `target` host they belong to.
+
+const { parseXml, childNamed, childrenNamed } = require('./xml');
+const { normalizeRecord } = require('../storage/FindingsModel');
+
+const IPV4 = /^\d{1,3}(\.\d{1,3}){3}$/;
+// Burp's severities, to the record ones
+const SEVERITIES = { high: 'high', medium: 'medium', low: 'low', information: 'info' };
+
+function textOf(node, name) {
+  const child = childNamed(node, name);
+  const value = child ? child.text.trim() : '';
+  return value && value !== 'null' ? value : null;
+}
+
+function readItem(node) {
+  const host = childNamed(node, 'host');
+  return {
+    url: textOf(node, 'url'),
+    host: textOf(node, 'host'),
+    ip: host && host.attrs.ip ? host.attrs.ip : null,
+    port: Number(textOf(node, 'port')) || null,
+    protocol: textOf(node, 'protocol'),
+    method: textOf(node, 'method') || 'GET',
+    path: textOf(node, 'path'),
+    status: Number(textOf(node, 'status')) || null,
+    length: Number(textOf(node, 'responselength')) || null,
+    mimetype: textOf(node, 'mimetype'),
+  };
+}
+
+function readIssue(node) {
+  const host = childNamed(node, 'host');
+  return {
+    name: textOf(node, 'name'),
+    host: textOf(node, 'host'),
+    ip: host && host.attrs.ip ? host.attrs.ip : null,
+    path: textOf(node, 'path'),
+    location: textOf(node, 'location'),
+    severity: textOf(node, 'severity'),
+    confidence: textOf(node, 'confidence'),
+  };
+}
+
+// "https://example.com" -> "example.com"
+function hostnameOf(host) {
+  return String(host || '').replace(/^[a-z]+:\/\//i, '').split(/[/:]/)[0].toLowerCase();
+}
+
+exports.parse = (content) => {
+  const root = parseXml(content);
+  if (!root || (root.name !== 'items' && root.name !== 'issues')) return null;
+
+  const paths = [];
+  const vulns = [];
+  const domains = [];
+  const records = [];
+  const seen = new Set();
+  const addRecord = (raw, target) => {
+    const record = normalizeRecord(raw);
+    if (record) records.push(target ? Object.assign(record, { target }) : record);
+  };
+  const addHost = (hostname, ip, port, protocol) => {
+    if (hostname && !IPV4.test(hostname) && !seen.has(hostname)) {
+      seen.add(hostname);
+      domains.push(hostname);
+      addRecord({ kind: 'host', hostname, ips: ip ? [ip] : [] }, hostname);
+    }
+    const key = `${hostname}:${port}`;
+    if (hostname && port && !seen.has(key)) {
+      seen.add(key);
+      addRecord({ kind: 'service', port, proto: 'tcp', name: protocol }, hostname);
+    }
+  };
+
+  const items = childrenNamed(root, 'item').map(readItem).filter(i => i.url);
+  for (const item of items) {
+    const hostname = hostnameOf(item.host || item.url);
+    if (!paths.includes(item.url)) paths.push(item.url);
+    addHost(hostname, item.ip, item.port, item.protocol);
+    addRecord({ kind: 'endpoint', url: item.url, method: item.method, status: item.status, size: item.length }, hostname);
+  }
+
+  const issues = childrenNamed(root, 'issue').map(readIssue).filter(i => i.name);
+  for (const issue of issues) {
+    const hostname = hostnameOf(issue.host);
+    const url = issue.host && issue.path ? `${issue.host.replace(/\/$/, '')}${issue.path}` : null;
+    const severity = SEVERITIES[String(issue.severity || '').toLowerCase()] || 'unknown';
+    vulns.push(`[${issue.severity || 'Issue'}] ${issue.name}${issue.location ? ` - ${issue.location}` : ''}`);
+    addHost(hostname, issue.ip, null, null);
+    addRecord({
+      kind: 'vulnerability',
+      id: issue.name,
+      severity,
+      evidence: [issue.location, issue.confidence ? `(${issue.confidence})` : ''].filter(Boolean).join(' '),
+      url,
+    }, hostname);
+  }
+
+  if (items.length === 0 && issues.length === 0) return null;
+  return { paths, vulns, domains, records, items, issues };
+};
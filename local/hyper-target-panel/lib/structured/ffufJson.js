@@ -0,0 +1,38 @@
+'use strict';
+
+// ffuf -of json: every result with the input that produced it, its
+// status, size, word and line counts, content type and redirect.
+
+const { jsonDocument } = require('./json');
+const { normalizeRecord } = require('../storage/FindingsModel');
+
+exports.parse = (content) => {
+  const doc = jsonDocument(content);
+  if (!doc || !Array.isArray(doc.results)) return null;
+
+  const paths = [];
+  const records = [];
+  const results = doc.results.map((r) => {
+    const input = r.input && typeof r.input === 'object' ? r.input : {};
+    return {
+      input: Object.keys(input).filter(k => k !== 'FFUFHASH').map(k => input[k]).join(' '),
+      url: r.url || null,
+      status: r.status,
+      length: r.length,
+      words: r.words,
+      lines: r.lines,
+      contentType: r['content-type'] || null,
+      redirect: r.redirectlocation || null,
+    };
+  });
+
+  for (const r of results) {
+    const label = r.input || r.url;
+    const redirect = r.redirect ? ` -> ${r.redirect}` : '';
+    paths.push(`${label} [${r.status}] (Size: ${r.length}, W: ${r.words}, L: ${r.lines})${redirect}`);
+    const record = normalizeRecord({ kind: 'endpoint', url: r.url, status: r.status, size: r.length });
+    if (record) records.push(record);
+  }
+
+  return { paths, records, commandline: doc.commandline || null, results };
+};
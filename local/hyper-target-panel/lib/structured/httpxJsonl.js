@@ -0,0 +1,45 @@
+'use strict';
+
+// httpx -json: per probed URL the status, title, web server,
+// technologies, content length and type, and the addresses it
+// resolved to.
+
+const { jsonLines } = require('./json');
+const { normalizeRecord } = require('../storage/FindingsModel');
+
+exports.parse = (content) => {
+  const lines = jsonLines(content).filter(r => r.url);
+  if (lines.length === 0) return null;
+
+  const paths = [];
+  const domains = [];
+  const records = [];
+  const results = lines.map(r => ({
+    url: r.url,
+    host: r.input || r.host || null,
+    status: r.status_code === undefined ? null : r.status_code,
+    title: r.title || null,
+    webserver: r.webserver || null,
+    tech: Array.isArray(r.tech) ? r.tech : [],
+    contentLength: r.content_length === undefined ? null : r.content_length,
+    contentType: r.content_type || null,
+    location: r.location || null,
+    ips: Array.isArray(r.a) ? r.a : [],
+  }));
+
+  const push = (raw) => {
+    const record = normalizeRecord(raw);
+    if (record) records.push(record);
+  };
+  for (const r of results) {
+    if (!paths.includes(r.url)) paths.push(r.url);
+    push({ kind: 'endpoint', url: r.url, status: r.status, size: r.contentLength });
+    const hostname = String(r.host || '').replace(/^https?:\/\//, '').split(/[/:]/)[0];
+    if (hostname && !/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)) {
+      if (!domains.includes(hostname)) domains.push(hostname);
+      push({ kind: 'host', hostname, ips: r.ips });
+    }
+  }
+
+  return { paths, domains, records, results };
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+// Structured output a tool can write next to (or instead of) its text
+// log. A tool in tools.json declares the format it writes:
+//   "structured": "nmap-xml",
+//   "command": "nmap ... -oN {log_file} -oX {structured_file}"
+// {structured_file} is a sidecar path next to the log; a command that
+// does not use it writes the format to {log_file} itself (ffuf -of
+// json -o {log_file}). Each parser takes the file's content and
+// returns the buckets and typed records the text parsers return, plus
+// the details only the structured format has, or null when the
+// content is not that format.
+//
+// `lines` formats hold one record per line and parse as they grow;
+// the others are only read whole, once the run has ended. burp-xml is
+// no tool's output; it is read when a Burp export is imported.
+
+const path = require('path');
+
+const STRUCTURED_FORMATS = {
+  'nmap-xml': { ext: 'xml', lines: false, parse: require('./nmapXml').parse },
+  'nmap-grepable': { ext: 'gnmap', lines: false, parse: require('./nmapGrepable').parse },
+  'ffuf-json': { ext: 'json', lines: false, parse: require('./ffufJson').parse },
+  'nuclei-jsonl': { ext: 'jsonl', lines: true, parse: require('./nucleiJsonl').parse },
+  'httpx-jsonl': { ext: 'jsonl', lines: true, parse: require('./httpxJsonl').parse },
+  'katana-jsonl': { ext: 'jsonl', lines: true, parse: require('./katanaJsonl').parse },
+  'masscan-json': { ext: 'json', lines: true, parse: require('./masscanJson').parse },
+  'burp-xml': { ext: 'xml', lines: false, parse: require('./burpXml').parse },
+};
+
+function getStructuredFormat(format) {
+  return Object.prototype.hasOwnProperty.call(STRUCTURED_FORMATS, format) ? STRUCTURED_FORMATS[format] : null;
+}
+
+// "runtime/example.com_nmap_service.log" -> "runtime/example.com_nmap_service.xml"
+function structuredFileFor(logFile, format) {
+  const spec = getStructuredFormat(format);
+  if (!spec || !logFile) return null;
+  const base = logFile.slice(0, logFile.length - path.extname(logFile).length);
+  return `${base}.${spec.ext}`;
+}
+
+// { format, file } for a run of `tool` logging to `logFile`, or null
+// when the tool declares no (known) structured output
+function resolveStructured(tool, logFile) {
+  const format = tool && tool.structured ? String(tool.structured) : '';
+  if (!getStructuredFormat(format)) return null;
+  const sidecar = /{structured_file}/.test(String(tool.command || ''));
+  return { format, file: sidecar ? structuredFileFor(logFile, format) : logFile };
+}
+
+function parseStructured(format, content) {
+  const spec = getStructuredFormat(format);
+  return spec ? spec.parse(content) : null;
+}
+
+module.exports = {
+  STRUCTURED_FORMATS,
+  getStructuredFormat,
+  structuredFileFor,
+  resolveStructured,
+  parseStructured,
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+// One JSON value per line (nuclei -jsonl, httpx -json, katana -jsonl).
+// masscan -oJ writes an array with one object per line, each followed
+// by a comma, so the brackets and trailing commas are dropped too.
+// Lines that do not parse (a banner, the last line half-written) are
+// skipped.
+function jsonLines(content) {
+  const out = [];
+  for (const raw of String(content || '').split('\n')) {
+    const line = raw.trim().replace(/,$/, '');
+    if (!line || line === '[' || line === ']') continue;
+    try {
+      const value = JSON.parse(line);
+      if (value && typeof value === 'object') out.push(value);
+    } catch (_e) {
+      // not a complete record
+    }
+  }
+  return out;
+}
+
+// A whole-file JSON document (ffuf -of json), or null
+function jsonDocument(content) {
+  try {
+    const value = JSON.parse(String(content || ''));
+    return value && typeof value === 'object' ? value : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+module.exports = {
+  jsonLines,
+  jsonDocument,
+};
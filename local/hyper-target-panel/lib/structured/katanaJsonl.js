@@ -0,0 +1,36 @@
+'use strict';
+
+// katana -jsonl: each crawled request with its method, where it was
+// found (tag, attribute, source page) and, when fetched, the status
+// and technologies of the response.
+
+const { jsonLines } = require('./json');
+const { normalizeRecord } = require('../storage/FindingsModel');
+
+exports.parse = (content) => {
+  const lines = jsonLines(content).filter(r => r.request && r.request.endpoint);
+  if (lines.length === 0) return null;
+
+  const paths = [];
+  const records = [];
+  const results = lines.map((r) => {
+    const response = r.response || {};
+    return {
+      url: r.request.endpoint,
+      method: r.request.method || 'GET',
+      tag: r.request.tag || null,
+      attribute: r.request.attribute || null,
+      source: r.request.source || null,
+      status: response.status_code === undefined ? null : response.status_code,
+      technologies: Array.isArray(response.technologies) ? response.technologies : [],
+    };
+  });
+
+  for (const r of results) {
+    if (!paths.includes(r.url)) paths.push(r.url);
+    const record = normalizeRecord({ kind: 'endpoint', url: r.url, method: r.method, status: r.status });
+    if (record) records.push(record);
+  }
+
+  return { paths, records, results };
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+// masscan -oJ: open ports per address, with the banner or service
+// name when masscan grabbed one (--banners). Records carry the
+// `target` address they were found on.
+
+const { jsonLines } = require('./json');
+const { normalizeRecord } = require('../storage/FindingsModel');
+
+exports.parse = (content) => {
+  const lines = jsonLines(content).filter(r => r.ip && Array.isArray(r.ports));
+  if (lines.length === 0) return null;
+
+  const ports = [];
+  const records = [];
+  const byAddress = new Map();
+
+  for (const r of lines) {
+    if (!byAddress.has(r.ip)) byAddress.set(r.ip, { address: r.ip, ports: [] });
+    const host = byAddress.get(r.ip);
+    for (const p of r.ports) {
+      const service = p.service || {};
+      // Banner lines repeat the port; fold them into one entry
+      let entry = host.ports.find(e => e.port === p.port && e.proto === p.proto);
+      if (!entry) {
+        entry = { port: p.port, proto: p.proto, status: p.status || 'open', service: null, banner: null };
+        host.ports.push(entry);
+      }
+      if (service.name) entry.service = service.name;
+      if (service.banner) entry.banner = service.banner;
+    }
+  }
+
+  const hosts = Array.from(byAddress.values());
+  for (const host of hosts) {
+    for (const p of host.ports) {
+      if (p.status !== 'open') continue;
+      const label = p.service ? `${p.port} (${p.service})` : `${p.port}/${p.proto}`;
+      if (!ports.includes(label)) ports.push(label);
+      const record = normalizeRecord({ kind: 'service', port: p.port, proto: p.proto, name: p.service });
+      if (record) records.push(Object.assign(record, { target: host.address }));
+    }
+  }
+
+  return { ports, records, hosts };
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+// nmap -oG: one "Host: <address> (<hostname>)" line per host with its
+// status, and one with its "Ports:" when any were scanned. Each port is
+// port/state/protocol/owner/service/rpc info/version/, with "/" inside
+// a field written as "|". Records carry the `target` address, as one
+// file may cover many hosts.
+
+const { normalizeRecord, parseServiceLine } = require('../storage/FindingsModel');
+
+const HOST_LINE = /^Host: (\S+) \(([^)]*)\)\t(.*)$/gm;
+
+// "22/open/tcp//ssh//OpenSSH 8.2p1/, 80/open/tcp//http///" -> ports
+function readPorts(field) {
+  return field.split(/,\s*(?=\d+\/)/).map((entry) => {
+    const [port, state, proto, owner, service, rpc, version] = entry.split('/').map(f => f.replace(/\|/g, '/').trim());
+    return {
+      port: Number(port),
+      state,
+      proto,
+      owner: owner || null,
+      service: service || null,
+      rpc: rpc || null,
+      version: version || null,
+    };
+  }).filter(p => Number.isInteger(p.port) && p.proto);
+}
+
+exports.parse = (content) => {
+  const ports = [];
+  const domains = [];
+  const records = [];
+  const byAddress = new Map();
+
+  let m;
+  HOST_LINE.lastIndex = 0;
+  while ((m = HOST_LINE.exec(String(content || ''))) !== null) {
+    const [, address, hostname, rest] = m;
+    if (!byAddress.has(address)) byAddress.set(address, { address, hostname: hostname || null, status: null, ports: [] });
+    const host = byAddress.get(address);
+    // Tab-separated "Name: value" fields
+    for (const field of rest.split('\t')) {
+      const sep = field.indexOf(': ');
+      if (sep === -1) continue;
+      const name = field.slice(0, sep);
+      const value = field.slice(sep + 2);
+      if (name === 'Status') host.status = value.trim();
+      else if (name === 'Ports') host.ports.push(...readPorts(value));
+    }
+  }
+  if (byAddress.size === 0) return null;
+
+  const hosts = Array.from(byAddress.values());
+  for (const host of hosts) {
+    if (host.hostname) {
+      if (!domains.includes(host.hostname)) domains.push(host.hostname);
+      const record = normalizeRecord({ kind: 'host', hostname: host.hostname, ips: [host.address] });
+      if (record) records.push(Object.assign(record, { target: host.address }));
+    }
+    for (const p of host.ports) {
+      if (p.state !== 'open') continue;
+      // As nmap's text output would list it, so both give one record
+      const name = p.service || 'unknown';
+      ports.push(p.version ? `${p.port} (${name}) - ${p.version}` : `${p.port} (${name})`);
+      const record = parseServiceLine(`${p.port}/${p.proto} open ${name}${p.version ? ' ' + p.version : ''}`);
+      if (record) records.push(Object.assign(record, { target: host.address }));
+    }
+  }
+
+  return { ports, domains, records, hosts };
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+// nmap -oX. Besides what the text parser finds, the XML gives every
+// port's service fields and CPEs, the full output and data tables of
+// each NSE script (port and host scripts), hostnames, the OS match
+// and, from ssl-cert / ssl-enum-ciphers, each TLS port's certificate.
+// Records carry the `target` (address) of the host they were seen on,
+// as one file may cover many hosts.
+
+const { parseXml, childNamed, childrenNamed } = require('./xml');
+const { normalizeRecord } = require('../storage/FindingsModel');
+
+const VULN_WORDS = /vulnerable|exploit|cve-|sql injection|rce|remote code/i;
+const CVE_LINE = /(CVE-\d{4}-\d+)\s+([\d.]+)\s+(https?:\/\/[^\s]+)/g;
+const CVE_RE = /\bCVE-\d{4}-\d{4,7}\b/i;
+
+function cvssSeverity(score) {
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  return score > 0 ? 'low' : 'info';
+}
+
+// <elem>/<table> children as plain data: keyed ones as an object,
+// keyless ones as a list
+function scriptData(node) {
+  const keyed = {};
+  const list = [];
+  for (const c of node.children) {
+    if (c.name !== 'elem' && c.name !== 'table') continue;
+    const value = c.name === 'elem' ? c.text : scriptData(c);
+    if (c.attrs.key !== undefined) keyed[c.attrs.key] = value;
+    else list.push(value);
+  }
+  return Object.keys(keyed).length > 0 ? keyed : list;
+}
+
+function readScript(node) {
+  return { id: node.attrs.id, output: (node.attrs.output || '').trim(), data: scriptData(node) };
+}
+
+// Vulnerabilities an NSE script reports: vulns-library tables with a
+// VULNERABLE state, vulners-style CVE lines, else the keywords the
+// text parser looks for
+function scriptVulns(script, where) {
+  const out = [];
+  const data = script.data && !Array.isArray(script.data) ? script.data : {};
+  for (const [key, entry] of Object.entries(data)) {
+    if (!entry || typeof entry !== 'object' || typeof entry.state !== 'string') continue;
+    if (!/VULNERABLE/.test(entry.state) || /NOT VULNERABLE/.test(entry.state)) continue;
+    const ids = Array.isArray(entry.ids) ? entry.ids : [];
+    const cve = ids.map(id => (String(id).match(CVE_RE) || [])[0]).find(Boolean);
+    out.push({
+      legacy: `[Script] ${script.id}: ${entry.title || key} (${entry.state})`,
+      record: { kind: 'vulnerability', id: cve || key, severity: 'high', evidence: `${where} ${script.id}: ${entry.title || key} (${entry.state})` },
+    });
+  }
+  if (out.length > 0) return out;
+
+  let m;
+  CVE_LINE.lastIndex = 0;
+  while ((m = CVE_LINE.exec(script.output)) !== null) {
+    out.push({
+      legacy: `[CVE] ${m[1]} (CVSS: ${m[2]})`,
+      record: { kind: 'vulnerability', id: m[1], severity: cvssSeverity(parseFloat(m[2])), evidence: `CVSS ${m[2]}`, url: m[3] },
+    });
+  }
+  if (out.length > 0) return out;
+
+  if (VULN_WORDS.test(script.output) && !/NOT VULNERABLE/i.test(script.output) && !script.output.includes('ERROR:')) {
+    const firstLine = script.output.split('\n')[0].trim();
+    const short = firstLine.length > 60 ? firstLine.substring(0, 57) + '...' : firstLine;
+    const cve = script.output.match(CVE_RE);
+    out.push({
+      legacy: `[Script] ${script.id}: ${short}`,
+      record: { kind: 'vulnerability', id: cve ? cve[0] : script.id, evidence: `${where} ${script.id}: ${script.output}` },
+    });
+  }
+  return out;
+}
+
+// Certificate and protocol details of a TLS port, from its scripts
+function tlsInfo(scripts) {
+  const cert = scripts.find(s => s.id === 'ssl-cert');
+  const ciphers = scripts.find(s => s.id === 'ssl-enum-ciphers');
+  if (!cert && !ciphers) return null;
+  const tls = {};
+  if (cert) {
+    const data = Array.isArray(cert.data) ? {} : cert.data;
+    const san = cert.output.match(/Subject Alternative Name:\s*(.+)/);
+    tls.subject = data.subject ? data.subject.commonName || null : null;
+    tls.issuer = data.issuer ? data.issuer.commonName || null : null;
+    tls.notBefore = data.validity ? data.validity.notBefore || null : null;
+    tls.notAfter = data.validity ? data.validity.notAfter || null : null;
+    tls.altNames = san
+      ? san[1].split(/,\s*/).filter(n => /^DNS:/.test(n)).map(n => n.slice(4).trim().toLowerCase())
+      : [];
+  }
+  if (ciphers && !Array.isArray(ciphers.data)) {
+    tls.protocols = Object.keys(ciphers.data).filter(k => /^(SSL|TLS)v/.test(k));
+    tls.leastStrength = ciphers.data['least strength'] || null;
+  }
+  return tls;
+}
+
+function serviceInfo(service) {
+  if (!service) return '';
+  const a = service.attrs;
+  return [a.product, a.version, a.extrainfo ? `(${a.extrainfo})` : ''].filter(Boolean).join(' ');
+}
+
+exports.parse = (content) => {
+  const root = parseXml(content);
+  if (!root || root.name !== 'nmaprun') return null;
+
+  const ports = [];
+  const vulns = [];
+  const os = [];
+  const scripts = [];
+  const domains = [];
+  const records = [];
+  const hosts = [];
+
+  const addRecord = (raw, target) => {
+    const record = normalizeRecord(raw);
+    if (record) records.push(target ? Object.assign(record, { target }) : record);
+  };
+  const addScripts = (list, where, target) => {
+    for (const script of list) {
+      if (script.output && !script.output.includes('ERROR:')) {
+        scripts.push(`${script.id}: ${script.output.split('\n')[0].trim()}`);
+      }
+      for (const vuln of scriptVulns(script, where)) {
+        vulns.push(vuln.legacy);
+        addRecord(vuln.record, target);
+      }
+    }
+  };
+
+  for (const hostNode of childrenNamed(root, 'host')) {
+    const addresses = childrenNamed(hostNode, 'address')
+      .filter(a => a.attrs.addrtype === 'ipv4' || a.attrs.addrtype === 'ipv6')
+      .map(a => a.attrs.addr);
+    const hostnames = childrenNamed(childNamed(hostNode, 'hostnames'), 'hostname').map(h => h.attrs.name);
+    const status = childNamed(hostNode, 'status');
+    const osMatch = childNamed(childNamed(hostNode, 'os'), 'osmatch');
+    const host = {
+      address: addresses[0] || null,
+      addresses,
+      hostnames,
+      status: status ? status.attrs.state : null,
+      os: osMatch ? { name: osMatch.attrs.name, accuracy: Number(osMatch.attrs.accuracy) || null } : null,
+      ports: [],
+      hostScripts: childrenNamed(childNamed(hostNode, 'hostscript'), 'script').map(readScript),
+    };
+    hosts.push(host);
+    const target = host.address || hostnames[0] || null;
+
+    if (host.os && !os.includes(host.os.name)) os.push(host.os.name);
+    for (const name of hostnames) {
+      if (!domains.includes(name)) domains.push(name);
+      addRecord({ kind: 'host', hostname: name, ips: addresses }, target);
+    }
+
+    for (const portNode of childrenNamed(childNamed(hostNode, 'ports'), 'port')) {
+      const state = childNamed(portNode, 'state');
+      const service = childNamed(portNode, 'service');
+      const portScripts = childrenNamed(portNode, 'script').map(readScript);
+      const port = {
+        port: Number(portNode.attrs.portid),
+        proto: portNode.attrs.protocol,
+        state: state ? state.attrs.state : null,
+        service: service ? {
+          name: service.attrs.name || null,
+          product: service.attrs.product || null,
+          version: service.attrs.version || null,
+          extrainfo: service.attrs.extrainfo || null,
+          tunnel: service.attrs.tunnel || null,
+          cpe: childrenNamed(service, 'cpe').map(c => c.text.trim()),
+        } : null,
+        scripts: portScripts,
+        tls: tlsInfo(portScripts),
+      };
+      host.ports.push(port);
+      if (port.state !== 'open') continue;
+
+      // Named as in nmap's text output ("ssl/http"), so both give one record
+      const serviceName = port.service && port.service.name ? port.service.name : 'unknown';
+      const name = port.service && port.service.tunnel ? `${port.service.tunnel}/${serviceName}` : serviceName;
+      const info = serviceInfo(service);
+      ports.push(info ? `${port.port} (${name}) - ${info}` : `${port.port} (${name})`);
+      addRecord({
+        kind: 'service',
+        port: port.port,
+        proto: port.proto,
+        name,
+        product: port.service && port.service.product,
+        version: port.service && port.service.version,
+      }, target);
+      addScripts(portScripts, `${port.port}/${port.proto}`, target);
+      for (const altName of (port.tls && port.tls.altNames) || []) {
+        if (altName.startsWith('*.') || domains.includes(altName)) continue;
+        domains.push(altName);
+        addRecord({ kind: 'host', hostname: altName }, target);
+      }
+    }
+    addScripts(host.hostScripts, host.address || 'host', target);
+  }
+
+  return { ports, vulns, os, scripts, domains, records, hosts };
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+// nuclei -jsonl: one result per line, with the template's name,
+// classification (CVE ids, CVSS) and what the matchers extracted.
+
+const { jsonLines } = require('./json');
+const { normalizeRecord } = require('../storage/FindingsModel');
+
+exports.parse = (content) => {
+  const lines = jsonLines(content).filter(r => r['template-id']);
+  if (lines.length === 0) return null;
+
+  const vulns = [];
+  const paths = [];
+  const info = [];
+  const records = [];
+  const results = lines.map((r) => {
+    const meta = r.info || {};
+    const classification = meta.classification || {};
+    return {
+      templateId: r['template-id'],
+      name: meta.name || null,
+      severity: String(meta.severity || 'unknown').toLowerCase(),
+      type: r.type || null,
+      matchedAt: r['matched-at'] || r.url || r.host || null,
+      matcherName: r['matcher-name'] || null,
+      extracted: Array.isArray(r['extracted-results']) ? r['extracted-results'] : [],
+      cve: Array.isArray(classification['cve-id']) ? classification['cve-id'].map(id => String(id).toUpperCase()) : [],
+      cvss: classification['cvss-score'] || null,
+      tags: Array.isArray(meta.tags) ? meta.tags : [],
+    };
+  });
+
+  for (const r of results) {
+    const finding = `[${r.severity.toUpperCase()}] ${r.templateId} (${r.type}) - ${r.matchedAt}`;
+    if (r.severity === 'info') info.push(finding);
+    else vulns.push(finding);
+    if (r.matchedAt && /^https?:/.test(r.matchedAt) && !paths.includes(r.matchedAt)) paths.push(r.matchedAt);
+
+    const evidence = [r.name, r.matcherName ? `(${r.matcherName})` : '', r.extracted.length ? `[${r.extracted.join(', ')}]` : '']
+      .filter(Boolean).join(' ');
+    const record = normalizeRecord({ kind: 'vulnerability', id: r.templateId, severity: r.severity, evidence, url: r.matchedAt });
+    if (record) records.push(record);
+  }
+
+  return { vulns, paths, info, records, results };
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+// Just enough XML for tool reports such as nmap -oX: elements,
+// attributes, text and CDATA. Comments, processing instructions and
+// the DOCTYPE line are skipped. A file cut short (a scan still running
+// or killed) gives the elements read so far.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const START_TAG = /<([A-Za-z_][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, name) => {
+    if (name[0] === '#') {
+      const code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code >= 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : m;
+  });
+}
+
+function element(name, rawAttrs) {
+  const attrs = {};
+  let m;
+  ATTRIBUTE.lastIndex = 0;
+  while ((m = ATTRIBUTE.exec(rawAttrs)) !== null) {
+    attrs[m[1]] = decode(m[2] !== undefined ? m[2] : m[3]);
+  }
+  return { name, attrs, children: [], text: '' };
+}
+
+// Root element as { name, attrs, children, text }, or null
+function parseXml(content) {
+  const src = String(content || '');
+  const stack = [];
+  let root = null;
+  let pos = 0;
+
+  const skipTo = (end, from) => {
+    const at = src.indexOf(end, from);
+    return at === -1 ? src.length : at + end.length;
+  };
+
+  while (pos < src.length) {
+    const lt = src.indexOf('<', pos);
+    const textEnd = lt === -1 ? src.length : lt;
+    if (stack.length && textEnd > pos) stack[stack.length - 1].text += decode(src.slice(pos, textEnd));
+    if (lt === -1) break;
+
+    if (src.startsWith('<!--', lt)) {
+      pos = skipTo('-->', lt + 4);
+    } else if (src.startsWith('<![CDATA[', lt)) {
+      const end = src.indexOf(']]>', lt + 9);
+      const stop = end === -1 ? src.length : end;
+      if (stack.length) stack[stack.length - 1].text += src.slice(lt + 9, stop);
+      pos = end === -1 ? src.length : end + 3;
+    } else if (src.startsWith('<?', lt)) {
+      pos = skipTo('?>', lt + 2);
+    } else if (src.startsWith('<!', lt)) {
+      pos = skipTo('>', lt + 2);
+    } else if (src.startsWith('</', lt)) {
+      const end = src.indexOf('>', lt);
+      const name = src.slice(lt + 2, end === -1 ? src.length : end).trim();
+      // Close up to the matching element; a stray end tag is ignored
+      const at = stack.map(n => n.name).lastIndexOf(name);
+      if (at !== -1) stack.length = at;
+      pos = end === -1 ? src.length : end + 1;
+    } else {
+      START_TAG.lastIndex = lt;
+      const m = START_TAG.exec(src);
+      if (!m) {
+        // Not a tag after all (or one cut short at the end of the file)
+        if (stack.length) stack[stack.length - 1].text += '<';
+        pos = lt + 1;
+        continue;
+      }
+      const node = element(m[1], m[2]);
+      if (stack.length) stack[stack.length - 1].children.push(node);
+      else if (!root) root = node;
+      else break;
+      if (!m[3]) stack.push(node);
+      pos = START_TAG.lastIndex;
+    }
+  }
+  return root;
+}
+
+function childrenNamed(node, name) {
+  return node ? node.children.filter(c => c.name === name) : [];
+}
+
+function childNamed(node, name) {
+  return childrenNamed(node, name)[0] || null;
+}
+
+module.exports = {
+  parseXml,
+  childNamed,
+  childrenNamed,
+};
@@ -4,29 +4,17 @@
 //  HYPER VULN CHECKLIST
 //  Interactive vulnerability testing checklists based on WooYun methodology
 //  (88,636 real-world cases). Pick a vuln category, get step-by-step items.
-//  Tracks completion per target. Persists to ~/.hyper_recon/checklists.json.
+//  Tracks completion per target. Persists to the workspace's recon store.
 // ======================================================================
 
-const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-
-// ------ Shared Recon Namespace ----------------------------------------
-
-function getRecon() {
-  if (!window.__hyperRecon) {
-    window.__hyperRecon = {
-      events: new EventEmitter(),
-      targets: new Map(),
-      findings: [],
-      sessions: new Map(),
-      hud: null,
-    };
-    window.__hyperRecon.events.setMaxListeners(50);
-  }
-  return window.__hyperRecon;
-}
+const { exposeStore } = require('../hyper-hud-framework/reconStore');
+const {
+  getRecon, trackSession, getActiveUid, execInTerminal, registerPlugin, whenCapability,
+} = require('../hyper-hud-framework/runtime');
+const { version } = require('./package.json');
 
 // ======================================================================
 //  CHECKLIST DATA (WooYun methodology)
@@ -178,43 +166,38 @@ const TOTAL_CASES = 88636;
 //  PERSISTENCE
 // ======================================================================
 
-const RECON_DIR = path.join(os.homedir(), '.hyper_recon');
-const DATA_FILE = path.join(RECON_DIR, 'checklists.json');
-
 // State shape: { targets: { [targetName]: { [checklistId]: { [itemIndex]: true } } } }
+// Stored as one record per target + checklist in the shared recon store
+// ('checklists' collection). The store is kept from load time: the
+// workspace the current state belongs to.
 let state = { targets: {} };
-
-function ensureDir() {
-  try {
-    if (!fs.existsSync(RECON_DIR)) {
-      fs.mkdirSync(RECON_DIR, { recursive: true });
-    }
-  } catch (e) {
-    // ignore
-  }
-}
+let checklistDb = null;
 
 function loadState() {
+  state = { targets: {} };
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, 'utf8');
-      const parsed = JSON.parse(raw);
-      if (parsed && typeof parsed.targets === 'object') {
-        state = parsed;
-      }
+    checklistDb = exposeStore(getRecon());
+    for (const record of checklistDb.list('checklists')) {
+      if (!state.targets[record.target]) state.targets[record.target] = {};
+      state.targets[record.target][record.checklistId] = record.done;
     }
   } catch (e) {
-    // Start fresh on error
-    state = { targets: {} };
+    console.error('[vuln-checklist] Failed to load checklists:', e.message);
   }
 }
 
 function saveState() {
-  ensureDir();
+  if (!checklistDb) return;
+  const records = [];
+  for (const [target, lists] of Object.entries(state.targets)) {
+    for (const [checklistId, done] of Object.entries(lists)) {
+      records.push({ target, checklistId, done });
+    }
+  }
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(state, null, 2), 'utf8');
+    checklistDb.replaceAll('checklists', records);
   } catch (e) {
-    // ignore write errors
+    console.error('[vuln-checklist] Failed to save checklists:', e.message);
   }
 }
 
@@ -228,6 +211,13 @@ function debouncedSave() {
   }, 500);
 }
 
+function flushSave() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  saveState();
+}
+
 // ======================================================================
 //  STATE HELPERS
 // ======================================================================
@@ -544,13 +534,12 @@ function renderTopBar(React) {
       },
       onClick: () => {
         const text = exportChecklist(currentTarget);
-        const recon = getRecon();
-        const uid = recon.activeUid;
+        const uid = getActiveUid();
         if (uid) {
           const tmpFile = path.join(os.tmpdir(), 'vuln-checklist-' + currentTarget.replace(/[^a-zA-Z0-9._-]/g, '_') + '.md');
           try {
             fs.writeFileSync(tmpFile, text, 'utf8');
-            window.rpc.emit('data', { uid, data: 'cat ' + tmpFile + '\n', escaped: false });
+            execInTerminal('cat ' + tmpFile, uid);
             if (hudApi) hudApi.notify('Checklist exported to ' + tmpFile, 'info');
           } catch (e) {
             if (hudApi) hudApi.notify('Export failed: ' + e.message, 'info');
@@ -843,25 +832,18 @@ function renderChecklistItem(React, cl, idx, text, checked) {
 
 function registerHud() {
   if (hudRegistered) return;
-  const recon = getRecon();
+  hudRegistered = true;
+  registerPlugin({ name: 'vuln-checklist', version, provides: { checklists: 1 }, requires: { hud: 1, store: 1 } });
 
   const renderFn = (React) => {
     return renderChecklistTab(React);
   };
 
-  if (recon.hud) {
-    hudApi = recon.hud;
-    recon.hud.registerTab('vuln-checklist', 'Checklists', null, renderFn);
-    hudRegistered = true;
+  whenCapability('hud', 1, (hud) => {
+    hudApi = hud;
+    hud.registerTab('vuln-checklist', 'Checklists', null, renderFn);
     updateBadge();
-  } else {
-    recon.events.on('hud:ready', (hud) => {
-      hudApi = hud;
-      hud.registerTab('vuln-checklist', 'Checklists', null, renderFn);
-      hudRegistered = true;
-      updateBadge();
-    });
-  }
+  });
 }
 
 // ======================================================================
@@ -870,19 +852,7 @@ function registerHud() {
 
 // Middleware: track active session for terminal output
 exports.middleware = (store) => (next) => (action) => {
-  const recon = getRecon();
-  switch (action.type) {
-    case 'SESSION_SET_ACTIVE':
-      recon.activeUid = action.uid;
-      break;
-    case 'SESSION_ADD':
-      if (!recon.activeUid) recon.activeUid = action.uid;
-      break;
-    case 'SESSION_PTY_EXIT':
-    case 'SESSION_USER_EXIT':
-      if (action.uid === recon.activeUid) recon.activeUid = null;
-      break;
-  }
+  trackSession(action);
   return next(action);
 };
 
@@ -919,6 +889,15 @@ exports.decorateHyper = (Hyper, { React }) => {
 
       // Listen for target changes from other plugins
       const recon = getRecon();
+      recon.events.on('workspace:changed', () => {
+        flushSave();
+        loadState();
+        const saved = getAllTargets();
+        currentTarget = saved.length > 0 ? saved[0] : '';
+        targetInputValue = currentTarget;
+        updateBadge();
+        triggerRender();
+      });
       recon.events.on('target:set', (target) => {
         if (target && typeof target === 'string') {
           currentTarget = target;